@@ -0,0 +1,98 @@
+/**
+ * Bird Names Tests
+ *
+ * Tests cover picking the displayed common name for the UI language:
+ * - Locale fallback chains (pt_BR -> pt -> en)
+ * - Per-locale name maps and legacy single-language fields
+ * - English fallback when no localized name exists
+ */
+
+// Mirrored from birdNames.js
+// Older manifests (and history entries saved from them) carry single-language fields
+const LEGACY_NAME_FIELDS = {
+  primaryComName_fr: 'fr',
+  primaryComName_cn: 'zh',
+};
+
+function normalizeLocale(locale) {
+  const [language, region] = String(locale || '').split(/[-_]/);
+  if (!language) return '';
+  return region ? `${language.toLowerCase()}_${region.toUpperCase()}` : language.toLowerCase();
+}
+
+function getLocaleFallbackChain(locale) {
+  const normalized = normalizeLocale(locale);
+  const language = normalized.split('_')[0];
+  const chain = [];
+  if (normalized && normalized !== language) chain.push(normalized);
+  if (language) chain.push(language);
+  if (!chain.includes('en')) chain.push('en');
+  return chain;
+}
+
+function getCommonNames(bird) {
+  const names = {};
+  for (const [field, locale] of Object.entries(LEGACY_NAME_FIELDS)) {
+    if (bird?.[field]) names[locale] = bird[field];
+  }
+  for (const [locale, name] of Object.entries(bird?.commonNames ?? {})) {
+    if (typeof name === 'string' && name) names[normalizeLocale(locale)] = name;
+  }
+  return names;
+}
+
+function getLocalizedBirdName(bird, locale) {
+  if (!bird) return '';
+
+  const english = bird.primaryComName || bird.name || '';
+  const names = getCommonNames(bird);
+  for (const key of getLocaleFallbackChain(locale)) {
+    if (names[key]) return names[key];
+    if (key === 'en' && english) return english;
+  }
+  return english;
+}
+
+describe('Bird Names', () => {
+  const robin = {
+    primaryComName: 'American Robin',
+    commonNames: { pt: 'Tordo-americano', pt_BR: 'Sabiá-americano', 'es-419': 'Zorzal Robín', ja: 'コマツグミ' }
+  };
+
+  test('should build fallback chains from most to least specific', () => {
+    expect(getLocaleFallbackChain('pt-BR')).toEqual(['pt_BR', 'pt', 'en']);
+    expect(getLocaleFallbackChain('pt_PT')).toEqual(['pt_PT', 'pt', 'en']);
+    expect(getLocaleFallbackChain('de')).toEqual(['de', 'en']);
+    expect(getLocaleFallbackChain('en-US')).toEqual(['en_US', 'en']);
+    expect(getLocaleFallbackChain('')).toEqual(['en']);
+  });
+
+  test('should prefer the exact locale', () => {
+    expect(getLocalizedBirdName(robin, 'pt-BR')).toBe('Sabiá-americano');
+    expect(getLocalizedBirdName(robin, 'ja')).toBe('コマツグミ');
+  });
+
+  test('should fall back to the base language', () => {
+    expect(getLocalizedBirdName(robin, 'pt-PT')).toBe('Tordo-americano');
+  });
+
+  test('should normalize locale keys from the manifest', () => {
+    expect(getLocalizedBirdName(robin, 'es-419')).toBe('Zorzal Robín');
+  });
+
+  test('should fall back to English', () => {
+    expect(getLocalizedBirdName(robin, 'pl')).toBe('American Robin');
+    expect(getLocalizedBirdName({ name: 'Blue Jay' }, 'fr')).toBe('Blue Jay');
+  });
+
+  test('should read legacy French and Chinese fields', () => {
+    const legacy = { name: 'Blue Jay', primaryComName_fr: 'Geai bleu', primaryComName_cn: '冠蓝鸦' };
+    expect(getLocalizedBirdName(legacy, 'fr-CA')).toBe('Geai bleu');
+    expect(getLocalizedBirdName(legacy, 'zh-CN')).toBe('冠蓝鸦');
+    expect(getLocalizedBirdName(legacy, 'zh-TW')).toBe('冠蓝鸦');
+  });
+
+  test('should return an empty string for a missing bird', () => {
+    expect(getLocalizedBirdName(null, 'en')).toBe('');
+  });
+});
@@ -0,0 +1,388 @@
+/**
+ * Bird Picker Tests
+ *
+ * Tests for the order the next new-tab bird is picked in:
+ * - Packed birds while offline
+ * - Only the bird of the day in that mode
+ * - Favorites in favorites-only mode, falling back to the region
+ * - Review birds now and then, then a random region bird
+ * - Recently seen species avoided while others remain
+ * - Hidden species never picked, even when rotation would leave nothing
+ * - Species already in the preload queue avoided
+ */
+
+const ROTATION_RECENT_COUNT = 30;
+const REVIEW_NEW_TAB_CHANCE = 0.25;
+
+const BIRD_SOURCES = {
+  OFFLINE: 'offline',
+  DAILY: 'daily',
+  FAVORITE: 'favorite',
+  REVIEW: 'review',
+  RANDOM: 'random'
+};
+
+// Mirrored from utils/dailySeed.js
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mirrored from mediaClient.js
+function getRegionSpeciesCodes(manifest, region) {
+  return manifest.regions?.[region]?.speciesCodes ?? [];
+}
+
+function resolveRegion(manifest, region) {
+  return getRegionSpeciesCodes(manifest, region).length > 0 ? region : 'WLD';
+}
+
+function getDailySpeciesCode(manifest, region, dateKey, hiddenCodes = null) {
+  const resolvedRegion = resolveRegion(manifest, region);
+  const codes = getRegionSpeciesCodes(manifest, resolvedRegion);
+  const start = hashString(`${dateKey}:${resolvedRegion}`) % codes.length;
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[(start + i) % codes.length];
+    if (!hiddenCodes?.has(code)) return code;
+  }
+  return null;
+}
+
+// Mirrored from offlinePack.js
+function pickOfflineBird(entries, hiddenCodes = null, excludeCodes = null) {
+  let pool = entries.filter(entry => !hiddenCodes?.has(entry.speciesCode));
+  if (pool.length === 0) return null;
+
+  if (excludeCodes && excludeCodes.size > 0) {
+    const filtered = pool.filter(entry => !excludeCodes.has(entry.speciesCode));
+    if (filtered.length > 0) pool = filtered;
+  }
+
+  const { bytes, timestamp, ...birdInfo } = pool[Math.floor(Math.random() * pool.length)];
+  return birdInfo;
+}
+
+// Mirrored from speciesProgress.js
+function getDueSpeciesCodes(progress, codes, now) {
+  return codes
+    .filter(code => progress[code] && progress[code].due <= now)
+    .sort((a, b) => (progress[a].box - progress[b].box) || (progress[a].due - progress[b].due));
+}
+
+// Mirrored from rotation.js (avoidRecent mode only)
+function getRotationExcludeCodes(mode, historyCodes, regionCodes, recentCount) {
+  if (mode === 'avoidRecent') {
+    return new Set(historyCodes.slice(-recentCount));
+  }
+  return new Set();
+}
+
+// Mirrored from birdPicker.js
+function getRotationExclusions(options, codes) {
+  return getRotationExcludeCodes(options.rotation, options.historyCodes, codes, ROTATION_RECENT_COUNT);
+}
+
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+// adaptSpeciesToBirdInfo is reduced to the name
+function getManifestBird(manifest, speciesCode) {
+  const entry = manifest?.species?.find(species => species.speciesCode === speciesCode);
+  return entry ? { ...entry, name: entry.primaryComName } : null;
+}
+
+function pickPackedBird(options) {
+  const packedCodes = options.offlineEntries.map(entry => entry.speciesCode);
+  return pickOfflineBird(options.offlineEntries, options.hiddenCodes, getRotationExclusions(options, packedCodes));
+}
+
+function pickNextBird(manifest, options) {
+  const { region, isOnline = true, queuedCodes = null, now = Date.now() } = options;
+  const hasManifest = Boolean(manifest?.species && manifest?.regions);
+  const pick = (bird, source) => (bird ? { bird: { ...bird, location: region }, source } : null);
+
+  if (!isOnline) {
+    const packedBird = pickPackedBird(options);
+    if (packedBird) return pick(packedBird, BIRD_SOURCES.OFFLINE);
+  }
+
+  if (options.dailyDate) {
+    const dailyCode = hasManifest
+      ? getDailySpeciesCode(manifest, region, options.dailyDate, options.hiddenCodes)
+      : null;
+    const dailyBird = dailyCode ? getManifestBird(manifest, dailyCode) : null;
+    return pick(dailyBird && { ...dailyBird, dailyDate: options.dailyDate }, BIRD_SOURCES.DAILY);
+  }
+
+  const favorites = options.favoritesOnly
+    ? options.favorites.filter(entry => !options.hiddenCodes.has(entry.speciesCode))
+    : [];
+  if (favorites.length > 0) {
+    const excludeCodes = getRotationExclusions(options, favorites.map(entry => entry.speciesCode));
+    const candidates = favorites.filter(entry => !excludeCodes.has(entry.speciesCode));
+    const { timestamp, ...favorite } = pickRandom(candidates.length > 0 ? candidates : favorites);
+    return pick(getManifestBird(manifest, favorite.speciesCode) || favorite, BIRD_SOURCES.FAVORITE);
+  }
+
+  if (!hasManifest) return null;
+
+  const regionCodes = getRegionSpeciesCodes(manifest, resolveRegion(manifest, region))
+    .filter(code => !options.hiddenCodes.has(code));
+  if (regionCodes.length === 0) return null;
+  const excludeCodes = new Set([...getRotationExclusions(options, regionCodes), ...(queuedCodes ?? [])]);
+
+  if (!options.favoritesOnly && options.reviewOnNewTabs && Math.random() < REVIEW_NEW_TAB_CHANCE) {
+    const dueCodes = getDueSpeciesCodes(options.progress, regionCodes.filter(code => !excludeCodes.has(code)), now);
+    if (dueCodes.length > 0) {
+      const reviewPick = pick(getManifestBird(manifest, pickRandom(dueCodes)), BIRD_SOURCES.REVIEW);
+      if (reviewPick) return reviewPick;
+    }
+  }
+
+  const rotatedCodes = regionCodes.filter(code => !excludeCodes.has(code));
+  const randomCode = pickRandom(rotatedCodes.length > 0 ? rotatedCodes : regionCodes);
+  return pick(getManifestBird(manifest, randomCode), BIRD_SOURCES.RANDOM);
+}
+
+const species = code => ({ speciesCode: code, primaryComName: `Bird ${code}` });
+const manifest = {
+  species: ['a', 'b', 'c', 'd'].map(species),
+  regions: {
+    WLD: { speciesCodes: ['a', 'b', 'c', 'd'] },
+    'US-NY': { speciesCodes: ['a', 'b'] }
+  }
+};
+
+function settings(overrides = {}) {
+  return {
+    region: 'US-NY',
+    rotation: 'avoidRecent',
+    dailyDate: null,
+    favoritesOnly: false,
+    reviewOnNewTabs: false,
+    hiddenCodes: new Set(),
+    historyCodes: [],
+    favorites: [],
+    offlineEntries: [],
+    progress: {},
+    ...overrides
+  };
+}
+
+describe('Bird Picker', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('offline', () => {
+    const offlineEntries = [{ speciesCode: 'c', name: 'Packed', bytes: 10, timestamp: 1 }];
+
+    test('a packed bird comes first while offline, without pack bookkeeping', () => {
+      const result = pickNextBird(manifest, settings({ offlineEntries }));
+      expect(result.source).toBe(BIRD_SOURCES.RANDOM);
+
+      const offline = pickNextBird(manifest, settings({ offlineEntries, isOnline: false }));
+      expect(offline).toEqual({
+        bird: { speciesCode: 'c', name: 'Packed', location: 'US-NY' },
+        source: BIRD_SOURCES.OFFLINE
+      });
+    });
+
+    test('packed birds are picked without a manifest', () => {
+      const result = pickNextBird(null, settings({ offlineEntries, isOnline: false }));
+      expect(result.source).toBe(BIRD_SOURCES.OFFLINE);
+    });
+
+    test('recently seen packed birds are avoided while others remain', () => {
+      const entries = [{ speciesCode: 'c' }, { speciesCode: 'd' }];
+      for (let i = 0; i < 10; i++) {
+        const result = pickNextBird(manifest, settings({ offlineEntries: entries, isOnline: false, historyCodes: ['c'] }));
+        expect(result.bird.speciesCode).toBe('d');
+      }
+    });
+
+    test('an empty pack falls through to the manifest', () => {
+      expect(pickNextBird(manifest, settings({ isOnline: false })).source).toBe(BIRD_SOURCES.RANDOM);
+    });
+  });
+
+  describe('bird of the day', () => {
+    test('picks the day\'s species and marks the date', () => {
+      const result = pickNextBird(manifest, settings({ dailyDate: '2026-10-19' }));
+      expect(result.source).toBe(BIRD_SOURCES.DAILY);
+      expect(result.bird.dailyDate).toBe('2026-10-19');
+      expect(result.bird.speciesCode).toBe(getDailySpeciesCode(manifest, 'US-NY', '2026-10-19'));
+    });
+
+    test('the rotation doesn\'t apply to the bird of the day', () => {
+      const dailyCode = getDailySpeciesCode(manifest, 'US-NY', '2026-10-19');
+      const result = pickNextBird(manifest, settings({ dailyDate: '2026-10-19', historyCodes: [dailyCode] }));
+      expect(result.bird.speciesCode).toBe(dailyCode);
+    });
+
+    test('nothing else is picked in that mode', () => {
+      const favorites = [{ speciesCode: 'd', name: 'Stored' }];
+      const options = settings({ dailyDate: '2026-10-19', favoritesOnly: true, favorites });
+      expect(pickNextBird(manifest, options).source).toBe(BIRD_SOURCES.DAILY);
+      expect(pickNextBird(null, options)).toBeNull();
+    });
+  });
+
+  describe('favorites only', () => {
+    test('picks a favorite, preferring its manifest entry', () => {
+      const favorites = [{ speciesCode: 'd', name: 'Stored', timestamp: 5 }];
+      const result = pickNextBird(manifest, settings({ favoritesOnly: true, favorites }));
+      expect(result.source).toBe(BIRD_SOURCES.FAVORITE);
+      expect(result.bird.name).toBe('Bird d');
+    });
+
+    test('uses the stored favorite without a manifest, minus its timestamp', () => {
+      const favorites = [{ speciesCode: 'z', name: 'Stored', timestamp: 5 }];
+      const result = pickNextBird(null, settings({ favoritesOnly: true, favorites }));
+      expect(result.bird).toEqual({ speciesCode: 'z', name: 'Stored', location: 'US-NY' });
+    });
+
+    test('recently seen favorites are avoided while others remain', () => {
+      const favorites = [{ speciesCode: 'c' }, { speciesCode: 'd' }];
+      for (let i = 0; i < 10; i++) {
+        const result = pickNextBird(manifest, settings({ favoritesOnly: true, favorites, historyCodes: ['c'] }));
+        expect(result.bird.speciesCode).toBe('d');
+      }
+    });
+
+    test('with no favorites, or the mode off, the region is used instead', () => {
+      const favorites = [{ speciesCode: 'd' }];
+      expect(pickNextBird(manifest, settings({ favoritesOnly: true })).source).toBe(BIRD_SOURCES.RANDOM);
+      expect(pickNextBird(manifest, settings({ favorites })).source).toBe(BIRD_SOURCES.RANDOM);
+    });
+  });
+
+  describe('random', () => {
+    test('picks a bird from the region and sets its location', () => {
+      const result = pickNextBird(manifest, settings());
+      expect(result.source).toBe(BIRD_SOURCES.RANDOM);
+      expect(result.bird.location).toBe('US-NY');
+      expect(result.bird.name).toBe(`Bird ${result.bird.speciesCode}`);
+      expect(['a', 'b']).toContain(result.bird.speciesCode);
+    });
+
+    test('nothing is picked without a manifest', () => {
+      expect(pickNextBird(null, settings())).toBeNull();
+      expect(pickNextBird({ species: [] }, settings())).toBeNull();
+    });
+
+    test('an unknown region falls back to the world list', () => {
+      const result = pickNextBird(manifest, settings({ region: 'XX' }));
+      expect(result.bird.location).toBe('XX');
+      expect(['a', 'b', 'c', 'd']).toContain(result.bird.speciesCode);
+    });
+  });
+
+  describe('review', () => {
+    const progress = { b: { box: 1, due: 0 } };
+
+    test('a due species is shown when the review chance hits', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      expect(pickNextBird(manifest, settings({ reviewOnNewTabs: true, progress }))).toMatchObject({
+        bird: { speciesCode: 'b' },
+        source: BIRD_SOURCES.REVIEW
+      });
+    });
+
+    test('otherwise a random bird from the region', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      expect(pickNextBird(manifest, settings({ reviewOnNewTabs: true, progress })).source).toBe(BIRD_SOURCES.RANDOM);
+    });
+
+    test('never in favorites-only mode, or for a species not yet due', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      const favorites = [{ speciesCode: 'd' }];
+      const favoritesOnly = settings({ reviewOnNewTabs: true, progress, favoritesOnly: true, favorites });
+      expect(pickNextBird(manifest, favoritesOnly).source).toBe(BIRD_SOURCES.FAVORITE);
+      const notDue = settings({ reviewOnNewTabs: true, progress: { b: { box: 1, due: 100 } }, now: 50 });
+      expect(pickNextBird(manifest, notDue).source).toBe(BIRD_SOURCES.RANDOM);
+    });
+
+    test('a recently seen or hidden species due for review is not shown', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      const recent = settings({ reviewOnNewTabs: true, progress, historyCodes: ['b'] });
+      expect(pickNextBird(manifest, recent).source).toBe(BIRD_SOURCES.RANDOM);
+      const hidden = settings({ reviewOnNewTabs: true, progress, hiddenCodes: new Set(['b']) });
+      expect(pickNextBird(manifest, hidden)).toMatchObject({ bird: { speciesCode: 'a' }, source: BIRD_SOURCES.RANDOM });
+    });
+  });
+
+  describe('rotation', () => {
+    test('recently seen species are avoided while others remain', () => {
+      for (let i = 0; i < 20; i++) {
+        const result = pickNextBird(manifest, settings({ historyCodes: ['a'] }));
+        expect(result.bird.speciesCode).toBe('b');
+      }
+    });
+
+    test('queued and recently seen species are avoided while others remain', () => {
+      for (let i = 0; i < 20; i++) {
+        const result = pickNextBird(manifest, settings({ region: 'WLD', historyCodes: ['a'], queuedCodes: new Set(['b', 'c']) }));
+        expect(result.bird.speciesCode).toBe('d');
+      }
+    });
+
+    test('the exclusions are dropped when they would leave nothing', () => {
+      const result = pickNextBird(manifest, settings({ historyCodes: ['a', 'b'] }));
+      expect(['a', 'b']).toContain(result.bird.speciesCode);
+    });
+
+    test('random mode ignores the history', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      const result = pickNextBird(manifest, settings({ rotation: 'random', historyCodes: ['a'] }));
+      expect(result.bird.speciesCode).toBe('a');
+    });
+  });
+
+  describe('hidden species', () => {
+    test('a hidden packed bird is never picked', () => {
+      const offlineEntries = [{ speciesCode: 'a' }, { speciesCode: 'b' }];
+      for (let i = 0; i < 10; i++) {
+        const result = pickNextBird(null, settings({ offlineEntries, isOnline: false, hiddenCodes: new Set(['a']) }));
+        expect(result.bird).toEqual({ speciesCode: 'b', location: 'US-NY' });
+      }
+    });
+
+    test('a hidden species is never picked from the region', () => {
+      for (let i = 0; i < 20; i++) {
+        const result = pickNextBird(manifest, settings({ region: 'WLD', hiddenCodes: new Set(['a', 'b', 'c']) }));
+        expect(result.bird.speciesCode).toBe('d');
+      }
+    });
+
+    test('a hidden species stays out when rotation would leave nothing', () => {
+      const options = settings({ hiddenCodes: new Set(['a']), historyCodes: ['b'] });
+      for (let i = 0; i < 20; i++) {
+        expect(pickNextBird(manifest, options).bird.speciesCode).toBe('b');
+      }
+    });
+
+    test('a hidden bird of the day gives way to the next species', () => {
+      const dailyCode = getDailySpeciesCode(manifest, 'US-NY', '2026-10-19');
+      const options = settings({ dailyDate: '2026-10-19', hiddenCodes: new Set([dailyCode]) });
+      expect(pickNextBird(manifest, options).bird.speciesCode).not.toBe(dailyCode);
+      const allHidden = settings({ dailyDate: '2026-10-19', hiddenCodes: new Set(['a', 'b']) });
+      expect(pickNextBird(manifest, allHidden)).toBeNull();
+    });
+
+    test('with every favorite hidden the region is used instead', () => {
+      const favorites = [{ speciesCode: 'd' }];
+      const result = pickNextBird(manifest, settings({ favoritesOnly: true, favorites, hiddenCodes: new Set(['d']) }));
+      expect(result.source).toBe(BIRD_SOURCES.RANDOM);
+    });
+
+    test('a region of only hidden species gives nothing', () => {
+      expect(pickNextBird(manifest, settings({ hiddenCodes: new Set(['a', 'b']) }))).toBeNull();
+    });
+  });
+});
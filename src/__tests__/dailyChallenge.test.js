@@ -0,0 +1,232 @@
+/**
+ * Daily Challenge Tests
+ *
+ * Tests for the once-a-day quiz:
+ * - Seeded shuffles giving everyone the same birds on the same day
+ * - Hidden species skipped without changing anyone else's quiz
+ * - The daily streak, which lapses after a missed day
+ * - Once a day: a quit challenge counts as played
+ * - The emoji result grid and copied share text
+ */
+
+function getLocalDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Mirrored from utils/dailySeed.js
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getLocalDateKey(new Date(year, month - 1, day + days));
+}
+
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// The daily challenge part of prepareQuestions() in quiz.js: the whole world
+// list is shuffled, hidden species are skipped afterwards
+function pickDailyQuestions(codes, hiddenCodes, seed) {
+  const random = createSeededRandom(seed);
+  const isVisible = code => !hiddenCodes.has(code);
+  const shuffledCodes = shuffle([...codes].sort(), random);
+  const selectedCodes = shuffle(shuffledCodes.filter(isVisible).slice(0, 10), random);
+
+  return selectedCodes.map(code => ({
+    code,
+    distractors: shuffle(shuffledCodes, random)
+      .filter(candidate => candidate !== code && isVisible(candidate))
+      .slice(0, 3)
+  }));
+}
+
+// Mirrored from dailyChallenge.js
+function getDailyChallengeSeed(dateKey) {
+  return hashString(`daily:${dateKey}`);
+}
+
+function applyDailyResult(state, dateKey, results) {
+  let streak = 1;
+  if (state.lastDate === dateKey) {
+    streak = state.streak;
+  } else if (state.lastDate === shiftDateKey(dateKey, -1)) {
+    streak = state.streak + 1;
+  }
+  return {
+    lastDate: dateKey,
+    results,
+    streak,
+    longestStreak: Math.max(state.longestStreak, streak)
+  };
+}
+
+function getDailyPartialResults(answered, questionCount) {
+  return Array.from({ length: questionCount }, (_, i) => answered[i] === true);
+}
+
+function getCurrentDailyStreak(state, todayKey) {
+  const isAlive = state.lastDate === todayKey || state.lastDate === shiftDateKey(todayKey, -1);
+  return isAlive ? state.streak : 0;
+}
+
+function getDailyResultGrid(results) {
+  return results.map(isCorrect => (isCorrect ? '🟩' : '🟥')).join('');
+}
+
+function buildDailyShareText(state) {
+  const score = state.results.filter(Boolean).length;
+  return [
+    `BirdTab Daily ${state.lastDate}`,
+    `${score}/${state.results.length}`,
+    getDailyResultGrid(state.results),
+    `🔥 Daily streak: ${state.streak}`
+  ].join('\n');
+}
+
+const EMPTY_STATE = { lastDate: null, results: [], streak: 0, longestStreak: 0 };
+const birds = Array.from({ length: 40 }, (_, i) => `sp${i}`);
+
+describe('Daily Challenge', () => {
+  describe('seeded questions', () => {
+    const dailyOrder = dateKey =>
+      shuffle(birds, createSeededRandom(getDailyChallengeSeed(dateKey))).slice(0, 10);
+
+    test('the same day always gives the same birds in the same order', () => {
+      expect(dailyOrder('2026-10-19')).toEqual(dailyOrder('2026-10-19'));
+    });
+
+    test('a new day gives a different quiz', () => {
+      expect(dailyOrder('2026-10-20')).not.toEqual(dailyOrder('2026-10-19'));
+    });
+
+    test('hiding a species outside the day\'s quiz leaves the quiz unchanged', () => {
+      const seed = getDailyChallengeSeed('2026-10-19');
+      const questions = pickDailyQuestions(birds, new Set(), seed);
+      const shownCodes = new Set(questions.flatMap(question => [question.code, ...question.distractors]));
+      const unshownCode = birds.find(code => !shownCodes.has(code));
+
+      expect(pickDailyQuestions(birds, new Set([unshownCode]), seed)).toEqual(questions);
+    });
+
+    test('hiding one of the day\'s birds swaps only that question', () => {
+      const seed = getDailyChallengeSeed('2026-10-19');
+      const codes = pickDailyQuestions(birds, new Set(), seed).map(question => question.code);
+      const hiddenCode = codes[0];
+      const newCodes = pickDailyQuestions(birds, new Set([hiddenCode]), seed).map(question => question.code);
+
+      expect(newCodes).not.toContain(hiddenCode);
+      expect(newCodes.filter(code => codes.includes(code))).toHaveLength(9);
+    });
+
+    test('the seeded generator stays in [0, 1)', () => {
+      const random = createSeededRandom(getDailyChallengeSeed('2026-10-19'));
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    test('shuffle keeps every item and leaves the input untouched', () => {
+      const shuffled = shuffle(birds, createSeededRandom(42));
+      expect([...shuffled].sort()).toEqual([...birds].sort());
+      expect(birds[0]).toBe('sp0');
+    });
+  });
+
+  describe('streak', () => {
+    test('the first challenge starts a streak of 1', () => {
+      const state = applyDailyResult(EMPTY_STATE, '2026-10-19', [true]);
+      expect(state.streak).toBe(1);
+      expect(state.longestStreak).toBe(1);
+    });
+
+    test('playing on consecutive days grows the streak, across month ends', () => {
+      let state = applyDailyResult(EMPTY_STATE, '2026-09-30', [true]);
+      state = applyDailyResult(state, '2026-10-01', [false]);
+      expect(state.streak).toBe(2);
+    });
+
+    test('a missed day starts over but keeps the longest streak', () => {
+      const state = applyDailyResult(
+        { ...EMPTY_STATE, lastDate: '2026-10-16', streak: 5, longestStreak: 5 },
+        '2026-10-19',
+        [true]
+      );
+      expect(state.streak).toBe(1);
+      expect(state.longestStreak).toBe(5);
+    });
+
+    test('the current streak lapses once a whole day was missed', () => {
+      const state = { ...EMPTY_STATE, lastDate: '2026-10-18', streak: 3, longestStreak: 3 };
+      expect(getCurrentDailyStreak(state, '2026-10-18')).toBe(3);
+      expect(getCurrentDailyStreak(state, '2026-10-19')).toBe(3);
+      expect(getCurrentDailyStreak(state, '2026-10-20')).toBe(0);
+    });
+  });
+
+  describe('once a day', () => {
+    // startDailyChallenge() in quiz.js shows the played screen instead of a new quiz
+    const isPlayedToday = (state, todayKey) => state.lastDate === todayKey;
+
+    test('a quit attempt can\'t be replayed', () => {
+      // beginQuiz() saves the day before the first question, then each answer
+      let state = applyDailyResult(EMPTY_STATE, '2026-10-19', getDailyPartialResults([], 10));
+      state = applyDailyResult(state, '2026-10-19', getDailyPartialResults([true, true], 10));
+
+      expect(isPlayedToday(state, '2026-10-19')).toBe(true);
+      expect(state.results).toHaveLength(10);
+      expect(state.results.filter(Boolean)).toHaveLength(2);
+      expect(isPlayedToday(state, '2026-10-20')).toBe(false);
+    });
+
+    test('saving the day more than once counts it in the streak once', () => {
+      let state = { ...EMPTY_STATE, lastDate: '2026-10-18', streak: 3, longestStreak: 3 };
+      state = applyDailyResult(state, '2026-10-19', getDailyPartialResults([], 10));
+      state = applyDailyResult(state, '2026-10-19', getDailyPartialResults([true], 10));
+      state = applyDailyResult(state, '2026-10-19', Array(10).fill(true));
+      expect(state.streak).toBe(4);
+      expect(state.longestStreak).toBe(4);
+    });
+  });
+
+  describe('share text', () => {
+    test('one square per question in order', () => {
+      expect(getDailyResultGrid([true, false, true])).toBe('🟩🟥🟩');
+    });
+
+    test('has the date, score, grid and streak', () => {
+      const state = applyDailyResult(EMPTY_STATE, '2026-10-19', [true, true, false]);
+      expect(buildDailyShareText(state)).toBe(
+        'BirdTab Daily 2026-10-19\n2/3\n🟩🟩🟥\n🔥 Daily streak: 1'
+      );
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Bird of the Day Tests
+ *
+ * Tests for the species picked in bird-of-the-day mode:
+ * - The same species all day for a date and region
+ * - A new species on another day
+ * - Hidden species skipped for the next one in the region list
+ * - No species when the region list is empty
+ */
+
+// Mirrored from utils/dailySeed.js
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mirrored from mediaClient.js
+function getRegionSpeciesCodes(manifest, region = 'WLD') {
+  return manifest.regions?.[region]?.speciesCodes ?? [];
+}
+
+function resolveRegion(manifest, region = 'WLD') {
+  return getRegionSpeciesCodes(manifest, region).length > 0 ? region : 'WLD';
+}
+
+function getDailySpeciesCode(manifest, region, dateKey, hiddenCodes = null) {
+  const resolvedRegion = resolveRegion(manifest, region);
+  const codes = getRegionSpeciesCodes(manifest, resolvedRegion);
+  const start = hashString(`${dateKey}:${resolvedRegion}`) % codes.length;
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[(start + i) % codes.length];
+    if (!hiddenCodes?.has(code)) return code;
+  }
+  return null;
+}
+
+const CODES = Array.from({ length: 20 }, (_, i) => `sp${i}`);
+const manifest = {
+  regions: {
+    WLD: { speciesCodes: CODES },
+    'US-NY': { speciesCodes: CODES.slice(0, 8) }
+  }
+};
+
+describe('getDailySpeciesCode', () => {
+  test('the same date and region give the same species', () => {
+    const code = getDailySpeciesCode(manifest, 'US-NY', '2026-10-19');
+    expect(CODES.slice(0, 8)).toContain(code);
+    expect(getDailySpeciesCode(manifest, 'US-NY', '2026-10-19')).toBe(code);
+  });
+
+  test('another date gives another species', () => {
+    expect(getDailySpeciesCode(manifest, 'WLD', '2026-10-20'))
+      .not.toBe(getDailySpeciesCode(manifest, 'WLD', '2026-10-19'));
+  });
+
+  test('a hidden species is skipped for the next one in the region list', () => {
+    const code = getDailySpeciesCode(manifest, 'US-NY', '2026-10-19');
+    const next = CODES[(CODES.indexOf(code) + 1) % 8];
+    expect(getDailySpeciesCode(manifest, 'US-NY', '2026-10-19', new Set([code]))).toBe(next);
+  });
+
+  test('no species when every one in the region is hidden', () => {
+    const hiddenCodes = new Set(CODES.slice(0, 8));
+    expect(getDailySpeciesCode(manifest, 'US-NY', '2026-10-19', hiddenCodes)).toBeNull();
+  });
+
+  test('an empty region uses the world list, and no list at all gives null', () => {
+    const withEmptyRegion = { regions: { ...manifest.regions, 'US-CA': { speciesCodes: [] } } };
+    expect(getDailySpeciesCode(withEmptyRegion, 'US-CA', '2026-10-19'))
+      .toBe(getDailySpeciesCode(manifest, 'WLD', '2026-10-19'));
+    expect(getDailySpeciesCode({ regions: {} }, 'US-CA', '2026-10-19')).toBeNull();
+  });
+});
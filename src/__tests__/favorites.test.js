@@ -0,0 +1,131 @@
+/**
+ * Favorites Tests
+ *
+ * Tests for starring birds:
+ * - Favorites kept apart from the 200-entry history limit
+ * - Starring stores the bird without its per-tab fields, unstarring removes it
+ */
+
+const HISTORY_LIMIT = 200;
+
+// In-memory stand-in for chrome.storage.local
+let stored = {};
+
+beforeAll(() => {
+  chrome.runtime.lastError = undefined;
+  chrome.storage.local = {
+    get: jest.fn((keys, callback) => {
+      callback(Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])));
+    }),
+    set: jest.fn((items, callback) => {
+      Object.assign(stored, items);
+      callback?.();
+    })
+  };
+});
+
+// Mirrored from viewHistory.js
+async function addToHistory(birdInfo) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['viewHistory'], (result) => {
+      const history = result.viewHistory?.value || [];
+      const entry = { ...birdInfo, timestamp: Date.now() };
+
+      const latest = history[history.length - 1];
+      if (entry.dailyDate && latest?.dailyDate === entry.dailyDate && latest.speciesCode === entry.speciesCode) {
+        history[history.length - 1] = entry;
+      } else {
+        history.push(entry);
+      }
+
+      if (history.length > HISTORY_LIMIT) {
+        history.shift();
+      }
+
+      chrome.storage.local.set({ viewHistory: { value: history, timestamp: Date.now() } }, resolve);
+    });
+  });
+}
+
+async function getHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['viewHistory'], (result) => {
+      resolve(result.viewHistory?.value || []);
+    });
+  });
+}
+
+async function getFavorites() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['favorites'], (result) => {
+      resolve(result.favorites?.value || []);
+    });
+  });
+}
+
+async function isFavorite(speciesCode) {
+  const favorites = await getFavorites();
+  return favorites.some(entry => entry.speciesCode === speciesCode);
+}
+
+async function toggleFavorite(birdInfo) {
+  const favorites = await getFavorites();
+  const index = favorites.findIndex(entry => entry.speciesCode === birdInfo.speciesCode);
+  const nowFavorite = index === -1;
+
+  if (nowFavorite) {
+    const { autoPlay, dailyDate, ...entry } = birdInfo;
+    favorites.push({ ...entry, timestamp: Date.now() });
+  } else {
+    favorites.splice(index, 1);
+  }
+
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ favorites: { value: favorites, timestamp: Date.now() } }, () => {
+      resolve(nowFavorite);
+    });
+  });
+}
+
+const ROBIN = { speciesCode: 'amerob', name: 'American Robin' };
+const WREN = { speciesCode: 'carwre', name: 'Carolina Wren' };
+
+describe('Favorites', () => {
+  beforeEach(() => {
+    stored = {};
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('storage', () => {
+    test('the history limit never removes favorites', async () => {
+      await addToHistory(ROBIN);
+      await toggleFavorite(ROBIN);
+      for (let i = 0; i < HISTORY_LIMIT; i++) {
+        await addToHistory({ speciesCode: `sp${i}` });
+      }
+
+      const history = await getHistory();
+      expect(history).toHaveLength(HISTORY_LIMIT);
+      expect(history.some(entry => entry.speciesCode === 'amerob')).toBe(false);
+      expect(await isFavorite('amerob')).toBe(true);
+    });
+
+    test('starring stores the bird without autoPlay or dailyDate', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000);
+      expect(await toggleFavorite({ ...ROBIN, autoPlay: true, dailyDate: '2026-10-19' })).toBe(true);
+      expect(await getFavorites()).toEqual([{ ...ROBIN, timestamp: 1000 }]);
+    });
+
+    test('starring again unstars only that bird', async () => {
+      await toggleFavorite(ROBIN);
+      await toggleFavorite(WREN);
+
+      expect(await toggleFavorite(ROBIN)).toBe(false);
+      expect(await isFavorite('amerob')).toBe(false);
+      expect((await getFavorites()).map(entry => entry.speciesCode)).toEqual(['carwre']);
+    });
+  });
+});
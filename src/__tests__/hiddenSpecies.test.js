@@ -0,0 +1,60 @@
+/**
+ * Hidden Species Tests
+ *
+ * Tests for keeping hidden species out of quizzes:
+ * - Never asked about or offered as a wrong answer
+ * - Too few visible species leave too few for a quiz
+ */
+
+const QUIZ_TOTAL_QUESTIONS = 10;
+const MIN_QUESTIONS_REQUIRED = 5;
+
+// Mirrored from QuizMode.prepareQuestions() in quiz.js, without the images
+function prepareQuestions(birds, hiddenCodes) {
+  const visibleBirds = birds.filter(b => !hiddenCodes.has(b.speciesCode));
+  if (visibleBirds.length < MIN_QUESTIONS_REQUIRED) {
+    throw new Error('NOT_ENOUGH_BIRDS');
+  }
+
+  const shuffledBirds = [...visibleBirds].sort(() => 0.5 - Math.random());
+  const questionCount = Math.min(QUIZ_TOTAL_QUESTIONS, shuffledBirds.length);
+  const selectedBirds = shuffledBirds.slice(0, questionCount);
+
+  return selectedBirds.map(bird => {
+    const distractors = shuffledBirds
+      .filter(b => b.speciesCode !== bird.speciesCode)
+      .sort(() => 0.5 - Math.random())
+      .slice(0, 3);
+
+    const options = [
+      { name: bird.primaryComName, isCorrect: true },
+      ...distractors.map(d => ({ name: d.primaryComName, isCorrect: false }))
+    ];
+
+    return { bird, options, correctAnswer: bird.primaryComName };
+  });
+}
+
+const bird = code => ({ speciesCode: code, primaryComName: `Bird ${code}` });
+
+describe('Hidden Species', () => {
+  const birds = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(bird);
+
+  test('hidden species are neither asked nor offered as answers', () => {
+    const hiddenCodes = new Set(['a', 'd']);
+    const hiddenNames = new Set(['Bird a', 'Bird d']);
+    const questions = prepareQuestions(birds, hiddenCodes);
+
+    expect(questions).toHaveLength(5);
+    questions.forEach(question => {
+      expect(hiddenCodes.has(question.bird.speciesCode)).toBe(false);
+      question.options.forEach(option => {
+        expect(hiddenNames.has(option.name)).toBe(false);
+      });
+    });
+  });
+
+  test('hiding too many species leaves too few for a quiz', () => {
+    expect(() => prepareQuestions(birds, new Set(['a', 'b', 'c']))).toThrow('NOT_ENOUGH_BIRDS');
+  });
+});
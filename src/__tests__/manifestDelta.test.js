@@ -0,0 +1,96 @@
+/**
+ * Manifest Delta Tests
+ *
+ * Tests cover merging a delta update into a cached manifest:
+ * - Changed species are replaced in place, added species are appended
+ * - Removed species are dropped from the species list and every region
+ * - Version and species count metadata follow the delta
+ */
+
+// Mirrored from mediaClient.js
+function applyManifestDelta(manifest, delta) {
+  const removed = new Set(delta.removed ?? []);
+  const replacements = new Map(
+    [...(delta.changed ?? []), ...(delta.added ?? [])].map(entry => [entry.speciesCode, entry])
+  );
+
+  const species = manifest.species
+    .filter(entry => !removed.has(entry.speciesCode))
+    .map(entry => {
+      const replacement = replacements.get(entry.speciesCode);
+      if (replacement) replacements.delete(entry.speciesCode);
+      return replacement ?? entry;
+    });
+  species.push(...replacements.values());
+
+  const regions = {};
+  for (const [code, region] of Object.entries({ ...manifest.regions, ...delta.regions })) {
+    regions[code] = {
+      ...region,
+      speciesCodes: (region.speciesCodes ?? []).filter(speciesCode => !removed.has(speciesCode)),
+    };
+  }
+
+  return {
+    ...manifest,
+    meta: { ...manifest.meta, version: delta.toVersion, speciesCount: species.length },
+    species,
+    regions,
+  };
+}
+
+describe('Manifest Delta', () => {
+  const manifest = {
+    meta: { version: 'v1', speciesCount: 2, mediaBaseUrl: 'https://media.example' },
+    species: [
+      { speciesCode: 'amerob', comName: 'American Robin' },
+      { speciesCode: 'blujay', comName: 'Blue Jay' }
+    ],
+    regions: {
+      WLD: { speciesCodes: ['amerob', 'blujay'] },
+      US: { speciesCodes: ['amerob', 'blujay'] }
+    }
+  };
+
+  test('should replace changed species and append added ones', () => {
+    const updated = applyManifestDelta(manifest, {
+      fromVersion: 'v1',
+      toVersion: 'v2',
+      changed: [{ speciesCode: 'amerob', comName: 'American Robin (updated)' }],
+      added: [{ speciesCode: 'norcar', comName: 'Northern Cardinal' }]
+    });
+
+    expect(updated.species.map(s => s.speciesCode)).toEqual(['amerob', 'blujay', 'norcar']);
+    expect(updated.species[0].comName).toBe('American Robin (updated)');
+    expect(updated.meta).toEqual({ version: 'v2', speciesCount: 3, mediaBaseUrl: 'https://media.example' });
+  });
+
+  test('should drop removed species from every region', () => {
+    const updated = applyManifestDelta(manifest, {
+      fromVersion: 'v1',
+      toVersion: 'v2',
+      removed: ['blujay']
+    });
+
+    expect(updated.species.map(s => s.speciesCode)).toEqual(['amerob']);
+    expect(updated.regions.WLD.speciesCodes).toEqual(['amerob']);
+    expect(updated.regions.US.speciesCodes).toEqual(['amerob']);
+  });
+
+  test('should let the delta replace region lists', () => {
+    const updated = applyManifestDelta(manifest, {
+      fromVersion: 'v1',
+      toVersion: 'v2',
+      regions: { US: { speciesCodes: ['blujay'] } }
+    });
+
+    expect(updated.regions.US.speciesCodes).toEqual(['blujay']);
+    expect(updated.regions.WLD.speciesCodes).toEqual(['amerob', 'blujay']);
+  });
+
+  test('should not mutate the cached manifest', () => {
+    applyManifestDelta(manifest, { fromVersion: 'v1', toVersion: 'v2', removed: ['amerob'] });
+    expect(manifest.species).toHaveLength(2);
+    expect(manifest.meta.version).toBe('v1');
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Manifest Validation Tests
+ *
+ * Tests cover the schema checks run on fetched and stored manifests:
+ * - Species without a code, name or image rendition are quarantined
+ * - Region lists drop codes that have no usable species
+ * - Structurally broken manifests are rejected instead of cached
+ */
+
+// Mirrored from mediaClient.js
+const MAX_QUARANTINE_RATIO = 0.5;
+
+function getSpeciesIssue(entry) {
+  if (!entry || typeof entry !== 'object') return 'notAnObject';
+  if (typeof entry.speciesCode !== 'string' || !entry.speciesCode) return 'missingSpeciesCode';
+  if (typeof entry.primaryComName !== 'string' || !entry.primaryComName) return 'missingName';
+  if (typeof entry.scientificName !== 'string' || !entry.scientificName) return 'missingScientificName';
+  if (typeof entry.image?.renditions?.default?.url !== 'string') return 'missingImage';
+  return null;
+}
+
+function validateManifest(manifest) {
+  const result = { manifest: null, quarantined: [], missingRegionCodes: 0, error: null };
+
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.species)) {
+    result.error = 'species list is missing';
+    return result;
+  }
+  if (!manifest.regions || typeof manifest.regions !== 'object' || Array.isArray(manifest.regions)) {
+    result.error = 'regions map is missing';
+    return result;
+  }
+
+  const species = [];
+  const validCodes = new Set();
+  for (const entry of manifest.species) {
+    let reason = getSpeciesIssue(entry);
+    if (!reason && validCodes.has(entry.speciesCode)) reason = 'duplicateSpeciesCode';
+    if (reason) {
+      result.quarantined.push({ speciesCode: entry?.speciesCode ?? null, reason });
+      continue;
+    }
+    validCodes.add(entry.speciesCode);
+    species.push(entry);
+  }
+
+  const regions = {};
+  for (const [code, region] of Object.entries(manifest.regions)) {
+    const listed = Array.isArray(region?.speciesCodes) ? region.speciesCodes : [];
+    const speciesCodes = listed.filter(speciesCode => validCodes.has(speciesCode));
+    result.missingRegionCodes += listed.length - speciesCodes.length;
+    regions[code] = { ...region, speciesCodes };
+  }
+
+  if (result.quarantined.length > manifest.species.length * MAX_QUARANTINE_RATIO) {
+    result.error = `${result.quarantined.length} of ${manifest.species.length} species failed validation`;
+    return result;
+  }
+  if (!regions.WLD || regions.WLD.speciesCodes.length === 0) {
+    result.error = 'world region has no valid species';
+    return result;
+  }
+
+  const changed = result.quarantined.length > 0 || result.missingRegionCodes > 0;
+  result.manifest = changed
+    ? { ...manifest, meta: { ...manifest.meta, speciesCount: species.length }, species, regions }
+    : manifest;
+  return result;
+}
+
+function makeSpecies(speciesCode, overrides = {}) {
+  return {
+    speciesCode,
+    primaryComName: `Bird ${speciesCode}`,
+    scientificName: `Avis ${speciesCode}`,
+    image: { renditions: { default: { url: `https://media.example/${speciesCode}.jpg` } } },
+    ...overrides
+  };
+}
+
+describe('Manifest Validation', () => {
+  test('should return a valid manifest unchanged', () => {
+    const manifest = {
+      meta: { version: 'v1', speciesCount: 2 },
+      species: [makeSpecies('a'), makeSpecies('b')],
+      regions: { WLD: { speciesCodes: ['a', 'b'] } }
+    };
+
+    const result = validateManifest(manifest);
+    expect(result.error).toBeNull();
+    expect(result.manifest).toBe(manifest);
+    expect(result.quarantined).toEqual([]);
+  });
+
+  test('should quarantine species without image renditions', () => {
+    const manifest = {
+      meta: { version: 'v1', speciesCount: 3 },
+      species: [makeSpecies('a'), makeSpecies('b'), makeSpecies('c', { image: { renditions: {} } })],
+      regions: { WLD: { speciesCodes: ['a', 'b', 'c'] }, US: { speciesCodes: ['c', 'a'] } }
+    };
+
+    const result = validateManifest(manifest);
+    expect(result.error).toBeNull();
+    expect(result.quarantined).toEqual([{ speciesCode: 'c', reason: 'missingImage' }]);
+    expect(result.manifest.species.map(s => s.speciesCode)).toEqual(['a', 'b']);
+    expect(result.manifest.regions.US.speciesCodes).toEqual(['a']);
+    expect(result.manifest.meta.speciesCount).toBe(2);
+  });
+
+  test('should strip region codes that reference missing species', () => {
+    const manifest = {
+      species: [makeSpecies('a'), makeSpecies('b')],
+      regions: { WLD: { speciesCodes: ['a', 'b', 'zzz'] }, GB: { speciesCodes: ['zzz'] } }
+    };
+
+    const result = validateManifest(manifest);
+    expect(result.missingRegionCodes).toBe(2);
+    expect(result.manifest.regions.WLD.speciesCodes).toEqual(['a', 'b']);
+    expect(result.manifest.regions.GB.speciesCodes).toEqual([]);
+  });
+
+  test('should quarantine duplicate species codes', () => {
+    const manifest = {
+      species: [makeSpecies('a'), makeSpecies('b'), makeSpecies('c'), makeSpecies('a')],
+      regions: { WLD: { speciesCodes: ['a', 'b', 'c'] } }
+    };
+
+    const result = validateManifest(manifest);
+    expect(result.quarantined).toEqual([{ speciesCode: 'a', reason: 'duplicateSpeciesCode' }]);
+    expect(result.manifest.species).toHaveLength(3);
+  });
+
+  test('should reject manifests with a broken structure', () => {
+    expect(validateManifest(null).error).toBe('species list is missing');
+    expect(validateManifest({ species: {} }).error).toBe('species list is missing');
+    expect(validateManifest({ species: [], regions: [] }).error).toBe('regions map is missing');
+  });
+
+  test('should reject a manifest whose world region is empty', () => {
+    const result = validateManifest({
+      species: [makeSpecies('a')],
+      regions: { WLD: { speciesCodes: ['zzz'] } }
+    });
+    expect(result.error).toBe('world region has no valid species');
+    expect(result.manifest).toBeNull();
+  });
+
+  test('should reject a manifest where most species are invalid', () => {
+    const result = validateManifest({
+      species: [makeSpecies('a'), { speciesCode: 'b' }, { speciesCode: 'c' }],
+      regions: { WLD: { speciesCodes: ['a', 'b', 'c'] } }
+    });
+    expect(result.error).toBe('2 of 3 species failed validation');
+  });
+});
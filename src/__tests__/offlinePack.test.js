@@ -0,0 +1,68 @@
+/**
+ * Offline Pack Tests
+ *
+ * Tests cover choosing a bird from the offline pack when the network is down:
+ * - Hidden species are never picked
+ * - Rotation exclusions are honored unless they exclude every packed bird
+ * - Storage bookkeeping fields are stripped from the returned birdInfo
+ */
+
+// Mirrored from offlinePack.js
+function getOfflinePackStats(entries) {
+  return {
+    count: entries.length,
+    bytes: entries.reduce((total, entry) => total + (entry.bytes || 0), 0),
+  };
+}
+
+function pickOfflineBird(entries, hiddenCodes = null, excludeCodes = null) {
+  let pool = entries.filter(entry => !hiddenCodes?.has(entry.speciesCode));
+  if (pool.length === 0) return null;
+
+  if (excludeCodes && excludeCodes.size > 0) {
+    const filtered = pool.filter(entry => !excludeCodes.has(entry.speciesCode));
+    if (filtered.length > 0) pool = filtered;
+  }
+
+  const { bytes, timestamp, ...birdInfo } = pool[Math.floor(Math.random() * pool.length)];
+  return birdInfo;
+}
+
+describe('Offline Pack', () => {
+  const entries = [
+    { speciesCode: 'amerob', name: 'American Robin', bytes: 400000, timestamp: 1 },
+    { speciesCode: 'blujay', name: 'Blue Jay', bytes: 600000, timestamp: 2 },
+  ];
+
+  test('should return null for an empty pack', () => {
+    expect(pickOfflineBird([])).toBeNull();
+  });
+
+  test('should never pick a hidden species', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(pickOfflineBird(entries, new Set(['amerob'])).speciesCode).toBe('blujay');
+    }
+    expect(pickOfflineBird(entries, new Set(['amerob', 'blujay']))).toBeNull();
+  });
+
+  test('should skip excluded species when others are available', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(pickOfflineBird(entries, null, new Set(['blujay'])).speciesCode).toBe('amerob');
+    }
+  });
+
+  test('should ignore exclusions that cover the whole pack', () => {
+    const bird = pickOfflineBird(entries, null, new Set(['amerob', 'blujay']));
+    expect(['amerob', 'blujay']).toContain(bird.speciesCode);
+  });
+
+  test('should strip storage fields from the picked bird', () => {
+    const bird = pickOfflineBird([entries[0]]);
+    expect(bird).toEqual({ speciesCode: 'amerob', name: 'American Robin' });
+  });
+
+  test('should total the pack size', () => {
+    expect(getOfflinePackStats(entries)).toEqual({ count: 2, bytes: 1000000 });
+    expect(getOfflinePackStats([])).toEqual({ count: 0, bytes: 0 });
+  });
+});
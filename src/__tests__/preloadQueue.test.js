@@ -0,0 +1,101 @@
+/**
+ * Preload Queue Tests
+ *
+ * Tests cover claiming preloaded birds from the background's FIFO queue:
+ * - Birds are claimed oldest first
+ * - Stale entries ahead of a usable bird are discarded
+ * - Concurrent claims never return the same bird
+ */
+
+// In-memory stand-ins for chrome.storage.local and navigator.locks
+let storedQueue = [];
+let lockTail = Promise.resolve();
+
+function withQueueLock(callback) {
+  const run = lockTail.then(() => callback());
+  lockTail = run.catch(() => {});
+  return run;
+}
+
+async function readQueue() {
+  await Promise.resolve();
+  return [...storedQueue];
+}
+
+async function writeQueue(queue) {
+  await Promise.resolve();
+  storedQueue = queue;
+}
+
+// Mirrored from preloadQueue.js
+async function claimPreloadedBird(isUsable = () => true) {
+  return withQueueLock(async () => {
+    const queue = await readQueue();
+    if (queue.length === 0) return null;
+
+    const usableIndex = queue.findIndex(entry => isUsable(entry));
+    if (usableIndex === -1) {
+      await writeQueue([]);
+      return null;
+    }
+    await writeQueue(queue.slice(usableIndex + 1));
+    return queue[usableIndex];
+  });
+}
+
+async function enqueuePreloadedBird(birdInfo, maxSize = 3) {
+  await withQueueLock(async () => {
+    const queue = await readQueue();
+    queue.push(birdInfo);
+    await writeQueue(queue.slice(-maxSize));
+  });
+}
+
+describe('Preload Queue', () => {
+  beforeEach(() => {
+    storedQueue = [];
+    lockTail = Promise.resolve();
+  });
+
+  test('should claim birds oldest first', async () => {
+    await enqueuePreloadedBird({ speciesCode: 'a' });
+    await enqueuePreloadedBird({ speciesCode: 'b' });
+
+    expect((await claimPreloadedBird()).speciesCode).toBe('a');
+    expect((await claimPreloadedBird()).speciesCode).toBe('b');
+    expect(await claimPreloadedBird()).toBeNull();
+  });
+
+  test('should cap the queue at its size, dropping the oldest', async () => {
+    for (const code of ['a', 'b', 'c', 'd']) {
+      await enqueuePreloadedBird({ speciesCode: code });
+    }
+    expect(storedQueue.map(b => b.speciesCode)).toEqual(['b', 'c', 'd']);
+  });
+
+  test('should discard stale entries ahead of a usable bird', async () => {
+    storedQueue = [
+      { speciesCode: 'a', location: 'US' },
+      { speciesCode: 'b', location: 'GB' },
+      { speciesCode: 'c', location: 'GB' }
+    ];
+
+    const bird = await claimPreloadedBird(entry => entry.location === 'GB');
+    expect(bird.speciesCode).toBe('b');
+    expect(storedQueue.map(b => b.speciesCode)).toEqual(['c']);
+  });
+
+  test('should empty the queue when nothing is usable', async () => {
+    storedQueue = [{ speciesCode: 'a', location: 'US' }];
+    expect(await claimPreloadedBird(entry => entry.location === 'GB')).toBeNull();
+    expect(storedQueue).toEqual([]);
+  });
+
+  test('should give concurrent tabs different birds', async () => {
+    storedQueue = [{ speciesCode: 'a' }, { speciesCode: 'b' }, { speciesCode: 'c' }];
+
+    const claimed = await Promise.all([claimPreloadedBird(), claimPreloadedBird(), claimPreloadedBird()]);
+    expect(claimed.map(b => b.speciesCode).sort()).toEqual(['a', 'b', 'c']);
+    expect(storedQueue).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Call Quiz Question Tests
+ *
+ * Tests cover picking questions for the "name that call" quiz:
+ * - Only species with a recording are asked about
+ * - Species without a recording can still be distractors
+ * - Too few recordings is reported as NOT_ENOUGH_CALLS
+ */
+
+const QUIZ_TOTAL_QUESTIONS = 10;
+const MIN_QUESTIONS_REQUIRED = 5;
+const QUIZ_TYPES = {
+  PHOTO: 'photo',
+  AUDIO: 'audio'
+};
+
+// Mirrored from quiz.js prepareQuestions (shuffling left out)
+function selectQuestionBirds(birds, quizType) {
+  const askableBirds = quizType === QUIZ_TYPES.AUDIO
+    ? birds.filter(b => b.mediaUrl)
+    : birds;
+  if (askableBirds.length < MIN_QUESTIONS_REQUIRED) {
+    throw new Error('NOT_ENOUGH_CALLS');
+  }
+
+  const questionCount = Math.min(QUIZ_TOTAL_QUESTIONS, askableBirds.length);
+  return askableBirds.slice(0, questionCount);
+}
+
+function distractorPool(bird, birds) {
+  return birds.filter(candidate => candidate.speciesCode !== bird.speciesCode);
+}
+
+const makeBirds = (withAudio, withoutAudio) => [
+  ...Array.from({ length: withAudio }, (_, i) => ({ speciesCode: `aud${i}`, mediaUrl: `https://media.example/aud${i}.mp3` })),
+  ...Array.from({ length: withoutAudio }, (_, i) => ({ speciesCode: `img${i}`, mediaUrl: null }))
+];
+
+describe('Call Quiz Questions', () => {
+  test('asks only about species with a recording', () => {
+    const selected = selectQuestionBirds(makeBirds(6, 10), QUIZ_TYPES.AUDIO);
+
+    expect(selected).toHaveLength(6);
+    expect(selected.every(b => b.mediaUrl)).toBe(true);
+  });
+
+  test('photo quiz still uses every species', () => {
+    const selected = selectQuestionBirds(makeBirds(6, 10), QUIZ_TYPES.PHOTO);
+    expect(selected).toHaveLength(QUIZ_TOTAL_QUESTIONS);
+  });
+
+  test('species without a recording remain distractors', () => {
+    const birds = makeBirds(6, 10);
+    const [question] = selectQuestionBirds(birds, QUIZ_TYPES.AUDIO);
+
+    expect(distractorPool(question, birds).some(b => !b.mediaUrl)).toBe(true);
+  });
+
+  test('reports too few recordings', () => {
+    expect(() => selectQuestionBirds(makeBirds(4, 20), QUIZ_TYPES.AUDIO)).toThrow('NOT_ENOUGH_CALLS');
+  });
+
+  test('caps the quiz at the question total', () => {
+    expect(selectQuestionBirds(makeBirds(25, 0), QUIZ_TYPES.AUDIO)).toHaveLength(QUIZ_TOTAL_QUESTIONS);
+  });
+});
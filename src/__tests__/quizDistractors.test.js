@@ -0,0 +1,175 @@
+/**
+ * Quiz Distractor Tests
+ *
+ * Tests cover choosing wrong answers for a quiz question:
+ * - No two options ever show the same text
+ * - Expert mode labels options with scientific names
+ * - Harder difficulties prefer close relatives as distractors
+ */
+
+const QUIZ_ANSWER_STYLES = {
+  COMMON: 'common',
+  SCIENTIFIC: 'scientific'
+};
+
+const QUIZ_DIFFICULTIES = {
+  EASY: 'easy',
+  MEDIUM: 'medium',
+  HARD: 'hard'
+};
+
+const TAXONOMY_SIMILARITY = {
+  NONE: 0,
+  ORDER: 1,
+  FAMILY: 2,
+  GENUS: 3
+};
+
+// Mirrored from quiz.js
+function getGenus(bird) {
+  return bird.scientificName?.trim().split(/\s+/)[0]?.toLowerCase() || null;
+}
+
+function getTaxonomicSimilarity(a, b) {
+  const genus = getGenus(a);
+  if (genus && genus === getGenus(b)) return TAXONOMY_SIMILARITY.GENUS;
+  if (a.familyCode && a.familyCode === b.familyCode) return TAXONOMY_SIMILARITY.FAMILY;
+  if (a.order && a.order === b.order) return TAXONOMY_SIMILARITY.ORDER;
+  return TAXONOMY_SIMILARITY.NONE;
+}
+
+// Mirrored from quiz.js (common names simplified to primaryComName)
+const createQuiz = (answerStyle, difficulty = QUIZ_DIFFICULTIES.EASY) => ({
+  answerStyle,
+  difficulty,
+  rankDistractorCandidates(bird, candidates) {
+    const shuffled = [...candidates].sort(() => 0.5 - Math.random());
+    if (this.difficulty === QUIZ_DIFFICULTIES.EASY) return shuffled;
+
+    const tierOf = (candidate) => {
+      const similarity = getTaxonomicSimilarity(bird, candidate);
+      if (this.difficulty === QUIZ_DIFFICULTIES.MEDIUM) {
+        return similarity >= TAXONOMY_SIMILARITY.FAMILY ? 1 : 0;
+      }
+      return similarity;
+    };
+
+    return shuffled
+      .map(candidate => ({ candidate, tier: tierOf(candidate) }))
+      .sort((a, b) => b.tier - a.tier)
+      .map(({ candidate }) => candidate);
+  },
+  getAnswerLabel(bird) {
+    return this.answerStyle === QUIZ_ANSWER_STYLES.SCIENTIFIC
+      ? bird.scientificName || ''
+      : bird.primaryComName;
+  },
+  pickDistractors(bird, candidates, count) {
+    const usedLabels = new Set([this.getAnswerLabel(bird).toLocaleLowerCase()]);
+    const distractors = [];
+
+    for (const candidate of this.rankDistractorCandidates(bird, candidates)) {
+      if (distractors.length >= count) break;
+      if (candidate.speciesCode === bird.speciesCode) continue;
+
+      const label = this.getAnswerLabel(candidate).toLocaleLowerCase();
+      if (!label || usedLabels.has(label)) continue;
+
+      usedLabels.add(label);
+      distractors.push(candidate);
+    }
+    return distractors;
+  }
+});
+
+describe('Quiz Distractors', () => {
+  const birds = [
+    { speciesCode: 'a', primaryComName: 'Robin', scientificName: 'Turdus migratorius' },
+    { speciesCode: 'b', primaryComName: 'Robin', scientificName: 'Erithacus rubecula' },
+    { speciesCode: 'c', primaryComName: 'Blue Jay', scientificName: 'Cyanocitta cristata' },
+    { speciesCode: 'd', primaryComName: 'blue jay', scientificName: 'Cyanocitta stelleri' },
+    { speciesCode: 'e', primaryComName: 'Wren', scientificName: 'Troglodytes troglodytes' },
+    { speciesCode: 'f', primaryComName: 'Magpie', scientificName: '' }
+  ];
+
+  test('should never repeat the correct answer or another option', () => {
+    const quiz = createQuiz(QUIZ_ANSWER_STYLES.COMMON);
+    for (let i = 0; i < 20; i++) {
+      const distractors = quiz.pickDistractors(birds[0], birds, 3);
+      const labels = [birds[0], ...distractors].map(b => b.primaryComName.toLowerCase());
+      expect(new Set(labels).size).toBe(labels.length);
+      expect(distractors.map(b => b.speciesCode)).not.toContain('b');
+    }
+  });
+
+  test('should return fewer distractors when not enough distinct names exist', () => {
+    const quiz = createQuiz(QUIZ_ANSWER_STYLES.COMMON);
+    const distractors = quiz.pickDistractors(birds[0], birds.slice(0, 4), 3);
+    expect(distractors).toHaveLength(1);
+    expect(['c', 'd']).toContain(distractors[0].speciesCode);
+  });
+
+  test('should allow birds with shared common names in expert mode', () => {
+    const quiz = createQuiz(QUIZ_ANSWER_STYLES.SCIENTIFIC);
+    const distractors = quiz.pickDistractors(birds[0], birds.slice(0, 2), 3);
+    expect(distractors.map(b => b.speciesCode)).toEqual(['b']);
+  });
+
+  test('should skip birds without a scientific name in expert mode', () => {
+    const quiz = createQuiz(QUIZ_ANSWER_STYLES.SCIENTIFIC);
+    for (let i = 0; i < 20; i++) {
+      const codes = quiz.pickDistractors(birds[0], birds, 5).map(b => b.speciesCode);
+      expect(codes).not.toContain('f');
+    }
+  });
+});
+
+describe('Quiz Difficulty', () => {
+  const target = { speciesCode: 'amerob', primaryComName: 'American Robin', scientificName: 'Turdus migratorius', familyCode: 'turdid1', order: 'Passeriformes' };
+  const birds = [
+    target,
+    { speciesCode: 'fieldf', primaryComName: 'Fieldfare', scientificName: 'Turdus pilaris', familyCode: 'turdid1', order: 'Passeriformes' },
+    { speciesCode: 'eurbla', primaryComName: 'Eurasian Blackbird', scientificName: 'Turdus merula', familyCode: 'turdid1', order: 'Passeriformes' },
+    { speciesCode: 'easblu', primaryComName: 'Eastern Bluebird', scientificName: 'Sialia sialis', familyCode: 'turdid1', order: 'Passeriformes' },
+    { speciesCode: 'herthr', primaryComName: 'Hermit Thrush', scientificName: 'Catharus guttatus', familyCode: 'turdid1', order: 'Passeriformes' },
+    { speciesCode: 'blujay', primaryComName: 'Blue Jay', scientificName: 'Cyanocitta cristata', familyCode: 'corvid1', order: 'Passeriformes' },
+    { speciesCode: 'emu1', primaryComName: 'Emu', scientificName: 'Dromaius novaehollandiae', familyCode: 'casuar1', order: 'Casuariiformes' },
+    { speciesCode: 'rthhum', primaryComName: 'Ruby-throated Hummingbird', scientificName: 'Archilochus colubris', familyCode: 'trochi1', order: 'Apodiformes' }
+  ];
+
+  test('should rank same-genus species first on hard', () => {
+    const quiz = createQuiz(QUIZ_ANSWER_STYLES.COMMON, QUIZ_DIFFICULTIES.HARD);
+    for (let i = 0; i < 20; i++) {
+      const codes = quiz.pickDistractors(target, birds, 3).map(b => b.speciesCode);
+      expect(codes.slice(0, 2).sort()).toEqual(['eurbla', 'fieldf']);
+      expect(['easblu', 'herthr']).toContain(codes[2]);
+    }
+  });
+
+  test('should pick family members on medium', () => {
+    const quiz = createQuiz(QUIZ_ANSWER_STYLES.COMMON, QUIZ_DIFFICULTIES.MEDIUM);
+    for (let i = 0; i < 20; i++) {
+      const distractors = quiz.pickDistractors(target, birds, 3);
+      expect(distractors.every(b => b.familyCode === 'turdid1')).toBe(true);
+    }
+  });
+
+  test('should fall back to unrelated species when relatives run out', () => {
+    const quiz = createQuiz(QUIZ_ANSWER_STYLES.COMMON, QUIZ_DIFFICULTIES.HARD);
+    const pool = [target, birds[1], birds[5], birds[6], birds[7]];
+    const codes = quiz.pickDistractors(target, pool, 3).map(b => b.speciesCode);
+
+    expect(codes[0]).toBe('fieldf');
+    expect(codes[1]).toBe('blujay');
+    expect(codes).toHaveLength(3);
+  });
+
+  test('should use the genus when the manifest has no taxonomy fields', () => {
+    const quiz = createQuiz(QUIZ_ANSWER_STYLES.COMMON, QUIZ_DIFFICULTIES.MEDIUM);
+    const bare = birds.map(({ familyCode, order, ...bird }) => bird);
+    for (let i = 0; i < 20; i++) {
+      const codes = quiz.pickDistractors(bare[0], bare, 2).map(b => b.speciesCode);
+      expect(codes.sort()).toEqual(['eurbla', 'fieldf']);
+    }
+  });
+});
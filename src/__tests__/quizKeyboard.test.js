@@ -0,0 +1,90 @@
+/**
+ * Quiz Keyboard Tests
+ *
+ * Tests for the quiz keyboard shortcuts:
+ * - 1–4 to answer, Enter for the next question, R to replay a call
+ * - Escape to leave (the quiz asks before leaving a quiz in progress)
+ * - Arrow keys and Enter in the review of mistakes
+ */
+
+const QUIZ_KEY_ACTIONS = {
+  SELECT: 'select',
+  NEXT: 'next',
+  REPLAY: 'replay',
+  EXIT: 'exit',
+  REVIEW_NEXT: 'reviewNext',
+  REVIEW_PREVIOUS: 'reviewPrevious'
+};
+
+// Mirrored from quiz.js
+function getQuizKeyAction(key, { isAnswering, hasAnswered, isReviewing }) {
+  if (key === 'Escape') return QUIZ_KEY_ACTIONS.EXIT;
+
+  if (isReviewing) {
+    if (key === 'ArrowRight' || key === 'Enter') return QUIZ_KEY_ACTIONS.REVIEW_NEXT;
+    if (key === 'ArrowLeft') return QUIZ_KEY_ACTIONS.REVIEW_PREVIOUS;
+    return null;
+  }
+
+  if (isAnswering && /^[1-4]$/.test(key)) return QUIZ_KEY_ACTIONS.SELECT;
+  if ((isAnswering || hasAnswered) && key.toLowerCase() === 'r') return QUIZ_KEY_ACTIONS.REPLAY;
+  if (hasAnswered && key === 'Enter') return QUIZ_KEY_ACTIONS.NEXT;
+  return null;
+}
+
+const answering = { isAnswering: true, hasAnswered: false, isReviewing: false };
+const answered = { isAnswering: false, hasAnswered: true, isReviewing: false };
+const results = { isAnswering: false, hasAnswered: false, isReviewing: false };
+const reviewing = { isAnswering: false, hasAnswered: false, isReviewing: true };
+
+describe('Quiz Keyboard Shortcuts', () => {
+  test('number keys 1–4 answer an open question', () => {
+    ['1', '2', '3', '4'].forEach(key => {
+      expect(getQuizKeyAction(key, answering)).toBe(QUIZ_KEY_ACTIONS.SELECT);
+    });
+    expect(getQuizKeyAction('5', answering)).toBeNull();
+    expect(getQuizKeyAction('0', answering)).toBeNull();
+  });
+
+  test('number keys do nothing once the question is answered', () => {
+    expect(getQuizKeyAction('2', answered)).toBeNull();
+  });
+
+  test('Enter moves on only after answering', () => {
+    expect(getQuizKeyAction('Enter', answering)).toBeNull();
+    expect(getQuizKeyAction('Enter', answered)).toBe(QUIZ_KEY_ACTIONS.NEXT);
+  });
+
+  test('R replays during a question, in either case', () => {
+    expect(getQuizKeyAction('r', answering)).toBe(QUIZ_KEY_ACTIONS.REPLAY);
+    expect(getQuizKeyAction('R', answered)).toBe(QUIZ_KEY_ACTIONS.REPLAY);
+    expect(getQuizKeyAction('r', results)).toBeNull();
+  });
+
+  test('Escape always leads to leaving the quiz', () => {
+    [answering, answered, results, reviewing].forEach(state => {
+      expect(getQuizKeyAction('Escape', state)).toBe(QUIZ_KEY_ACTIONS.EXIT);
+    });
+  });
+
+  test('nothing happens on the results screen apart from Escape', () => {
+    expect(getQuizKeyAction('1', results)).toBeNull();
+    expect(getQuizKeyAction('Enter', results)).toBeNull();
+  });
+
+  describe('review of mistakes', () => {
+    test('arrow keys step through the mistakes', () => {
+      expect(getQuizKeyAction('ArrowRight', reviewing)).toBe(QUIZ_KEY_ACTIONS.REVIEW_NEXT);
+      expect(getQuizKeyAction('ArrowLeft', reviewing)).toBe(QUIZ_KEY_ACTIONS.REVIEW_PREVIOUS);
+    });
+
+    test('Enter goes to the next mistake', () => {
+      expect(getQuizKeyAction('Enter', reviewing)).toBe(QUIZ_KEY_ACTIONS.REVIEW_NEXT);
+    });
+
+    test('answer keys are ignored', () => {
+      expect(getQuizKeyAction('1', reviewing)).toBeNull();
+      expect(getQuizKeyAction('r', reviewing)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Quiz Length & Timed Mode Tests
+ *
+ * Tests for the quiz start screen options:
+ * - 5/10/20 question quizzes, capped by what the region offers
+ * - Endless quizzes adding questions a batch at a time, round after round
+ * - Speed points in timed quizzes
+ * - Score messages scaled to the quiz length
+ * - Share images that fit long quizzes on the canvas
+ */
+
+const QUIZ_LENGTH_ENDLESS = 'endless';
+const QUIZ_ENDLESS_BATCH_SIZE = 10;
+const MIN_QUESTIONS_REQUIRED = 5;
+const QUIZ_POINTS_CORRECT = 100;
+const QUIZ_POINTS_SPEED_BONUS = 100;
+
+// Mirrored from quiz.js
+function getSpeedPoints(isCorrect, elapsedMs, limitMs) {
+  if (!isCorrect) return 0;
+  const remaining = Math.max(0, 1 - elapsedMs / limitMs);
+  return QUIZ_POINTS_CORRECT + Math.round(QUIZ_POINTS_SPEED_BONUS * remaining);
+}
+
+function getScoreMessage(score, total) {
+  const outOfTen = total > 0 ? (score / total) * 10 : 0;
+  if (outOfTen >= 9) return 'excellent';
+  if (outOfTen >= 7) return 'great';
+  if (outOfTen >= 5) return 'good';
+  if (outOfTen >= 3) return 'notBad';
+  return 'keepLearning';
+}
+
+function getQuestionCount(questionLimit, askableCount) {
+  if (askableCount < MIN_QUESTIONS_REQUIRED) throw new Error('NOT_ENOUGH_BIRDS');
+  return Math.min(
+    questionLimit === QUIZ_LENGTH_ENDLESS ? QUIZ_ENDLESS_BATCH_SIZE : questionLimit,
+    askableCount
+  );
+}
+
+function getShareCollageRows(answerCount, maxRows) {
+  if (answerCount <= maxRows) {
+    return { shownCount: answerCount, moreCount: 0 };
+  }
+  const shownCount = Math.max(0, maxRows - 1);
+  return { shownCount, moreCount: answerCount - shownCount };
+}
+
+// Share image layout from generateShareableCollage()
+const SHARE_CANVAS_HEIGHT = 630;
+const SHARE_ROWS_START_Y = 75;
+const SHARE_ROW_HEIGHT = 52;
+const SHARE_CARD_HEIGHT = SHARE_ROW_HEIGHT - 6;
+const SHARE_MAX_ROWS = Math.floor((SHARE_CANVAS_HEIGHT - SHARE_ROWS_START_Y) / SHARE_ROW_HEIGHT);
+
+function createEndlessQuiz(askableBirds, firstBatch) {
+  return {
+    questions: firstBatch.map(bird => ({ bird })),
+    _askableBirds: askableBirds,
+    _endlessQueue: askableBirds.filter(bird => !firstBatch.includes(bird)),
+    appendEndlessQuestions() {
+      if (this._endlessQueue.length === 0) {
+        this._endlessQueue = [...this._askableBirds].sort(() => 0.5 - Math.random());
+      }
+      const batch = this._endlessQueue
+        .splice(0, QUIZ_ENDLESS_BATCH_SIZE)
+        .filter(bird => bird.imageUrl);
+      this.questions.push(...batch.map(bird => ({ bird })));
+      return batch.length > 0;
+    }
+  };
+}
+
+const makeBirds = (count) => Array.from({ length: count }, (_, i) => ({
+  speciesCode: `sp${i}`,
+  imageUrl: `https://example.com/${i}.jpg`
+}));
+
+describe('Quiz Length', () => {
+  test('asks the chosen number of questions when the region has enough species', () => {
+    expect(getQuestionCount(5, 300)).toBe(5);
+    expect(getQuestionCount(20, 300)).toBe(20);
+  });
+
+  test('small regions cap the quiz at the species available', () => {
+    expect(getQuestionCount(20, 7)).toBe(7);
+  });
+
+  test('regions below the minimum still refuse to start, whatever the length', () => {
+    expect(() => getQuestionCount(5, 4)).toThrow('NOT_ENOUGH_BIRDS');
+    expect(() => getQuestionCount(QUIZ_LENGTH_ENDLESS, 4)).toThrow('NOT_ENOUGH_BIRDS');
+  });
+
+  test('endless quizzes start with one batch', () => {
+    expect(getQuestionCount(QUIZ_LENGTH_ENDLESS, 300)).toBe(QUIZ_ENDLESS_BATCH_SIZE);
+    expect(getQuestionCount(QUIZ_LENGTH_ENDLESS, 6)).toBe(6);
+  });
+
+  describe('endless batches', () => {
+    test('continue with species not asked yet', () => {
+      const birds = makeBirds(25);
+      const quiz = createEndlessQuiz(birds, birds.slice(0, 10));
+
+      expect(quiz.appendEndlessQuestions()).toBe(true);
+      expect(quiz.questions).toHaveLength(20);
+      expect(new Set(quiz.questions.map(q => q.bird.speciesCode)).size).toBe(20);
+    });
+
+    test('start a new round once every species was asked', () => {
+      const birds = makeBirds(6);
+      const quiz = createEndlessQuiz(birds, birds);
+
+      expect(quiz.appendEndlessQuestions()).toBe(true);
+      expect(quiz.questions).toHaveLength(12);
+    });
+
+    test('skip species without a photo', () => {
+      const birds = [...makeBirds(5), { speciesCode: 'noPhoto', imageUrl: null }];
+      const quiz = createEndlessQuiz(birds, birds.slice(0, 5));
+
+      expect(quiz.appendEndlessQuestions()).toBe(false);
+      expect(quiz.questions).toHaveLength(5);
+    });
+  });
+});
+
+describe('Timed Mode Scoring', () => {
+  const limitMs = 15000;
+
+  test('wrong answers and timeouts score nothing', () => {
+    expect(getSpeedPoints(false, 1000, limitMs)).toBe(0);
+    expect(getSpeedPoints(false, limitMs, limitMs)).toBe(0);
+  });
+
+  test('instant answers score the full speed bonus', () => {
+    expect(getSpeedPoints(true, 0, limitMs)).toBe(200);
+  });
+
+  test('the bonus shrinks with the answer time', () => {
+    expect(getSpeedPoints(true, 7500, limitMs)).toBe(150);
+    expect(getSpeedPoints(true, 3000, limitMs)).toBeGreaterThan(getSpeedPoints(true, 6000, limitMs));
+  });
+
+  test('slow answers still earn the base points', () => {
+    expect(getSpeedPoints(true, 60000, limitMs)).toBe(100);
+  });
+});
+
+describe('Score Message', () => {
+  test('is scaled to the number of questions answered', () => {
+    expect(getScoreMessage(9, 10)).toBe('excellent');
+    expect(getScoreMessage(5, 5)).toBe('excellent');
+    expect(getScoreMessage(9, 20)).toBe('notBad');
+    expect(getScoreMessage(14, 20)).toBe('great');
+  });
+
+  test('handles a timed quiz that ended before any answer', () => {
+    expect(getScoreMessage(0, 0)).toBe('keepLearning');
+  });
+});
+
+describe('Share Image Rows', () => {
+  test('a 10 question quiz draws every answer', () => {
+    expect(getShareCollageRows(10, SHARE_MAX_ROWS)).toEqual({ shownCount: 10, moreCount: 0 });
+  });
+
+  test('a 20 question quiz draws what fits plus a "+K more" row', () => {
+    const { shownCount, moreCount } = getShareCollageRows(20, SHARE_MAX_ROWS);
+    expect(shownCount + moreCount).toBe(20);
+    expect(moreCount).toBeGreaterThan(0);
+
+    // The "+K more" row is the last one drawn and stays on the canvas
+    const lastRowBottom = SHARE_ROWS_START_Y + shownCount * SHARE_ROW_HEIGHT + SHARE_CARD_HEIGHT;
+    expect(lastRowBottom).toBeLessThanOrEqual(SHARE_CANVAS_HEIGHT);
+  });
+
+  test('endless quizzes never draw more rows than fit', () => {
+    const { shownCount } = getShareCollageRows(150, SHARE_MAX_ROWS);
+    expect(shownCount + 1).toBe(SHARE_MAX_ROWS);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Offline Quiz Tests
+ *
+ * Tests for choosing quiz birds without a connection:
+ * - Offline pack birds come first, then recently viewed birds
+ * - One bird per species, hidden species and birds without a photo left out
+ * - Too few stored birds to start a quiz
+ */
+
+const MIN_QUESTIONS_REQUIRED = 5;
+
+// Mirrored from quiz.js
+function getOfflineQuizCandidates(packEntries, historyEntries, hiddenCodes) {
+  const seen = new Set();
+  return [...packEntries, ...[...historyEntries].reverse()]
+    .filter(entry => {
+      if (!entry.speciesCode || !entry.imageUrl) return false;
+      if (seen.has(entry.speciesCode) || hiddenCodes.has(entry.speciesCode)) return false;
+      seen.add(entry.speciesCode);
+      return true;
+    })
+    .map(({ bytes, timestamp, ...bird }) => bird);
+}
+
+function getAskableCount(birds, isAudioQuiz) {
+  return isAudioQuiz ? birds.filter(bird => bird.mediaUrl).length : birds.length;
+}
+
+const bird = (speciesCode, extra = {}) => ({
+  speciesCode,
+  imageUrl: `https://example.com/${speciesCode}.jpg`,
+  mediaUrl: `https://example.com/${speciesCode}.mp3`,
+  ...extra
+});
+
+describe('Offline Quiz', () => {
+  test('packed birds come first, then history from newest to oldest', () => {
+    const pack = [bird('amerob', { bytes: 1, timestamp: 1 })];
+    const history = [bird('blujay', { timestamp: 1 }), bird('norcar', { timestamp: 2 })];
+
+    expect(getOfflineQuizCandidates(pack, history, new Set()).map(b => b.speciesCode))
+      .toEqual(['amerob', 'norcar', 'blujay']);
+  });
+
+  test('species seen several times are only offered once, preferring the packed copy', () => {
+    const pack = [bird('amerob', { bytes: 1 })];
+    const history = [bird('amerob', { timestamp: 1 }), bird('amerob', { timestamp: 2 })];
+
+    const candidates = getOfflineQuizCandidates(pack, history, new Set());
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).not.toHaveProperty('timestamp');
+  });
+
+  test('strips storage bookkeeping fields', () => {
+    const [candidate] = getOfflineQuizCandidates([bird('amerob', { bytes: 5, timestamp: 1 })], [], new Set());
+    expect(candidate).toEqual(bird('amerob'));
+  });
+
+  test('skips hidden species and birds without a photo', () => {
+    const history = [bird('amerob'), bird('blujay', { imageUrl: null }), bird('norcar')];
+    expect(getOfflineQuizCandidates([], history, new Set(['norcar'])).map(b => b.speciesCode))
+      .toEqual(['amerob']);
+  });
+
+  describe('enough birds to start', () => {
+    const stored = [
+      bird('a'), bird('b'), bird('c'),
+      bird('d', { mediaUrl: null }), bird('e', { mediaUrl: null })
+    ];
+
+    test('a photo quiz can use every stored bird', () => {
+      expect(getAskableCount(stored, false)).toBeGreaterThanOrEqual(MIN_QUESTIONS_REQUIRED);
+    });
+
+    test('a call quiz needs stored recordings', () => {
+      expect(getAskableCount(stored, true)).toBe(3);
+      expect(getAskableCount(stored, true)).toBeLessThan(MIN_QUESTIONS_REQUIRED);
+    });
+  });
+});
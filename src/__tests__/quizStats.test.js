@@ -0,0 +1,130 @@
+/**
+ * Quiz Stats Tests
+ *
+ * Tests cover the numbers on the quiz stats dashboard:
+ * - Totals, average and best score across stored sessions
+ * - Day streaks, which survive until the end of the day after the last quiz
+ * - Time per question and the recent score trend
+ */
+
+function getLocalDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Mirrored from quizStats.js
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getLocalDateKey(new Date(year, month - 1, day + days));
+}
+
+function getDayStreaks(dateKeys, todayKey) {
+  const days = [...new Set(dateKeys)].sort();
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((key, index) => {
+    run = index > 0 && shiftDateKey(days[index - 1], 1) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const daySet = new Set(days);
+  let cursor = daySet.has(todayKey) ? todayKey : shiftDateKey(todayKey, -1);
+  let current = 0;
+  while (daySet.has(cursor)) {
+    current++;
+    cursor = shiftDateKey(cursor, -1);
+  }
+
+  return { current, longest };
+}
+
+function getPercent(session) {
+  return session.total > 0 ? Math.round((session.score / session.total) * 100) : 0;
+}
+
+function computeQuizStats(sessions, trendCount, now = new Date()) {
+  const finished = sessions.filter(session => session.total > 0);
+  if (finished.length === 0) return null;
+
+  const percents = finished.map(getPercent);
+  const best = finished.reduce((top, session) => (getPercent(session) >= getPercent(top) ? session : top));
+  const questions = finished.reduce((sum, session) => sum + session.total, 0);
+  const seconds = finished.reduce((sum, session) => sum + (session.durationSec || 0), 0);
+  const streaks = getDayStreaks(
+    finished.map(session => getLocalDateKey(new Date(session.timestamp))),
+    getLocalDateKey(now)
+  );
+
+  return {
+    totalQuizzes: finished.length,
+    averagePercent: Math.round(percents.reduce((sum, percent) => sum + percent, 0) / percents.length),
+    best: { score: best.score, total: best.total, percent: getPercent(best) },
+    currentStreak: streaks.current,
+    longestStreak: streaks.longest,
+    secondsPerQuestion: questions > 0 ? seconds / questions : 0,
+    trend: percents.slice(-trendCount),
+  };
+}
+
+describe('Quiz Stats', () => {
+  const now = new Date(2026, 9, 19, 15, 0);
+  const daysAgo = (days, hour = 12) => new Date(2026, 9, 19 - days, hour).getTime();
+
+  describe('getDayStreaks', () => {
+    test('counts days in a row up to today', () => {
+      expect(getDayStreaks(['2026-10-17', '2026-10-18', '2026-10-19', '2026-10-19'], '2026-10-19'))
+        .toEqual({ current: 3, longest: 3 });
+    });
+
+    test('a streak is still alive the day after the last quiz', () => {
+      expect(getDayStreaks(['2026-10-17', '2026-10-18'], '2026-10-19').current).toBe(2);
+    });
+
+    test('a missed day ends the current streak but keeps the longest', () => {
+      const days = ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04', '2026-10-16'];
+      expect(getDayStreaks(days, '2026-10-19')).toEqual({ current: 0, longest: 4 });
+    });
+
+    test('streaks carry over month ends', () => {
+      expect(getDayStreaks(['2026-09-30', '2026-10-01'], '2026-10-01').current).toBe(2);
+    });
+  });
+
+  describe('computeQuizStats', () => {
+    const sessions = [
+      { timestamp: daysAgo(3), score: 5, total: 10, durationSec: 120 },
+      { timestamp: daysAgo(1), score: 9, total: 10, durationSec: 80 },
+      { timestamp: daysAgo(0, 9), score: 3, total: 4, durationSec: 40 },
+      { timestamp: daysAgo(0, 10), score: 0, total: 0, durationSec: 5 }
+    ];
+
+    test('returns null before any quiz is finished', () => {
+      expect(computeQuizStats([], 20, now)).toBeNull();
+      expect(computeQuizStats([{ timestamp: daysAgo(0), score: 0, total: 0 }], 20, now)).toBeNull();
+    });
+
+    test('summarizes scores, ignoring quizzes with no answers', () => {
+      const stats = computeQuizStats(sessions, 20, now);
+      expect(stats.totalQuizzes).toBe(3);
+      expect(stats.averagePercent).toBe(72);
+      expect(stats.best).toEqual({ score: 9, total: 10, percent: 90 });
+    });
+
+    test('time per question is total time over total questions', () => {
+      expect(computeQuizStats(sessions, 20, now).secondsPerQuestion).toBe(10);
+    });
+
+    test('streaks come from the local days of each quiz', () => {
+      const stats = computeQuizStats(sessions, 20, now);
+      expect(stats.currentStreak).toBe(2);
+      expect(stats.longestStreak).toBe(2);
+    });
+
+    test('the trend keeps the most recent quizzes, oldest first', () => {
+      expect(computeQuizStats(sessions, 2, now).trend).toEqual([90, 75]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Region Inference Tests
+ *
+ * Tests cover the locale/timezone based region suggestion used by onboarding:
+ * - Timezone takes priority over the UI language
+ * - Locale region subtags and single-country languages
+ * - Only regions present in the manifest are suggested
+ * - Fallback to World
+ */
+
+// Mirrored from regions.js (subset of the lookup tables)
+const DEFAULT_REGION = 'WLD';
+
+const TIMEZONE_COUNTRIES = {
+  'America/New_York': 'US',
+  'Europe/Warsaw': 'PL',
+  'Asia/Kolkata': 'IN',
+  'America/Sao_Paulo': 'BR'
+};
+
+const TIMEZONE_PREFIX_COUNTRIES = {
+  'America/Argentina/': 'AR',
+  'Australia/': 'AU'
+};
+
+const LANGUAGE_COUNTRIES = { ja: 'JP', pl: 'PL', de: 'DE' };
+
+function getTimeZoneCountry(timeZone) {
+  if (!timeZone) return null;
+  if (TIMEZONE_COUNTRIES[timeZone]) return TIMEZONE_COUNTRIES[timeZone];
+
+  const prefix = Object.keys(TIMEZONE_PREFIX_COUNTRIES).find(p => timeZone.startsWith(p));
+  return prefix ? TIMEZONE_PREFIX_COUNTRIES[prefix] : null;
+}
+
+function getLanguageCountries(language) {
+  if (!language) return [];
+  const [lang, ...subtags] = language.replace(/_/g, '-').split('-');
+  const countries = [];
+
+  const regionSubtag = subtags.find(tag => /^[A-Za-z]{2}$/.test(tag));
+  if (regionSubtag) countries.push(regionSubtag.toUpperCase());
+
+  const languageCountry = LANGUAGE_COUNTRIES[lang.toLowerCase()];
+  if (languageCountry) countries.push(languageCountry);
+
+  return countries;
+}
+
+function inferRegion(availableCodes, { language, timeZone }) {
+  const available = new Set(availableCodes);
+  const candidates = [getTimeZoneCountry(timeZone), ...getLanguageCountries(language)];
+  return candidates.find(code => code && available.has(code)) || DEFAULT_REGION;
+}
+
+describe('Region Inference', () => {
+  const available = ['WLD', 'US', 'PL', 'IN', 'BR', 'AR', 'AU', 'JP'];
+
+  test('should prefer the timezone country over the language', () => {
+    expect(inferRegion(available, { language: 'en-US', timeZone: 'Europe/Warsaw' })).toBe('PL');
+  });
+
+  test('should resolve country-specific timezone prefixes', () => {
+    expect(inferRegion(available, { language: 'es', timeZone: 'America/Argentina/Cordoba' })).toBe('AR');
+    expect(inferRegion(available, { language: 'en', timeZone: 'Australia/Sydney' })).toBe('AU');
+  });
+
+  test('should use the locale region subtag when the timezone is unknown', () => {
+    expect(inferRegion(available, { language: 'pt-BR', timeZone: 'Etc/UTC' })).toBe('BR');
+    expect(inferRegion(available, { language: 'pt_BR', timeZone: null })).toBe('BR');
+  });
+
+  test('should use single-country languages without a region subtag', () => {
+    expect(inferRegion(available, { language: 'ja', timeZone: 'UTC' })).toBe('JP');
+  });
+
+  test('should skip candidates that are not in the manifest', () => {
+    // DE is suggested by the language but has no species in this manifest
+    expect(inferRegion(available, { language: 'de', timeZone: 'Asia/Kolkata' })).toBe('IN');
+    expect(inferRegion(available, { language: 'de-DE', timeZone: 'Europe/Berlin' })).toBe('WLD');
+  });
+
+  test('should fall back to World when nothing matches', () => {
+    expect(inferRegion(available, { language: 'en', timeZone: 'UTC' })).toBe('WLD');
+    expect(inferRegion([], { language: 'en-US', timeZone: 'America/New_York' })).toBe('WLD');
+  });
+});
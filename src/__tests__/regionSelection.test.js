@@ -0,0 +1,184 @@
+/**
+ * Region Selection Tests
+ *
+ * Tests cover the region setting:
+ * - Regions missing from the manifest fall back to the world list
+ * - The region select lists World first and keeps the stored region selected
+ * - Without a stored region, one is inferred from the manifest's regions
+ * - The World region older versions wrote without asking is cleared once
+ */
+
+const DEFAULT_REGION = 'WLD';
+
+// Mirrored from mediaClient.js
+function getRegionSpeciesCodes(manifest, region = 'WLD') {
+  return manifest.regions?.[region]?.speciesCodes ?? [];
+}
+
+function resolveRegion(manifest, region = 'WLD') {
+  return getRegionSpeciesCodes(manifest, region).length > 0 ? region : 'WLD';
+}
+
+// Mirrored from regions.js, with manifest names standing in for Intl.DisplayNames
+function buildRegionOptions(regions = []) {
+  const options = regions.map(region => ({ code: region.code, label: region.name || region.code }));
+
+  return options.sort((a, b) => {
+    if (a.code === DEFAULT_REGION) return -1;
+    if (b.code === DEFAULT_REGION) return 1;
+    return a.label.localeCompare(b.label);
+  });
+}
+
+function populateRegionSelect(select, regions, selectedRegion) {
+  const options = buildRegionOptions(regions);
+  if (options.length === 0) return;
+
+  select.innerHTML = '';
+  options.forEach(({ code, label }) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  const hasSelected = options.some(option => option.code === selectedRegion);
+  select.value = hasSelected ? selectedRegion : DEFAULT_REGION;
+}
+
+// Subset of inferRegion() in regions.js: the timezone's country, if the manifest has it
+const TIMEZONE_COUNTRIES = { 'Europe/London': 'GB', 'America/New_York': 'US' };
+
+function inferRegion(availableCodes, timeZone) {
+  const country = TIMEZONE_COUNTRIES[timeZone];
+  return availableCodes.includes(country) ? country : DEFAULT_REGION;
+}
+
+// Mirrored from regions.js, reading from an in-memory stand-in for chrome.storage.local
+async function getStoredRegion(storage, timeZone) {
+  const { region } = storage;
+  if (region) return region;
+
+  const { media_manifest: manifest } = storage;
+  const availableCodes = Object.entries(manifest?.regions ?? {})
+    .filter(([, entry]) => entry?.speciesCodes?.length > 0)
+    .map(([code]) => code);
+  return inferRegion(availableCodes, timeZone);
+}
+
+// Mirrored from storageMigration.js, on the same in-memory stand-in
+async function clearAutoWrittenRegion(storage) {
+  if (storage.autoRegionCleared) {
+    return false;
+  }
+
+  const shouldClear = storage.region === DEFAULT_REGION;
+  if (shouldClear) {
+    delete storage.region;
+  }
+
+  storage.autoRegionCleared = true;
+  return shouldClear;
+}
+
+const manifest = {
+  regions: {
+    WLD: { speciesCodes: ['amerob', 'eurrob1'] },
+    US: { speciesCodes: ['amerob'] },
+    GB: { speciesCodes: [] }
+  }
+};
+
+const REGIONS = [
+  { code: 'US', name: 'United States' },
+  { code: 'WLD', name: 'World' },
+  { code: 'GB', name: 'United Kingdom' }
+];
+
+describe('Region Selection', () => {
+  describe('resolveRegion', () => {
+    test('keeps a region with species', () => {
+      expect(resolveRegion(manifest, 'US')).toBe('US');
+    });
+
+    test('falls back to the world list for a region missing from the manifest', () => {
+      expect(resolveRegion(manifest, 'PL')).toBe('WLD');
+    });
+
+    test('falls back to the world list for a region without species', () => {
+      expect(resolveRegion(manifest, 'GB')).toBe('WLD');
+    });
+
+    test('no region means the world list', () => {
+      expect(resolveRegion(manifest)).toBe('WLD');
+      expect(resolveRegion(manifest, undefined)).toBe('WLD');
+    });
+  });
+
+  describe('populateRegionSelect', () => {
+    let select;
+
+    beforeEach(() => {
+      select = document.createElement('select');
+    });
+
+    test('lists World first, then the rest by name', () => {
+      populateRegionSelect(select, REGIONS, 'US');
+      expect([...select.options].map(option => option.value)).toEqual(['WLD', 'GB', 'US']);
+    });
+
+    test('selects the stored region', () => {
+      populateRegionSelect(select, REGIONS, 'GB');
+      expect(select.value).toBe('GB');
+    });
+
+    test('selects World when the stored region is not listed', () => {
+      populateRegionSelect(select, REGIONS, 'PL');
+      expect(select.value).toBe('WLD');
+    });
+
+    test('leaves the select alone when there are no regions', () => {
+      select.innerHTML = '<option value="US">United States</option>';
+      populateRegionSelect(select, [], 'US');
+      expect(select.value).toBe('US');
+      expect(select.options).toHaveLength(1);
+    });
+  });
+
+  describe('getStoredRegion', () => {
+    test('the stored region wins', async () => {
+      expect(await getStoredRegion({ region: 'GB', media_manifest: manifest }, 'America/New_York')).toBe('GB');
+    });
+
+    test('a fresh install infers a region with species', async () => {
+      expect(await getStoredRegion({ media_manifest: manifest }, 'America/New_York')).toBe('US');
+    });
+
+    test('a region without species, or no cached manifest, means World', async () => {
+      expect(await getStoredRegion({ media_manifest: manifest }, 'Europe/London')).toBe('WLD');
+      expect(await getStoredRegion({}, 'America/New_York')).toBe('WLD');
+    });
+  });
+
+  describe('clearAutoWrittenRegion', () => {
+    test('an auto-written World is cleared so the region is inferred', async () => {
+      const storage = { region: 'WLD', media_manifest: manifest };
+      expect(await clearAutoWrittenRegion(storage)).toBe(true);
+      expect(await getStoredRegion(storage, 'America/New_York')).toBe('US');
+    });
+
+    test('a picked region is kept', async () => {
+      const storage = { region: 'GB' };
+      expect(await clearAutoWrittenRegion(storage)).toBe(false);
+      expect(storage.region).toBe('GB');
+    });
+
+    test('runs only once, so a World picked later is kept', async () => {
+      const storage = { region: 'GB' };
+      await clearAutoWrittenRegion(storage);
+      storage.region = 'WLD';
+      expect(await clearAutoWrittenRegion(storage)).toBe(false);
+      expect(storage.region).toBe('WLD');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Bird Rotation Tests
+ *
+ * Tests cover the species exclusions used when picking the next new-tab bird:
+ * - Random mode excludes nothing
+ * - Avoid-recent mode skips the last N views
+ * - Cycle mode shows every species in the region before repeating
+ */
+
+// Mirrored from rotation.js
+const ROTATION_MODES = {
+  RANDOM: 'random',
+  AVOID_RECENT: 'avoidRecent',
+  CYCLE: 'cycle'
+};
+
+function getRotationExcludeCodes(mode, historyCodes, regionCodes, recentCount) {
+  if (mode === ROTATION_MODES.AVOID_RECENT) {
+    return new Set(historyCodes.slice(-recentCount));
+  }
+
+  if (mode === ROTATION_MODES.CYCLE) {
+    const regionSet = new Set(regionCodes);
+    let seen = new Set();
+
+    for (const code of historyCodes) {
+      if (!regionSet.has(code)) continue;
+      seen.add(code);
+      if (seen.size === regionSet.size) {
+        seen = new Set();
+      }
+    }
+    return seen;
+  }
+
+  return new Set();
+}
+
+describe('Bird Rotation', () => {
+  const region = ['a', 'b', 'c', 'd'];
+
+  test('random mode should exclude nothing', () => {
+    const excluded = getRotationExcludeCodes('random', ['a', 'b'], region, 30);
+    expect(excluded.size).toBe(0);
+  });
+
+  test('avoidRecent mode should exclude only the last N views', () => {
+    const excluded = getRotationExcludeCodes('avoidRecent', ['a', 'b', 'c', 'd'], region, 2);
+    expect([...excluded].sort()).toEqual(['c', 'd']);
+  });
+
+  test('cycle mode should exclude species seen in the current pass', () => {
+    const excluded = getRotationExcludeCodes('cycle', ['b', 'a', 'b'], region, 30);
+    expect([...excluded].sort()).toEqual(['a', 'b']);
+  });
+
+  test('cycle mode should start a new pass once the region is covered', () => {
+    const excluded = getRotationExcludeCodes('cycle', ['a', 'b', 'c', 'd', 'c'], region, 30);
+    expect([...excluded]).toEqual(['c']);
+
+    const fresh = getRotationExcludeCodes('cycle', ['a', 'b', 'c', 'd'], region, 30);
+    expect(fresh.size).toBe(0);
+  });
+
+  test('cycle mode should ignore species from other regions', () => {
+    const excluded = getRotationExcludeCodes('cycle', ['x', 'a', 'y'], region, 30);
+    expect([...excluded]).toEqual(['a']);
+  });
+
+  test('unknown mode should behave like random', () => {
+    expect(getRotationExcludeCodes(undefined, ['a'], region, 30).size).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Species Progress Tests
+ *
+ * Tests cover the Leitner scheduler behind quiz spaced repetition:
+ * - Correct answers move a species up one box, wrong answers back to box 1
+ * - Due species come first in the next quiz, most urgent first
+ * - Mastery counts per region
+ */
+
+const LEITNER_INTERVALS_DAYS = [0, 1, 3, 7, 21];
+const MAX_LEITNER_BOX = LEITNER_INTERVALS_DAYS.length;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mirrored from speciesProgress.js
+function applyReviewResult(entry, isCorrect, now) {
+  const box = isCorrect ? Math.min((entry?.box || 0) + 1, MAX_LEITNER_BOX) : 1;
+  return {
+    box,
+    correct: (entry?.correct || 0) + (isCorrect ? 1 : 0),
+    incorrect: (entry?.incorrect || 0) + (isCorrect ? 0 : 1),
+    lastSeen: now,
+    due: now + LEITNER_INTERVALS_DAYS[box - 1] * DAY_MS,
+  };
+}
+
+function getDueSpeciesCodes(progress, codes, now) {
+  return codes
+    .filter(code => progress[code] && progress[code].due <= now)
+    .sort((a, b) => (progress[a].box - progress[b].box) || (progress[a].due - progress[b].due));
+}
+
+function orderForReview(birds, progress, now) {
+  const byCode = new Map(birds.map(bird => [bird.speciesCode, bird]));
+  const due = getDueSpeciesCodes(progress, [...byCode.keys()], now).map(code => byCode.get(code));
+  const dueSet = new Set(due);
+  const unseen = birds.filter(bird => !progress[bird.speciesCode]);
+  const later = birds
+    .filter(bird => progress[bird.speciesCode] && !dueSet.has(bird))
+    .sort((a, b) => progress[a.speciesCode].due - progress[b.speciesCode].due);
+  return [...due, ...unseen, ...later];
+}
+
+function getMasterySummary(progress, codes) {
+  const boxes = new Array(MAX_LEITNER_BOX).fill(0);
+  let unseen = 0;
+  for (const code of codes) {
+    const box = progress[code]?.box;
+    if (box) {
+      boxes[box - 1]++;
+    } else {
+      unseen++;
+    }
+  }
+  const mastered = boxes[MAX_LEITNER_BOX - 1];
+  return { unseen, learning: codes.length - unseen - mastered, mastered, boxes };
+}
+
+describe('Species Progress', () => {
+  const now = Date.UTC(2026, 9, 19);
+
+  describe('applyReviewResult', () => {
+    test('a first correct answer puts the species in box 1, due again right away', () => {
+      const entry = applyReviewResult(undefined, true, now);
+      expect(entry).toEqual({ box: 1, correct: 1, incorrect: 0, lastSeen: now, due: now });
+    });
+
+    test('correct answers climb one box at a time and wait longer', () => {
+      let entry;
+      for (let i = 0; i < 3; i++) entry = applyReviewResult(entry, true, now);
+      expect(entry.box).toBe(3);
+      expect(entry.due).toBe(now + 3 * DAY_MS);
+    });
+
+    test('the top box is the ceiling', () => {
+      let entry;
+      for (let i = 0; i < 8; i++) entry = applyReviewResult(entry, true, now);
+      expect(entry.box).toBe(MAX_LEITNER_BOX);
+      expect(entry.correct).toBe(8);
+    });
+
+    test('a wrong answer sends the species back to box 1', () => {
+      const entry = applyReviewResult({ box: 4, correct: 5, incorrect: 0, lastSeen: 0, due: 0 }, false, now);
+      expect(entry).toMatchObject({ box: 1, correct: 5, incorrect: 1, due: now });
+    });
+  });
+
+  describe('ordering for review', () => {
+    const progress = {
+      wrong: { box: 1, due: now - DAY_MS },
+      review: { box: 3, due: now - 2 * DAY_MS },
+      wrongRecent: { box: 1, due: now },
+      later: { box: 5, due: now + 10 * DAY_MS },
+      soon: { box: 2, due: now + DAY_MS }
+    };
+
+    test('due species are ordered by box, then by how overdue they are', () => {
+      expect(getDueSpeciesCodes(progress, Object.keys(progress), now)).toEqual(['wrong', 'wrongRecent', 'review']);
+    });
+
+    test('due species come first, then unseen, then the rest by due date', () => {
+      const birds = ['later', 'fresh1', 'soon', 'review', 'fresh2', 'wrong']
+        .map(speciesCode => ({ speciesCode }));
+      const ordered = orderForReview(birds, progress, now).map(bird => bird.speciesCode);
+      expect(ordered).toEqual(['wrong', 'review', 'fresh1', 'fresh2', 'soon', 'later']);
+    });
+  });
+
+  test('mastery summary counts boxes for the region only', () => {
+    const progress = {
+      a: { box: 5 }, b: { box: 1 }, c: { box: 3 }, outside: { box: 5 }
+    };
+    expect(getMasterySummary(progress, ['a', 'b', 'c', 'd'])).toEqual({
+      unseen: 1,
+      learning: 2,
+      mastered: 1,
+      boxes: [1, 0, 1, 0, 1]
+    });
+  });
+});
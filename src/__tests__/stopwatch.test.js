@@ -0,0 +1,153 @@
+/**
+ * Stopwatch Tests
+ *
+ * Tests for the stopwatch display mode:
+ * - Elapsed time derived from the stored start time, across pauses
+ * - Time formatting with hundredths
+ * - Lap rows with lap and total times, fastest and slowest marked
+ * - Keyboard shortcuts
+ */
+
+const STOPWATCH_STATE = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused'
+};
+
+const STOPWATCH_KEY_ACTIONS = {
+  START: 'start',
+  PAUSE: 'pause',
+  LAP: 'lap',
+  RESET: 'reset'
+};
+
+// Mirrored from stopwatch.js (module state passed in)
+function getElapsedMs({ stopwatchState, startTime, elapsedBefore }, now) {
+  if (stopwatchState === STOPWATCH_STATE.RUNNING && startTime) {
+    return elapsedBefore + Math.max(0, now - startTime);
+  }
+  return elapsedBefore;
+}
+
+function formatElapsed(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+  const fraction = Math.floor((ms % 1000) / 10).toString().padStart(2, '0');
+
+  const main = hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+  return { main, fraction };
+}
+
+function getLapRows(splits) {
+  const rows = splits.map((totalMs, index) => ({
+    number: index + 1,
+    lapMs: totalMs - (index > 0 ? splits[index - 1] : 0),
+    totalMs
+  }));
+
+  const lapTimes = rows.map(row => row.lapMs);
+  const fastest = rows.length >= 3 ? Math.min(...lapTimes) : null;
+  const slowest = rows.length >= 3 ? Math.max(...lapTimes) : null;
+
+  return rows
+    .map(row => ({ ...row, isFastest: row.lapMs === fastest, isSlowest: row.lapMs === slowest }))
+    .reverse();
+}
+
+function getStopwatchKeyAction(key, state) {
+  const isRunning = state === STOPWATCH_STATE.RUNNING;
+  switch (key.toLowerCase()) {
+    case ' ':
+      return isRunning ? STOPWATCH_KEY_ACTIONS.PAUSE : STOPWATCH_KEY_ACTIONS.START;
+    case 'l':
+      return isRunning ? STOPWATCH_KEY_ACTIONS.LAP : null;
+    case 'r':
+      return state === STOPWATCH_STATE.PAUSED ? STOPWATCH_KEY_ACTIONS.RESET : null;
+    default:
+      return null;
+  }
+}
+
+const NOW = 1_760_000_000_000;
+
+describe('Stopwatch', () => {
+  describe('elapsed time', () => {
+    test('a running stopwatch counts from its start time', () => {
+      const state = { stopwatchState: STOPWATCH_STATE.RUNNING, startTime: NOW - 4500, elapsedBefore: 0 };
+      expect(getElapsedMs(state, NOW)).toBe(4500);
+    });
+
+    test('time before a pause is kept when it runs again', () => {
+      const state = { stopwatchState: STOPWATCH_STATE.RUNNING, startTime: NOW - 1000, elapsedBefore: 60000 };
+      expect(getElapsedMs(state, NOW)).toBe(61000);
+    });
+
+    test('a paused stopwatch stands still', () => {
+      const state = { stopwatchState: STOPWATCH_STATE.PAUSED, startTime: null, elapsedBefore: 60000 };
+      expect(getElapsedMs(state, NOW)).toBe(60000);
+      expect(getElapsedMs(state, NOW + 5000)).toBe(60000);
+    });
+
+    test('another tab with a clock slightly behind never shows negative time', () => {
+      const state = { stopwatchState: STOPWATCH_STATE.RUNNING, startTime: NOW + 200, elapsedBefore: 0 };
+      expect(getElapsedMs(state, NOW)).toBe(0);
+    });
+  });
+
+  describe('formatting', () => {
+    test('minutes, seconds and hundredths', () => {
+      expect(formatElapsed(0)).toEqual({ main: '0:00', fraction: '00' });
+      expect(formatElapsed(723456)).toEqual({ main: '12:03', fraction: '45' });
+    });
+
+    test('hours once past an hour', () => {
+      expect(formatElapsed(3723009)).toEqual({ main: '1:02:03', fraction: '00' });
+    });
+  });
+
+  describe('laps', () => {
+    test('are listed newest first with lap and total times', () => {
+      const rows = getLapRows([30000, 75000]);
+      expect(rows.map(row => [row.number, row.lapMs, row.totalMs])).toEqual([
+        [2, 45000, 75000],
+        [1, 30000, 30000]
+      ]);
+    });
+
+    test('mark the fastest and slowest from three laps on', () => {
+      expect(getLapRows([30000, 75000]).some(row => row.isFastest || row.isSlowest)).toBe(false);
+
+      const rows = getLapRows([30000, 75000, 95000]);
+      expect(rows.find(row => row.isFastest).number).toBe(3);
+      expect(rows.find(row => row.isSlowest).number).toBe(2);
+    });
+  });
+
+  describe('keyboard shortcuts', () => {
+    test('space starts, pauses and resumes', () => {
+      expect(getStopwatchKeyAction(' ', STOPWATCH_STATE.IDLE)).toBe(STOPWATCH_KEY_ACTIONS.START);
+      expect(getStopwatchKeyAction(' ', STOPWATCH_STATE.RUNNING)).toBe(STOPWATCH_KEY_ACTIONS.PAUSE);
+      expect(getStopwatchKeyAction(' ', STOPWATCH_STATE.PAUSED)).toBe(STOPWATCH_KEY_ACTIONS.START);
+    });
+
+    test('L records a lap only while running', () => {
+      expect(getStopwatchKeyAction('l', STOPWATCH_STATE.RUNNING)).toBe(STOPWATCH_KEY_ACTIONS.LAP);
+      expect(getStopwatchKeyAction('L', STOPWATCH_STATE.RUNNING)).toBe(STOPWATCH_KEY_ACTIONS.LAP);
+      expect(getStopwatchKeyAction('l', STOPWATCH_STATE.PAUSED)).toBeNull();
+    });
+
+    test('R resets only once paused, so a running stopwatch is not lost', () => {
+      expect(getStopwatchKeyAction('r', STOPWATCH_STATE.PAUSED)).toBe(STOPWATCH_KEY_ACTIONS.RESET);
+      expect(getStopwatchKeyAction('r', STOPWATCH_STATE.RUNNING)).toBeNull();
+    });
+
+    test('other keys are left alone', () => {
+      expect(getStopwatchKeyAction('q', STOPWATCH_STATE.RUNNING)).toBeNull();
+      expect(getStopwatchKeyAction('Enter', STOPWATCH_STATE.IDLE)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Timer Alarm Tests
+ *
+ * Tests for the choice of timer alarm sound:
+ * - Stored settings filled in and kept to what the menu offers
+ * - The bird call to play for this tab's bird or a favorite
+ * - The fade-in time and chirp repeats following the ring time
+ */
+
+const ALARM_SOUNDS = {
+  CHIRP: 'chirp',
+  BIRD_CALL: 'birdCall',
+  FAVORITE: 'favorite',
+  FADE_IN: 'fadeIn'
+};
+
+const ALARM_DURATIONS = [10, 30, 60, 120];
+const ALARM_DEFAULTS = { sound: ALARM_SOUNDS.CHIRP, favoriteCode: null, volume: 0.8, duration: 30 };
+const ALARM_FADE_IN_MAX_SECONDS = 20;
+const ALARM_PATTERN_DURATION = 3;
+
+// Mirrored from timerAlarm.js
+function normalizeAlarmSettings(settings = {}) {
+  const volume = Number(settings?.volume);
+  return {
+    sound: Object.values(ALARM_SOUNDS).includes(settings?.sound) ? settings.sound : ALARM_DEFAULTS.sound,
+    favoriteCode: typeof settings?.favoriteCode === 'string' ? settings.favoriteCode : null,
+    volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : ALARM_DEFAULTS.volume,
+    duration: ALARM_DURATIONS.includes(settings?.duration) ? settings.duration : ALARM_DEFAULTS.duration
+  };
+}
+
+function getAlarmRecordingUrl(settings, currentBird, favorites) {
+  if (settings.sound === ALARM_SOUNDS.BIRD_CALL) {
+    return currentBird?.mediaUrl || null;
+  }
+  if (settings.sound === ALARM_SOUNDS.FAVORITE) {
+    const favorite = favorites.find(entry => entry.speciesCode === settings.favoriteCode);
+    return favorite?.mediaUrl || null;
+  }
+  return null;
+}
+
+function getAlarmFadeInSeconds(durationSeconds) {
+  return Math.min(ALARM_FADE_IN_MAX_SECONDS, durationSeconds / 2);
+}
+
+// Mirrored from getAlarmSound() in timer.js
+function getChirpRepeatCount(durationSeconds) {
+  return Math.ceil(durationSeconds / ALARM_PATTERN_DURATION);
+}
+
+const ROBIN = { speciesCode: 'amerob', mediaUrl: 'https://example.com/amerob.mp3' };
+const WREN = { speciesCode: 'carwre', mediaUrl: 'https://example.com/carwre.mp3' };
+
+describe('Timer Alarm', () => {
+  describe('normalizeAlarmSettings', () => {
+    test('no stored settings gives the 30 second chirp', () => {
+      expect(normalizeAlarmSettings()).toEqual(ALARM_DEFAULTS);
+      expect(normalizeAlarmSettings(null)).toEqual(ALARM_DEFAULTS);
+    });
+
+    test('keeps valid settings', () => {
+      const settings = { sound: ALARM_SOUNDS.FAVORITE, favoriteCode: 'amerob', volume: 0.25, duration: 120 };
+      expect(normalizeAlarmSettings(settings)).toEqual(settings);
+    });
+
+    test('unknown sounds and ring times fall back to the defaults', () => {
+      const settings = normalizeAlarmSettings({ sound: 'siren', duration: 45 });
+      expect(settings.sound).toBe(ALARM_SOUNDS.CHIRP);
+      expect(settings.duration).toBe(30);
+    });
+
+    test('volume is clamped to 0-1, and a silent alarm stays silent', () => {
+      expect(normalizeAlarmSettings({ volume: 3 }).volume).toBe(1);
+      expect(normalizeAlarmSettings({ volume: -1 }).volume).toBe(0);
+      expect(normalizeAlarmSettings({ volume: 0 }).volume).toBe(0);
+      expect(normalizeAlarmSettings({ volume: 'loud' }).volume).toBe(0.8);
+    });
+  });
+
+  describe('getAlarmRecordingUrl', () => {
+    test('the synthesized sounds have no recording', () => {
+      expect(getAlarmRecordingUrl({ sound: ALARM_SOUNDS.CHIRP }, ROBIN, [WREN])).toBeNull();
+      expect(getAlarmRecordingUrl({ sound: ALARM_SOUNDS.FADE_IN }, ROBIN, [WREN])).toBeNull();
+    });
+
+    test('the bird call is this tab\'s bird', () => {
+      expect(getAlarmRecordingUrl({ sound: ALARM_SOUNDS.BIRD_CALL }, ROBIN, [])).toBe(ROBIN.mediaUrl);
+    });
+
+    test('a bird without a call, or no bird yet, means the chirp', () => {
+      expect(getAlarmRecordingUrl({ sound: ALARM_SOUNDS.BIRD_CALL }, { speciesCode: 'x', mediaUrl: null }, [])).toBeNull();
+      expect(getAlarmRecordingUrl({ sound: ALARM_SOUNDS.BIRD_CALL }, null, [])).toBeNull();
+    });
+
+    test('the favorite call is the chosen species', () => {
+      const settings = { sound: ALARM_SOUNDS.FAVORITE, favoriteCode: 'carwre' };
+      expect(getAlarmRecordingUrl(settings, ROBIN, [ROBIN, WREN])).toBe(WREN.mediaUrl);
+    });
+
+    test('an unfavorited species means the chirp', () => {
+      const settings = { sound: ALARM_SOUNDS.FAVORITE, favoriteCode: 'carwre' };
+      expect(getAlarmRecordingUrl(settings, ROBIN, [ROBIN])).toBeNull();
+    });
+  });
+
+  describe('ring time', () => {
+    test('the fade-in takes half the ring time, at most 20 seconds', () => {
+      expect(getAlarmFadeInSeconds(10)).toBe(5);
+      expect(getAlarmFadeInSeconds(30)).toBe(15);
+      expect(getAlarmFadeInSeconds(120)).toBe(20);
+    });
+
+    test('chirps repeat for the whole ring time', () => {
+      ALARM_DURATIONS.forEach(seconds => {
+        expect(getChirpRepeatCount(seconds) * ALARM_PATTERN_DURATION).toBeGreaterThanOrEqual(seconds);
+      });
+      expect(getChirpRepeatCount(30)).toBe(10);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Background Timer Tests
+ *
+ * Tests for the countdown owned by the background worker:
+ * - Remaining time derived from the stored end time
+ * - Commands only applying from the states they make sense in
+ * - Finishing only once the end time has passed
+ * - Pomodoro phases starting one after another
+ */
+
+const TIMER_STATE = {
+  SETUP: 'setup',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  FINISHED: 'finished'
+};
+
+const TIMER_COMMANDS = {
+  START: 'start',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  RESET: 'reset',
+  FINISH: 'finish'
+};
+
+// Mirrored from timerState.js (Pomodoro settings are passed in already normalized)
+function getNextPomodoroPhase(pomodoro) {
+  if (pomodoro.phase === 'work') {
+    return { ...pomodoro, phase: pomodoro.cycle >= pomodoro.cycles ? 'longBreak' : 'shortBreak' };
+  }
+  if (pomodoro.phase === 'shortBreak') {
+    return { ...pomodoro, phase: 'work', cycle: pomodoro.cycle + 1 };
+  }
+  return null;
+}
+
+function getRemainingSeconds(endTime, now = Date.now()) {
+  return Math.max(0, Math.ceil((endTime - now) / 1000));
+}
+
+function applyTimerCommand(state, command, { duration, pomodoro, now = Date.now() } = {}) {
+  const remaining = state.timerState === TIMER_STATE.RUNNING
+    ? getRemainingSeconds(state.timerEndTime, now)
+    : state.timerRemainingTime || 0;
+
+  switch (command) {
+    case TIMER_COMMANDS.START: {
+      const phase = pomodoro ? { ...pomodoro, phase: 'work', cycle: 1 } : null;
+      const seconds = phase ? phase[phase.phase] * 60 : duration;
+      if (!(seconds > 0)) return null;
+      return {
+        timerState: TIMER_STATE.RUNNING,
+        timerTotalDuration: seconds,
+        timerRemainingTime: seconds,
+        timerEndTime: now + seconds * 1000,
+        timerLastUpdate: now,
+        timerPomodoro: phase
+      };
+    }
+    case TIMER_COMMANDS.PAUSE:
+      if (state.timerState !== TIMER_STATE.RUNNING || remaining <= 0) return null;
+      return {
+        timerState: TIMER_STATE.PAUSED,
+        timerRemainingTime: remaining,
+        timerEndTime: null,
+        timerLastUpdate: now
+      };
+    case TIMER_COMMANDS.RESUME:
+      if (state.timerState !== TIMER_STATE.PAUSED || remaining <= 0) return null;
+      return {
+        timerState: TIMER_STATE.RUNNING,
+        timerEndTime: now + remaining * 1000,
+        timerLastUpdate: now
+      };
+    case TIMER_COMMANDS.RESET:
+      return {
+        timerState: TIMER_STATE.SETUP,
+        timerRemainingTime: state.timerTotalDuration || 0,
+        timerEndTime: null,
+        timerLastUpdate: now,
+        timerPomodoro: null
+      };
+    case TIMER_COMMANDS.FINISH: {
+      if (state.timerState !== TIMER_STATE.RUNNING || remaining > 0) return null;
+      const nextPhase = state.timerPomodoro ? getNextPomodoroPhase(state.timerPomodoro) : null;
+      if (nextPhase) {
+        const seconds = nextPhase[nextPhase.phase] * 60;
+        return {
+          timerState: TIMER_STATE.RUNNING,
+          timerTotalDuration: seconds,
+          timerRemainingTime: seconds,
+          timerEndTime: now + seconds * 1000,
+          timerLastUpdate: now,
+          timerPomodoro: nextPhase
+        };
+      }
+      return {
+        timerState: TIMER_STATE.FINISHED,
+        timerRemainingTime: 0,
+        timerEndTime: null,
+        timerLastUpdate: now,
+        timerPomodoro: null
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+const NOW = 1_760_000_000_000;
+const run = (state, command, options = {}) =>
+  ({ ...state, ...applyTimerCommand(state, command, { now: NOW, ...options }) });
+
+describe('Background Timer', () => {
+  describe('remaining time', () => {
+    test('rounds up so a timer only reads 0 once it is done', () => {
+      expect(getRemainingSeconds(NOW + 1500, NOW)).toBe(2);
+      expect(getRemainingSeconds(NOW + 1, NOW)).toBe(1);
+      expect(getRemainingSeconds(NOW, NOW)).toBe(0);
+    });
+
+    test('never goes below zero', () => {
+      expect(getRemainingSeconds(NOW - 60000, NOW)).toBe(0);
+    });
+  });
+
+  describe('commands', () => {
+    test('start stores an absolute end time', () => {
+      const state = run({ timerState: TIMER_STATE.SETUP }, TIMER_COMMANDS.START, { duration: 300 });
+      expect(state.timerState).toBe(TIMER_STATE.RUNNING);
+      expect(state.timerEndTime).toBe(NOW + 300000);
+      expect(state.timerTotalDuration).toBe(300);
+    });
+
+    test('start needs a positive duration', () => {
+      expect(applyTimerCommand({}, TIMER_COMMANDS.START, { duration: 0, now: NOW })).toBeNull();
+      expect(applyTimerCommand({}, TIMER_COMMANDS.START, { now: NOW })).toBeNull();
+    });
+
+    test('pause keeps the time left and resume picks it up again', () => {
+      const running = run({}, TIMER_COMMANDS.START, { duration: 60 });
+      const paused = run(running, TIMER_COMMANDS.PAUSE, { now: NOW + 20000 });
+      expect(paused.timerState).toBe(TIMER_STATE.PAUSED);
+      expect(paused.timerRemainingTime).toBe(40);
+      expect(paused.timerEndTime).toBeNull();
+
+      const resumed = run(paused, TIMER_COMMANDS.RESUME, { now: NOW + 500000 });
+      expect(resumed.timerState).toBe(TIMER_STATE.RUNNING);
+      expect(resumed.timerEndTime).toBe(NOW + 540000);
+    });
+
+    test('pause and resume are ignored from the wrong state', () => {
+      expect(applyTimerCommand({ timerState: TIMER_STATE.SETUP }, TIMER_COMMANDS.PAUSE, { now: NOW })).toBeNull();
+      expect(applyTimerCommand({ timerState: TIMER_STATE.RUNNING, timerEndTime: NOW + 5000 }, TIMER_COMMANDS.RESUME, { now: NOW })).toBeNull();
+    });
+
+    test('reset goes back to setup with the full duration', () => {
+      const running = run({}, TIMER_COMMANDS.START, { duration: 90 });
+      const reset = run(running, TIMER_COMMANDS.RESET, { now: NOW + 30000 });
+      expect(reset.timerState).toBe(TIMER_STATE.SETUP);
+      expect(reset.timerRemainingTime).toBe(90);
+      expect(reset.timerEndTime).toBeNull();
+    });
+
+    test('unknown commands do nothing', () => {
+      expect(applyTimerCommand({}, 'explode', { now: NOW })).toBeNull();
+    });
+  });
+
+  describe('finishing', () => {
+    const running = { timerState: TIMER_STATE.RUNNING, timerEndTime: NOW + 10000 };
+
+    test('is refused while time is left, e.g. a tab asking a moment early', () => {
+      expect(applyTimerCommand(running, TIMER_COMMANDS.FINISH, { now: NOW + 9000 })).toBeNull();
+    });
+
+    test('applies once the end time has passed, even if the alarm was late', () => {
+      const finished = run(running, TIMER_COMMANDS.FINISH, { now: NOW + 45000 });
+      expect(finished.timerState).toBe(TIMER_STATE.FINISHED);
+      expect(finished.timerRemainingTime).toBe(0);
+    });
+
+    test('happens only once', () => {
+      const finished = run(running, TIMER_COMMANDS.FINISH, { now: NOW + 10000 });
+      expect(applyTimerCommand(finished, TIMER_COMMANDS.FINISH, { now: NOW + 11000 })).toBeNull();
+    });
+  });
+
+  describe('pomodoro', () => {
+    const settings = { work: 25, shortBreak: 5, longBreak: 15, cycles: 2 };
+
+    test('starts with the first focus session', () => {
+      const state = run({}, TIMER_COMMANDS.START, { pomodoro: settings });
+      expect(state.timerPomodoro).toMatchObject({ phase: 'work', cycle: 1 });
+      expect(state.timerEndTime).toBe(NOW + 25 * 60000);
+    });
+
+    test('finishing a phase starts the next one instead of finishing', () => {
+      const focus = run({}, TIMER_COMMANDS.START, { pomodoro: settings });
+      const onBreak = run(focus, TIMER_COMMANDS.FINISH, { now: focus.timerEndTime });
+      expect(onBreak.timerState).toBe(TIMER_STATE.RUNNING);
+      expect(onBreak.timerPomodoro.phase).toBe('shortBreak');
+      expect(onBreak.timerEndTime).toBe(focus.timerEndTime + 5 * 60000);
+    });
+
+    test('the timer finishes after the long break', () => {
+      let state = run({}, TIMER_COMMANDS.START, { pomodoro: settings });
+      const phases = [];
+      while (state.timerState === TIMER_STATE.RUNNING) {
+        phases.push(state.timerPomodoro.phase);
+        state = { ...state, ...applyTimerCommand(state, TIMER_COMMANDS.FINISH, { now: state.timerEndTime }) };
+      }
+      expect(phases).toEqual(['work', 'shortBreak', 'work', 'longBreak']);
+      expect(state.timerState).toBe(TIMER_STATE.FINISHED);
+      expect(state.timerPomodoro).toBeNull();
+    });
+
+    test('reset and plain countdowns clear it', () => {
+      const focus = run({}, TIMER_COMMANDS.START, { pomodoro: settings });
+      expect(run(focus, TIMER_COMMANDS.RESET).timerPomodoro).toBeNull();
+      expect(run(focus, TIMER_COMMANDS.START, { duration: 60 }).timerPomodoro).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Pomodoro Timer Tests
+ *
+ * Tests for Pomodoro cycles in the timer:
+ * - Settings clamped to sensible whole numbers
+ * - Focus sessions alternating with short breaks, then a long break
+ * - A distinct chirp pattern per phase, derived from the alarm
+ * - Phase-prefixed tab titles being stripped back to the page title, and only those
+ */
+
+const POMODORO_PHASE = {
+  WORK: 'work',
+  SHORT_BREAK: 'shortBreak',
+  LONG_BREAK: 'longBreak'
+};
+
+const POMODORO_DEFAULTS = { work: 25, shortBreak: 5, longBreak: 15, cycles: 4 };
+const POMODORO_LIMITS = { work: 180, shortBreak: 60, longBreak: 120, cycles: 12 };
+
+// Mirrored from timerState.js
+function normalizePomodoroSettings(settings = {}) {
+  const normalized = {};
+  for (const [key, fallback] of Object.entries(POMODORO_DEFAULTS)) {
+    const value = Math.round(Number(settings[key]));
+    normalized[key] = Number.isFinite(value)
+      ? Math.min(POMODORO_LIMITS[key], Math.max(1, value))
+      : fallback;
+  }
+  return normalized;
+}
+
+function getPomodoroPhaseDuration(pomodoro) {
+  return pomodoro[pomodoro.phase] * 60;
+}
+
+function getNextPomodoroPhase(pomodoro) {
+  if (pomodoro.phase === POMODORO_PHASE.WORK) {
+    const isLastSession = pomodoro.cycle >= pomodoro.cycles;
+    return {
+      ...pomodoro,
+      phase: isLastSession ? POMODORO_PHASE.LONG_BREAK : POMODORO_PHASE.SHORT_BREAK
+    };
+  }
+  if (pomodoro.phase === POMODORO_PHASE.SHORT_BREAK) {
+    return { ...pomodoro, phase: POMODORO_PHASE.WORK, cycle: pomodoro.cycle + 1 };
+  }
+  return null;
+}
+
+// Mirrored from timer.js
+const ALARM_CHIRP_PATTERN = [
+  { time: 0, freq: 1200 },
+  { time: 0.3, freq: 1400 },
+  { time: 0.5, freq: 1100 },
+  { time: 1.5, freq: 1300 },
+  { time: 1.8, freq: 1500 },
+  { time: 2.0, freq: 1200 },
+];
+
+function createPhaseSound(pattern, pitch, tempo) {
+  return pattern.map(chirp => ({ time: chirp.time * tempo, freq: Math.round(chirp.freq * pitch) }));
+}
+
+const POMODORO_PHASE_SOUNDS = {
+  [POMODORO_PHASE.WORK]: createPhaseSound(ALARM_CHIRP_PATTERN, 1.25, 0.6),
+  [POMODORO_PHASE.SHORT_BREAK]: createPhaseSound(ALARM_CHIRP_PATTERN.slice(0, 3), 0.85, 1),
+  [POMODORO_PHASE.LONG_BREAK]: createPhaseSound(ALARM_CHIRP_PATTERN, 0.7, 1.4)
+};
+
+// Mirrored from utils/tabTitle.js
+function stripTitlePrefix(title, phaseLabels = []) {
+  const labels = phaseLabels
+    .filter(Boolean)
+    .map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const phase = labels.length > 0 ? `(?:(?:${labels.join('|')}) )?` : '';
+  const prefix = new RegExp(`^(?:${phase}\\d+:\\d+(?::\\d+)?|Timer Done!) - `);
+  return title.replace(prefix, '');
+}
+
+// getBaseTitle() in timer.js passes the phase labels, English here
+const PHASE_LABELS = ['Focus', 'Short break', 'Long break'];
+const getBaseTitle = title => stripTitlePrefix(title, PHASE_LABELS);
+
+function runSet(settings) {
+  const phases = [];
+  let pomodoro = { ...normalizePomodoroSettings(settings), phase: POMODORO_PHASE.WORK, cycle: 1 };
+  while (pomodoro) {
+    phases.push(`${pomodoro.phase}:${pomodoro.cycle}`);
+    pomodoro = getNextPomodoroPhase(pomodoro);
+  }
+  return phases;
+}
+
+describe('Pomodoro Timer', () => {
+  describe('settings', () => {
+    test('missing settings fall back to 25/5/15 and 4 cycles', () => {
+      expect(normalizePomodoroSettings()).toEqual(POMODORO_DEFAULTS);
+      expect(normalizePomodoroSettings({ work: 'abc' }).work).toBe(25);
+    });
+
+    test('values are rounded and kept in range', () => {
+      expect(normalizePomodoroSettings({ work: '50', shortBreak: 0, longBreak: 999, cycles: 2.6 }))
+        .toEqual({ work: 50, shortBreak: 1, longBreak: 120, cycles: 3 });
+    });
+  });
+
+  describe('phases', () => {
+    test('focus sessions alternate with short breaks, ending on a long break', () => {
+      expect(runSet({ cycles: 3 })).toEqual([
+        'work:1', 'shortBreak:1',
+        'work:2', 'shortBreak:2',
+        'work:3', 'longBreak:3'
+      ]);
+    });
+
+    test('a single cycle goes straight to the long break', () => {
+      expect(runSet({ cycles: 1 })).toEqual(['work:1', 'longBreak:1']);
+    });
+
+    test('each phase lasts its configured number of minutes', () => {
+      const settings = normalizePomodoroSettings({ work: 50, shortBreak: 10, longBreak: 30 });
+      expect(getPomodoroPhaseDuration({ ...settings, phase: POMODORO_PHASE.WORK })).toBe(3000);
+      expect(getPomodoroPhaseDuration({ ...settings, phase: POMODORO_PHASE.SHORT_BREAK })).toBe(600);
+      expect(getPomodoroPhaseDuration({ ...settings, phase: POMODORO_PHASE.LONG_BREAK })).toBe(1800);
+    });
+  });
+
+  describe('phase sounds', () => {
+    test('every phase has its own chirp pattern', () => {
+      const patterns = Object.values(POMODORO_PHASE_SOUNDS).map(pattern => JSON.stringify(pattern));
+      expect(new Set(patterns).size).toBe(3);
+      expect(patterns).not.toContain(JSON.stringify(ALARM_CHIRP_PATTERN));
+    });
+
+    test('focus is brighter and faster than the alarm, the long break lower and slower', () => {
+      const work = POMODORO_PHASE_SOUNDS[POMODORO_PHASE.WORK];
+      const longBreak = POMODORO_PHASE_SOUNDS[POMODORO_PHASE.LONG_BREAK];
+      expect(work[0].freq).toBeGreaterThan(ALARM_CHIRP_PATTERN[0].freq);
+      expect(work[work.length - 1].time).toBeLessThan(2.0);
+      expect(longBreak[0].freq).toBeLessThan(ALARM_CHIRP_PATTERN[0].freq);
+      expect(longBreak[longBreak.length - 1].time).toBeGreaterThan(2.0);
+    });
+  });
+
+  describe('tab title', () => {
+    test('phase-prefixed titles are stripped back to the page title', () => {
+      expect(getBaseTitle('Focus 12:03 - BirdTab')).toBe('BirdTab');
+      expect(getBaseTitle('Short break 4:59 - BirdTab')).toBe('BirdTab');
+    });
+
+    test('plain countdown titles still work', () => {
+      expect(getBaseTitle('1:02:03 - BirdTab')).toBe('BirdTab');
+      expect(getBaseTitle('Timer Done! - BirdTab')).toBe('BirdTab');
+      expect(getBaseTitle('BirdTab')).toBe('BirdTab');
+    });
+
+    test('a page title containing a time is left alone', () => {
+      expect(getBaseTitle('Lunch at 12:30 - BirdTab')).toBe('Lunch at 12:30 - BirdTab');
+      expect(getBaseTitle('Focus 12:03 - Focus 11:59 - BirdTab')).toBe('Focus 11:59 - BirdTab');
+      expect(stripTitlePrefix('Focus 12:03 - BirdTab')).toBe('Focus 12:03 - BirdTab');
+    });
+
+    test('phase labels are matched literally', () => {
+      expect(stripTitlePrefix('Pause (5) 4:59 - BirdTab', ['Pause (5)'])).toBe('BirdTab');
+      expect(stripTitlePrefix('Pause 5 4:59 - BirdTab', ['Pause (5)'])).toBe('Pause 5 4:59 - BirdTab');
+    });
+  });
+});
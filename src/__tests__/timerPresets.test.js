@@ -0,0 +1,157 @@
+/**
+ * Timer Presets Tests
+ *
+ * Tests for user-saved timer presets:
+ * - Malformed stored presets being dropped
+ * - Adding, renaming, reordering and deleting presets
+ * - Short durations on the preset buttons
+ */
+
+const TIMER_PRESETS_MAX = 12;
+const TIMER_PRESET_LABEL_MAX_LENGTH = 20;
+const TIMER_PRESET_MAX_SECONDS = 99 * 3600 + 59 * 60 + 59;
+
+// Mirrored from timerPresets.js
+function cleanLabel(label) {
+  return String(label || '').trim().slice(0, TIMER_PRESET_LABEL_MAX_LENGTH);
+}
+
+function sanitizeTimerPresets(stored) {
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(preset => Number.isInteger(preset?.seconds) &&
+      preset.seconds > 0 && preset.seconds <= TIMER_PRESET_MAX_SECONDS)
+    .map(preset => ({ seconds: preset.seconds, label: cleanLabel(preset.label) }))
+    .slice(0, TIMER_PRESETS_MAX);
+}
+
+function addTimerPreset(presets, seconds, label = '') {
+  const preset = { seconds, label: cleanLabel(label) };
+  const isDuplicate = presets.some(existing =>
+    existing.seconds === preset.seconds && existing.label === preset.label);
+  if (!(seconds > 0) || isDuplicate || presets.length >= TIMER_PRESETS_MAX) {
+    return presets;
+  }
+  return [...presets, preset];
+}
+
+function renameTimerPreset(presets, index, label) {
+  return presets.map((preset, i) => (i === index ? { ...preset, label: cleanLabel(label) } : preset));
+}
+
+function moveTimerPreset(presets, index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= presets.length) return presets;
+
+  const result = [...presets];
+  [result[index], result[target]] = [result[target], result[index]];
+  return result;
+}
+
+function removeTimerPreset(presets, index) {
+  return presets.filter((_, i) => i !== index);
+}
+
+function formatPresetDuration(seconds, units) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  return [
+    hours > 0 ? `${hours}${units.hours}` : '',
+    minutes > 0 ? `${minutes}${units.minutes}` : '',
+    secs > 0 ? `${secs}${units.seconds}` : ''
+  ].filter(Boolean).join(' ');
+}
+
+const UNITS = { hours: 'h', minutes: 'm', seconds: 's' };
+const TEA = { seconds: 180, label: 'Tea' };
+const STANDUP = { seconds: 900, label: 'Standup' };
+const NAP = { seconds: 1200, label: '' };
+
+describe('Timer Presets', () => {
+  describe('sanitizeTimerPresets', () => {
+    test('anything but a list gives no presets', () => {
+      expect(sanitizeTimerPresets(undefined)).toEqual([]);
+      expect(sanitizeTimerPresets({ seconds: 60 })).toEqual([]);
+    });
+
+    test('drops presets without a usable time', () => {
+      const stored = [TEA, { seconds: 0 }, { seconds: 1.5 }, { seconds: '60' }, null, { seconds: 360000 }];
+      expect(sanitizeTimerPresets(stored)).toEqual([TEA]);
+    });
+
+    test('trims labels and fills in missing ones', () => {
+      expect(sanitizeTimerPresets([{ seconds: 60, label: '  Eggs  ' }, { seconds: 120 }])).toEqual([
+        { seconds: 60, label: 'Eggs' },
+        { seconds: 120, label: '' }
+      ]);
+    });
+
+    test('keeps at most the maximum number of presets', () => {
+      const stored = Array.from({ length: 20 }, (_, i) => ({ seconds: (i + 1) * 60 }));
+      expect(sanitizeTimerPresets(stored)).toHaveLength(TIMER_PRESETS_MAX);
+    });
+  });
+
+  describe('addTimerPreset', () => {
+    test('adds at the end with an empty label by default', () => {
+      expect(addTimerPreset([TEA], 1200)).toEqual([TEA, NAP]);
+    });
+
+    test('cuts long labels down', () => {
+      const [preset] = addTimerPreset([], 60, 'A very long label for a timer preset');
+      expect(preset.label).toHaveLength(TIMER_PRESET_LABEL_MAX_LENGTH);
+    });
+
+    test('returns the same list for a duplicate, a zero time or a full list', () => {
+      const presets = [TEA];
+      expect(addTimerPreset(presets, 180, 'Tea')).toBe(presets);
+      expect(addTimerPreset(presets, 0)).toBe(presets);
+
+      const full = Array.from({ length: TIMER_PRESETS_MAX }, (_, i) => ({ seconds: i + 1, label: '' }));
+      expect(addTimerPreset(full, 999)).toBe(full);
+    });
+
+    test('the same time with a different label is a separate preset', () => {
+      expect(addTimerPreset([TEA], 180, 'Eggs')).toHaveLength(2);
+    });
+  });
+
+  describe('editing', () => {
+    const presets = [TEA, STANDUP, NAP];
+
+    test('renames only the given preset', () => {
+      expect(renameTimerPreset(presets, 2, ' Nap ')).toEqual([TEA, STANDUP, { seconds: 1200, label: 'Nap' }]);
+      expect(renameTimerPreset(presets, 0, '')[0]).toEqual({ seconds: 180, label: '' });
+    });
+
+    test('moves presets up and down', () => {
+      expect(moveTimerPreset(presets, 1, -1)).toEqual([STANDUP, TEA, NAP]);
+      expect(moveTimerPreset(presets, 1, 1)).toEqual([TEA, NAP, STANDUP]);
+    });
+
+    test('moving past either end changes nothing', () => {
+      expect(moveTimerPreset(presets, 0, -1)).toBe(presets);
+      expect(moveTimerPreset(presets, 2, 1)).toBe(presets);
+    });
+
+    test('removes the given preset and leaves the input untouched', () => {
+      expect(removeTimerPreset(presets, 1)).toEqual([TEA, NAP]);
+      expect(presets).toEqual([TEA, STANDUP, NAP]);
+    });
+  });
+
+  describe('formatPresetDuration', () => {
+    test('skips zero units', () => {
+      expect(formatPresetDuration(5400, UNITS)).toBe('1h 30m');
+      expect(formatPresetDuration(150, UNITS)).toBe('2m 30s');
+      expect(formatPresetDuration(45, UNITS)).toBe('45s');
+      expect(formatPresetDuration(3601, UNITS)).toBe('1h 1s');
+    });
+
+    test('uses the given unit suffixes', () => {
+      expect(formatPresetDuration(90, { hours: ' h', minutes: ' min', seconds: ' s' })).toBe('1 min 30 s');
+    });
+  });
+});
@@ -320,15 +320,29 @@ export function trackQuizStarted(totalQuestions) {
  * analysis easier without needing formulas in PostHog
  * 
  * @param {number} score - Quiz score
- * @param {number} total - Total questions
+ * @param {number} total - Questions answered
  * @param {number} durationSec - Duration in seconds
+ * @param {Object} [details]
+ * @param {string} [details.quizType] - 'photo' or 'audio' (name that call)
+ * @param {string} [details.difficulty] - 'easy', 'medium' or 'hard'
+ * @param {number|string} [details.length] - Chosen number of questions, or 'endless'
+ * @param {string} [details.timerMode] - 'off', 'question' or 'session'
  */
-export function trackQuizCompleted(score, total, durationSec) {
+export function trackQuizCompleted(score, total, durationSec, {
+  quizType = 'photo',
+  difficulty = 'easy',
+  length = 10,
+  timerMode = 'off'
+} = {}) {
   track('quiz_completed', {
     score,
     total,
     duration_sec: durationSec,
     score_percent: total > 0 ? Math.round((score / total) * 100) : 0,
+    quiz_type: quizType,
+    difficulty,
+    quiz_length: String(length),
+    timer_mode: timerMode,
   });
 }
 
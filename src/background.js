@@ -3,15 +3,31 @@ import { initSentry, captureException, addBreadcrumb, reportApiError } from './s
 import { log } from './logger.js';
 import { getOrCreateVisitorId } from './shared.js';
 import { isBrowserNewTabUrl } from './browserInfo.js';
-import { needsMigration, runMigration, initializeFreshInstall } from './storageMigration.js';
-import { getManifest, getRandomBird, clearManifestCache, fetchManifest } from './mediaClient.js';
+import { needsMigration, runMigration, initializeFreshInstall, clearAutoWrittenRegion } from './storageMigration.js';
+import {
+  getManifest,
+  clearManifestCache,
+  fetchManifest,
+  checkForManifestUpdate,
+  getAvailableRegions,
+  getRegionBirds
+} from './mediaClient.js';
+import { getStoredRegion } from './regions.js';
+import { getHistory, getFavorites } from './viewHistory.js';
+import { getHiddenSpeciesCodes } from './hiddenSpecies.js';
+import { BIRD_SOURCES, getBirdPickSettings, pickNextBird, pickPackedBird } from './birdPicker.js';
+import { syncOfflinePack, clearOfflinePack } from './offlinePack.js';
+import { getPreloadQueue, enqueuePreloadedBird, clearPreloadQueue } from './preloadQueue.js';
+import { TIMER_STATE, TIMER_COMMANDS, TIMER_STORAGE_KEYS, POMODORO_PHASE, applyTimerCommand } from './timerState.js';
 
 // --- Event listeners registered FIRST ---
 // In MV3, Chrome only delivers pending events after module evaluation completes.
 // Registering listeners before heavy init (Sentry, etc.) ensures they are available
 // as early as possible when the service worker is woken from a cold start.
 
-let preloadInProgress = false;
+let preloadInProgress = null;
+// Bumped whenever the queue is cleared so an in-flight top-up drops birds picked under old settings
+let preloadGeneration = 0;
 let lastNewTabId = null;
 let serviceWorkerStartTime = Date.now();
 
@@ -34,20 +50,38 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+const MANIFEST_UPDATE_ALARM = 'manifestUpdateCheck';
+const OFFLINE_PACK_ALARM = 'offlinePackSync';
+const TIMER_ALARM = 'timerComplete';
+const TIMER_NOTIFICATION_ID = 'birdtab-timer';
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === MANIFEST_UPDATE_ALARM) {
+    runManifestUpdateCheck();
+  } else if (alarm.name === OFFLINE_PACK_ALARM) {
+    runOfflinePackSync();
+  } else if (alarm.name === TIMER_ALARM) {
+    runTimerCommand({ command: TIMER_COMMANDS.FINISH });
+  }
+});
+
+// Clicking the "timer done" notification opens BirdTab
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === TIMER_NOTIFICATION_ID) {
+    chrome.notifications.clear(notificationId);
+    chrome.tabs.create({});
+  }
+});
+
 // Message listener — registered before initSentry() so it's available immediately
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'preloadNext') {
-    if (!preloadInProgress) {
-      preloadInProgress = true;
-      preloadNextBird('WLD')
-        .catch(error => log(`Preload failed: ${error.message}`))
-        .finally(() => { preloadInProgress = false; });
-    }
+    topUpPreloadQueue();
     sendResponse({ ok: true });
     return true;
   } else if (request.action === 'deleteCache') {
     clearCache();
-    chrome.storage.local.remove('preloadedBird');
+    resetPreloadQueue().catch(error => log(`Preload queue reset failed: ${error.message}`));
     // Re-run bootstrap to simulate service worker cold start
     bootstrap({ forceRefresh: true });
     sendResponse({ message: 'Cache deleted' });
@@ -55,25 +89,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   } else if (request.action === 'getBirdsByRegion') {
     (async () => {
       try {
-        const manifest = await getManifest();
-        const codes = manifest.regions?.WLD?.speciesCodes ?? [];
-        const speciesByCode = new Map(manifest.species.map(s => [s.speciesCode, s]));
-        const birds = codes.map(code => {
-          const entry = speciesByCode.get(code);
-          if (!entry) return null;
-          return {
-            speciesCode: entry.speciesCode,
-            primaryComName: entry.primaryComName,
-            scientificName: entry.scientificName,
-            imageUrl: entry.image?.renditions?.default?.url ?? null,
-            photographer: entry.image?.creatorName ?? null,
-            photographerUrl: entry.image?.creatorUrl ?? null,
-            imageLicense: entry.image?.license ?? null,
-            imageLicenseUrl: entry.image?.licenseUrl ?? null,
-            imageSource: entry.image?.source ?? null,
-            imageSourceUrl: entry.image?.sourceUrl ?? null,
-          };
-        }).filter(Boolean);
+        const birds = await getRegionBirds(request.region || await getStoredRegion());
         sendResponse({ success: true, birds });
       } catch (error) {
         captureException(error, {
@@ -84,6 +100,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
     })();
     return true;
+  } else if (request.action === 'getRegions') {
+    (async () => {
+      try {
+        const manifest = await getManifest();
+        sendResponse({ success: true, regions: getAvailableRegions(manifest) });
+      } catch (error) {
+        log(`Error listing regions: ${error.message}`);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
   } else if (request.action === 'fetchManifest') {
     (async () => {
       try {
@@ -95,6 +122,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
     })();
     return true;
+  } else if (request.action === 'timerCommand') {
+    runTimerCommand(request).then(() => sendResponse({ success: true }));
+    return true;
   } else if (request.action === 'isManifestReady') {
     (async () => {
       try {
@@ -123,18 +153,36 @@ self.addEventListener('unhandledrejection', (event) => {
   });
 });
 
-async function fetchBirdInfo(region) {
+/**
+ * Pick the next bird for a new tab.
+ * @param {string} region - Region code
+ * @param {Set<string>} [queuedCodes] - Species already waiting in the preload queue
+ */
+async function fetchBirdInfo(region, queuedCodes = null) {
   log(`Fetching bird info for region: ${region}`);
   const startTime = Date.now();
   addBreadcrumb(`Fetching bird info for region: ${region}`, 'http', 'info');
 
   try {
-    const birdInfo = await getRandomBird(region);
-    if (!birdInfo) {
-      throw new Error('No bird found in manifest for region ' + region);
+    // Packed birds and favorites can still be picked without a manifest
+    let manifestError = null;
+    const [manifest, settings] = await Promise.all([
+      getManifest().catch(error => {
+        manifestError = error;
+        return null;
+      }),
+      getBirdPickSettings()
+    ]);
+    const pick = pickNextBird(manifest, { ...settings, region, isOnline: navigator.onLine, queuedCodes });
+    if (!pick) {
+      throw manifestError || new Error('No bird found in manifest for region ' + region);
+    }
+    const birdInfo = pick.bird;
+    if (pick.source === BIRD_SOURCES.OFFLINE) {
+      log(`Offline, using bird from offline pack: ${birdInfo.name}`);
+    } else if (pick.source === BIRD_SOURCES.REVIEW) {
+      log(`Showing species due for quiz review: ${birdInfo.name}`);
     }
-
-    birdInfo.location = region;
 
     log(`Bird info compiled: ${birdInfo.name} (${birdInfo.speciesCode})`);
     const duration = Date.now() - startTime;
@@ -150,7 +198,8 @@ async function fetchBirdInfo(region) {
     const duration = Date.now() - startTime;
     addBreadcrumb('Bird info fetch failed', 'http', 'error', { duration, region });
 
-    const cachedBirdInfo = await getRandomCachedBirdInfo();
+    const cachedBirdInfo = await getRandomOfflineBird()
+      || await getRandomCachedBirdInfo();
     if (cachedBirdInfo) {
       addBreadcrumb('Using cached bird info as fallback', 'fallback', 'warning');
       log(`Falling back to cached bird: ${cachedBirdInfo.name}`);
@@ -166,33 +215,36 @@ async function fetchBirdInfo(region) {
   }
 }
 
+/**
+ * Pick a bird from the offline pack, following the rotation setting.
+ * Returns null when nothing is packed.
+ */
+async function getRandomOfflineBird() {
+  return pickPackedBird(await getBirdPickSettings());
+}
+
 async function getRandomCachedBirdInfo() {
-  return new Promise(resolve => {
-    chrome.storage.local.get('viewHistory', result => {
-      const history = result.viewHistory;
-      if (Array.isArray(history) && history.length > 0) {
-        const bird = history[Math.floor(Math.random() * history.length)];
-        if (bird && bird.name) {
-          log(`Found cached bird from history: ${bird.name}`);
-          resolve(bird);
-          return;
-        }
-      }
-      resolve(null);
-    });
-  });
+  const hiddenCodes = await getHiddenSpeciesCodes();
+  const history = (await getHistory()).filter(entry => !hiddenCodes.has(entry.speciesCode));
+  if (history.length > 0) {
+    const bird = history[Math.floor(Math.random() * history.length)];
+    if (bird && bird.name) {
+      log(`Found cached bird from history: ${bird.name}`);
+      return bird;
+    }
+  }
+  return null;
 }
 
-async function preloadNextBird(region) {
+/**
+ * Pick a bird and warm the HTTP cache with its media.
+ * @returns {Promise<Object|null>} The bird, or null if picking failed
+ */
+async function preloadNextBird(region, queuedCodes) {
   try {
-    const birdInfo = await fetchBirdInfo(region);
+    const birdInfo = await fetchBirdInfo(region, queuedCodes);
     log('Bird info fetched successfully for preloading');
 
-    // Store preloaded bird in chrome.storage.local so the content script
-    // can read it directly without needing to message the service worker.
-    // This avoids MV3 service worker lifecycle issues entirely.
-    chrome.storage.local.set({ preloadedBird: birdInfo });
-
     // Prefetch image first (critical), then audio (lower priority).
     // Sequential to avoid bandwidth contention between the two.
     if (birdInfo.imageUrl) {
@@ -201,6 +253,14 @@ async function preloadNextBird(region) {
         log('Next bird image preloaded');
       } catch (error) {
         log(`Error preloading image: ${error.message}`);
+        // The network is probably down even if navigator.onLine says otherwise;
+        // swap in a packed bird so the next tab still has a photo
+        const offlineBird = await getRandomOfflineBird();
+        if (offlineBird) {
+          offlineBird.location = region;
+          log(`Preloaded bird from offline pack instead: ${offlineBird.name}`);
+          return offlineBird;
+        }
       }
     }
 
@@ -214,6 +274,7 @@ async function preloadNextBird(region) {
     }
 
     log('Next bird preloaded');
+    return birdInfo;
   } catch (error) {
     log(`Error preloading next bird: ${error.message}`);
     reportApiError(error, {
@@ -221,13 +282,208 @@ async function preloadNextBird(region) {
       transientLevel: 'info',
       extra: { region },
     });
+    return null;
+  }
+}
+
+/**
+ * Fill the preload queue up to CONFIG.PRELOAD_QUEUE_SIZE birds.
+ * The queue lives in chrome.storage.local so new tabs can claim a bird
+ * directly without messaging the service worker, which avoids MV3 service
+ * worker lifecycle issues entirely.
+ */
+async function fillPreloadQueue() {
+  // Bounded so a run of failures (or stale picks) can't loop forever
+  for (let attempt = 0; attempt < CONFIG.PRELOAD_QUEUE_SIZE * 2; attempt++) {
+    const queue = await getPreloadQueue();
+    if (queue.length >= CONFIG.PRELOAD_QUEUE_SIZE) return;
+
+    const generation = preloadGeneration;
+    const region = await getStoredRegion();
+    const birdInfo = await preloadNextBird(region, new Set(queue.map(entry => entry.speciesCode)));
+    if (!birdInfo) return;
+
+    if (generation === preloadGeneration) {
+      await enqueuePreloadedBird(birdInfo);
+    }
+  }
+}
+
+/**
+ * Top up the preload queue. Concurrent calls share one run.
+ */
+function topUpPreloadQueue() {
+  if (!preloadInProgress) {
+    preloadInProgress = fillPreloadQueue()
+      .catch(error => log(`Preload failed: ${error.message}`))
+      .finally(() => { preloadInProgress = null; });
+  }
+  return preloadInProgress;
+}
+
+/**
+ * Drop every queued bird and refill from the current settings.
+ */
+async function resetPreloadQueue() {
+  preloadGeneration++;
+  await clearPreloadQueue();
+  // Let a top-up started under the old settings finish before refilling
+  await preloadInProgress;
+  topUpPreloadQueue();
+}
+
+/**
+ * Check for a newer manifest and apply it to the cache.
+ * Failures are transient (offline, CDN hiccup) and retried on the next alarm.
+ */
+async function runManifestUpdateCheck() {
+  try {
+    const result = await checkForManifestUpdate();
+    log(`Manifest update check: ${result}`);
+    if (result === 'delta' || result === 'full') {
+      addBreadcrumb('Manifest updated', 'lifecycle', 'info', { method: result });
+      // Media URLs may have changed; refresh packed files
+      runOfflinePackSync();
+    }
+  } catch (error) {
+    log(`Manifest update check failed: ${error.message}`);
+    reportApiError(error, {
+      operation: 'checkForManifestUpdate',
+      transientLevel: 'info',
+    });
+  }
+}
+
+/**
+ * Top up and refresh the offline pack from the current settings.
+ * Skipped while offline; failures are retried on the next alarm.
+ */
+async function runOfflinePackSync() {
+  if (!navigator.onLine) return;
+
+  try {
+    const { offlinePackSize } = await chrome.storage.local.get('offlinePackSize');
+    const [manifest, region, hiddenCodes, favorites] = await Promise.all([
+      getManifest(),
+      getStoredRegion(),
+      getHiddenSpeciesCodes(),
+      getFavorites()
+    ]);
+    await syncOfflinePack({
+      manifest,
+      region,
+      size: offlinePackSize ?? CONFIG.STORAGE_DEFAULTS.offlinePackSize,
+      hiddenCodes,
+      priorityCodes: favorites.map(entry => entry.speciesCode)
+    });
+  } catch (error) {
+    log(`Offline pack sync failed: ${error.message}`);
+    reportApiError(error, {
+      operation: 'syncOfflinePack',
+      transientLevel: 'info',
+    });
+  }
+}
+
+/**
+ * Apply a timer command from a tab (or the timer alarm), store the new state
+ * for tabs to render, and keep the completion alarm in step with it.
+ * @param {Object} request
+ * @param {string} request.command - TIMER_COMMANDS value
+ * @param {number} [request.duration] - Seconds, when starting
+ * @param {Object} [request.pomodoro] - Pomodoro settings, when starting in Pomodoro mode
+ */
+async function runTimerCommand({ command, duration, pomodoro }) {
+  try {
+    const state = await chrome.storage.local.get(TIMER_STORAGE_KEYS);
+    const next = applyTimerCommand(state, command, { duration, pomodoro });
+    if (!next) return;
+
+    await chrome.storage.local.set(next);
+    if (next.timerState === TIMER_STATE.RUNNING) {
+      // Chrome may delay alarms under 30 seconds; open tabs finish short timers on time
+      chrome.alarms.create(TIMER_ALARM, { when: next.timerEndTime });
+    } else {
+      await chrome.alarms.clear(TIMER_ALARM);
+    }
+
+    if (next.timerState === TIMER_STATE.FINISHED) {
+      showTimerNotification();
+    } else if (command === TIMER_COMMANDS.FINISH && next.timerPomodoro) {
+      showPomodoroNotification(next.timerPomodoro);
+    } else {
+      chrome.notifications.clear(TIMER_NOTIFICATION_ID);
+    }
+    log(`Timer ${command}: ${next.timerState}`);
+  } catch (error) {
+    log(`Timer command ${command} failed: ${error.message}`);
+    captureException(error, { tags: { operation: 'runTimerCommand' }, extra: { command } });
+  }
+}
+
+function showTimerNotification(
+  title = chrome.i18n.getMessage('timerNotificationTitle') || 'Timer done',
+  message = chrome.i18n.getMessage('timerNotificationMessage') || 'Your BirdTab timer has finished.'
+) {
+  chrome.notifications.create(TIMER_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title,
+    message,
+    priority: 2
+  }, () => {
+    if (chrome.runtime.lastError) {
+      log(`Error showing timer notification: ${chrome.runtime.lastError.message}`);
+    }
+  });
+}
+
+/**
+ * Announce the Pomodoro phase that just started
+ * @param {Object} pomodoro - Stored timerPomodoro
+ */
+function showPomodoroNotification(pomodoro) {
+  const titles = {
+    [POMODORO_PHASE.WORK]: chrome.i18n.getMessage('timerPomodoroWork') || 'Focus',
+    [POMODORO_PHASE.SHORT_BREAK]: chrome.i18n.getMessage('timerPomodoroShortBreak') || 'Short break',
+    [POMODORO_PHASE.LONG_BREAK]: chrome.i18n.getMessage('timerPomodoroLongBreak') || 'Long break'
+  };
+  const message = chrome.i18n.getMessage('timerPomodoroProgress', [String(pomodoro.cycle), String(pomodoro.cycles)]) ||
+    `Focus session ${pomodoro.cycle} of ${pomodoro.cycles}`;
+  showTimerNotification(titles[pomodoro.phase], message);
+}
+
+/**
+ * Alarms may not survive a browser restart: finish a timer that ran out
+ * meanwhile, or schedule its alarm again.
+ */
+async function restoreTimerAlarm() {
+  const state = await chrome.storage.local.get(TIMER_STORAGE_KEYS);
+  if (state.timerState !== TIMER_STATE.RUNNING || !state.timerEndTime) return;
+
+  if (state.timerEndTime <= Date.now()) {
+    await runTimerCommand({ command: TIMER_COMMANDS.FINISH });
+  } else if (!await chrome.alarms.get(TIMER_ALARM)) {
+    chrome.alarms.create(TIMER_ALARM, { when: state.timerEndTime });
+  }
+}
+
+/**
+ * Make sure a periodic alarm exists.
+ * Alarms can be cleared on browser restart, so this runs on every worker start.
+ */
+async function ensureAlarm(name, { delayInMinutes, periodInMinutes }) {
+  const existing = await chrome.alarms.get(name);
+  if (!existing) {
+    chrome.alarms.create(name, { delayInMinutes, periodInMinutes });
   }
 }
 
 function clearLegacyCacheKeys() {
   chrome.storage.local.get(null, items => {
     const keysToRemove = Object.keys(items).filter(key =>
-      key.startsWith('image_') || key.startsWith('audio_') || key.startsWith('birds_')
+      key.startsWith('image_') || key.startsWith('audio_') || key.startsWith('birds_') ||
+      key === 'preloadedBird'  // Replaced by the preloadedBirds queue
     );
     if (keysToRemove.length > 0) {
       chrome.storage.local.remove(keysToRemove, () => log(`Cleared ${keysToRemove.length} legacy cache keys`));
@@ -237,14 +493,23 @@ function clearLegacyCacheKeys() {
 
 function clearCache() {
   clearManifestCache().then(() => log('Manifest cache cleared'));
+  clearOfflinePack().then(() => log('Offline pack cleared'));
   clearLegacyCacheKeys();
 }
 
 chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'local' && changes.region) {
-    log('Region changed, clearing cache');
-    clearCache();
-    chrome.storage.local.remove('preloadedBird');
+    // The manifest already covers every region, so only the preloaded
+    // birds (picked from the old region) need replacing.
+    log(`Region changed to ${changes.region.newValue || 'the inferred region'}, replacing preloaded birds`);
+    resetPreloadQueue().catch(error => log(`Preload queue reset failed: ${error.message}`));
+  } else if (namespace === 'local' && (changes.birdRotation || changes.birdOfTheDay || changes.favoritesOnly || changes.favorites || changes.hiddenSpecies || changes.reviewOnNewTabs)) {
+    log('Bird selection settings changed, replacing preloaded birds');
+    resetPreloadQueue().catch(error => log(`Preload queue reset failed: ${error.message}`));
+  }
+
+  if (namespace === 'local' && (changes.offlinePackSize || changes.region || changes.hiddenSpecies)) {
+    runOfflinePackSync();
   }
 
   if (namespace === 'local' && changes.quietHours) {
@@ -264,7 +529,7 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
 });
 
 /**
- * Bootstrap sequence: fetch the manifest and preload a bird.
+ * Bootstrap sequence: fetch the manifest and fill the preload queue.
  * Runs on service worker cold start and after cache clear.
  */
 async function bootstrap({ forceRefresh = false } = {}) {
@@ -274,11 +539,20 @@ async function bootstrap({ forceRefresh = false } = {}) {
   } catch (error) {
     log(`Manifest fetch failed: ${error.message}`);
   }
-  preloadNextBird('WLD');
+  topUpPreloadQueue();
 }
 
 // Run bootstrap eagerly on service worker start
 bootstrap();
+ensureAlarm(MANIFEST_UPDATE_ALARM, {
+  delayInMinutes: 1,
+  periodInMinutes: CONFIG.MANIFEST_UPDATE_INTERVAL_MINUTES
+});
+ensureAlarm(OFFLINE_PACK_ALARM, {
+  delayInMinutes: 2,
+  periodInMinutes: CONFIG.OFFLINE_PACK_SYNC_INTERVAL_MINUTES
+});
+restoreTimerAlarm();
 
 function checkOnboarding() {
   chrome.storage.sync.get(['onboardingComplete'], function (result) {
@@ -293,6 +567,7 @@ chrome.runtime.onInstalled.addListener(async function (details) {
     if (await needsMigration()) {
       await runMigration();
     }
+    await clearAutoWrittenRegion();
     clearLegacyCacheKeys();
   }
 
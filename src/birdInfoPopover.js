@@ -45,6 +45,7 @@ let infoPopover = null;
 let infoPopoverBackdrop = null;
 let infoPopoverGlobalListenersAttached = false;
 let handleEbirdClick = null;
+let handleHideBird = null;
 
 function getConservationDetails(status) {
   if (!status) return null;
@@ -228,6 +229,15 @@ function openInfoPopover() {
             </svg>
           </a>
         ` : ''}
+        ${speciesCode && typeof handleHideBird === 'function' ? `
+          <button type="button" class="info-popover__hide-button">
+            <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
+              <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"/>
+              <line x1="1" y1="1" x2="23" y2="23"/>
+            </svg>
+            <span>${chrome.i18n.getMessage('hideBird') || 'Never show this bird'}</span>
+          </button>
+        ` : ''}
       </div>
       ${speciesCode ? `
         <div class="info-popover__map-side">
@@ -265,6 +275,15 @@ function openInfoPopover() {
     ebirdLink.addEventListener('click', handleEbirdClick);
   }
 
+  const hideButton = popoverElement.querySelector('.info-popover__hide-button');
+  if (hideButton) {
+    hideButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeInfoPopover();
+      handleHideBird(speciesCode);
+    });
+  }
+
   document.body.appendChild(backdropElement);
   document.body.appendChild(popoverElement);
   infoPopoverBackdrop = backdropElement;
@@ -339,7 +358,7 @@ function handleInfoPopoverDocumentKeydown(e) {
   }
 }
 
-export function setupInfoPopover({ onEbirdClick } = {}) {
+export function setupInfoPopover({ onEbirdClick, onHideBird } = {}) {
   const trigger = document.querySelector('.info-popover-trigger');
 
   if (infoPopoverTrigger && infoPopoverTrigger !== trigger) {
@@ -349,6 +368,7 @@ export function setupInfoPopover({ onEbirdClick } = {}) {
   closeInfoPopover();
   infoPopoverTrigger = trigger;
   handleEbirdClick = onEbirdClick || null;
+  handleHideBird = onHideBird || null;
 
   if (!trigger) return;
 
@@ -0,0 +1,76 @@
+/**
+ * Bird Names Module
+ * Picks the common name to show for a bird in the user's language.
+ *
+ * Names come from the manifest's per-locale `commonNames` map (keys such as
+ * 'fr', 'pt', 'pt_BR', 'zh_CN'). Lookups walk a fallback chain from the most
+ * specific locale to the base language and finally English, e.g.
+ * pt_BR -> pt -> en. The English `primaryComName` is always the last resort.
+ */
+
+// Older manifests (and history entries saved from them) carry single-language fields
+const LEGACY_NAME_FIELDS = {
+  primaryComName_fr: 'fr',
+  primaryComName_cn: 'zh',
+};
+
+/**
+ * Normalize a locale code to the `_locales` style: 'pt-br' -> 'pt_BR'
+ * @param {string} locale
+ * @returns {string}
+ */
+export function normalizeLocale(locale) {
+  const [language, region] = String(locale || '').split(/[-_]/);
+  if (!language) return '';
+  return region ? `${language.toLowerCase()}_${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Locales to try, most specific first, always ending with English.
+ * @param {string} locale - e.g. 'pt-BR'
+ * @returns {Array<string>} e.g. ['pt_BR', 'pt', 'en']
+ */
+export function getLocaleFallbackChain(locale) {
+  const normalized = normalizeLocale(locale);
+  const language = normalized.split('_')[0];
+  const chain = [];
+  if (normalized && normalized !== language) chain.push(normalized);
+  if (language) chain.push(language);
+  if (!chain.includes('en')) chain.push('en');
+  return chain;
+}
+
+/**
+ * Collect a bird's localized common names, keyed by normalized locale.
+ * Accepts a manifest species entry or a birdInfo object.
+ * @param {Object} bird
+ * @returns {Object<string, string>}
+ */
+export function getCommonNames(bird) {
+  const names = {};
+  for (const [field, locale] of Object.entries(LEGACY_NAME_FIELDS)) {
+    if (bird?.[field]) names[locale] = bird[field];
+  }
+  for (const [locale, name] of Object.entries(bird?.commonNames ?? {})) {
+    if (typeof name === 'string' && name) names[normalizeLocale(locale)] = name;
+  }
+  return names;
+}
+
+/**
+ * Get the common name to display for a bird.
+ * @param {Object} bird - birdInfo, quiz bird, or stored history/favorite entry
+ * @param {string} [locale] - Defaults to the browser UI language
+ * @returns {string}
+ */
+export function getLocalizedBirdName(bird, locale = chrome.i18n.getUILanguage()) {
+  if (!bird) return '';
+
+  const english = bird.primaryComName || bird.name || '';
+  const names = getCommonNames(bird);
+  for (const key of getLocaleFallbackChain(locale)) {
+    if (names[key]) return names[key];
+    if (key === 'en' && english) return english;
+  }
+  return english;
+}
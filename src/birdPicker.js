@@ -0,0 +1,145 @@
+/**
+ * Bird Picker Module
+ *
+ * The order in which the next new-tab bird is picked. The background uses it
+ * to fill the preload queue and new tab pages use it when the queue is empty,
+ * so both follow the same settings:
+ *   1. Offline: a bird from the offline pack, whose files are stored locally
+ *   2. Bird-of-the-day mode: the day's species, and nothing else
+ *   3. Favorites-only mode: a random favorite
+ *   4. Now and then (reviewOnNewTabs): a species due for quiz review
+ *   5. A random bird from the region
+ * The offline, favorite and random picks follow the rotation setting.
+ * Hidden species are never picked.
+ */
+
+import { CONFIG } from './config.js';
+import { adaptSpeciesToBirdInfo, getRegionSpeciesCodes, resolveRegion, getDailySpeciesCode } from './mediaClient.js';
+import { getRotationExcludeCodes } from './rotation.js';
+import { getOfflinePack, pickOfflineBird } from './offlinePack.js';
+import { getSpeciesProgress, getDueSpeciesCodes } from './speciesProgress.js';
+import { getHiddenSpeciesCodes } from './hiddenSpecies.js';
+import { getHistory, getFavorites } from './viewHistory.js';
+import { getLocalDateKey } from './utils/dailySeed.js';
+
+export const BIRD_SOURCES = {
+  OFFLINE: 'offline',
+  DAILY: 'daily',
+  FAVORITE: 'favorite',
+  REVIEW: 'review',
+  RANDOM: 'random'
+};
+
+/**
+ * Read the settings and stored lists that decide the next bird
+ * @returns {Promise<Object>} Options for pickNextBird(), apart from the region
+ */
+export async function getBirdPickSettings() {
+  const [settings, hiddenCodes, history, favorites, offlineEntries, progress] = await Promise.all([
+    chrome.storage.local.get(['birdRotation', 'birdOfTheDay', 'favoritesOnly', 'reviewOnNewTabs']),
+    getHiddenSpeciesCodes(),
+    getHistory(),
+    getFavorites(),
+    getOfflinePack(),
+    getSpeciesProgress()
+  ]);
+
+  return {
+    rotation: settings.birdRotation || CONFIG.STORAGE_DEFAULTS.birdRotation,
+    dailyDate: settings.birdOfTheDay ? getLocalDateKey() : null,
+    favoritesOnly: Boolean(settings.favoritesOnly),
+    reviewOnNewTabs: Boolean(settings.reviewOnNewTabs),
+    hiddenCodes,
+    historyCodes: history.map(entry => entry.speciesCode).filter(Boolean),
+    favorites,
+    offlineEntries,
+    progress
+  };
+}
+
+function getRotationExclusions(options, codes) {
+  return getRotationExcludeCodes(options.rotation, options.historyCodes, codes, CONFIG.ROTATION_RECENT_COUNT);
+}
+
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+function getManifestBird(manifest, speciesCode) {
+  const entry = manifest?.species?.find(species => species.speciesCode === speciesCode);
+  return entry ? adaptSpeciesToBirdInfo(entry) : null;
+}
+
+/**
+ * Pick a bird from the offline pack, following the rotation setting
+ * @param {Object} options - From getBirdPickSettings()
+ * @returns {Object|null} birdInfo, or null if nothing visible is packed
+ */
+export function pickPackedBird(options) {
+  const packedCodes = options.offlineEntries.map(entry => entry.speciesCode);
+  return pickOfflineBird(options.offlineEntries, options.hiddenCodes, getRotationExclusions(options, packedCodes));
+}
+
+/**
+ * Pick the next new-tab bird
+ * @param {Object|null} manifest - Cached manifest; without one only packed birds and favorites can be picked
+ * @param {Object} options - From getBirdPickSettings(), plus:
+ * @param {string} options.region - Region code
+ * @param {boolean} [options.isOnline]
+ * @param {Set<string>} [options.queuedCodes] - Species already waiting in the preload queue
+ * @param {number} [options.now]
+ * @returns {{bird: Object, source: string}|null} The bird with its `location` set, and which step picked it
+ */
+export function pickNextBird(manifest, options) {
+  const { region, isOnline = true, queuedCodes = null, now = Date.now() } = options;
+  const hasManifest = Boolean(manifest?.species && manifest?.regions);
+  const pick = (bird, source) => (bird ? { bird: { ...bird, location: region }, source } : null);
+
+  // 1. Manifest media won't load offline
+  if (!isOnline) {
+    const packedBird = pickPackedBird(options);
+    if (packedBird) return pick(packedBird, BIRD_SOURCES.OFFLINE);
+  }
+
+  // 2. Everyone sees the same bird all day, so nothing else is picked
+  if (options.dailyDate) {
+    const dailyCode = hasManifest
+      ? getDailySpeciesCode(manifest, region, options.dailyDate, options.hiddenCodes)
+      : null;
+    const dailyBird = dailyCode ? getManifestBird(manifest, dailyCode) : null;
+    return pick(dailyBird && { ...dailyBird, dailyDate: options.dailyDate }, BIRD_SOURCES.DAILY);
+  }
+
+  // 3. Favorites; an empty list falls through to the region
+  const favorites = options.favoritesOnly
+    ? options.favorites.filter(entry => !options.hiddenCodes.has(entry.speciesCode))
+    : [];
+  if (favorites.length > 0) {
+    const excludeCodes = getRotationExclusions(options, favorites.map(entry => entry.speciesCode));
+    const candidates = favorites.filter(entry => !excludeCodes.has(entry.speciesCode));
+    const { timestamp, ...favorite } = pickRandom(candidates.length > 0 ? candidates : favorites);
+    // Prefer the manifest entry so media URLs and credits stay current
+    return pick(getManifestBird(manifest, favorite.speciesCode) || favorite, BIRD_SOURCES.FAVORITE);
+  }
+
+  if (!hasManifest) return null;
+
+  const regionCodes = getRegionSpeciesCodes(manifest, resolveRegion(manifest, region))
+    .filter(code => !options.hiddenCodes.has(code));
+  if (regionCodes.length === 0) return null;
+  const excludeCodes = new Set([...getRotationExclusions(options, regionCodes), ...(queuedCodes ?? [])]);
+
+  // 4. Species due for review, outside favorites-only mode
+  if (!options.favoritesOnly && options.reviewOnNewTabs && Math.random() < CONFIG.REVIEW_NEW_TAB_CHANCE) {
+    const dueCodes = getDueSpeciesCodes(options.progress, regionCodes.filter(code => !excludeCodes.has(code)), now);
+    if (dueCodes.length > 0) {
+      const reviewPick = pick(getManifestBird(manifest, pickRandom(dueCodes)), BIRD_SOURCES.REVIEW);
+      if (reviewPick) return reviewPick;
+    }
+  }
+
+  // 5. Rotation exclusions are a preference, dropped if they'd leave nothing
+  const rotatedCodes = regionCodes.filter(code => !excludeCodes.has(code));
+  const randomCode = pickRandom(rotatedCodes.length > 0 ? rotatedCodes : regionCodes);
+  return pick(getManifestBird(manifest, randomCode), BIRD_SOURCES.RANDOM);
+}
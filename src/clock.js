@@ -213,6 +213,22 @@ function initOptionsMenu() {
           clockDisplayMode: 'timer'
         });
       }
+    },
+    {
+      type: 'button',
+      label: getMessage('switchToStopwatch') || 'Switch to Stopwatch',
+      icon: 'images/svg/stopwatch.svg',
+      onClick: async () => {
+        // Hide clock time but keep container visible for stopwatch
+        hideClock(false);
+
+        const { showStopwatch } = await import('./stopwatch.js');
+        showStopwatch();
+
+        await chrome.storage.local.set({
+          clockDisplayMode: 'stopwatch'
+        });
+      }
     }
   ];
 
@@ -233,6 +249,14 @@ function getTimerDisplay() {
   return document.getElementById('timer-display');
 }
 
+/**
+ * Get the stopwatch display element
+ * @returns {HTMLElement|null}
+ */
+function getStopwatchDisplay() {
+  return document.getElementById('stopwatch-display');
+}
+
 /**
  * Show the clock
  */
@@ -240,15 +264,17 @@ export function showClock() {
   const container = getClockContainer();
   const clockTime = getClockTimeElement();
   const timerDisplay = getTimerDisplay();
+  const stopwatchDisplay = getStopwatchDisplay();
   
   if (!container) {
     log('Clock container not found');
     return;
   }
 
-  // Show clock time, hide timer display
+  // Show clock time, hide timer and stopwatch displays
   if (clockTime) clockTime.classList.remove('hidden');
   if (timerDisplay) timerDisplay.classList.add('hidden');
+  if (stopwatchDisplay) stopwatchDisplay.classList.add('hidden');
   
   container.classList.remove('hidden');
   isVisible = true;
@@ -1,10 +1,23 @@
 export const CONFIG = {
   MANIFEST_URL: 'https://media.birdtab.app/m260416r01/manifests/manifest.json',
+  // Small file listing the latest manifest version and available deltas
+  MANIFEST_VERSION_URL: 'https://media.birdtab.app/m260416r01/manifests/version.json',
+  MANIFEST_UPDATE_INTERVAL_MINUTES: 6 * 60,  // How often the service worker checks for manifest updates
   DEV_TAB_COUNT: 5,  // Number of new tabs to open before showing the prompt in dev mode
   PROD_TAB_COUNT: 50,  // Number of new tabs to open before showing the prompt in production
   DEV_TIME_DELAY: 1 * 60 * 1000,  // 1 minute in milliseconds
   PROD_TIME_DELAY: 4 * 24 * 60 * 60 * 1000,  // 4 days in milliseconds
   VOLUME_STEP: 0.1, // Volume change step for keyboard shortcuts
+  PRELOAD_QUEUE_SIZE: 3,  // Birds kept ready (with media prefetched) for the next new tabs
+  ROTATION_RECENT_COUNT: 30,  // Recent views skipped by the 'avoidRecent' bird rotation
+  OFFLINE_PACK_MAX_MB: 250,  // Size budget for photos and calls kept for offline use
+  OFFLINE_PACK_SYNC_INTERVAL_MINUTES: 12 * 60,  // How often the offline pack is topped up and refreshed
+  LEITNER_INTERVALS_DAYS: [0, 1, 3, 7, 21],  // Days before a quiz species is due again, per Leitner box (last box = mastered)
+  REVIEW_NEW_TAB_CHANCE: 0.25,  // Share of new tabs showing a species due for review when practice on new tabs is on
+  QUIZ_SESSIONS_MAX: 500,  // Finished quizzes kept for the stats dashboard
+  QUIZ_STATS_TREND_COUNT: 20,  // Recent quizzes plotted in the stats trend chart
+  QUIZ_QUESTION_TIME_SECONDS: 15,  // Countdown per question in timed quizzes
+  QUIZ_SESSION_TIME_SECONDS: 90,  // Whole-quiz countdown in "beat the clock" quizzes
 
   // Sentry Configuration - follows same pattern as other config
   SENTRY: {
@@ -46,6 +59,15 @@ export const CONFIG = {
   // These are used for fresh installs and as fallbacks during migration
   STORAGE_DEFAULTS: {
     region: 'WLD',
+    birdRotation: 'avoidRecent',
+    birdOfTheDay: false,
+    favoritesOnly: false,
+    offlinePackSize: 0,
+    quizAnswerStyle: 'common',
+    quizDifficulty: 'easy',
+    quizLength: 10,
+    quizTimerMode: 'off',
+    reviewOnNewTabs: false,
     autoPlay: false,
     quietHours: false,
     clockDisplayMode: 'clock',
@@ -0,0 +1,136 @@
+/**
+ * Daily Challenge Module
+ *
+ * One quiz a day whose questions are seeded from the date alone and drawn
+ * from the world list, so everyone gets the same birds and can compare
+ * scores whatever their region setting. The result and daily streak live
+ * in chrome.storage.local ('dailyChallenge').
+ */
+
+import { log } from './logger.js';
+import { hashString, shiftDateKey } from './utils/dailySeed.js';
+
+const DAILY_CHALLENGE_KEY = 'dailyChallenge';
+
+// Species pool for every daily challenge
+export const DAILY_CHALLENGE_REGION = 'WLD';
+
+const EMPTY_STATE = {
+  lastDate: null,
+  results: [],
+  streak: 0,
+  longestStreak: 0
+};
+
+/**
+ * Get the last daily challenge result and streak
+ * @returns {Promise<{lastDate: string|null, results: Array<boolean>, streak: number, longestStreak: number}>}
+ */
+export async function getDailyChallengeState() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([DAILY_CHALLENGE_KEY], (result) => {
+      resolve({ ...EMPTY_STATE, ...result[DAILY_CHALLENGE_KEY]?.value });
+    });
+  });
+}
+
+/**
+ * Store a daily challenge state from applyDailyResult()
+ * @param {Object} state
+ */
+export async function saveDailyChallengeState(state) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({
+      [DAILY_CHALLENGE_KEY]: { value: state, timestamp: Date.now() }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        log(`Error saving daily challenge: ${chrome.runtime.lastError.message}`);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Seed for the day's questions
+ * @param {string} dateKey - Local date as 'YYYY-MM-DD'
+ * @returns {number}
+ */
+export function getDailyChallengeSeed(dateKey) {
+  return hashString(`daily:${dateKey}`);
+}
+
+/**
+ * Record the day's challenge, as soon as it starts and again after each answer.
+ * The streak grows when yesterday's challenge was played too, otherwise it
+ * starts over at 1; later updates on the same day keep it.
+ * @param {Object} state - From getDailyChallengeState()
+ * @param {string} dateKey
+ * @param {Array<boolean>} results - Whether each answer was correct, in order
+ * @returns {Object} New state
+ */
+export function applyDailyResult(state, dateKey, results) {
+  let streak = 1;
+  if (state.lastDate === dateKey) {
+    streak = state.streak;
+  } else if (state.lastDate === shiftDateKey(dateKey, -1)) {
+    streak = state.streak + 1;
+  }
+  return {
+    lastDate: dateKey,
+    results,
+    streak,
+    longestStreak: Math.max(state.longestStreak, streak)
+  };
+}
+
+/**
+ * Results of a challenge that may not be finished: questions not answered yet
+ * count as wrong, so quitting early still uses up the day
+ * @param {Array<boolean>} answered - Whether each answer so far was correct
+ * @param {number} questionCount
+ * @returns {Array<boolean>}
+ */
+export function getDailyPartialResults(answered, questionCount) {
+  return Array.from({ length: questionCount }, (_, i) => answered[i] === true);
+}
+
+/**
+ * Streak to show today: it lapses once a whole day was missed
+ * @param {Object} state
+ * @param {string} todayKey
+ * @returns {number}
+ */
+export function getCurrentDailyStreak(state, todayKey) {
+  const isAlive = state.lastDate === todayKey || state.lastDate === shiftDateKey(todayKey, -1);
+  return isAlive ? state.streak : 0;
+}
+
+/**
+ * One square per question: 🟩 correct, 🟥 wrong
+ * @param {Array<boolean>} results
+ * @returns {string}
+ */
+export function getDailyResultGrid(results) {
+  return results.map(isCorrect => (isCorrect ? '🟩' : '🟥')).join('');
+}
+
+/**
+ * Plain-text result to paste into chat
+ * @param {Object} state - State after the day's challenge
+ * @returns {string}
+ */
+export function buildDailyShareText(state) {
+  const score = state.results.filter(Boolean).length;
+  const title = chrome.i18n.getMessage('quizDailyShareTitle', [state.lastDate]) ||
+    `BirdTab Daily ${state.lastDate}`;
+  const streak = chrome.i18n.getMessage('quizDailyStreak', [String(state.streak)]) ||
+    `Daily streak: ${state.streak}`;
+
+  return [
+    title,
+    `${score}/${state.results.length}`,
+    getDailyResultGrid(state.results),
+    `🔥 ${streak}`
+  ].join('\n');
+}
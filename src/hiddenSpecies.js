@@ -0,0 +1,69 @@
+/**
+ * Hidden Species Module
+ * Stores the species a user never wants to see again.
+ * Hidden species are skipped on new tabs and in quizzes.
+ */
+
+import { log } from './logger.js';
+import { getCommonNames } from './birdNames.js';
+
+/**
+ * Get hidden species entries
+ * @returns {Promise<Array<{speciesCode: string, name: string, scientificName: string, commonNames: Object, timestamp: number}>>}
+ */
+export async function getHiddenSpecies() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['hiddenSpecies'], (result) => {
+      resolve(result.hiddenSpecies?.value || []);
+    });
+  });
+}
+
+/**
+ * Get the set of hidden species codes
+ * @returns {Promise<Set<string>>}
+ */
+export async function getHiddenSpeciesCodes() {
+  const hidden = await getHiddenSpecies();
+  return new Set(hidden.map(entry => entry.speciesCode));
+}
+
+function saveHiddenSpecies(hidden) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({
+      hiddenSpecies: { value: hidden, timestamp: Date.now() }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        log(`Error saving hidden species: ${chrome.runtime.lastError.message}`);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Hide a species from new tabs and quizzes
+ * @param {Object} birdInfo - Bird to hide (needs speciesCode; name is kept for the review list)
+ */
+export async function hideSpecies(birdInfo) {
+  const hidden = await getHiddenSpecies();
+  if (hidden.some(entry => entry.speciesCode === birdInfo.speciesCode)) return;
+
+  hidden.push({
+    speciesCode: birdInfo.speciesCode,
+    name: birdInfo.name || birdInfo.primaryComName || birdInfo.speciesCode,
+    scientificName: birdInfo.scientificName || '',
+    commonNames: getCommonNames(birdInfo),
+    timestamp: Date.now()
+  });
+  await saveHiddenSpecies(hidden);
+}
+
+/**
+ * Show a previously hidden species again
+ * @param {string} speciesCode - eBird species code
+ */
+export async function unhideSpecies(speciesCode) {
+  const hidden = await getHiddenSpecies();
+  await saveHiddenSpecies(hidden.filter(entry => entry.speciesCode !== speciesCode));
+}
@@ -1,71 +1,18 @@
 /**
  * History Modal Module
- * Manages viewing history storage and modal UI
+ * Manages the viewing history and favorites modal UI
  */
 
 import { log } from './logger.js';
 import { localizeHtml } from './i18n.js';
 import { escapeHtml } from './utils/escapeHtml.js';
+import { getHiddenSpeciesCodes, hideSpecies, unhideSpecies } from './hiddenSpecies.js';
+import { getLocalizedBirdName } from './birdNames.js';
+import { getHistory, clearHistory, getFavorites, toggleFavorite } from './viewHistory.js';
 
 // Module state
 let historySidebar = null;
-
-// ===== History Storage Functions =====
-
-/**
- * Add bird to viewing history
- * @param {Object} birdInfo - Bird information to add
- */
-export async function addToHistory(birdInfo) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['viewHistory'], (result) => {
-      const history = result.viewHistory?.value || [];
-
-      // Store complete birdInfo with timestamp to avoid API calls when loading from history
-      const entry = {
-        ...birdInfo,
-        timestamp: Date.now()
-      };
-
-      history.push(entry); // Newest at end
-
-      // Enforce 200 item limit - remove oldest
-      if (history.length > 200) {
-        history.shift();
-      }
-
-      chrome.storage.local.set({
-        viewHistory: { value: history, timestamp: Date.now() }
-      }, () => {
-        if (chrome.runtime.lastError) {
-          log(`Error saving history: ${chrome.runtime.lastError.message}`);
-        }
-        resolve();
-      });
-    });
-  });
-}
-
-/**
- * Get viewing history
- * @returns {Promise<Array>} Array of history entries
- */
-export async function getHistory() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['viewHistory'], (result) => {
-      resolve(result.viewHistory?.value || []);
-    });
-  });
-}
-
-/**
- * Clear all viewing history
- */
-export async function clearHistory() {
-  return new Promise((resolve) => {
-    chrome.storage.local.remove(['viewHistory'], resolve);
-  });
-}
+let activeTab = 'history';
 
 /**
  * Get relative time string for timestamp display
@@ -106,6 +53,15 @@ export function getRelativeTimeString(timestamp) {
 
 // escapeHtml is now imported from utils/escapeHtml.js
 
+export const STAR_ICON_SVG = `<svg viewBox="0 0 24 24" width="16" height="16" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+  <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+</svg>`;
+
+const HIDE_ICON_SVG = `<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+  <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path>
+  <line x1="1" y1="1" x2="23" y2="23"></line>
+</svg>`;
+
 // ===== History Modal UI Functions =====
 
 /**
@@ -124,13 +80,22 @@ function createHistoryModal() {
             <img src="images/svg/close.svg" data-i18n-alt="closeAlt" alt="Close" width="20" height="20">
           </button>
         </div>
+        <div class="history-tabs" role="tablist">
+          <button class="history-tab active" role="tab" aria-selected="true" aria-controls="history-list" data-tab="history" data-i18n="historyTabAll">History</button>
+          <button class="history-tab" role="tab" aria-selected="false" aria-controls="history-list" data-tab="favorites" data-i18n="historyTabFavorites">Favorites</button>
+        </div>
         <div class="settings-body">
-          <div id="history-list" class="history-list"></div>
+          <div id="history-list" class="history-list" role="tabpanel"></div>
           <div id="empty-history" class="empty-history hidden">
             <img src="icons/icon128.png" data-i18n-alt="pageTitle" alt="BirdTab" class="empty-history-icon" width="64" height="64">
             <p class="empty-history-title" data-i18n="emptyHistoryTitle">Your birding journey begins here!</p>
             <p class="empty-history-subtitle" data-i18n="emptyHistorySubtitle">Discover new birds and they'll appear in your viewing history.</p>
           </div>
+          <div id="empty-favorites" class="empty-history hidden">
+            <img src="icons/icon128.png" data-i18n-alt="pageTitle" alt="BirdTab" class="empty-history-icon" width="64" height="64">
+            <p class="empty-history-title" data-i18n="emptyFavoritesTitle">No favorites yet</p>
+            <p class="empty-history-subtitle" data-i18n="emptyFavoritesSubtitle">Tap the star next to a bird to keep it here.</p>
+          </div>
         </div>
         <div class="history-footer">
           <button id="clear-history-btn" class="shortcut-btn secondary" data-i18n="clearHistory">
@@ -151,15 +116,27 @@ function createHistoryModal() {
 }
 
 /**
- * Populate history list with entries
+ * Populate history list with entries for the active tab
  */
 export async function populateHistoryList() {
-  const history = await getHistory();
+  const [history, favorites, hiddenCodes] = await Promise.all([getHistory(), getFavorites(), getHiddenSpeciesCodes()]);
+  const showingFavorites = activeTab === 'favorites';
+  const entries = showingFavorites ? favorites : history;
+  const favoriteCodes = new Set(favorites.map(entry => entry.speciesCode));
+
   const historyList = document.getElementById('history-list');
-  const emptyState = document.getElementById('empty-history');
+  const emptyState = document.getElementById(showingFavorites ? 'empty-favorites' : 'empty-history');
+  const otherEmptyState = document.getElementById(showingFavorites ? 'empty-history' : 'empty-favorites');
+  const footer = historySidebar?.querySelector('.history-footer');
   const clearBtn = document.getElementById('clear-history-btn');
 
-  if (history.length === 0) {
+  otherEmptyState.classList.add('hidden');
+  // Clearing only applies to the viewing history
+  if (footer) {
+    footer.classList.toggle('hidden', showingFavorites);
+  }
+
+  if (entries.length === 0) {
     historyList.classList.add('hidden');
     emptyState.classList.remove('hidden');
     if (clearBtn) {
@@ -177,23 +154,99 @@ export async function populateHistoryList() {
   }
 
   // Reverse to show newest first
-  const reversedHistory = [...history].reverse();
+  const reversedEntries = [...entries].reverse();
+  const addLabel = chrome.i18n.getMessage('favoriteAdd') || 'Add to favorites';
+  const removeLabel = chrome.i18n.getMessage('favoriteRemove') || 'Remove from favorites';
+  const hideLabel = chrome.i18n.getMessage('hideBird') || 'Never show this bird';
+  const unhideLabel = chrome.i18n.getMessage('unhideBird') || 'Show this bird again';
 
   // Use escaped HTML to prevent XSS
   // Store index to retrieve full birdInfo when clicked
-  historyList.innerHTML = reversedHistory.map((entry, index) => `
-    <button class="history-item" data-history-index="${index}">
-      <img src="${escapeHtml(entry.imageUrl)}" alt="${escapeHtml(entry.name)}" class="history-item-image" loading="lazy">
-      <div class="history-item-info">
-        <div class="history-item-name">${escapeHtml(entry.name)}</div>
-        <div class="history-item-scientific">${escapeHtml(entry.scientificName)}</div>
-        <div class="history-item-time">${escapeHtml(getRelativeTimeString(entry.timestamp))}</div>
+  historyList.innerHTML = reversedEntries.map((entry, index) => {
+    const starred = favoriteCodes.has(entry.speciesCode);
+    const starLabel = starred ? removeLabel : addLabel;
+    const hidden = hiddenCodes.has(entry.speciesCode);
+    const hiddenLabel = hidden ? unhideLabel : hideLabel;
+    return `
+    <div class="history-entry${hidden ? ' history-entry--hidden' : ''}">
+      <button class="history-item" data-history-index="${index}">
+        <img src="${escapeHtml(entry.imageUrl)}" alt="${escapeHtml(getLocalizedBirdName(entry))}" class="history-item-image" loading="lazy">
+        <div class="history-item-info">
+          <div class="history-item-name">${escapeHtml(getLocalizedBirdName(entry))}</div>
+          <div class="history-item-scientific">${escapeHtml(entry.scientificName)}</div>
+          <div class="history-item-time">${escapeHtml(getRelativeTimeString(entry.timestamp))}</div>
+        </div>
+      </button>
+      <div class="history-item-actions">
+        <button class="history-item-action history-item-hide" data-history-index="${index}" aria-pressed="${hidden}"
+          title="${escapeHtml(hiddenLabel)}" aria-label="${escapeHtml(hiddenLabel)}">
+          ${HIDE_ICON_SVG}
+        </button>
+        <button class="history-item-action history-item-favorite" data-history-index="${index}" aria-pressed="${starred}"
+          title="${escapeHtml(starLabel)}" aria-label="${escapeHtml(starLabel)}">
+          ${STAR_ICON_SVG}
+        </button>
       </div>
-    </button>
-  `).join('');
+    </div>
+  `;
+  }).join('');
 
   // Store history reference for click handler
-  historyList.dataset.historyData = JSON.stringify(reversedHistory);
+  historyList.dataset.historyData = JSON.stringify(reversedEntries);
+}
+
+/**
+ * Switch between the history and favorites tabs
+ * @param {string} tab - 'history' or 'favorites'
+ */
+function setActiveTab(tab) {
+  activeTab = tab;
+  historySidebar.querySelectorAll('.history-tab').forEach(button => {
+    const isActive = button.dataset.tab === tab;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-selected', String(isActive));
+  });
+  populateHistoryList();
+}
+
+/**
+ * Get the bird for a star/hide button in the history list
+ * @param {HTMLElement} button - The clicked button
+ * @returns {Object|undefined} Bird info
+ */
+function getButtonBirdInfo(button) {
+  const historyIndex = parseInt(button.dataset.historyIndex);
+  const historyList = document.getElementById('history-list');
+  const historyData = JSON.parse(historyList.dataset.historyData);
+  return historyData[historyIndex];
+}
+
+/**
+ * Star or unstar a bird from the history list
+ * @param {HTMLElement} button - The clicked star button
+ */
+async function handleFavoriteButtonClick(button) {
+  const birdInfo = getButtonBirdInfo(button);
+  if (!birdInfo) return;
+
+  await toggleFavorite(birdInfo);
+  await populateHistoryList();
+}
+
+/**
+ * Hide or unhide a bird from the history list
+ * @param {HTMLElement} button - The clicked hide button
+ */
+async function handleHideButtonClick(button) {
+  const birdInfo = getButtonBirdInfo(button);
+  if (!birdInfo) return;
+
+  if (button.getAttribute('aria-pressed') === 'true') {
+    await unhideSpecies(birdInfo.speciesCode);
+  } else {
+    await hideSpecies(birdInfo);
+  }
+  await populateHistoryList();
 }
 
 /**
@@ -251,14 +304,29 @@ function bindHistoryModalEvents() {
     }
   });
 
-  // Event delegation for history items
+  // Event delegation for history items and their star buttons
   historyList.addEventListener('click', (e) => {
+    const favoriteButton = e.target.closest('.history-item-favorite');
+    if (favoriteButton) {
+      handleFavoriteButtonClick(favoriteButton);
+      return;
+    }
+    const hideButton = e.target.closest('.history-item-hide');
+    if (hideButton) {
+      handleHideButtonClick(hideButton);
+      return;
+    }
     const historyItem = e.target.closest('.history-item');
     if (historyItem) {
       handleHistoryItemClick(historyItem);
     }
   });
 
+  // History / Favorites tabs
+  historySidebar.querySelectorAll('.history-tab').forEach(button => {
+    button.addEventListener('click', () => setActiveTab(button.dataset.tab));
+  });
+
   // Clear history button
   clearBtn.addEventListener('click', async () => {
     const confirmed = confirm(chrome.i18n.getMessage('confirmClearHistory') ||
@@ -3,12 +3,20 @@
  *
  * Fetches, caches, and queries the bird media manifest from Cloudflare R2.
  * The manifest contains all species data, media URLs, and attribution metadata.
- * Once fetched, the manifest is stored permanently in chrome.storage.local
- * and only refetched on extension update or region change.
+ * Once fetched, the manifest is stored in chrome.storage.local. Every manifest
+ * is validated when fetched or loaded: malformed species are quarantined and
+ * a structurally broken manifest never replaces the cached copy. The service
+ * worker periodically probes a small version file and, when a newer manifest
+ * is published, applies a delta (added / changed / removed species) to the
+ * cached copy, falling back to a full refetch when no delta is available.
+ * The manifest covers every region, so changing region never requires a refetch.
  */
 
 import { CONFIG } from './config.js';
 import { log } from './logger.js';
+import { hashString } from './utils/dailySeed.js';
+import { captureMessage } from './sentry.js';
+import { getCommonNames } from './birdNames.js';
 
 const MANIFEST_STORAGE_KEY = 'media_manifest';
 const MANIFEST_META_KEY = 'media_manifest_meta';
@@ -17,6 +25,10 @@ let cachedManifest = null;
 let speciesIndex = null;
 let fetchInProgress = null;
 
+// A manifest that loses more than this share of its species to validation
+// is treated as broken (likely a schema change) rather than degraded.
+const MAX_QUARANTINE_RATIO = 0.5;
+
 /**
  * Adapt a manifest species entry into the flat birdInfo shape
  * that script.js and the rest of the extension expect.
@@ -27,9 +39,10 @@ export function adaptSpeciesToBirdInfo(entry) {
   return {
     name: entry.primaryComName,
     primaryComName: entry.primaryComName,
-    primaryComName_fr: entry.primaryComName_fr ?? null,
-    primaryComName_cn: entry.primaryComName_cn ?? null,
+    commonNames: getCommonNames(entry),
     scientificName: entry.scientificName,
+    familyCode: entry.familyCode ?? null,
+    order: entry.order ?? null,
     description: entry.description ?? null,
     conservationStatus: entry.conservationStatus ?? null,
     speciesCode: entry.speciesCode,
@@ -77,6 +90,113 @@ function buildSpeciesIndex(manifest) {
   return new Map(manifest.species.map(entry => [entry.speciesCode, entry]));
 }
 
+/**
+ * Return why a species entry can't be shown, or null if it is usable.
+ */
+function getSpeciesIssue(entry) {
+  if (!entry || typeof entry !== 'object') return 'notAnObject';
+  if (typeof entry.speciesCode !== 'string' || !entry.speciesCode) return 'missingSpeciesCode';
+  if (typeof entry.primaryComName !== 'string' || !entry.primaryComName) return 'missingName';
+  if (typeof entry.scientificName !== 'string' || !entry.scientificName) return 'missingScientificName';
+  if (typeof entry.image?.renditions?.default?.url !== 'string') return 'missingImage';
+  return null;
+}
+
+/**
+ * Validate a manifest against the shape the extension relies on.
+ *
+ * Malformed species are quarantined (left out of the returned manifest) and
+ * region lists are stripped of codes with no usable species. A manifest is
+ * rejected outright (`error` set, `manifest` null) when its top-level
+ * structure is wrong, the world region ends up empty, or too many species
+ * fail validation.
+ *
+ * @param {Object} manifest - Manifest as fetched or stored
+ * @returns {{manifest: Object|null, quarantined: Array<{speciesCode: string|null, reason: string}>, missingRegionCodes: number, error: string|null}}
+ */
+export function validateManifest(manifest) {
+  const result = { manifest: null, quarantined: [], missingRegionCodes: 0, error: null };
+
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.species)) {
+    result.error = 'species list is missing';
+    return result;
+  }
+  if (!manifest.regions || typeof manifest.regions !== 'object' || Array.isArray(manifest.regions)) {
+    result.error = 'regions map is missing';
+    return result;
+  }
+
+  const species = [];
+  const validCodes = new Set();
+  for (const entry of manifest.species) {
+    let reason = getSpeciesIssue(entry);
+    if (!reason && validCodes.has(entry.speciesCode)) reason = 'duplicateSpeciesCode';
+    if (reason) {
+      result.quarantined.push({ speciesCode: entry?.speciesCode ?? null, reason });
+      continue;
+    }
+    validCodes.add(entry.speciesCode);
+    species.push(entry);
+  }
+
+  const regions = {};
+  for (const [code, region] of Object.entries(manifest.regions)) {
+    const listed = Array.isArray(region?.speciesCodes) ? region.speciesCodes : [];
+    const speciesCodes = listed.filter(speciesCode => validCodes.has(speciesCode));
+    result.missingRegionCodes += listed.length - speciesCodes.length;
+    regions[code] = { ...region, speciesCodes };
+  }
+
+  if (result.quarantined.length > manifest.species.length * MAX_QUARANTINE_RATIO) {
+    result.error = `${result.quarantined.length} of ${manifest.species.length} species failed validation`;
+    return result;
+  }
+  if (!regions.WLD || regions.WLD.speciesCodes.length === 0) {
+    result.error = 'world region has no valid species';
+    return result;
+  }
+
+  const changed = result.quarantined.length > 0 || result.missingRegionCodes > 0;
+  result.manifest = changed
+    ? { ...manifest, meta: { ...manifest.meta, speciesCount: species.length }, species, regions }
+    : manifest;
+  return result;
+}
+
+/**
+ * Validate a manifest and report any problems to Sentry.
+ *
+ * @param {Object} manifest
+ * @param {string} source - Where the manifest came from ('fetch', 'delta', 'storage')
+ * @returns {ReturnType<typeof validateManifest>}
+ */
+function validateAndReport(manifest, source) {
+  const result = validateManifest(manifest);
+  const context = {
+    tags: { operation: 'validateManifest', source },
+    extra: {
+      version: manifest?.meta?.version ?? null,
+      quarantined: result.quarantined.slice(0, 20),
+      quarantinedCount: result.quarantined.length,
+      missingRegionCodes: result.missingRegionCodes,
+    },
+    fingerprint: ['validateManifest', source, result.error ? 'rejected' : 'degraded'],
+  };
+
+  if (result.error) {
+    captureMessage(`Manifest rejected (${source}): ${result.error}`, 'error', context);
+  } else if (result.quarantined.length > 0 || result.missingRegionCodes > 0) {
+    captureMessage(
+      `Manifest validation (${source}): ${result.quarantined.length} species quarantined, ` +
+      `${result.missingRegionCodes} missing region references`,
+      'warning',
+      context
+    );
+  }
+
+  return result;
+}
+
 /**
  * Load the manifest from chrome.storage.local into memory.
  * Returns null if not cached.
@@ -97,14 +217,19 @@ async function loadCachedManifest() {
 
 /**
  * Save the manifest to chrome.storage.local.
+ *
+ * @param {Object} manifest
+ * @param {Object} [options]
+ * @param {string|null} [options.etag] - ETag of the full manifest response, for conditional requests
  */
-async function saveManifestToStorage(manifest) {
+async function saveManifestToStorage(manifest, { etag = null } = {}) {
   return new Promise((resolve, reject) => {
     chrome.storage.local.set({
       [MANIFEST_STORAGE_KEY]: manifest,
       [MANIFEST_META_KEY]: {
         version: manifest.meta?.version,
         manifestUrl: CONFIG.MANIFEST_URL,
+        etag,
         cachedAt: Date.now(),
       }
     }, () => {
@@ -117,6 +242,19 @@ async function saveManifestToStorage(manifest) {
   });
 }
 
+/**
+ * fetch() with an abort timeout.
+ */
+async function fetchWithTimeout(url, options = {}, timeoutMs = 15000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
 /**
  * Fetch the manifest from R2, store it, and return it.
  * Deduplicates concurrent fetch calls.
@@ -129,27 +267,18 @@ export async function fetchManifest() {
   fetchInProgress = (async () => {
     try {
       log(`Fetching manifest from ${CONFIG.MANIFEST_URL}`);
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-      let response;
-      try {
-        response = await fetch(CONFIG.MANIFEST_URL, { signal: controller.signal });
-      } finally {
-        clearTimeout(timeoutId);
-      }
+      const response = await fetchWithTimeout(CONFIG.MANIFEST_URL);
 
       if (!response.ok) {
         throw new Error(`Manifest fetch failed: HTTP ${response.status}`);
       }
 
-      const manifest = await response.json();
+      const manifest = await replaceCachedManifest(await response.json(), {
+        source: 'fetch',
+        etag: response.headers.get('ETag'),
+      });
       log(`Manifest fetched: ${manifest.meta?.speciesCount} species, version ${manifest.meta?.version}`);
 
-      await saveManifestToStorage(manifest);
-      cachedManifest = manifest;
-      speciesIndex = buildSpeciesIndex(manifest);
-
       return manifest;
     } finally {
       fetchInProgress = null;
@@ -175,10 +304,20 @@ export async function getManifest({ forceRefresh = false } = {}) {
   if (!forceRefresh) {
     const stored = await loadCachedManifest();
     if (stored && stored.meta?.manifestUrl === CONFIG.MANIFEST_URL) {
-      cachedManifest = stored.manifest;
-      speciesIndex = buildSpeciesIndex(cachedManifest);
-      log(`Manifest loaded from storage: ${cachedManifest.meta?.speciesCount} species`);
-      return cachedManifest;
+      const { manifest, error } = validateAndReport(stored.manifest, 'storage');
+      if (error) {
+        log(`Stored manifest is unusable (${error}), refetching`);
+      } else {
+        if (manifest !== stored.manifest) {
+          // Persist the cleaned copy so the same problems aren't reported on every load
+          await saveManifestToStorage(manifest, { etag: stored.meta.etag ?? null })
+            .catch(saveError => log(`Failed to save validated manifest: ${saveError.message}`));
+        }
+        cachedManifest = manifest;
+        speciesIndex = buildSpeciesIndex(cachedManifest);
+        log(`Manifest loaded from storage: ${cachedManifest.meta?.speciesCount} species`);
+        return cachedManifest;
+      }
     }
   }
 
@@ -196,56 +335,219 @@ export async function isManifestCached() {
 }
 
 /**
- * Get the ordered species code list for a region.
+ * Apply a manifest delta to a manifest, returning a new manifest.
+ *
+ * Delta format:
+ *   {
+ *     fromVersion, toVersion,
+ *     added:   [speciesEntry],   // new species
+ *     changed: [speciesEntry],   // replaced wholesale (e.g. fixed attribution)
+ *     removed: [speciesCode],
+ *     regions: { [code]: regionEntry }  // optional; replaces those regions
+ *   }
+ * Removed species are also dropped from every region list.
+ *
+ * @param {Object} manifest - Current manifest
+ * @param {Object} delta - Delta to apply
+ * @returns {Object} Updated manifest
  */
-export function getRegionSpeciesCodes(manifest, region = 'WLD') {
-  return manifest.regions?.[region]?.speciesCodes ?? [];
+export function applyManifestDelta(manifest, delta) {
+  const removed = new Set(delta.removed ?? []);
+  const replacements = new Map(
+    [...(delta.changed ?? []), ...(delta.added ?? [])].map(entry => [entry.speciesCode, entry])
+  );
+
+  const species = manifest.species
+    .filter(entry => !removed.has(entry.speciesCode))
+    .map(entry => {
+      const replacement = replacements.get(entry.speciesCode);
+      if (replacement) replacements.delete(entry.speciesCode);
+      return replacement ?? entry;
+    });
+  species.push(...replacements.values());
+
+  const regions = {};
+  for (const [code, region] of Object.entries({ ...manifest.regions, ...delta.regions })) {
+    regions[code] = {
+      ...region,
+      speciesCodes: (region.speciesCodes ?? []).filter(speciesCode => !removed.has(speciesCode)),
+    };
+  }
+
+  return {
+    ...manifest,
+    meta: { ...manifest.meta, version: delta.toVersion, speciesCount: species.length },
+    species,
+    regions,
+  };
+}
+
+/**
+ * Validate a new manifest, store it, and swap it into the in-memory caches.
+ * Throws without touching the cache if the manifest is structurally broken,
+ * so a bad publish never replaces a working cached copy.
+ *
+ * @param {Object} manifest
+ * @param {Object} options
+ * @param {string} options.source - Where the manifest came from, for reporting
+ * @param {string|null} [options.etag]
+ * @returns {Promise<Object>} The validated manifest
+ */
+async function replaceCachedManifest(manifest, { source, etag = null }) {
+  const { manifest: validManifest, error } = validateAndReport(manifest, source);
+  if (error) {
+    throw new Error(`Manifest rejected: ${error}`);
+  }
+
+  await saveManifestToStorage(validManifest, { etag });
+  cachedManifest = validManifest;
+  speciesIndex = buildSpeciesIndex(validManifest);
+  return validManifest;
 }
 
 /**
- * Get a random bird from the manifest for a given region,
- * adapted into the flat birdInfo shape.
+ * Refetch the full manifest only if it changed, using the stored ETag.
+ */
+async function refreshManifestIfModified(meta) {
+  const headers = meta.etag ? { 'If-None-Match': meta.etag } : {};
+  const response = await fetchWithTimeout(CONFIG.MANIFEST_URL, { headers });
+  if (response.status === 304) {
+    return 'current';
+  }
+  if (!response.ok) {
+    throw new Error(`Manifest fetch failed: HTTP ${response.status}`);
+  }
+
+  await replaceCachedManifest(await response.json(), {
+    source: 'fetch',
+    etag: response.headers.get('ETag'),
+  });
+  return 'full';
+}
+
+/**
+ * Check for a newer manifest and update the cached copy in place.
+ *
+ * Probes CONFIG.MANIFEST_VERSION_URL ({ version, deltas: { [fromVersion]: url } }).
+ * If a delta from the cached version is listed it is applied; otherwise the
+ * full manifest is refetched. If the version file is unavailable, falls back
+ * to a conditional (If-None-Match) request for the full manifest.
  *
- * @param {string} region - Region code (default 'WLD')
- * @param {Set<string>} excludeCodes - Species codes to exclude (e.g., recently shown)
- * @returns {Promise<Object|null>} birdInfo object or null
+ * @returns {Promise<'skipped'|'current'|'delta'|'full'>} What was done
  */
-export async function getRandomBird(region = 'WLD', excludeCodes = null) {
-  const manifest = await getManifest();
-  if (!speciesIndex) {
-    speciesIndex = buildSpeciesIndex(manifest);
+export async function checkForManifestUpdate() {
+  const stored = await loadCachedManifest();
+  if (!stored || stored.meta?.manifestUrl !== CONFIG.MANIFEST_URL) {
+    // Nothing usable cached yet; getManifest() will do a full fetch
+    return 'skipped';
   }
 
-  let codes = getRegionSpeciesCodes(manifest, region);
-  if (codes.length === 0) return null;
+  const { manifest, meta } = stored;
 
-  if (excludeCodes && excludeCodes.size > 0) {
-    const filtered = codes.filter(c => !excludeCodes.has(c));
-    if (filtered.length > 0) codes = filtered;
+  let versionInfo = null;
+  try {
+    const response = await fetchWithTimeout(CONFIG.MANIFEST_VERSION_URL, { cache: 'no-cache' });
+    if (response.ok) {
+      versionInfo = await response.json();
+    } else {
+      log(`Manifest version probe returned HTTP ${response.status}`);
+    }
+  } catch (error) {
+    log(`Manifest version probe failed: ${error.message}`);
   }
 
-  const randomCode = codes[Math.floor(Math.random() * codes.length)];
-  const entry = speciesIndex.get(randomCode);
-  if (!entry) return null;
+  if (!versionInfo?.version) {
+    return refreshManifestIfModified(meta);
+  }
+
+  if (versionInfo.version === meta.version) {
+    return 'current';
+  }
 
-  return adaptSpeciesToBirdInfo(entry);
+  const deltaPath = versionInfo.deltas?.[meta.version];
+  if (deltaPath) {
+    try {
+      const deltaUrl = new URL(deltaPath, CONFIG.MANIFEST_VERSION_URL).href;
+      const response = await fetchWithTimeout(deltaUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const delta = await response.json();
+      if (delta.fromVersion !== meta.version || !delta.toVersion) {
+        throw new Error(`Delta ${delta.fromVersion} -> ${delta.toVersion} does not apply to ${meta.version}`);
+      }
+
+      const updated = applyManifestDelta(manifest, delta);
+      // Keep the stored ETag so the If-None-Match fallback still has one to send
+      await replaceCachedManifest(updated, { source: 'delta', etag: meta.etag ?? null });
+      log(`Manifest updated ${meta.version} -> ${delta.toVersion} via delta`);
+      return 'delta';
+    } catch (error) {
+      log(`Manifest delta failed, refetching full manifest: ${error.message}`);
+    }
+  }
+
+  await fetchManifest();
+  log(`Manifest updated ${meta.version} -> ${versionInfo.version} via full fetch`);
+  return 'full';
 }
 
 /**
- * Get a specific bird by species code, adapted into birdInfo shape.
+ * Get the ordered species code list for a region.
  */
-export async function getBirdByCode(speciesCode) {
-  const manifest = await getManifest();
-  if (!speciesIndex) {
-    speciesIndex = buildSpeciesIndex(manifest);
+export function getRegionSpeciesCodes(manifest, region = 'WLD') {
+  return manifest.regions?.[region]?.speciesCodes ?? [];
+}
+
+/**
+ * Resolve a region code against the manifest, falling back to the
+ * world list when the region is unknown or has no species.
+ */
+export function resolveRegion(manifest, region = 'WLD') {
+  return getRegionSpeciesCodes(manifest, region).length > 0 ? region : 'WLD';
+}
+
+/**
+ * List the regions in the manifest that have at least one species.
+ *
+ * @returns {Array<{code: string, name: string|null, speciesCount: number}>}
+ */
+export function getAvailableRegions(manifest) {
+  return Object.entries(manifest.regions ?? {})
+    .filter(([, entry]) => entry?.speciesCodes?.length > 0)
+    .map(([code, entry]) => ({
+      code,
+      name: entry.name ?? null,
+      speciesCount: entry.speciesCodes.length,
+    }));
+}
+
+/**
+ * Pick the bird-of-the-day species code for a region.
+ * Deterministic from the date and region, so everyone with the same
+ * manifest sees the same species on the same calendar day. If that
+ * species is hidden, the next species in the region list is used.
+ *
+ * @param {Object} manifest
+ * @param {string} region - Region code
+ * @param {string} dateKey - Local date as 'YYYY-MM-DD'
+ * @param {Set<string>} hiddenCodes - Species codes the user has hidden
+ * @returns {string|null} Species code
+ */
+export function getDailySpeciesCode(manifest, region, dateKey, hiddenCodes = null) {
+  const resolvedRegion = resolveRegion(manifest, region);
+  const codes = getRegionSpeciesCodes(manifest, resolvedRegion);
+  const start = hashString(`${dateKey}:${resolvedRegion}`) % codes.length;
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[(start + i) % codes.length];
+    if (!hiddenCodes?.has(code)) return code;
   }
-  const entry = speciesIndex.get(speciesCode);
-  return entry ? adaptSpeciesToBirdInfo(entry) : null;
+  return null;
 }
 
 /**
  * Get all species for a region as birdInfo objects.
- * Useful for quiz mode.
+ * Used by quiz mode and its mastery view.
  */
 export async function getRegionBirds(region = 'WLD') {
   const manifest = await getManifest();
@@ -253,7 +555,7 @@ export async function getRegionBirds(region = 'WLD') {
     speciesIndex = buildSpeciesIndex(manifest);
   }
 
-  const codes = getRegionSpeciesCodes(manifest, region);
+  const codes = getRegionSpeciesCodes(manifest, resolveRegion(manifest, region));
   return codes
     .map(code => speciesIndex.get(code))
     .filter(Boolean)
@@ -262,7 +564,7 @@ export async function getRegionBirds(region = 'WLD') {
 
 /**
  * Clear the manifest from in-memory and storage caches.
- * Called on region change or explicit cache clear.
+ * Called on explicit cache clear.
  */
 export async function clearManifestCache() {
   cachedManifest = null;
@@ -0,0 +1,271 @@
+/**
+ * Offline Pack Module
+ *
+ * Keeps the photo and call for a chosen number of species in the Cache API so
+ * new tabs still show a bird when the network is down. The background service
+ * worker fills and refreshes the pack; new tab pages pick from it and play the
+ * cached files through object URLs.
+ *
+ * The list of packed birds lives in chrome.storage.local ('offlinePack') so
+ * pages can read it alongside their other settings in a single call.
+ */
+
+import { CONFIG } from './config.js';
+import { log } from './logger.js';
+import { adaptSpeciesToBirdInfo, getRegionSpeciesCodes, resolveRegion } from './mediaClient.js';
+
+const OFFLINE_PACK_CACHE = 'birdtab-offline-pack-v1';
+const OFFLINE_PACK_KEY = 'offlinePack';
+
+let syncInProgress = null;
+let syncRequested = null;
+
+/**
+ * Get the packed birds
+ * @returns {Promise<Array<Object>>} birdInfo entries with `bytes` and `timestamp`
+ */
+export async function getOfflinePack() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([OFFLINE_PACK_KEY], (result) => {
+      resolve(result[OFFLINE_PACK_KEY]?.value || []);
+    });
+  });
+}
+
+function saveOfflinePack(entries) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({
+      [OFFLINE_PACK_KEY]: { value: entries, timestamp: Date.now() }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        log(`Error saving offline pack: ${chrome.runtime.lastError.message}`);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Summarize the pack for display
+ * @param {Array<Object>} entries - Packed birds
+ * @returns {{count: number, bytes: number}}
+ */
+export function getOfflinePackStats(entries) {
+  return {
+    count: entries.length,
+    bytes: entries.reduce((total, entry) => total + (entry.bytes || 0), 0),
+  };
+}
+
+/**
+ * Pick a random bird from the pack.
+ *
+ * `hiddenCodes` is strict; `excludeCodes` (rotation) is ignored if it
+ * would exclude every packed bird.
+ *
+ * @param {Array<Object>} entries - Packed birds
+ * @param {Set<string>} [hiddenCodes]
+ * @param {Set<string>} [excludeCodes]
+ * @returns {Object|null} birdInfo, or null if nothing is packed
+ */
+export function pickOfflineBird(entries, hiddenCodes = null, excludeCodes = null) {
+  let pool = entries.filter(entry => !hiddenCodes?.has(entry.speciesCode));
+  if (pool.length === 0) return null;
+
+  if (excludeCodes && excludeCodes.size > 0) {
+    const filtered = pool.filter(entry => !excludeCodes.has(entry.speciesCode));
+    if (filtered.length > 0) pool = filtered;
+  }
+
+  const { bytes, timestamp, ...birdInfo } = pool[Math.floor(Math.random() * pool.length)];
+  return birdInfo;
+}
+
+/**
+ * Look up cached media for a bird and expose it as object URLs.
+ * Returns an empty map when the bird isn't packed or the Cache API is unavailable.
+ *
+ * @param {Object} birdInfo
+ * @returns {Promise<Map<string, string>>} Remote URL -> object URL
+ */
+export async function getOfflineMediaUrls(birdInfo) {
+  const urls = new Map();
+  if (typeof caches === 'undefined' || !birdInfo) return urls;
+
+  try {
+    const cache = await caches.open(OFFLINE_PACK_CACHE);
+    for (const url of [birdInfo.imageUrl, birdInfo.mediaUrl]) {
+      if (!url) continue;
+      const response = await cache.match(url);
+      if (response) {
+        urls.set(url, URL.createObjectURL(await response.blob()));
+      }
+    }
+  } catch (error) {
+    log(`Could not read offline media: ${error.message}`);
+  }
+  return urls;
+}
+
+/**
+ * Download a bird's photo and call into the cache.
+ * Returns the number of bytes stored, or null if they don't fit in `bytesLeft`.
+ */
+async function storeBirdMedia(cache, birdInfo, bytesLeft) {
+  const files = [];
+  for (const url of [birdInfo.imageUrl, birdInfo.mediaUrl]) {
+    if (!url) continue;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    files.push({ url, blob: await response.blob() });
+  }
+
+  const bytes = files.reduce((total, file) => total + file.blob.size, 0);
+  if (bytes > bytesLeft) return null;
+
+  for (const { url, blob } of files) {
+    await cache.put(url, new Response(blob, { headers: { 'Content-Type': blob.type } }));
+  }
+  return bytes;
+}
+
+/**
+ * Delete cached files that no packed bird refers to.
+ */
+async function pruneCache(cache, entries) {
+  const keep = new Set(entries.flatMap(entry => [entry.imageUrl, entry.mediaUrl]).filter(Boolean));
+  for (const request of await cache.keys()) {
+    if (!keep.has(request.url)) {
+      await cache.delete(request);
+    }
+  }
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+async function runSync({ manifest, region, size, hiddenCodes = new Set(), priorityCodes = [] }) {
+  const cache = await caches.open(OFFLINE_PACK_CACHE);
+
+  if (!size || size <= 0) {
+    await saveOfflinePack([]);
+    await pruneCache(cache, []);
+    return getOfflinePackStats([]);
+  }
+
+  const resolvedRegion = resolveRegion(manifest, region);
+  const regionCodes = getRegionSpeciesCodes(manifest, resolvedRegion).filter(code => !hiddenCodes.has(code));
+  const regionSet = new Set(regionCodes);
+  const speciesByCode = new Map(manifest.species.map(entry => [entry.speciesCode, entry]));
+
+  // Keep packed birds that still belong to the region and whose media hasn't changed
+  const entries = [];
+  for (const entry of await getOfflinePack()) {
+    const bird = adaptSpeciesToBirdInfo(speciesByCode.get(entry.speciesCode));
+    if (entries.length < size && regionSet.has(entry.speciesCode) && bird &&
+        bird.imageUrl === entry.imageUrl && bird.mediaUrl === entry.mediaUrl) {
+      entries.push({ ...bird, location: region, bytes: entry.bytes, timestamp: entry.timestamp });
+    }
+  }
+
+  const budget = CONFIG.OFFLINE_PACK_MAX_MB * 1024 * 1024;
+  let { bytes: usedBytes } = getOfflinePackStats(entries);
+  const packedCodes = new Set(entries.map(entry => entry.speciesCode));
+  const candidates = [
+    ...priorityCodes.filter(code => regionSet.has(code)),
+    ...shuffle(regionCodes),
+  ];
+
+  for (const code of candidates) {
+    if (entries.length >= size) break;
+    if (packedCodes.has(code)) continue;
+
+    const bird = adaptSpeciesToBirdInfo(speciesByCode.get(code));
+    if (!bird?.imageUrl) continue;
+    packedCodes.add(code);
+
+    let bytes;
+    try {
+      bytes = await storeBirdMedia(cache, bird, budget - usedBytes);
+    } catch (error) {
+      // Most likely the connection dropped; keep what we have and retry next sync
+      log(`Offline pack download stopped: ${error.message}`);
+      break;
+    }
+    if (bytes === null) {
+      log(`Offline pack reached its ${CONFIG.OFFLINE_PACK_MAX_MB} MB budget`);
+      break;
+    }
+
+    usedBytes += bytes;
+    entries.push({ ...bird, location: region, bytes, timestamp: Date.now() });
+  }
+
+  await saveOfflinePack(entries);
+  await pruneCache(cache, entries);
+
+  const stats = getOfflinePackStats(entries);
+  log(`Offline pack synced: ${stats.count} birds, ${(stats.bytes / (1024 * 1024)).toFixed(1)} MB`);
+  return stats;
+}
+
+/**
+ * Bring the pack in line with the current settings: drop birds that left the
+ * region, were hidden, or whose media changed, then download new ones until
+ * `size` birds are packed or the size budget is reached.
+ *
+ * Favorites in the region are packed first. Concurrent calls are coalesced;
+ * a call made while a sync is running queues one more sync with its options.
+ *
+ * @param {Object} options
+ * @param {Object} options.manifest - Current media manifest
+ * @param {string} options.region - Region code to pack birds for
+ * @param {number} options.size - Number of birds to keep (0 empties the pack)
+ * @param {Set<string>} [options.hiddenCodes] - Species never to pack
+ * @param {Array<string>} [options.priorityCodes] - Species to pack first
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export async function syncOfflinePack(options) {
+  if (typeof caches === 'undefined') {
+    return getOfflinePackStats([]);
+  }
+
+  if (syncInProgress) {
+    syncRequested = options;
+    return syncInProgress;
+  }
+
+  syncInProgress = (async () => {
+    try {
+      let stats = await runSync(options);
+      while (syncRequested) {
+        const next = syncRequested;
+        syncRequested = null;
+        stats = await runSync(next);
+      }
+      return stats;
+    } finally {
+      syncInProgress = null;
+    }
+  })();
+
+  return syncInProgress;
+}
+
+/**
+ * Remove every packed bird and its cached files.
+ */
+export async function clearOfflinePack() {
+  await saveOfflinePack([]);
+  if (typeof caches !== 'undefined') {
+    await caches.delete(OFFLINE_PACK_CACHE);
+  }
+}
@@ -4,6 +4,7 @@ import { localizeHtml } from './i18n.js';
 import { initSentry, captureException, addBreadcrumb, startTransaction } from './sentry.js';
 import { log } from './logger.js';
 import { initAnalytics, trackOnboardingCompleted } from './analytics.js';
+import { DEFAULT_REGION, fetchAvailableRegions, populateRegionSelect, inferRegion } from './regions.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   initSentry('onboarding');
@@ -27,6 +28,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
+  // Fill the region picker once the manifest (and its region list) is available,
+  // pre-selecting the region suggested by the browser locale and timezone.
+  // Until then the select only offers World, which is always a valid choice.
+  const regionSelect = document.getElementById('region-select');
+  let regionChosen = false;
+  regionSelect.addEventListener('change', () => {
+    regionChosen = true;
+  });
+  manifestPromise.then(async () => {
+    try {
+      const regions = await fetchAvailableRegions();
+      const suggestedRegion = inferRegion(regions.map(region => region.code));
+      log(`Suggested region: ${suggestedRegion}`);
+      populateRegionSelect(regionSelect, regions, suggestedRegion);
+    } catch (error) {
+      log(`Failed to load regions: ${error.message}`);
+    }
+  });
+
   const autoplayToggle = document.getElementById('autoplay-toggle');
   const toggleContainer = document.querySelector('.toggle-container');
   toggleContainer.addEventListener('click', (e) => {
@@ -38,9 +58,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   finishButton.addEventListener('click', async () => {
     const autoPlayEnabled = document.getElementById('autoplay-toggle').checked;
+    // Only a region the user picked is saved; otherwise it stays unset and
+    // new tabs keep inferring it, even if the list hadn't loaded yet
+    const region = regionSelect.value || DEFAULT_REGION;
 
     addBreadcrumb('Onboarding completed', 'user', 'info', { 
-      region: 'WLD', 
+      region, 
       autoPlay: autoPlayEnabled 
     });
 
@@ -64,13 +87,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     chrome.storage.local.set({
-      region: 'WLD',
+      ...(regionChosen && { region }),
       autoPlay: autoPlayEnabled
     }, () => {
       if (chrome.runtime.lastError) {
         captureException(new Error('Failed to save onboarding settings to local'), {
           tags: { operation: 'saveOnboardingSettings' },
-          extra: { error: chrome.runtime.lastError.message, autoPlayEnabled }
+          extra: { error: chrome.runtime.lastError.message, region, autoPlayEnabled }
         });
         return;
       }
@@ -86,7 +109,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           return;
         }
 
-        trackOnboardingCompleted('WLD', autoPlayEnabled);
+        trackOnboardingCompleted(region, autoPlayEnabled);
 
         if (transaction) {
           transaction.setStatus('ok');
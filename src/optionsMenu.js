@@ -5,6 +5,28 @@
 
 import { log } from './logger.js';
 
+// Row action icons for 'list' options
+const LIST_ICONS = {
+  up: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="18 15 12 9 6 15"/></svg>',
+  down: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"/></svg>',
+  remove: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>'
+};
+
+/**
+ * Show a select's current choice in its header: the icon, or the label for
+ * choices without one
+ * @param {HTMLElement} element
+ * @param {Object} choice
+ */
+function showSelectedChoice(element, choice) {
+  if (choice.icon) {
+    element.innerHTML = choice.icon;
+  } else {
+    element.textContent = choice.label;
+  }
+  element.classList.toggle('options-menu-selected-text', !choice.icon);
+}
+
 /**
  * Create an options menu instance
  * @param {Object} config - Configuration object
@@ -121,8 +143,8 @@ export function createOptionsMenu(config) {
         selectedIcon.className = 'options-menu-selected-icon';
 
         const currentChoice = option.choices.find(c => c.value === option.value);
-        if (currentChoice && currentChoice.icon) {
-          selectedIcon.innerHTML = currentChoice.icon;
+        if (currentChoice) {
+          showSelectedChoice(selectedIcon, currentChoice);
         }
 
         const chevron = document.createElement('span');
@@ -188,11 +210,7 @@ export function createOptionsMenu(config) {
             choiceItem.classList.add('selected');
 
             // Update displayed icon
-            if (choice.icon) {
-              selectedIcon.innerHTML = choice.icon;
-            } else {
-              selectedIcon.innerHTML = '';
-            }
+            showSelectedChoice(selectedIcon, choice);
 
             log(`Option selected: ${option.label} = ${choice.value}`);
 
@@ -242,15 +260,124 @@ export function createOptionsMenu(config) {
 
         item.appendChild(contentWrapper);
 
-        item.addEventListener('click', (e) => {
+        item.addEventListener('click', async (e) => {
           e.preventDefault();
           e.stopPropagation();
 
+          if (option.keepOpen) {
+            // e.g. adding to a list further down: show the result in place
+            await option.onClick?.();
+            await refresh();
+            return;
+          }
+
           if (option.onClick) {
             option.onClick();
           }
           close();
         });
+      } else if (option.type === 'range') {
+        // Slider with a label above it, e.g. a volume.
+        // onChange gets the value once the user lets go, onInput while dragging.
+        item.className = 'options-menu-item options-menu-range';
+        item.removeAttribute('role');
+        item.removeAttribute('tabindex');
+
+        const label = document.createElement('label');
+        label.className = 'options-menu-label';
+        label.textContent = option.label;
+        label.htmlFor = `${menuId}-range-${index}`;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = `${menuId}-range-${index}`;
+        input.className = 'options-menu-range-input';
+        input.min = option.min ?? 0;
+        input.max = option.max ?? 100;
+        input.step = option.step ?? 1;
+        input.value = option.value;
+        input.addEventListener('input', () => option.onInput?.(Number(input.value)));
+        input.addEventListener('change', () => option.onChange?.(Number(input.value)));
+
+        item.appendChild(label);
+        item.appendChild(input);
+      } else if (option.type === 'list') {
+        // Editable list: each row has a text field, move up/down and delete buttons.
+        // Callbacks get the row index; the menu re-renders after a move or delete.
+        item.className = 'options-menu-list';
+        item.removeAttribute('role');
+        item.removeAttribute('tabindex');
+
+        if (option.label) {
+          const label = document.createElement('span');
+          label.className = 'options-menu-list-title';
+          label.textContent = option.label;
+          item.appendChild(label);
+        }
+
+        if (option.items.length === 0 && option.emptyText) {
+          const empty = document.createElement('span');
+          empty.className = 'options-menu-list-empty';
+          empty.textContent = option.emptyText;
+          item.appendChild(empty);
+        }
+
+        const actionLabels = option.actionLabels || {};
+        option.items.forEach((entry, entryIndex) => {
+          const row = document.createElement('div');
+          row.className = 'options-menu-list-row';
+
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.className = 'options-menu-list-input';
+          input.value = entry.value || '';
+          input.placeholder = entry.placeholder || '';
+          input.setAttribute('aria-label', entry.placeholder || option.label || '');
+          if (option.maxLength) input.maxLength = option.maxLength;
+          input.addEventListener('change', () => option.onRename?.(entryIndex, input.value));
+          input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              input.blur();
+            }
+          });
+          row.appendChild(input);
+
+          if (entry.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'options-menu-list-detail';
+            detail.textContent = entry.detail;
+            row.appendChild(detail);
+          }
+
+          const actions = [
+            { label: actionLabels.moveUp || 'Move up', icon: LIST_ICONS.up, disabled: entryIndex === 0, run: () => option.onMove?.(entryIndex, -1) },
+            { label: actionLabels.moveDown || 'Move down', icon: LIST_ICONS.down, disabled: entryIndex === option.items.length - 1, run: () => option.onMove?.(entryIndex, 1) },
+            { label: actionLabels.remove || 'Delete', icon: LIST_ICONS.remove, disabled: false, run: () => option.onDelete?.(entryIndex) }
+          ];
+          actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'options-menu-list-action';
+            button.innerHTML = action.icon;
+            button.disabled = action.disabled;
+            button.setAttribute('aria-label', action.label);
+            button.title = action.label;
+            button.addEventListener('click', async (e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              await action.run();
+              await refresh();
+            });
+            row.appendChild(button);
+          });
+
+          if (entry.autofocus) {
+            requestAnimationFrame(() => input.focus());
+          }
+
+          item.appendChild(row);
+        });
       }
       
       menuContent.appendChild(item);
@@ -307,21 +434,25 @@ export function createOptionsMenu(config) {
   }
   
   /**
-   * Open the menu
+   * Get fresh options (supports both static options and async factory function)
+   * @returns {Promise<Array>}
    */
-  async function open() {
-    if (isOpen) return;
-
-    // Get fresh options (supports both static options and async factory function)
-    let options;
+  async function resolveOptions() {
     if (getOptions) {
       const result = getOptions();
       // Support both sync and async getOptions
-      options = result instanceof Promise ? await result : result;
-    } else {
-      options = staticOptions;
+      return result instanceof Promise ? await result : result;
     }
+    return staticOptions;
+  }
 
+  /**
+   * Open the menu
+   */
+  async function open() {
+    if (isOpen) return;
+
+    const options = await resolveOptions();
     menuElement = createMenuElement(options);
 
     // Position after a frame to ensure dimensions are calculated
@@ -342,6 +473,25 @@ export function createOptionsMenu(config) {
     log(`Options menu ${menuId} opened`);
   }
   
+  /**
+   * Re-render an open menu in place with fresh options
+   */
+  async function refresh() {
+    if (!isOpen || !menuElement) return;
+
+    const { top, left } = menuElement.style;
+    const options = await resolveOptions();
+    if (!isOpen) return;
+
+    menuElement = createMenuElement(options);
+    menuElement.style.top = top;
+    menuElement.style.left = left;
+    menuElement.classList.add('options-menu-visible');
+    menuElement.setAttribute('aria-hidden', 'false');
+    // Grown or shrunk: keep it inside the viewport
+    requestAnimationFrame(positionMenu);
+  }
+
   /**
    * Close the menu
    */
@@ -450,6 +600,7 @@ export function createOptionsMenu(config) {
     open,
     close,
     toggle,
+    refresh,
     updateOption,
     destroy,
     get isOpen() { return isOpen; }
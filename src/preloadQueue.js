@@ -0,0 +1,97 @@
+/**
+ * Preload Queue Module
+ *
+ * A small FIFO queue of birds the background service worker has already
+ * picked and warmed the media for. New tab pages each claim one entry, so
+ * opening several tabs at once never leaves a tab waiting.
+ *
+ * The queue lives in chrome.storage.local ('preloadedBirds'). Every
+ * read-modify-write happens under a Web Lock shared by all extension pages
+ * and the service worker, so two tabs can never claim the same bird.
+ */
+
+import { CONFIG } from './config.js';
+import { log } from './logger.js';
+
+const PRELOAD_QUEUE_KEY = 'preloadedBirds';
+const PRELOAD_QUEUE_LOCK = 'birdtab-preload-queue';
+
+function withQueueLock(callback) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(PRELOAD_QUEUE_LOCK, callback);
+  }
+  return callback();
+}
+
+function readQueue() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([PRELOAD_QUEUE_KEY], (result) => {
+      resolve(result[PRELOAD_QUEUE_KEY] || []);
+    });
+  });
+}
+
+function writeQueue(queue) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [PRELOAD_QUEUE_KEY]: queue }, () => {
+      if (chrome.runtime.lastError) {
+        log(`Error saving preload queue: ${chrome.runtime.lastError.message}`);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Get the birds waiting in the queue, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPreloadQueue() {
+  return readQueue();
+}
+
+/**
+ * Add a preloaded bird to the back of the queue.
+ * Oldest entries are dropped beyond CONFIG.PRELOAD_QUEUE_SIZE.
+ * @param {Object} birdInfo
+ */
+export async function enqueuePreloadedBird(birdInfo) {
+  await withQueueLock(async () => {
+    const queue = await readQueue();
+    queue.push(birdInfo);
+    await writeQueue(queue.slice(-CONFIG.PRELOAD_QUEUE_SIZE));
+  });
+}
+
+/**
+ * Take the oldest usable bird off the queue.
+ * Entries ahead of it that fail `isUsable` (e.g. picked for another region)
+ * are discarded, since they would be skipped by every tab.
+ *
+ * @param {(birdInfo: Object) => boolean} [isUsable]
+ * @returns {Promise<Object|null>} The claimed bird, or null if none is usable
+ */
+export async function claimPreloadedBird(isUsable = () => true) {
+  return withQueueLock(async () => {
+    const queue = await readQueue();
+    if (queue.length === 0) return null;
+
+    const usableIndex = queue.findIndex(entry => isUsable(entry));
+    const stale = usableIndex === -1 ? queue : queue.slice(0, usableIndex);
+    stale.forEach(entry => log(`Discarding stale preloaded bird: ${entry.name}`));
+
+    if (usableIndex === -1) {
+      await writeQueue([]);
+      return null;
+    }
+    await writeQueue(queue.slice(usableIndex + 1));
+    return queue[usableIndex];
+  });
+}
+
+/**
+ * Empty the queue, e.g. after a setting that changes bird selection
+ */
+export async function clearPreloadQueue() {
+  await withQueueLock(() => writeQueue([]));
+}
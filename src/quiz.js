@@ -3,6 +3,33 @@ import './quiz.css';
 import { log } from './logger.js';
 import { trackQuizCompleted } from './analytics.js';
 import { escapeHtml, truncateName } from './utils/escapeHtml.js';
+import { getStoredRegion } from './regions.js';
+import { getHiddenSpeciesCodes } from './hiddenSpecies.js';
+import { getLocalizedBirdName } from './birdNames.js';
+import { CONFIG } from './config.js';
+import {
+  getSpeciesProgress,
+  recordQuizResults,
+  orderForReview,
+  getMasterySummary,
+  MAX_LEITNER_BOX
+} from './speciesProgress.js';
+import { recordQuizSession } from './quizStats.js';
+import { getLocalDateKey, createSeededRandom, shuffle } from './utils/dailySeed.js';
+import {
+  getDailyChallengeState,
+  saveDailyChallengeState,
+  DAILY_CHALLENGE_REGION,
+  getDailyChallengeSeed,
+  applyDailyResult,
+  getDailyPartialResults,
+  getCurrentDailyStreak,
+  getDailyResultGrid,
+  buildDailyShareText
+} from './dailyChallenge.js';
+import { openQuizStatsModal } from './quizStatsModal.js';
+import { getOfflinePack, getOfflineMediaUrls } from './offlinePack.js';
+import { getHistory } from './viewHistory.js';
 
 /*
  * Keep the next quiz image warm in the browser cache once the current image
@@ -13,10 +40,134 @@ import { escapeHtml, truncateName } from './utils/escapeHtml.js';
 // ==========================================
 // CONSTANTS
 // ==========================================
-const QUIZ_TOTAL_QUESTIONS = 10;
+const QUIZ_TOTAL_QUESTIONS = 10; // Default quiz length
+const QUIZ_LENGTHS = [5, 10, 20];
+const QUIZ_LENGTH_ENDLESS = 'endless';
+const QUIZ_ENDLESS_BATCH_SIZE = 10; // Endless quizzes prepare this many questions at a time
 const MIN_QUESTIONS_REQUIRED = 5;
+const DAILY_CHALLENGE_QUESTIONS = 10;
 const ERROR_MODAL_AUTO_CLOSE = 5000; // ms
 const BUTTON_FEEDBACK_DELAY = 2000; // ms
+const QUIZ_ANSWER_STYLES = {
+  COMMON: 'common',         // Common names in the user's language
+  SCIENTIFIC: 'scientific'  // Expert mode: scientific names
+};
+const QUIZ_DIFFICULTIES = {
+  EASY: 'easy',     // Random distractors
+  MEDIUM: 'medium', // Distractors from the same family where possible
+  HARD: 'hard'      // Closest relatives first: same genus, then family, then order
+};
+// Same for everyone so daily challenge scores can be compared
+const DAILY_CHALLENGE_DIFFICULTY = 'medium';
+const DAILY_CHALLENGE_ANSWER_STYLE = 'common';
+const QUIZ_TYPES = {
+  PHOTO: 'photo', // Identify the bird from its photo
+  AUDIO: 'audio'  // "Name that call": identify the bird from its recording
+};
+const QUIZ_TIMER_MODES = {
+  OFF: 'off',
+  QUESTION: 'question', // Countdown per question; running out counts as a wrong answer
+  SESSION: 'session'    // Beat the clock: answer as many as possible before time is up
+};
+const TIMER_TICK_MS = 250;
+const QUIZ_POINTS_CORRECT = 100;     // Timed quizzes: points for a correct answer...
+const QUIZ_POINTS_SPEED_BONUS = 100; // ...plus up to this much for answering fast
+const QUIZ_KEY_ACTIONS = {
+  SELECT: 'select',
+  NEXT: 'next',
+  REPLAY: 'replay',
+  EXIT: 'exit',
+  REVIEW_NEXT: 'reviewNext',
+  REVIEW_PREVIOUS: 'reviewPrevious'
+};
+
+// How closely two species are related, from the manifest taxonomy fields
+// (familyCode, order) and the genus at the start of the scientific name
+const TAXONOMY_SIMILARITY = {
+  NONE: 0,
+  ORDER: 1,
+  FAMILY: 2,
+  GENUS: 3
+};
+
+function getGenus(bird) {
+  return bird.scientificName?.trim().split(/\s+/)[0]?.toLowerCase() || null;
+}
+
+function getTaxonomicSimilarity(a, b) {
+  const genus = getGenus(a);
+  if (genus && genus === getGenus(b)) return TAXONOMY_SIMILARITY.GENUS;
+  if (a.familyCode && a.familyCode === b.familyCode) return TAXONOMY_SIMILARITY.FAMILY;
+  if (a.order && a.order === b.order) return TAXONOMY_SIMILARITY.ORDER;
+  return TAXONOMY_SIMILARITY.NONE;
+}
+
+/**
+ * How many answer rows the share image draws. When the answers don't all fit,
+ * the last row is given to a "+K more" summary instead.
+ */
+function getShareCollageRows(answerCount, maxRows) {
+  if (answerCount <= maxRows) {
+    return { shownCount: answerCount, moreCount: 0 };
+  }
+  const shownCount = Math.max(0, maxRows - 1);
+  return { shownCount, moreCount: answerCount - shownCount };
+}
+
+/**
+ * Points for one answer in a timed quiz. The speed bonus shrinks to nothing
+ * as the answer time reaches the per-question time limit, which is also the
+ * reference pace in session mode.
+ */
+function getSpeedPoints(isCorrect, elapsedMs, limitMs) {
+  if (!isCorrect) return 0;
+  const remaining = Math.max(0, 1 - elapsedMs / limitMs);
+  return QUIZ_POINTS_CORRECT + Math.round(QUIZ_POINTS_SPEED_BONUS * remaining);
+}
+
+/**
+ * Map a key press to what it does on the current quiz screen
+ * @param {string} key - KeyboardEvent.key
+ * @param {Object} state
+ * @param {boolean} state.isAnswering - A question is showing and not answered yet
+ * @param {boolean} state.hasAnswered - The current question was answered
+ * @param {boolean} state.isReviewing - The review of mistakes is showing
+ * @returns {string|null} QUIZ_KEY_ACTIONS value
+ */
+function getQuizKeyAction(key, { isAnswering, hasAnswered, isReviewing }) {
+  if (key === 'Escape') return QUIZ_KEY_ACTIONS.EXIT;
+
+  if (isReviewing) {
+    if (key === 'ArrowRight' || key === 'Enter') return QUIZ_KEY_ACTIONS.REVIEW_NEXT;
+    if (key === 'ArrowLeft') return QUIZ_KEY_ACTIONS.REVIEW_PREVIOUS;
+    return null;
+  }
+
+  if (isAnswering && /^[1-4]$/.test(key)) return QUIZ_KEY_ACTIONS.SELECT;
+  if ((isAnswering || hasAnswered) && key.toLowerCase() === 'r') return QUIZ_KEY_ACTIONS.REPLAY;
+  if (hasAnswered && key === 'Enter') return QUIZ_KEY_ACTIONS.NEXT;
+  return null;
+}
+
+/**
+ * Birds whose photo may still be on this device: the offline pack first,
+ * then recently viewed birds (newest first) that may be in the HTTP cache
+ * @param {Array<Object>} packEntries - From getOfflinePack()
+ * @param {Array<Object>} historyEntries - From getHistory(), oldest first
+ * @param {Set<string>} hiddenCodes
+ * @returns {Array<Object>} One bird per species
+ */
+function getOfflineQuizCandidates(packEntries, historyEntries, hiddenCodes) {
+  const seen = new Set();
+  return [...packEntries, ...[...historyEntries].reverse()]
+    .filter(entry => {
+      if (!entry.speciesCode || !entry.imageUrl) return false;
+      if (seen.has(entry.speciesCode) || hiddenCodes.has(entry.speciesCode)) return false;
+      seen.add(entry.speciesCode);
+      return true;
+    })
+    .map(({ bytes, timestamp, ...bird }) => bird);
+}
 
 class QuizMode {
   constructor(options = {}) {
@@ -37,6 +188,28 @@ class QuizMode {
     this.loadingProgress = 0; // Track image loading progress (0-100%)
     this.totalImagesToLoad = QUIZ_TOTAL_QUESTIONS;
     this.quizStartTime = null; // Track quiz start time for analytics
+    this.sessionSaved = Promise.resolve(); // Storing of the last finished quiz, for the stats dashboard
+    this.answerStyle = QUIZ_ANSWER_STYLES.COMMON;
+    this.difficulty = QUIZ_DIFFICULTIES.EASY;
+    this.quizType = QUIZ_TYPES.PHOTO;
+    this.questionLimit = QUIZ_TOTAL_QUESTIONS; // Number of questions, or QUIZ_LENGTH_ENDLESS
+    this.timerMode = QUIZ_TIMER_MODES.OFF;
+    this.timerInterval = null;
+    this.questionStartTime = null;
+    this.questionDeadline = null;
+    this.sessionDeadline = null;
+    this.points = 0; // Timed quizzes only
+    this.hasFinished = false; // Results are showing
+    this.random = Math.random; // Seeded for the daily challenge so everyone gets the same quiz
+    this.isDaily = false;
+    this.dailyDateKey = null;
+    this.dailyState = null; // Daily challenge result and streak, updated when the quiz ends
+    this.reviewIndex = null; // Mistake shown in the review walkthrough
+    this.offlineObjectUrls = []; // Object URLs for offline pack media, revoked on cleanup
+    this.questionAudio = null; // Recording currently loaded in the call quiz or results
+    this.questionAudioUrl = null;
+    this.questionAudioButton = null;
+    this.audioVolume = CONFIG.STORAGE_DEFAULTS.volumeLevel;
 
     this.setupKeyboardListener();
   }
@@ -156,11 +329,15 @@ class QuizMode {
       </button>
       <div class="quiz-container">
         <div class="quiz-header">
-          <div class="quiz-progress-bar">
+          <div class="quiz-progress-bar${this.isEndless() ? ' quiz-progress-bar--endless' : ''}">
             <div class="quiz-progress-fill" id="quiz-progress-fill" style="width: 10%"></div>
           </div>
           <div class="quiz-meta">
-            <span>${chrome.i18n.getMessage('quizProgress').replace('{currentQuestion}', '<span id="quiz-current">1</span>').replace('{totalQuestions}', `<span id="quiz-total">${this.questions.length || QUIZ_TOTAL_QUESTIONS}</span>`)}</span>
+            <span>${this.getProgressHTML()}</span>
+            ${this.isTimed() ? `
+            <span class="quiz-timer" id="quiz-timer" role="timer"></span>
+            <span class="quiz-points" id="quiz-points">${this.getPointsText(0)}</span>
+            ` : ''}
           </div>
         </div>
         
@@ -168,14 +345,24 @@ class QuizMode {
           <!-- Question Section -->
           <div class="quiz-question-section">
             <div class="quiz-question-text" id="quiz-question-text">
-              ${chrome.i18n.getMessage('quizModeQuestion')}
+              ${this.getQuestionText()}
             </div>
           </div>
           
           <!-- Image Section -->
           <div class="quiz-image-section">
-            <div class="quiz-image-container" id="quiz-image-container">
-              <!-- Image will be loaded here -->
+            <div class="quiz-image-stage">
+              <div class="quiz-image-container${this.isAudioQuiz() ? ' quiz-image-container--concealed' : ''}" id="quiz-image-container">
+                <!-- Image will be loaded here -->
+              </div>
+              ${this.isAudioQuiz() ? `
+              <div class="quiz-audio-prompt" id="quiz-audio-prompt">
+                <button class="quiz-audio-play" id="quiz-audio-play" aria-label="${chrome.i18n.getMessage('quizAudioPlay') || 'Play recording'}">
+                  <img src="images/svg/play.svg" alt="" width="28" height="28">
+                  <span class="quiz-audio-play-label">${chrome.i18n.getMessage('quizAudioPlay') || 'Play recording'}</span>
+                </button>
+              </div>
+              ` : ''}
             </div>
             <div class="quiz-image-meta" id="quiz-image-meta">
               ${chrome.i18n.getMessage('photoBy')} <a href="#" id="quiz-photographer" target="_blank">${chrome.i18n.getMessage('loading')}</a>
@@ -191,6 +378,7 @@ class QuizMode {
           
           <!-- Actions Section -->
           <div class="quiz-actions">
+            ${this.isEndless() ? `<button class="quiz-btn secondary" id="quiz-finish" disabled>${chrome.i18n.getMessage('quizFinish') || 'Finish'}</button>` : ''}
             <button class="quiz-btn" id="quiz-next" disabled>${chrome.i18n.getMessage('quizNextQuestion')}</button>
           </div>
         </div>
@@ -198,6 +386,77 @@ class QuizMode {
     `;
   }
 
+  /**
+   * "Question X of Y", or just "Question X" in endless quizzes
+   */
+  getProgressHTML() {
+    const current = '<span id="quiz-current">1</span>';
+    if (this.isEndless()) {
+      return (chrome.i18n.getMessage('quizProgressEndless') || 'Question {currentQuestion}').replace('{currentQuestion}', current);
+    }
+    return chrome.i18n.getMessage('quizProgress')
+      .replace('{currentQuestion}', current)
+      .replace('{totalQuestions}', `<span id="quiz-total">${this.questions.length || this.questionLimit}</span>`);
+  }
+
+  /**
+   * Quiz start screen: pick the length and timer before loading questions
+   */
+  generateSetupHTML() {
+    const choice = (name, value, label, checked) => `
+      <label class="quiz-setup-choice">
+        <input type="radio" name="${name}" value="${value}"${checked ? ' checked' : ''}>
+        <span>${label}</span>
+      </label>`;
+
+    const lengthChoices = [...QUIZ_LENGTHS, QUIZ_LENGTH_ENDLESS].map(length => choice(
+      'quiz-length',
+      length,
+      length === QUIZ_LENGTH_ENDLESS ? (chrome.i18n.getMessage('quizLengthEndless') || 'Endless') : length,
+      length === this.questionLimit
+    )).join('');
+
+    const timerLabels = {
+      [QUIZ_TIMER_MODES.OFF]: chrome.i18n.getMessage('quizTimerOff') || 'No timer',
+      [QUIZ_TIMER_MODES.QUESTION]: chrome.i18n.getMessage('quizTimerQuestion', [String(CONFIG.QUIZ_QUESTION_TIME_SECONDS)]) ||
+        `${CONFIG.QUIZ_QUESTION_TIME_SECONDS}s per question`,
+      [QUIZ_TIMER_MODES.SESSION]: chrome.i18n.getMessage('quizTimerSession', [String(CONFIG.QUIZ_SESSION_TIME_SECONDS)]) ||
+        `Beat the clock (${CONFIG.QUIZ_SESSION_TIME_SECONDS}s)`
+    };
+    const timerChoices = Object.values(QUIZ_TIMER_MODES)
+      .map(mode => choice('quiz-timer-mode', mode, escapeHtml(timerLabels[mode]), mode === this.timerMode))
+      .join('');
+
+    return `
+      <button class="quiz-close-btn" id="quiz-setup-close" aria-label="${chrome.i18n.getMessage('closeQuiz')}">
+        <img src="images/svg/close.svg" alt="${chrome.i18n.getMessage('closeAlt')}" width="20" height="20">
+      </button>
+      <div class="quiz-container quiz-setup">
+        <div class="quiz-header">
+          <h1 class="quiz-question-title">${this.isAudioQuiz()
+            ? chrome.i18n.getMessage('quizCallAlt') || 'Name That Call'
+            : chrome.i18n.getMessage('quizSetupTitle') || 'Bird Quiz'}</h1>
+        </div>
+        <div class="quiz-content">
+          <fieldset class="quiz-setup-group">
+            <legend>${chrome.i18n.getMessage('quizLength') || 'Questions'}</legend>
+            <div class="quiz-setup-choices">${lengthChoices}</div>
+          </fieldset>
+          <fieldset class="quiz-setup-group">
+            <legend>${chrome.i18n.getMessage('quizTimer') || 'Timer'}</legend>
+            <div class="quiz-setup-choices">${timerChoices}</div>
+            <p class="quiz-setup-hint">${chrome.i18n.getMessage('quizTimerHint') || 'Timed quizzes score extra points for fast answers.'}</p>
+          </fieldset>
+          ${navigator.onLine ? '' : `<p class="quiz-setup-offline">${chrome.i18n.getMessage('quizOfflineHint') || 'You\'re offline, so the quiz only uses birds saved on this device.'}</p>`}
+          <div class="quiz-actions">
+            <button class="quiz-btn primary" id="quiz-setup-start">${chrome.i18n.getMessage('quizStart') || 'Start Quiz'}</button>
+          </div>
+          <p class="quiz-setup-hint quiz-setup-keys">${chrome.i18n.getMessage('quizKeyboardHint') || 'Keys: 1–4 to answer · Enter for next · R to replay a call · Esc to leave'}</p>
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Show a modal dialog with consistent styling
    */
@@ -239,19 +498,57 @@ class QuizMode {
         }
       }
 
-      // Handle keyboard navigation in quiz
-      if (this.isActive && !this.hasAnswered) {
-        if (e.key >= '1' && e.key <= '4') {
+      if (!this.isActive) return;
+
+      // Stats and other dialogs over the quiz handle Escape themselves
+      if (document.querySelector('.settings-sidebar.open')) return;
+
+      const exitModal = document.querySelector('.quiz-exit-modal');
+      const isOnQuestion = !this.hasFinished && !!this.hasValidQuestion();
+      const action = getQuizKeyAction(e.key, {
+        isAnswering: isOnQuestion && !this.hasAnswered && !exitModal,
+        hasAnswered: isOnQuestion && this.hasAnswered && !exitModal,
+        isReviewing: this.reviewIndex !== null
+      });
+      // Enter on a focused button or link already clicks it
+      if (e.key === 'Enter' && e.target.closest?.('button, a')) return;
+
+      switch (action) {
+        case QUIZ_KEY_ACTIONS.EXIT:
+          e.preventDefault();
+          if (exitModal) {
+            this.getElement('quiz-cancel-exit')?.click();
+          } else {
+            this.showExitConfirmation();
+          }
+          break;
+        case QUIZ_KEY_ACTIONS.SELECT: {
           const optionIndex = parseInt(e.key) - 1;
           if (optionIndex < document.querySelectorAll('.quiz-option').length) {
             this.selectOption(optionIndex);
           }
+          break;
         }
-      }
-
-      // Handle next question with Enter
-      if (this.isActive && this.hasAnswered && e.key === 'Enter') {
-        this.nextQuestion();
+        case QUIZ_KEY_ACTIONS.REPLAY:
+          this.replayQuestionAudio();
+          break;
+        case QUIZ_KEY_ACTIONS.NEXT: {
+          // Same as the button, which also knows when to show the results
+          const nextButton = this.getElement('quiz-next');
+          if (nextButton && !nextButton.disabled) {
+            e.preventDefault();
+            nextButton.click();
+          }
+          break;
+        }
+        case QUIZ_KEY_ACTIONS.REVIEW_NEXT:
+          e.preventDefault();
+          this.showMistakeReview(this.reviewIndex + 1);
+          break;
+        case QUIZ_KEY_ACTIONS.REVIEW_PREVIOUS:
+          e.preventDefault();
+          this.showMistakeReview(this.reviewIndex - 1);
+          break;
       }
     };
 
@@ -259,14 +556,95 @@ class QuizMode {
     this.eventListeners.push({ element: document, event: 'keydown', handler: keyboardHandler, persist: true });
   }
 
-  async startQuiz() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.type] - QUIZ_TYPES value; defaults to the photo quiz
+   */
+  async startQuiz({ type = QUIZ_TYPES.PHOTO } = {}) {
     try {
       this.onQuizStart?.();
-      this.quizStartTime = Date.now();
-
-      const region = await this.getCurrentRegion();
+      this.quizType = type === QUIZ_TYPES.AUDIO ? QUIZ_TYPES.AUDIO : QUIZ_TYPES.PHOTO;
+      await this.loadPreferences();
 
       this.activateQuizUI();
+    } catch (error) {
+      captureException(error, { tags: { operation: 'startQuiz', component: 'QuizMode' } });
+      this.showError(chrome.i18n.getMessage('quizErrorGeneral'));
+    }
+  }
+
+  /**
+   * Start today's daily challenge: the same photo quiz for everyone, drawn
+   * from the world list whatever the region setting, playable once per day.
+   * Skips the start screen.
+   */
+  async startDailyChallenge() {
+    try {
+      this.onQuizStart?.();
+      if (!navigator.onLine) {
+        // Offline birds differ per device, so the quiz wouldn't match anyone else's
+        this.activateQuizUI({ withSetup: false });
+        this.showError(chrome.i18n.getMessage('quizDailyOffline') || 'The daily challenge needs an internet connection.');
+        return;
+      }
+
+      this.quizType = QUIZ_TYPES.PHOTO;
+      await this.loadPreferences();
+      this.answerStyle = DAILY_CHALLENGE_ANSWER_STYLE;
+      this.difficulty = DAILY_CHALLENGE_DIFFICULTY;
+      this.questionLimit = DAILY_CHALLENGE_QUESTIONS;
+      this.timerMode = QUIZ_TIMER_MODES.OFF;
+
+      this.isDaily = true;
+      this.dailyDateKey = getLocalDateKey();
+      this.dailyState = await getDailyChallengeState();
+      this.random = createSeededRandom(getDailyChallengeSeed(this.dailyDateKey));
+
+      this.activateQuizUI({ withSetup: false });
+      if (this.dailyState.lastDate === this.dailyDateKey) {
+        this.showDailyPlayed();
+      } else {
+        await this.beginQuiz();
+      }
+    } catch (error) {
+      captureException(error, { tags: { operation: 'startDailyChallenge', component: 'QuizMode' } });
+      this.showError(chrome.i18n.getMessage('quizErrorGeneral'));
+    }
+  }
+
+  /**
+   * Load the user's quiz settings
+   */
+  async loadPreferences() {
+    this.answerStyle = await this.getAnswerStyle();
+    this.difficulty = await this.getDifficulty();
+    this.audioVolume = await this.getAudioVolume();
+    this.questionLimit = await this.getQuizLength();
+    this.timerMode = await this.getTimerMode();
+  }
+
+  /**
+   * Back to regular quizzes after the daily challenge
+   */
+  resetDailyChallenge() {
+    this.isDaily = false;
+    this.random = Math.random;
+    this.dailyDateKey = null;
+    this.dailyState = null;
+  }
+
+  /**
+   * Start the quiz with the current length and timer settings
+   */
+  async beginQuiz() {
+    this.resetQuizState();
+    this.quizStartTime = Date.now();
+
+    try {
+      const region = this.isDaily ? DAILY_CHALLENGE_REGION : await this.getCurrentRegion();
+      this.updateQuizUIForNewQuiz();
+      this.showQuizLoading();
+
       const birds = await this.fetchBirdsWithErrorHandling(region);
       if (!birds) return;
 
@@ -280,34 +658,74 @@ class QuizMode {
       await this.ensureFirstImageLoaded();
 
       if (!this.isActive) {
-        log('startQuiz aborted: quiz was closed during initialization');
+        log('beginQuiz aborted: quiz was closed during initialization');
         return;
       }
 
+      // Once the first question shows, the day counts as played even if the quiz is quit
+      if (this.isDaily) this.saveDailyProgress();
+
+      this.startSessionTimer();
       await this.displayQuestion();
     } catch (error) {
-      captureException(error, { tags: { operation: 'startQuiz', component: 'QuizMode' } });
-      const message = error.message === 'NOT_ENOUGH_IMAGES'
-        ? chrome.i18n.getMessage('quizErrorNotEnoughImages') || 'Not enough bird images available.'
-        : chrome.i18n.getMessage('quizErrorGeneral');
-      this.showError(message);
+      if (error.message !== 'NOT_ENOUGH_BIRDS' && error.message !== 'NOT_ENOUGH_CALLS') {
+        captureException(error, { tags: { operation: 'startQuiz', component: 'QuizMode' } });
+      }
+      this.showError(this.getStartErrorMessage(error));
+    }
+  }
+
+  /**
+   * User-facing message for an error thrown while setting up a quiz
+   */
+  getStartErrorMessage(error) {
+    switch (error.message) {
+      case 'NOT_ENOUGH_IMAGES':
+        return chrome.i18n.getMessage('quizErrorNotEnoughImages') || 'Not enough bird images available.';
+      case 'NOT_ENOUGH_BIRDS':
+        return chrome.i18n.getMessage('quizErrorNotEnoughBirds');
+      case 'NOT_ENOUGH_CALLS':
+        return chrome.i18n.getMessage('quizErrorNotEnoughCalls') || 'Not enough bird recordings are available for this region.';
+      default:
+        return chrome.i18n.getMessage('quizErrorGeneral');
     }
   }
 
   /**
    * Activate the quiz UI and hide main content
+   * @param {Object} [options]
+   * @param {boolean} [options.withSetup] - Open on the start screen
    */
-  activateQuizUI() {
-    this.showQuizUI();
+  activateQuizUI({ withSetup = true } = {}) {
+    this.showQuizUI(withSetup);
     this.isActive = true;
     this.hideMainUI();
-    this.showQuizLoading();
+    this.getElement('quiz-setup-start')?.focus();
+  }
+
+  /**
+   * Read the start screen choices and remember them for next time
+   */
+  applySetupChoices() {
+    const lengthInput = this.quizContainer?.querySelector('input[name="quiz-length"]:checked');
+    const timerInput = this.quizContainer?.querySelector('input[name="quiz-timer-mode"]:checked');
+    if (lengthInput) {
+      this.questionLimit = lengthInput.value === QUIZ_LENGTH_ENDLESS ? QUIZ_LENGTH_ENDLESS : Number(lengthInput.value);
+    }
+    if (timerInput) {
+      this.timerMode = timerInput.value;
+    }
+    chrome.storage.local.set({ quizLength: this.questionLimit, quizTimerMode: this.timerMode });
   }
 
   /**
    * Fetch birds with error handling
    */
   async fetchBirdsWithErrorHandling(region) {
+    if (!navigator.onLine) {
+      return this.fetchOfflineBirds();
+    }
+
     try {
       return await this.fetchBirdsForRegion(region);
     } catch (error) {
@@ -317,8 +735,184 @@ class QuizMode {
     }
   }
 
+  /**
+   * Offline, only birds whose photo is stored on this device can be asked about
+   * @returns {Promise<Array<Object>|null>} null after showing an error
+   */
+  async fetchOfflineBirds() {
+    this.revokeOfflineMediaUrls();
+    const [packEntries, history, hiddenCodes] = await Promise.all([
+      getOfflinePack(),
+      getHistory(),
+      getHiddenSpeciesCodes()
+    ]);
+    const candidates = getOfflineQuizCandidates(packEntries, history, hiddenCodes);
+    const birds = (await Promise.all(candidates.map(bird => this.resolveOfflineBird(bird)))).filter(Boolean);
+
+    const askableCount = this.isAudioQuiz() ? birds.filter(bird => bird.mediaUrl).length : birds.length;
+    log(`Offline quiz: ${birds.length} of ${candidates.length} birds available without a connection`);
+    if (askableCount < MIN_QUESTIONS_REQUIRED) {
+      this.showError(chrome.i18n.getMessage('quizErrorOffline', [String(askableCount), String(MIN_QUESTIONS_REQUIRED)]) ||
+        `You're offline and only ${askableCount} birds are saved on this device. The quiz needs at least ${MIN_QUESTIONS_REQUIRED}. Reconnect, or turn on Offline Birds in settings.`);
+      return null;
+    }
+    return birds;
+  }
+
+  /**
+   * Point a bird at media that loads without a connection
+   * @returns {Promise<Object|null>} null when its photo isn't stored on this device
+   */
+  async resolveOfflineBird(bird) {
+    const urls = await getOfflineMediaUrls(bird);
+    this.offlineObjectUrls.push(...urls.values());
+    if (urls.has(bird.imageUrl)) {
+      return { ...bird, imageUrl: urls.get(bird.imageUrl), mediaUrl: urls.get(bird.mediaUrl) ?? null };
+    }
+
+    // Not packed: usable if the photo is still in the browser cache. Only
+    // packed recordings are stored, so these can't be call quiz questions.
+    try {
+      await this.ensureImagePreloaded(bird.imageUrl);
+      return { ...bird, mediaUrl: null };
+    } catch {
+      return null;
+    }
+  }
+
+  revokeOfflineMediaUrls() {
+    this.offlineObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.offlineObjectUrls = [];
+  }
+
   async getCurrentRegion() {
-    return 'WLD';
+    return getStoredRegion();
+  }
+
+  async getAnswerStyle() {
+    const { quizAnswerStyle } = await chrome.storage.local.get('quizAnswerStyle');
+    return quizAnswerStyle === QUIZ_ANSWER_STYLES.SCIENTIFIC
+      ? QUIZ_ANSWER_STYLES.SCIENTIFIC
+      : QUIZ_ANSWER_STYLES.COMMON;
+  }
+
+  async getQuizLength() {
+    const { quizLength } = await chrome.storage.local.get('quizLength');
+    return quizLength === QUIZ_LENGTH_ENDLESS || QUIZ_LENGTHS.includes(quizLength)
+      ? quizLength
+      : QUIZ_TOTAL_QUESTIONS;
+  }
+
+  async getTimerMode() {
+    const { quizTimerMode } = await chrome.storage.local.get('quizTimerMode');
+    return Object.values(QUIZ_TIMER_MODES).includes(quizTimerMode)
+      ? quizTimerMode
+      : QUIZ_TIMER_MODES.OFF;
+  }
+
+  isEndless() {
+    return this.questionLimit === QUIZ_LENGTH_ENDLESS;
+  }
+
+  isTimed() {
+    return this.timerMode !== QUIZ_TIMER_MODES.OFF;
+  }
+
+  async getDifficulty() {
+    const { quizDifficulty } = await chrome.storage.local.get('quizDifficulty');
+    return Object.values(QUIZ_DIFFICULTIES).includes(quizDifficulty)
+      ? quizDifficulty
+      : QUIZ_DIFFICULTIES.EASY;
+  }
+
+  getDifficultyLabel() {
+    switch (this.difficulty) {
+      case QUIZ_DIFFICULTIES.HARD:
+        return chrome.i18n.getMessage('quizDifficultyHard') || 'Hard';
+      case QUIZ_DIFFICULTIES.MEDIUM:
+        return chrome.i18n.getMessage('quizDifficultyMedium') || 'Medium';
+      default:
+        return chrome.i18n.getMessage('quizDifficultyEasy') || 'Easy';
+    }
+  }
+
+  /**
+   * Volume for quiz recordings: the user's bird sound volume, even when the
+   * new tab sound is muted, since the call quiz is useless without audio
+   */
+  async getAudioVolume() {
+    const { volumeLevel } = await chrome.storage.local.get('volumeLevel');
+    return volumeLevel > 0 ? volumeLevel : CONFIG.STORAGE_DEFAULTS.volumeLevel;
+  }
+
+  isAudioQuiz() {
+    return this.quizType === QUIZ_TYPES.AUDIO;
+  }
+
+  getQuestionText() {
+    if (this.isAudioQuiz()) {
+      return chrome.i18n.getMessage('quizCallQuestion') || 'Which bird is singing?';
+    }
+    return this.answerStyle === QUIZ_ANSWER_STYLES.SCIENTIFIC
+      ? (chrome.i18n.getMessage('quizModeQuestionScientific') || 'What is this bird\'s scientific name?')
+      : chrome.i18n.getMessage('quizModeQuestion');
+  }
+
+  /**
+   * Text shown for a bird as an answer option
+   */
+  getAnswerLabel(bird) {
+    return this.answerStyle === QUIZ_ANSWER_STYLES.SCIENTIFIC
+      ? bird.scientificName || ''
+      : getLocalizedBirdName(bird);
+  }
+
+  /**
+   * Pick distractors whose answer text differs from the correct answer and
+   * from each other. Several species can share a localized name (or fall
+   * back to the same English one), and two identical options would make
+   * the question unanswerable. Hidden species, which stay in the daily
+   * challenge's pool, are skipped.
+   */
+  pickDistractors(bird, candidates, count) {
+    const usedLabels = new Set([this.getAnswerLabel(bird).toLocaleLowerCase()]);
+    const distractors = [];
+
+    for (const candidate of this.rankDistractorCandidates(bird, candidates)) {
+      if (distractors.length >= count) break;
+      if (candidate.speciesCode === bird.speciesCode || this._hiddenCodes?.has(candidate.speciesCode)) continue;
+
+      const label = this.getAnswerLabel(candidate).toLocaleLowerCase();
+      if (!label || usedLabels.has(label)) continue;
+
+      usedLabels.add(label);
+      distractors.push(candidate);
+    }
+    return distractors;
+  }
+
+  /**
+   * Shuffle the candidates, then on harder difficulties move close relatives
+   * of `bird` to the front. The sort is stable, so each tier stays shuffled
+   * and unrelated species still fill in when a bird has few relatives.
+   */
+  rankDistractorCandidates(bird, candidates) {
+    const shuffled = shuffle(candidates, this.random);
+    if (this.difficulty === QUIZ_DIFFICULTIES.EASY) return shuffled;
+
+    const tierOf = (candidate) => {
+      const similarity = getTaxonomicSimilarity(bird, candidate);
+      // Medium treats the whole family (genus included) as one tier
+      if (this.difficulty === QUIZ_DIFFICULTIES.MEDIUM) {
+        return similarity >= TAXONOMY_SIMILARITY.FAMILY ? 1 : 0;
+      }
+      return similarity;
+    };
+
+    return shuffled
+      .map(candidate => ({ candidate, tier: tierOf(candidate) }))
+      .sort((a, b) => b.tier - a.tier)
+      .map(({ candidate }) => candidate);
   }
 
   fetchBirdsForRegion(region) {
@@ -339,36 +933,50 @@ class QuizMode {
   }
 
   async prepareQuestions(birds) {
-    this._birdsByCode = new Map(birds.map(b => [b.speciesCode, b]));
-
-    const shuffledBirds = [...birds].sort(() => 0.5 - Math.random());
-    const questionCount = Math.min(QUIZ_TOTAL_QUESTIONS, shuffledBirds.length);
-    const selectedBirds = shuffledBirds.slice(0, questionCount);
+    // Hidden species are never asked about or offered as distractors
+    const hiddenCodes = await getHiddenSpeciesCodes();
+    const isVisible = b => !hiddenCodes.has(b.speciesCode) && this.getAnswerLabel(b);
+    const visibleBirds = birds.filter(isVisible);
+    if (visibleBirds.length < MIN_QUESTIONS_REQUIRED) {
+      throw new Error('NOT_ENOUGH_BIRDS');
+    }
 
-    this.questions = selectedBirds.map(bird => {
-      const distractors = shuffledBirds
-        .filter(b => b.speciesCode !== bird.speciesCode)
-        .sort(() => 0.5 - Math.random())
-        .slice(0, 3);
+    this._birdsByCode = new Map(visibleBirds.map(b => [b.speciesCode, b]));
+    this._hiddenCodes = hiddenCodes;
+
+    // The daily challenge shuffles the whole species list from a fixed order so
+    // the seed alone decides the quiz. Hidden species are skipped afterwards
+    // instead of left out of the shuffle, which would change the random draws
+    // and with them every question.
+    const shuffledBirds = this.isDaily
+      ? shuffle([...birds].sort((a, b) => a.speciesCode.localeCompare(b.speciesCode)), this.random)
+      : shuffle(visibleBirds, this.random);
+    const shuffledVisibleBirds = this.isDaily ? shuffledBirds.filter(isVisible) : shuffledBirds;
+
+    // The call quiz can only ask about species with a recording, but any
+    // species can still be offered as a distractor
+    const askableBirds = this.isAudioQuiz()
+      ? shuffledVisibleBirds.filter(b => b.mediaUrl)
+      : shuffledVisibleBirds;
+    if (askableBirds.length < MIN_QUESTIONS_REQUIRED) {
+      throw new Error('NOT_ENOUGH_CALLS');
+    }
 
-      const options = [
-        { name: bird.primaryComName, isCorrect: true },
-        ...distractors.map(d => ({ name: d.primaryComName, isCorrect: false }))
-      ];
+    // Species due for review (usually ones the user got wrong) are asked
+    // first, except in the daily challenge, which must be the same for everyone
+    const reviewOrder = this.isDaily
+      ? askableBirds
+      : orderForReview(askableBirds, await getSpeciesProgress(), Date.now());
+    const questionCount = Math.min(
+      this.isEndless() ? QUIZ_ENDLESS_BATCH_SIZE : this.questionLimit,
+      askableBirds.length
+    );
+    const selectedBirds = shuffle(reviewOrder.slice(0, questionCount), this.random);
 
-      options.sort(() => 0.5 - Math.random());
-
-      return {
-        bird: {
-          ...bird,
-          imageUrl: bird.imageUrl ?? null,
-          photographer: bird.photographer ?? null,
-          photographerUrl: bird.photographerUrl ?? null
-        },
-        options: options,
-        correctAnswer: bird.primaryComName
-      };
-    });
+    this._distractorPool = shuffledBirds;
+    this._askableBirds = askableBirds;
+    this._endlessQueue = this.isEndless() ? reviewOrder.slice(questionCount) : [];
+    this.questions = selectedBirds.map(bird => this.createQuestion(bird));
 
     this.currentQuestion = 0;
     this.score = 0;
@@ -378,6 +986,43 @@ class QuizMode {
     this.startImagePreloading();
   }
 
+  createQuestion(bird) {
+    const distractors = this.pickDistractors(bird, this._distractorPool, 3);
+
+    const options = shuffle([
+      { name: this.getAnswerLabel(bird), isCorrect: true },
+      ...distractors.map(d => ({ name: this.getAnswerLabel(d), isCorrect: false }))
+    ], this.random);
+
+    return {
+      bird: {
+        ...bird,
+        imageUrl: bird.imageUrl ?? null,
+        photographer: bird.photographer ?? null,
+        photographerUrl: bird.photographerUrl ?? null
+      },
+      options: options,
+      correctAnswer: this.getAnswerLabel(bird)
+    };
+  }
+
+  /**
+   * Endless quizzes add questions a batch at a time. Once every species has
+   * been asked, the next round starts over in a new order.
+   * @returns {boolean} Whether any question was added
+   */
+  appendEndlessQuestions() {
+    if (this._endlessQueue.length === 0) {
+      this._endlessQueue = shuffle(this._askableBirds, this.random);
+    }
+    // Only birds that already have a photo; there is no time to look for one mid-quiz
+    const batch = this._endlessQueue
+      .splice(0, QUIZ_ENDLESS_BATCH_SIZE)
+      .filter(bird => bird.imageUrl);
+    this.questions.push(...batch.map(bird => this.createQuestion(bird)));
+    return batch.length > 0;
+  }
+
   /**
    * Load image for a specific question index
    */
@@ -595,12 +1240,16 @@ class QuizMode {
     }
   }
 
-  showQuizUI() {
+  showQuizUI(withSetup = true) {
     this.quizContainer = document.createElement('div');
     this.quizContainer.className = 'quiz-mode';
-    this.quizContainer.innerHTML = this.generateQuizHTML();
+    if (withSetup) {
+      this.quizContainer.innerHTML = this.generateSetupHTML();
+    }
     document.body.appendChild(this.quizContainer);
-    this.setupQuizEventListeners();
+    if (withSetup) {
+      this.setupSetupEventListeners();
+    }
   }
 
   hideMainUI() {
@@ -670,26 +1319,38 @@ class QuizMode {
     elements['quiz-progress-fill'].style.width = `${progressPercent}%`;
     elements['quiz-current'].textContent = this.currentQuestion + 1;
 
-    const totalEl = this.getElement('quiz-total');
-    if (totalEl) totalEl.textContent = totalQuestions;
+    if (!this.isEndless()) {
+      const totalEl = this.getElement('quiz-total');
+      if (totalEl) totalEl.textContent = totalQuestions;
+    }
 
     const questionText = this.getElement('quiz-question-text');
     if (questionText) {
-      questionText.textContent = chrome.i18n.getMessage('quizModeQuestion');
+      questionText.textContent = this.getQuestionText();
     }
 
-    const isLastQuestion = this.currentQuestion === totalQuestions - 1;
-    elements['quiz-next'].textContent = chrome.i18n.getMessage(isLastQuestion ? 'quizShowResults' : 'quizNextQuestion');
+    elements['quiz-next'].textContent = chrome.i18n.getMessage(this.isLastQuestion() ? 'quizShowResults' : 'quizNextQuestion');
     elements['quiz-next'].disabled = true;
 
-    // Update photographer info
-    this.updatePhotographerDisplay(question.bird);
+    if (this.isAudioQuiz()) {
+      // Keep the photo hidden until the question is answered
+      this.setImageConcealed(true);
+      this.updateRecordingMeta(question.bird);
+      this.startQuestionAudio(question.bird);
+    } else {
+      this.updatePhotographerDisplay(question.bird);
+    }
 
     // Load and display image
     await this.loadAndDisplayQuestionImage(question, elements['quiz-image-container'], this.currentQuestion);
 
     // Display options
     this.displayQuestionOptions(question);
+    this.startQuestionTimer();
+  }
+
+  isLastQuestion() {
+    return !this.isEndless() && this.currentQuestion === this.questions.length - 1;
   }
 
   /**
@@ -736,7 +1397,7 @@ class QuizMode {
 
     try {
       await this.ensureImagePreloaded(imageUrl);
-      displayImage(imageUrl, question.bird.primaryComName);
+      displayImage(imageUrl, getLocalizedBirdName(question.bird));
     } catch {
       if (!this.isActive) return;
 
@@ -750,10 +1411,10 @@ class QuizMode {
 
       try {
         await this.ensureImagePreloaded(imageInfo.imageUrl);
-        displayImage(imageInfo.imageUrl, question.bird.primaryComName);
+        displayImage(imageInfo.imageUrl, getLocalizedBirdName(question.bird));
         if (this.hasValidQuestion()) {
           question.bird = this.updateBirdWithImage(question.bird, imageInfo);
-          if (imageInfo.photographer) {
+          if (imageInfo.photographer && (!this.isAudioQuiz() || this.hasAnswered)) {
             this.updateImageMeta(question.bird);
           }
         }
@@ -778,8 +1439,11 @@ class QuizMode {
 
     question.options.forEach((option, index) => {
       const optionElement = document.createElement('div');
-      optionElement.className = 'quiz-option';
+      optionElement.className = this.answerStyle === QUIZ_ANSWER_STYLES.SCIENTIFIC
+        ? 'quiz-option quiz-option--scientific'
+        : 'quiz-option';
       optionElement.textContent = option.name;
+      optionElement.dataset.key = index + 1;
       optionElement.style.opacity = '0';
 
       this.addTrackedListener(optionElement, 'click', () => this.selectOption(index));
@@ -810,10 +1474,245 @@ class QuizMode {
     const parts = [];
     if (photographerHtml) parts.push(`${chrome.i18n.getMessage('photoBy')} ${photographerHtml}`);
     if (licenseHtml) parts.push(licenseHtml);
+    if (this.isAudioQuiz()) {
+      const recordingHtml = this.getRecordingCreditHtml(bird);
+      if (recordingHtml) parts.push(recordingHtml);
+    }
 
     imageMeta.innerHTML = parts.join(' · ');
   }
 
+  /**
+   * Recordist credit for the call quiz
+   */
+  getRecordingCreditHtml(bird) {
+    if (!bird.recordist) return '';
+    const recordistHtml = `<a href="${escapeHtml(bird.recordistUrl || '#')}" target="_blank">${escapeHtml(truncateName(bird.recordist))}</a>`;
+    return `${chrome.i18n.getMessage('quizRecordingBy') || 'Recording by'} ${recordistHtml}`;
+  }
+
+  /**
+   * Show only the recording credit while the photo is still hidden
+   */
+  updateRecordingMeta(bird) {
+    const imageMeta = this.getElement('quiz-image-meta');
+    if (!imageMeta) return;
+
+    imageMeta.style.display = '';
+    imageMeta.style.visibility = 'visible';
+    imageMeta.innerHTML = this.getRecordingCreditHtml(bird);
+  }
+
+  // ==========================================
+  // CALL QUIZ AUDIO
+  // ==========================================
+
+  /**
+   * Hide or reveal the photo behind the call quiz's play button
+   */
+  setImageConcealed(concealed) {
+    this.getElement('quiz-image-container')?.classList.toggle('quiz-image-container--concealed', concealed);
+    this.getElement('quiz-audio-prompt')?.classList.toggle('quiz-audio-prompt--revealed', !concealed);
+  }
+
+  /**
+   * Load and play the current question's recording.
+   * Autoplay may be refused; the play button is always there as a fallback.
+   */
+  startQuestionAudio(bird) {
+    const button = this.getElement('quiz-audio-play');
+    if (!button) return;
+
+    button.disabled = false;
+    this.updateAudioButton(button, false);
+    this.playRecording(bird.mediaUrl, button, () => {
+      if (!this.isActive) return;
+      // Without the recording the question can only be answered from the photo
+      button.disabled = true;
+      const label = button.querySelector('.quiz-audio-play-label');
+      if (label) label.textContent = chrome.i18n.getMessage('quizAudioUnavailable') || 'Recording unavailable';
+      this.setImageConcealed(false);
+    });
+  }
+
+  /**
+   * Play a recording, replacing whatever was loaded before
+   * @param {string} url - Recording URL
+   * @param {HTMLElement} button - Play button that reflects the playback state
+   * @param {Function} [onError] - Called if the recording can't be loaded
+   */
+  playRecording(url, button, onError = null) {
+    this.stopQuestionAudio();
+    if (!url) {
+      onError?.();
+      return;
+    }
+
+    const audio = new Audio(url);
+    audio.volume = this.audioVolume;
+    this.questionAudio = audio;
+    this.questionAudioUrl = url;
+    this.questionAudioButton = button;
+
+    const setPlaying = (isPlaying) => {
+      if (audio === this.questionAudio) this.updateAudioButton(button, isPlaying);
+    };
+    this.addTrackedListener(audio, 'play', () => setPlaying(true));
+    this.addTrackedListener(audio, 'pause', () => setPlaying(false));
+    this.addTrackedListener(audio, 'ended', () => setPlaying(false));
+    this.addTrackedListener(audio, 'error', () => {
+      if (audio !== this.questionAudio) return;
+      log(`Failed to load quiz recording: ${url}`);
+      setPlaying(false);
+      onError?.();
+    });
+
+    audio.play().catch(error => log(`Quiz recording did not autoplay: ${error.message}`));
+  }
+
+  /**
+   * Play/pause button handler; replays from the start once a recording ended
+   */
+  toggleRecording(url, button) {
+    const audio = this.questionAudio;
+    if (!audio || this.questionAudioUrl !== url) {
+      this.playRecording(url, button);
+      return;
+    }
+
+    if (!audio.paused) {
+      audio.pause();
+      return;
+    }
+    if (audio.ended) audio.currentTime = 0;
+    audio.play().catch(error => log(`Quiz recording playback failed: ${error.message}`));
+  }
+
+  /**
+   * R key: play the current question's recording again from the start
+   */
+  replayQuestionAudio() {
+    const button = this.isAudioQuiz() ? this.getElement('quiz-audio-play') : null;
+    if (!button || button.disabled || !this.hasValidQuestion()) return;
+
+    const url = this.questions[this.currentQuestion].bird.mediaUrl;
+    if (this.questionAudio && this.questionAudioUrl === url) {
+      this.questionAudio.currentTime = 0;
+      this.questionAudio.play().catch(error => log(`Quiz recording playback failed: ${error.message}`));
+    } else {
+      this.playRecording(url, button);
+    }
+  }
+
+  updateAudioButton(button, isPlaying) {
+    if (!button) return;
+    const text = isPlaying
+      ? chrome.i18n.getMessage('quizAudioPause') || 'Pause recording'
+      : chrome.i18n.getMessage('quizAudioPlay') || 'Play recording';
+
+    button.classList.toggle('is-playing', isPlaying);
+    button.setAttribute('aria-label', text);
+    const icon = button.querySelector('img');
+    if (icon) icon.src = isPlaying ? 'images/svg/pause.svg' : 'images/svg/play.svg';
+    const label = button.querySelector('.quiz-audio-play-label');
+    if (label) label.textContent = text;
+  }
+
+  stopQuestionAudio() {
+    if (!this.questionAudio) return;
+
+    this.updateAudioButton(this.questionAudioButton, false);
+    this.questionAudio.pause();
+    this.questionAudio.removeAttribute('src');
+    this.questionAudio.load();
+    this.questionAudio = null;
+    this.questionAudioUrl = null;
+    this.questionAudioButton = null;
+  }
+
+  // ==========================================
+  // TIMED MODE
+  // ==========================================
+
+  /**
+   * Beat the clock: one countdown for the whole quiz, started when the
+   * first question is ready
+   */
+  startSessionTimer() {
+    if (this.timerMode !== QUIZ_TIMER_MODES.SESSION) return;
+    this.sessionDeadline = Date.now() + CONFIG.QUIZ_SESSION_TIME_SECONDS * 1000;
+    this.startTimerTicks();
+  }
+
+  /**
+   * Called once a question's options are showing. Answer times for speed
+   * points are measured from here in both timed modes.
+   */
+  startQuestionTimer() {
+    this.questionStartTime = Date.now();
+    if (this.timerMode !== QUIZ_TIMER_MODES.QUESTION) return;
+    this.questionDeadline = this.questionStartTime + CONFIG.QUIZ_QUESTION_TIME_SECONDS * 1000;
+    this.startTimerTicks();
+  }
+
+  startTimerTicks() {
+    if (!this.timerInterval) {
+      this.timerInterval = setInterval(() => this.onTimerTick(), TIMER_TICK_MS);
+    }
+    this.onTimerTick();
+  }
+
+  stopTimers() {
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.questionDeadline = null;
+    this.sessionDeadline = null;
+  }
+
+  onTimerTick() {
+    if (!this.isQuizActive()) {
+      this.stopTimers();
+      return;
+    }
+
+    const deadline = this.timerMode === QUIZ_TIMER_MODES.SESSION ? this.sessionDeadline : this.questionDeadline;
+    if (!deadline) return;
+
+    const remainingMs = Math.max(0, deadline - Date.now());
+    this.updateTimerDisplay(remainingMs);
+    if (remainingMs > 0) return;
+
+    if (this.timerMode === QUIZ_TIMER_MODES.SESSION) {
+      this.showResults();
+    } else if (!this.hasAnswered && this.hasValidQuestion()) {
+      // Running out of time counts as a wrong answer
+      this.recordAnswer(null);
+      this.updateTimerDisplay(0, true);
+    }
+  }
+
+  updateTimerDisplay(remainingMs, timedOut = false) {
+    const timer = this.getElement('quiz-timer');
+    if (!timer) return;
+
+    const totalSeconds = Math.ceil(remainingMs / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    timer.textContent = timedOut
+      ? chrome.i18n.getMessage('quizTimeUp') || 'Time\'s up!'
+      : `${minutes}:${seconds}`;
+    timer.classList.toggle('quiz-timer--low', totalSeconds <= 5);
+  }
+
+  getPointsText(points) {
+    return chrome.i18n.getMessage('quizPoints', [points.toLocaleString()]) || `${points} points`;
+  }
+
+  updatePointsDisplay() {
+    const pointsEl = this.isTimed() ? this.getElement('quiz-points') : null;
+    if (pointsEl) pointsEl.textContent = this.getPointsText(this.points);
+  }
+
   // Error icon SVG for image load failures
   static ERROR_BIRD_SVG = `
     <svg width="64" height="64" viewBox="0 0 64 64" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -858,27 +1757,46 @@ class QuizMode {
     if (this.selectedAnswer === null || this.hasAnswered) return;
     if (!this.isActive || !this.hasValidQuestion()) return;
 
+    this.recordAnswer(this.questions[this.currentQuestion].options[this.selectedAnswer]);
+  }
+
+  /**
+   * @param {Object|null} selectedOption - The chosen option, or null if time ran out
+   */
+  recordAnswer(selectedOption) {
     const question = this.questions[this.currentQuestion];
-    const selectedOption = question.options[this.selectedAnswer];
-    const isCorrect = selectedOption.isCorrect;
+    const isCorrect = !!selectedOption?.isCorrect;
 
     if (isCorrect) this.score++;
 
+    const points = this.isTimed()
+      ? getSpeedPoints(isCorrect, Date.now() - this.questionStartTime, CONFIG.QUIZ_QUESTION_TIME_SECONDS * 1000)
+      : 0;
+    this.points += points;
+
     this.answers.push({
       question,
-      selectedAnswer: selectedOption.name,
+      selectedAnswer: selectedOption?.name ?? null,
       correctAnswer: question.correctAnswer,
-      isCorrect
+      isCorrect,
+      timedOut: !selectedOption,
+      points
     });
 
+    if (this.isDaily) this.saveDailyProgress();
+
+    if (this.timerMode === QUIZ_TIMER_MODES.QUESTION) this.stopTimers();
     this.showAnswerFeedback();
     this.hasAnswered = true;
+    this.updatePointsDisplay();
+
+    const finishBtn = this.isEndless() ? this.getElement('quiz-finish') : null;
+    if (finishBtn) finishBtn.disabled = false;
 
     const nextBtn = this.getElement('quiz-next');
     if (!nextBtn) return;
 
-    const isLastQuestion = this.currentQuestion === this.questions.length - 1;
-    nextBtn.textContent = chrome.i18n.getMessage(isLastQuestion ? 'quizShowResults' : 'quizNextQuestion');
+    nextBtn.textContent = chrome.i18n.getMessage(this.isLastQuestion() ? 'quizShowResults' : 'quizNextQuestion');
     nextBtn.disabled = false;
   }
 
@@ -891,15 +1809,25 @@ class QuizMode {
         option.classList.add('selected-confirmed');
       }
     });
+
+    if (this.isAudioQuiz()) {
+      const bird = this.questions[this.currentQuestion].bird;
+      this.setImageConcealed(false);
+      if (bird.photographer) this.updateImageMeta(bird);
+    }
   }
 
   async nextQuestion() {
     // Guard: Check if quiz is still active
-    if (!this.isActive) {
+    if (!this.isActive || this.hasFinished) {
       log('nextQuestion aborted: quiz is no longer active');
       return;
     }
     this.currentQuestion++;
+    if (this.isEndless() && this.currentQuestion >= this.questions.length && !this.appendEndlessQuestions()) {
+      this.showResults();
+      return;
+    }
     await this.displayQuestion();
   }
 
@@ -928,8 +1856,13 @@ class QuizMode {
    * Reset quiz state for a new quiz
    */
   resetQuizState() {
+    this.stopQuestionAudio();
+    this.stopTimers();
     this.currentQuestion = 0;
     this.score = 0;
+    this.points = 0;
+    this.hasFinished = false;
+    this.reviewIndex = null;
     this.questions = [];
     this.answers = [];
     this.selectedAnswer = null;
@@ -943,6 +1876,11 @@ class QuizMode {
    * Restart the quiz with new questions
    */
   async restartQuiz() {
+    if (this.isDaily) {
+      // A new quiz after the daily challenge is a regular one with the user's settings
+      this.resetDailyChallenge();
+      await this.loadPreferences();
+    }
     this.resetQuizState();
     this.quizStartTime = Date.now();
 
@@ -960,11 +1898,14 @@ class QuizMode {
       this.updateQuizUIForNewQuiz();
       this.showQuizLoading();
       await this.ensureFirstImageLoaded();
+      this.startSessionTimer();
       await this.displayQuestion();
     } catch (error) {
       log(`Error restarting quiz: ${error.message}`);
-      captureException(error, { tags: { operation: 'restartQuiz', component: 'QuizMode' } });
-      this.showError(chrome.i18n.getMessage('quizErrorGeneral'));
+      if (error.message !== 'NOT_ENOUGH_BIRDS' && error.message !== 'NOT_ENOUGH_CALLS') {
+        captureException(error, { tags: { operation: 'restartQuiz', component: 'QuizMode' } });
+      }
+      this.showError(this.getStartErrorMessage(error));
     }
   }
 
@@ -974,10 +1915,13 @@ class QuizMode {
   generateResultsHTML() {
     const resultItems = this.answers.map(answer => {
       const bird = answer.question.bird;
+      const birdName = escapeHtml(getLocalizedBirdName(bird));
       const statusClass = answer.isCorrect ? 'correct' : 'incorrect';
       const badge = answer.isCorrect ? '✓' : '✗';
       const incorrectHint = answer.isCorrect ? '' : 
-        `<div class="quiz-result-your-answer">${chrome.i18n.getMessage('yourAnswer', [answer.selectedAnswer])}</div>`;
+        `<div class="quiz-result-your-answer">${escapeHtml(answer.timedOut
+          ? chrome.i18n.getMessage('quizTimedOut') || 'Time ran out'
+          : chrome.i18n.getMessage('yourAnswer', [answer.selectedAnswer]))}</div>`;
 
       const creditParts = [];
       if (bird.photographer) creditParts.push(escapeHtml(truncateName(bird.photographer)));
@@ -991,15 +1935,29 @@ class QuizMode {
         ? `<div class="quiz-result-credit">${creditParts.join(' · ')}</div>`
         : '';
 
+      // Call quiz: let the user listen again while reviewing
+      const recordingHtml = this.isAudioQuiz() && bird.mediaUrl ? `
+            <div class="quiz-result-recording">
+              <button class="quiz-result-play" data-recording-url="${escapeHtml(bird.mediaUrl)}" aria-label="${chrome.i18n.getMessage('quizAudioPlay') || 'Play recording'}">
+                <img src="images/svg/play.svg" alt="" width="14" height="14">
+              </button>
+              ${bird.audioSoundType ? `<span class="quiz-result-sound-type">${escapeHtml(bird.audioSoundType)}</span>` : ''}
+              ${bird.recordist ? `<span class="quiz-result-credit">${escapeHtml(truncateName(bird.recordist))}</span>` : ''}
+            </div>` : '';
+
       return `
         <div class="quiz-result-item ${statusClass}">
           <div class="quiz-result-thumbnail-wrapper">
-            <img src="${bird.imageUrl}" alt="${bird.primaryComName}" class="quiz-result-thumbnail" />
+            <img src="${bird.imageUrl}" alt="${birdName}" class="quiz-result-thumbnail" />
             <div class="quiz-result-badge ${statusClass}">${badge}</div>
           </div>
           <div class="quiz-result-info">
-            <div class="quiz-result-bird-name">${bird.primaryComName}</div>
+            <div class="quiz-result-bird-name">${birdName}</div>
+            ${this.answerStyle === QUIZ_ANSWER_STYLES.SCIENTIFIC && bird.scientificName
+              ? `<div class="quiz-result-scientific-name">${escapeHtml(bird.scientificName)}</div>`
+              : ''}
             ${incorrectHint}
+            ${recordingHtml}
             ${creditHtml}
           </div>
         </div>
@@ -1015,13 +1973,18 @@ class QuizMode {
           <div class="quiz-progress-bar">
             <div class="quiz-progress-fill" style="width: 100%"></div>
           </div>
-          <h1 class="quiz-question-title">${chrome.i18n.getMessage('quizResults')}</h1>
+          <h1 class="quiz-question-title">${this.isDaily
+            ? escapeHtml(chrome.i18n.getMessage('quizDailyTitle') || 'Daily Challenge')
+            : chrome.i18n.getMessage('quizResults')}</h1>
         </div>
         
         <div class="quiz-content">
           <div class="quiz-results">
             <div class="quiz-final-score">${this.score}/${this.answers.length}</div>
-            <div class="quiz-results-summary">${this.getScoreMessage(this.score)}</div>
+            <div class="quiz-results-summary">${this.getScoreMessage(this.score, this.answers.length)}</div>
+            <div class="quiz-results-difficulty quiz-results-difficulty--${this.difficulty}">${escapeHtml(chrome.i18n.getMessage('quizResultsDifficulty', [this.getDifficultyLabel()]) || `Difficulty: ${this.getDifficultyLabel()}`)}</div>
+            ${this.isTimed() ? `<div class="quiz-results-points">${escapeHtml(this.getPointsText(this.points))}</div>` : ''}
+            ${this.isDaily ? this.generateDailyResultHTML() : ''}
             <div class="quiz-results-list">
               <h3 class="quiz-results-title">${chrome.i18n.getMessage('questionReview')}</h3>
               ${resultItems}
@@ -1031,6 +1994,9 @@ class QuizMode {
                 <img src="images/svg/share.svg" alt="" width="16" height="16" class="quiz-share-icon">
                 ${chrome.i18n.getMessage('quizShareResults') || 'Share Results'}
               </button>
+              ${this.score < this.answers.length ? `<button class="quiz-btn secondary" id="quiz-review-mistakes">${chrome.i18n.getMessage('quizReviewMistakes') || 'Review Mistakes'}</button>` : ''}
+              <button class="quiz-btn secondary" id="quiz-mastery">${chrome.i18n.getMessage('quizMastery') || 'Mastery'}</button>
+              <button class="quiz-btn secondary" id="quiz-stats">${chrome.i18n.getMessage('quizStats') || 'Stats'}</button>
               <button class="quiz-btn primary" id="quiz-restart">${chrome.i18n.getMessage('quizStartNewQuiz')}</button>
               <button class="quiz-btn secondary" id="quiz-exit">${chrome.i18n.getMessage('quizExitQuiz')}</button>
             </div>
@@ -1045,29 +2011,117 @@ class QuizMode {
       log('showResults aborted: quiz container no longer exists');
       return;
     }
+    // A timer running out as the last answer lands can call this twice;
+    // the results and their stats must only be recorded once
+    if (this.hasFinished) {
+      log('showResults skipped: results already shown');
+      return;
+    }
     
     // Track quiz completion with score and duration
     const durationSec = this.quizStartTime 
       ? Math.round((Date.now() - this.quizStartTime) / 1000) 
       : 0;
-    trackQuizCompleted(this.score, this.questions.length, durationSec);
+    trackQuizCompleted(this.score, this.answers.length, durationSec, {
+      quizType: this.quizType,
+      difficulty: this.difficulty,
+      length: this.questionLimit,
+      timerMode: this.timerMode
+    });
+    recordQuizResults(this.answers.map(answer => ({
+      speciesCode: answer.question.bird.speciesCode,
+      isCorrect: answer.isCorrect
+    }))).catch(error => log(`Failed to save quiz progress: ${error.message}`));
+    this.sessionSaved = recordQuizSession({
+      score: this.score,
+      total: this.answers.length,
+      durationSec,
+      quizType: this.quizType,
+      difficulty: this.difficulty,
+      timerMode: this.timerMode,
+      points: this.isTimed() ? this.points : null
+    }).catch(error => log(`Failed to save quiz session: ${error.message}`));
+    if (this.isDaily) this.saveDailyProgress();
     
+    this.hasFinished = true;
+    this.stopTimers();
+    this.stopQuestionAudio();
     this.quizContainer.innerHTML = this.generateResultsHTML();
     this.setupResultsEventListeners();
   }
 
-  getScoreMessage(score) {
-    if (score >= 9) return chrome.i18n.getMessage('quizScoreExcellent');
-    if (score >= 7) return chrome.i18n.getMessage('quizScoreGreat');
-    if (score >= 5) return chrome.i18n.getMessage('quizScoreGood');
-    if (score >= 3) return chrome.i18n.getMessage('quizScoreNotBad');
+  /**
+   * Store the daily challenge result so far, unanswered questions counting as wrong
+   */
+  saveDailyProgress() {
+    this.dailyState = applyDailyResult(
+      this.dailyState,
+      this.dailyDateKey,
+      getDailyPartialResults(this.answers.map(answer => answer.isCorrect), this.questions.length)
+    );
+    saveDailyChallengeState(this.dailyState)
+      .catch(error => log(`Failed to save daily challenge: ${error.message}`));
+  }
+
+  /**
+   * Emoji grid, streak and copy button for the daily challenge
+   */
+  generateDailyResultHTML() {
+    const streak = getCurrentDailyStreak(this.dailyState, this.dailyDateKey);
+    return `
+      <div class="quiz-daily-result">
+        <div class="quiz-daily-grid" role="img" aria-label="${escapeHtml(`${this.dailyState.results.filter(Boolean).length}/${this.dailyState.results.length}`)}">${getDailyResultGrid(this.dailyState.results)}</div>
+        <div class="quiz-daily-streak">🔥 ${escapeHtml(chrome.i18n.getMessage('quizDailyStreak', [String(streak)]) || `Daily streak: ${streak}`)}</div>
+        <button class="quiz-btn secondary" id="quiz-daily-copy">
+          ${QuizMode.ICONS.copy} ${chrome.i18n.getMessage('quizDailyCopy') || 'Copy result'}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Shown when today's daily challenge was already played
+   */
+  showDailyPlayed() {
+    this.hasFinished = true;
+    this.quizContainer.innerHTML = `
+      <button class="quiz-close-btn" id="quiz-results-close" aria-label="${chrome.i18n.getMessage('closeQuiz')}">
+        <img src="images/svg/close.svg" alt="${chrome.i18n.getMessage('closeAlt')}" width="20" height="20">
+      </button>
+      <div class="quiz-container">
+        <div class="quiz-header">
+          <h1 class="quiz-question-title">${escapeHtml(chrome.i18n.getMessage('quizDailyTitle') || 'Daily Challenge')}</h1>
+        </div>
+        <div class="quiz-content">
+          <div class="quiz-results">
+            <div class="quiz-final-score">${this.dailyState.results.filter(Boolean).length}/${this.dailyState.results.length}</div>
+            <div class="quiz-results-summary">${escapeHtml(chrome.i18n.getMessage('quizDailyPlayed') || 'You already played today. Come back tomorrow for new birds!')}</div>
+            ${this.generateDailyResultHTML()}
+            <div class="quiz-actions quiz-actions-results">
+              <button class="quiz-btn secondary" id="quiz-exit">${chrome.i18n.getMessage('quizExitQuiz')}</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+    this.setupResultsEventListeners();
+  }
+
+  getScoreMessage(score, total) {
+    // Thresholds are out of ten, whatever the quiz length
+    const outOfTen = total > 0 ? (score / total) * 10 : 0;
+    if (outOfTen >= 9) return chrome.i18n.getMessage('quizScoreExcellent');
+    if (outOfTen >= 7) return chrome.i18n.getMessage('quizScoreGreat');
+    if (outOfTen >= 5) return chrome.i18n.getMessage('quizScoreGood');
+    if (outOfTen >= 3) return chrome.i18n.getMessage('quizScoreNotBad');
     return chrome.i18n.getMessage('quizScoreKeepLearning');
   }
 
   showExitConfirmation(forceConfirm = false) {
-    // Check if we're on results or share page
-    const isOnResultsOrShare = this.currentQuestion >= this.questions.length || 
-                               this.answers.length === this.questions.length ||
+    // Check if we're on results or share page, or on the start screen (no questions yet)
+    const isOnResultsOrShare = this.hasFinished || this.questions.length === 0 ||
+                               (!this.isEndless() && (this.currentQuestion >= this.questions.length ||
+                                                      this.answers.length === this.questions.length)) ||
                                this._shareDataUrl;
     
     // On results/share page, exit directly without confirmation unless force is true
@@ -1129,6 +2183,10 @@ class QuizMode {
     this.isActive = false;
     this.currentQuestion = 0;
     this.score = 0;
+    this.points = 0;
+    this.hasFinished = false;
+    this.reviewIndex = null;
+    this.resetDailyChallenge();
     this.questions = [];
     this.answers = [];
     this.selectedAnswer = null;
@@ -1161,6 +2219,9 @@ class QuizMode {
     this.imageLoadingQueue = [];
     this.isLoadingImages = false;
 
+    this.stopQuestionAudio();
+    this.stopTimers();
+
     // Clean up preloaded images
     this.preloadedImages.forEach(({ img, reject }) => {
       reject(new Error('Quiz cleanup'));
@@ -1186,6 +2247,8 @@ class QuizMode {
     this.answers.forEach(a => { a.question = null; });
     this.answers = [];
 
+    this.revokeOfflineMediaUrls();
+
     log('Quiz cleanup completed');
   }
 
@@ -1242,6 +2305,30 @@ class QuizMode {
     this.eventListeners = this.eventListeners.filter(listener => listener.persist);
   }
 
+  setupSetupEventListeners() {
+    const startButton = this.getElement('quiz-setup-start');
+    if (startButton) {
+      this.addTrackedListener(startButton, 'click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.applySetupChoices();
+        this.beginQuiz();
+      });
+    }
+
+    const closeButton = this.getElement('quiz-setup-close');
+    if (closeButton) {
+      this.addTrackedListener(closeButton, 'click', () => this.exitQuiz());
+    }
+
+    // Nothing to lose yet, so clicking outside closes without asking
+    this.addTrackedListener(this.quizContainer, 'click', (e) => {
+      if (!this.quizContainer.querySelector('.quiz-container')?.contains(e.target)) {
+        this.exitQuiz();
+      }
+    });
+  }
+
   setupQuizEventListeners() {
     const nextButton = this.getElement('quiz-next');
     if (nextButton) {
@@ -1249,7 +2336,7 @@ class QuizMode {
         e.preventDefault();
         e.stopPropagation();
         log(`Next button clicked. Current question: ${this.currentQuestion}, Answers: ${this.answers.length}`);
-        if (this.currentQuestion < this.questions.length - 1) {
+        if (this.isEndless() || this.currentQuestion < this.questions.length - 1) {
           this.nextQuestion();
         } else {
           log('Showing results...');
@@ -1258,6 +2345,25 @@ class QuizMode {
       });
     }
 
+    const finishButton = this.isEndless() ? this.getElement('quiz-finish') : null;
+    if (finishButton) {
+      this.addTrackedListener(finishButton, 'click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.showResults();
+      });
+    }
+
+    const audioButton = this.isAudioQuiz() ? this.getElement('quiz-audio-play') : null;
+    if (audioButton) {
+      this.addTrackedListener(audioButton, 'click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!this.hasValidQuestion()) return;
+        this.toggleRecording(this.questions[this.currentQuestion].bird.mediaUrl, audioButton);
+      });
+    }
+
     const closeButton = this.getElement('quiz-close');
     if (closeButton) {
       this.addTrackedListener(closeButton, 'click', (e) => {
@@ -1281,7 +2387,8 @@ class QuizMode {
 
     const closeButton = this.getElement('quiz-close') || 
                         this.getElement('quiz-results-close') || 
-                        this.getElement('quiz-share-close');
+                        this.getElement('quiz-share-close') ||
+                        this.getElement('quiz-mastery-close');
     if (closeButton?.contains(e.target)) return;
 
     const quizContainerInner = document.querySelector('.quiz-container');
@@ -1468,14 +2575,14 @@ class QuizMode {
     // "out of 10" text
     ctx.font = '400 24px -apple-system, BlinkMacSystemFont, "SF Pro Display", "Inter", system-ui, sans-serif';
     ctx.fillStyle = colors.textSecondary;
-    ctx.fillText(chrome.i18n.getMessage('quizShareOutOf') || `out of ${this.answers.length}`, scoreCenterX, scoreCenterY + 70);
+    ctx.fillText(chrome.i18n.getMessage('quizShareOutOf', [String(this.answers.length)]) || `out of ${this.answers.length}`, scoreCenterX, scoreCenterY + 70);
 
     // Score message
     ctx.font = '500 18px -apple-system, BlinkMacSystemFont, "SF Pro Display", "Inter", system-ui, sans-serif';
     ctx.fillStyle = colors.textMuted;
     ctx.textAlign = 'center';
     const maxMessageWidth = leftPanelWidth - 60;
-    this.drawWrappedText(ctx, this.getScoreMessage(this.score), scoreCenterX, scoreCenterY + 110, maxMessageWidth, 24);
+    this.drawWrappedText(ctx, this.getScoreMessage(this.score, this.answers.length), scoreCenterX, scoreCenterY + 110, maxMessageWidth, 24);
 
     // Correct/Incorrect summary pills
     const pillY = scoreCenterY + 160;
@@ -1521,15 +2628,20 @@ class QuizMode {
     ctx.fillStyle = colors.textMuted;
     ctx.textAlign = 'left';
     ctx.textBaseline = 'alphabetic';
-    ctx.fillText(chrome.i18n.getMessage('quizShareResultsHeader') || 'BIRD IDENTIFICATION RESULTS', rightStartX, listStartY + 10);
+    const resultsHeader = this.isAudioQuiz()
+      ? chrome.i18n.getMessage('quizShareCallResultsHeader') || 'BIRD CALL IDENTIFICATION RESULTS'
+      : chrome.i18n.getMessage('quizShareResultsHeader') || 'BIRD IDENTIFICATION RESULTS';
+    ctx.fillText(resultsHeader, rightStartX, listStartY + 10);
 
-    // Draw each bird result row
+    // Draw each bird result row, as many as fit above the bottom margin
     const cardHeight = rowHeight - 6;
-    const maxAnswers = this.answers.length;
-    
-    for (let i = 0; i < maxAnswers; i++) {
+    const rowsStartY = listStartY + 35;
+    const maxRows = Math.floor((canvas.height - rowsStartY) / rowHeight);
+    const { shownCount, moreCount } = getShareCollageRows(this.answers.length, maxRows);
+
+    for (let i = 0; i < shownCount; i++) {
       const answer = this.answers[i];
-      const y = listStartY + 35 + i * rowHeight;
+      const y = rowsStartY + i * rowHeight;
 
       // Row background
       ctx.fillStyle = colors.bgCard;
@@ -1548,7 +2660,7 @@ class QuizMode {
       ctx.fillText(`${i + 1}`, rightStartX + cardPadding + 20, y + cardHeight / 2 + 5);
 
       // Bird name (truncated if needed)
-      const birdName = answer.question?.bird?.primaryComName || chrome.i18n.getMessage('quizShareUnknownBird') || 'Unknown Bird';
+      const birdName = getLocalizedBirdName(answer.question?.bird) || chrome.i18n.getMessage('quizShareUnknownBird') || 'Unknown Bird';
       ctx.font = '400 16px -apple-system, BlinkMacSystemFont, "SF Pro Display", "Inter", system-ui, sans-serif';
       ctx.fillStyle = colors.textPrimary;
       ctx.textAlign = 'left';
@@ -1570,6 +2682,22 @@ class QuizMode {
         : this.drawCross(ctx, statusX, statusY, 10, colors.textPrimary);
     }
 
+    if (moreCount > 0) {
+      const y = rowsStartY + shownCount * rowHeight;
+      ctx.fillStyle = colors.bgCard;
+      this.drawRoundedRect(ctx, rightStartX, y, rightWidth, cardHeight, 8);
+      ctx.fill();
+
+      ctx.font = '500 14px -apple-system, BlinkMacSystemFont, "SF Pro Display", "Inter", system-ui, sans-serif';
+      ctx.fillStyle = colors.textSecondary;
+      ctx.textAlign = 'center';
+      ctx.fillText(
+        chrome.i18n.getMessage('quizShareMoreAnswers', [String(moreCount)]) || `+${moreCount} more`,
+        rightStartX + rightWidth / 2,
+        y + cardHeight / 2 + 5
+      );
+    }
+
     return canvas.toDataURL('image/png');
   }
 
@@ -1691,6 +2819,7 @@ class QuizMode {
    * @param {string} dataUrl - Data URL of the generated image
    */
   showSharePreview(dataUrl) {
+    this.stopQuestionAudio();
     const resultsHTML = this.quizContainer.innerHTML;
     
     this.quizContainer.innerHTML = `
@@ -1738,6 +2867,235 @@ class QuizMode {
     this.setupSharePreviewListeners();
   }
 
+  // ==========================================
+  // MASTERY VIEW
+  // ==========================================
+
+  /**
+   * Show spaced-repetition progress for every species in the region.
+   * Like the share preview, it replaces the results until the user goes back.
+   */
+  async showMasteryView() {
+    const masteryButton = this.getElement('quiz-mastery');
+    if (masteryButton) masteryButton.disabled = true;
+
+    try {
+      const [birds, progress, hiddenCodes] = await Promise.all([
+        this.fetchBirdsForRegion(await this.getCurrentRegion()),
+        getSpeciesProgress(),
+        getHiddenSpeciesCodes()
+      ]);
+      if (masteryButton) masteryButton.disabled = false;
+      if (!this.isQuizActive()) return;
+
+      this.stopQuestionAudio();
+      this._resultsHTML = this.quizContainer.innerHTML;
+      this.cleanupNonPersistentListeners();
+      this.quizContainer.innerHTML = this.generateMasteryHTML(
+        birds.filter(bird => !hiddenCodes.has(bird.speciesCode)),
+        progress
+      );
+      this.setupMasteryListeners();
+    } catch (error) {
+      log(`Error loading mastery view: ${error.message}`);
+      captureException(error, { tags: { operation: 'showMasteryView', component: 'QuizMode' } });
+      if (masteryButton) {
+        masteryButton.disabled = false;
+        this.showButtonFeedback(
+          masteryButton,
+          QuizMode.ICONS.error,
+          chrome.i18n.getMessage('quizMasteryError') || 'Couldn\'t load progress',
+          masteryButton.innerHTML
+        );
+      }
+    }
+  }
+
+  generateMasteryHTML(birds, progress) {
+    const summary = getMasterySummary(progress, birds.map(bird => bird.speciesCode));
+    const struggling = summary.boxes[0];
+    const groups = [
+      { className: 'mastered', count: summary.mastered, label: chrome.i18n.getMessage('quizMasteryMastered') || 'Mastered' },
+      { className: 'learning', count: summary.learning - struggling, label: chrome.i18n.getMessage('quizMasteryLearning') || 'Learning' },
+      { className: 'struggling', count: struggling, label: chrome.i18n.getMessage('quizMasteryStruggling') || 'Needs practice' },
+      { className: 'unseen', count: summary.unseen, label: chrome.i18n.getMessage('quizMasteryUnseen') || 'Not quizzed yet' }
+    ];
+    const percent = (count) => birds.length > 0 ? (count / birds.length) * 100 : 0;
+
+    const barHtml = groups
+      .filter(group => group.count > 0)
+      .map(group => `<div class="quiz-mastery-segment ${group.className}" style="width: ${percent(group.count)}%"></div>`)
+      .join('');
+    const legendHtml = groups.map(group => `
+      <span class="quiz-mastery-legend-item">
+        <span class="quiz-mastery-swatch ${group.className}"></span>
+        ${escapeHtml(group.label)} ${group.count}
+      </span>
+    `).join('');
+
+    // Species needing the most practice first; unseen species last, by name
+    const rows = birds
+      .map(bird => ({ bird, name: getLocalizedBirdName(bird), entry: progress[bird.speciesCode] }))
+      .sort((a, b) => {
+        if (a.entry && !b.entry) return -1;
+        if (!a.entry && b.entry) return 1;
+        if (!a.entry) return a.name.localeCompare(b.name);
+        return (a.entry.box - b.entry.box) || (b.entry.incorrect - a.entry.incorrect);
+      })
+      .map(({ name, entry }) => {
+        const box = entry?.box || 0;
+        const pips = Array.from({ length: MAX_LEITNER_BOX }, (_, i) =>
+          `<span class="quiz-mastery-pip${i < box ? ' filled' : ''}"></span>`
+        ).join('');
+        const levelLabel = chrome.i18n.getMessage('quizMasteryLevel', [String(box), String(MAX_LEITNER_BOX)]) || `Level ${box} of ${MAX_LEITNER_BOX}`;
+        const counts = entry ? `✓ ${entry.correct} · ✗ ${entry.incorrect}` : '–';
+        return `
+          <li class="quiz-mastery-item">
+            <span class="quiz-mastery-name">${escapeHtml(name)}</span>
+            <span class="quiz-mastery-pips" role="img" aria-label="${escapeHtml(levelLabel)}" title="${escapeHtml(levelLabel)}">${pips}</span>
+            <span class="quiz-mastery-counts">${counts}</span>
+          </li>
+        `;
+      }).join('');
+
+    return `
+      <button class="quiz-close-btn" id="quiz-mastery-close" aria-label="${chrome.i18n.getMessage('closeQuiz') || 'Close'}">
+        <img src="images/svg/close.svg" alt="${chrome.i18n.getMessage('closeAlt') || 'Close'}" width="20" height="20">
+      </button>
+      <div class="quiz-container quiz-mastery">
+        <div class="quiz-header">
+          <h1 class="quiz-question-title">${chrome.i18n.getMessage('quizMasteryTitle') || 'Species Mastery'}</h1>
+        </div>
+
+        <div class="quiz-content">
+          <div class="quiz-mastery-summary">
+            ${escapeHtml(chrome.i18n.getMessage('quizMasterySummary', [String(summary.mastered), String(birds.length)]) || `${summary.mastered} of ${birds.length} species mastered`)}
+          </div>
+          <div class="quiz-mastery-bar">${barHtml}</div>
+          <div class="quiz-mastery-legend">${legendHtml}</div>
+          <ul class="quiz-mastery-list">${rows}</ul>
+          <div class="quiz-share-back">
+            <button class="quiz-btn secondary" id="quiz-mastery-back">
+              ${chrome.i18n.getMessage('quizShareBack') || 'Back to Results'}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  setupMasteryListeners() {
+    const closeBtn = this.getElement('quiz-mastery-close');
+    const backBtn = this.getElement('quiz-mastery-back');
+
+    if (closeBtn) {
+      this.addTrackedListener(closeBtn, 'click', () => this.exitQuiz());
+    }
+
+    if (backBtn) {
+      this.addTrackedListener(backBtn, 'click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.returnToResults();
+      });
+    }
+  }
+
+  /**
+   * Walk through the missed questions one at a time
+   * @param {number} index - Position among the mistakes; past the last one goes back to the results
+   */
+  showMistakeReview(index) {
+    const mistakes = this.answers.filter(answer => !answer.isCorrect);
+    if (index < 0 || !this.isQuizActive()) return;
+    if (index >= mistakes.length) {
+      this.returnToResults();
+      return;
+    }
+
+    this.stopQuestionAudio();
+    if (this.reviewIndex === null) {
+      this._resultsHTML = this.quizContainer.innerHTML;
+    }
+    this.cleanupNonPersistentListeners();
+    this.reviewIndex = index;
+    this.quizContainer.innerHTML = this.generateMistakeReviewHTML(mistakes[index], index, mistakes.length);
+    this.setupMistakeReviewListeners();
+  }
+
+  generateMistakeReviewHTML(answer, index, total) {
+    const bird = answer.question.bird;
+    const birdName = escapeHtml(getLocalizedBirdName(bird));
+    const yourAnswer = answer.timedOut
+      ? chrome.i18n.getMessage('quizTimedOut') || 'Time ran out'
+      : chrome.i18n.getMessage('yourAnswer', [answer.selectedAnswer]);
+    const isLast = index === total - 1;
+
+    const recordingHtml = this.isAudioQuiz() && bird.mediaUrl ? `
+          <button class="quiz-result-play" data-recording-url="${escapeHtml(bird.mediaUrl)}" aria-label="${chrome.i18n.getMessage('quizAudioPlay') || 'Play recording'}">
+            <img src="images/svg/play.svg" alt="" width="14" height="14">
+          </button>` : '';
+    const ebirdHtml = bird.ebirdUrl ? `
+          <a href="${escapeHtml(bird.ebirdUrl)}" target="_blank" rel="noopener noreferrer" class="quiz-review-ebird">
+            <img src="images/svg/ebird.svg" alt="" width="14" height="14">
+            ${chrome.i18n.getMessage('viewOnEbird') || 'View on eBird'}
+          </a>` : '';
+
+    return `
+      <button class="quiz-close-btn" id="quiz-review-close" aria-label="${chrome.i18n.getMessage('closeQuiz') || 'Close'}">
+        <img src="images/svg/close.svg" alt="${chrome.i18n.getMessage('closeAlt') || 'Close'}" width="20" height="20">
+      </button>
+      <div class="quiz-container quiz-review">
+        <div class="quiz-header">
+          <div class="quiz-progress-bar">
+            <div class="quiz-progress-fill" style="width: ${((index + 1) / total) * 100}%"></div>
+          </div>
+          <h1 class="quiz-question-title">${chrome.i18n.getMessage('quizReviewMistakes') || 'Review Mistakes'}</h1>
+          <div class="quiz-review-count">${escapeHtml(chrome.i18n.getMessage('quizReviewProgress', [String(index + 1), String(total)]) || `Mistake ${index + 1} of ${total}`)}</div>
+        </div>
+
+        <div class="quiz-content">
+          <div class="quiz-review-image">
+            <img src="${escapeHtml(bird.imageUrl || '')}" alt="${birdName}">
+          </div>
+          <div class="quiz-review-name">${birdName}${recordingHtml}</div>
+          ${bird.scientificName ? `<div class="quiz-result-scientific-name">${escapeHtml(bird.scientificName)}</div>` : ''}
+          <div class="quiz-result-your-answer">${escapeHtml(yourAnswer)}</div>
+          ${ebirdHtml}
+          <div class="quiz-actions">
+            <button class="quiz-btn secondary" id="quiz-review-previous" ${index === 0 ? 'disabled' : ''}>${chrome.i18n.getMessage('quizReviewPrevious') || 'Previous'}</button>
+            <button class="quiz-btn primary" id="quiz-review-next">${isLast
+              ? chrome.i18n.getMessage('quizShareBack') || 'Back to Results'
+              : chrome.i18n.getMessage('quizReviewNext') || 'Next Mistake'}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  setupMistakeReviewListeners() {
+    const closeBtn = this.getElement('quiz-review-close');
+    const previousBtn = this.getElement('quiz-review-previous');
+    const nextBtn = this.getElement('quiz-review-next');
+
+    if (closeBtn) {
+      this.addTrackedListener(closeBtn, 'click', () => this.exitQuiz());
+    }
+
+    if (previousBtn) {
+      this.addTrackedListener(previousBtn, 'click', () => this.showMistakeReview(this.reviewIndex - 1));
+    }
+
+    if (nextBtn) {
+      this.addTrackedListener(nextBtn, 'click', () => this.showMistakeReview(this.reviewIndex + 1));
+      nextBtn.focus();
+    }
+
+    this.quizContainer.querySelectorAll('.quiz-result-play').forEach(button => {
+      this.addTrackedListener(button, 'click', () => this.toggleRecording(button.dataset.recordingUrl, button));
+    });
+  }
+
   // SVG icon templates
   static ICONS = {
     checkmark: `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`,
@@ -1820,6 +3178,8 @@ class QuizMode {
   returnToResults() {
     if (!this._resultsHTML) return;
     
+    this.reviewIndex = null;
+    this.stopQuestionAudio();
     this.cleanupNonPersistentListeners();
     this.quizContainer.innerHTML = this._resultsHTML;
     this.setupResultsEventListeners();
@@ -1834,8 +3194,12 @@ class QuizMode {
   setupResultsEventListeners() {
     const shareButton = this.getElement('quiz-share-results');
     const restartButton = this.getElement('quiz-restart');
+    const masteryButton = this.getElement('quiz-mastery');
+    const reviewButton = this.getElement('quiz-review-mistakes');
+    const statsButton = this.getElement('quiz-stats');
     const exitButton = this.getElement('quiz-exit');
     const resultsCloseButton = this.getElement('quiz-results-close');
+    const dailyCopyButton = this.getElement('quiz-daily-copy');
 
     if (shareButton) {
       this.addTrackedListener(shareButton, 'click', () => this.shareCollage());
@@ -1845,13 +3209,46 @@ class QuizMode {
       this.addTrackedListener(restartButton, 'click', () => this.restartQuiz());
     }
 
+    if (masteryButton) {
+      this.addTrackedListener(masteryButton, 'click', () => this.showMasteryView());
+    }
+
+    if (reviewButton) {
+      this.addTrackedListener(reviewButton, 'click', () => this.showMistakeReview(0));
+    }
+
+    if (statsButton) {
+      // Wait for this quiz to be stored so it shows up in the stats
+      this.addTrackedListener(statsButton, 'click', () => this.sessionSaved.then(openQuizStatsModal));
+    }
+
     if (exitButton) {
       this.addTrackedListener(exitButton, 'click', () => this.exitQuiz());
     }
 
+    if (dailyCopyButton) {
+      const originalContent = dailyCopyButton.innerHTML;
+      this.addTrackedListener(dailyCopyButton, 'click', async () => {
+        try {
+          if (!navigator.clipboard?.writeText) {
+            throw new Error('Clipboard API not available');
+          }
+          await navigator.clipboard.writeText(buildDailyShareText(this.dailyState));
+          this.showButtonFeedback(dailyCopyButton, QuizMode.ICONS.checkmark, chrome.i18n.getMessage('quizShareCopied') || 'Copied!', originalContent);
+        } catch (error) {
+          log(`Failed to copy daily result: ${error.message}`);
+          this.showButtonFeedback(dailyCopyButton, QuizMode.ICONS.error, chrome.i18n.getMessage('quizShareCopyFailed') || 'Copy failed', originalContent);
+        }
+      });
+    }
+
     if (resultsCloseButton) {
       this.addTrackedListener(resultsCloseButton, 'click', () => this.exitQuiz());
     }
+
+    this.quizContainer.querySelectorAll('.quiz-result-play').forEach(button => {
+      this.addTrackedListener(button, 'click', () => this.toggleRecording(button.dataset.recordingUrl, button));
+    });
   }
 }
 
@@ -0,0 +1,115 @@
+/**
+ * Quiz Stats Module
+ *
+ * Keeps a local record of finished quizzes so users can see their own
+ * history (analytics only ever leaves the device in aggregate).
+ * Sessions live in chrome.storage.local ('quizSessions'), oldest first,
+ * capped at CONFIG.QUIZ_SESSIONS_MAX.
+ */
+
+import { CONFIG } from './config.js';
+import { log } from './logger.js';
+import { getLocalDateKey, shiftDateKey } from './utils/dailySeed.js';
+
+const QUIZ_SESSIONS_KEY = 'quizSessions';
+
+/**
+ * Get finished quiz sessions, oldest first
+ * @returns {Promise<Array<{timestamp: number, score: number, total: number, durationSec: number, quizType: string, difficulty: string}>>}
+ */
+export async function getQuizSessions() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([QUIZ_SESSIONS_KEY], (result) => {
+      resolve(result[QUIZ_SESSIONS_KEY]?.value || []);
+    });
+  });
+}
+
+/**
+ * Store a finished quiz
+ * @param {Object} session
+ * @param {number} session.score
+ * @param {number} session.total - Questions answered
+ * @param {number} session.durationSec
+ * @param {string} session.quizType - 'photo' or 'audio'
+ * @param {string} session.difficulty
+ */
+export async function recordQuizSession(session) {
+  const sessions = await getQuizSessions();
+  sessions.push({ ...session, timestamp: Date.now() });
+
+  return new Promise((resolve) => {
+    chrome.storage.local.set({
+      [QUIZ_SESSIONS_KEY]: { value: sessions.slice(-CONFIG.QUIZ_SESSIONS_MAX), timestamp: Date.now() }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        log(`Error saving quiz session: ${chrome.runtime.lastError.message}`);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Count days in a row with at least one quiz.
+ * The current streak is still alive if the last quiz was yesterday.
+ * @param {Array<string>} dateKeys - Local date keys of quiz days
+ * @param {string} todayKey
+ * @returns {{current: number, longest: number}}
+ */
+export function getDayStreaks(dateKeys, todayKey) {
+  const days = [...new Set(dateKeys)].sort();
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((key, index) => {
+    run = index > 0 && shiftDateKey(days[index - 1], 1) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const daySet = new Set(days);
+  let cursor = daySet.has(todayKey) ? todayKey : shiftDateKey(todayKey, -1);
+  let current = 0;
+  while (daySet.has(cursor)) {
+    current++;
+    cursor = shiftDateKey(cursor, -1);
+  }
+
+  return { current, longest };
+}
+
+function getPercent(session) {
+  return session.total > 0 ? Math.round((session.score / session.total) * 100) : 0;
+}
+
+/**
+ * Summarize quiz sessions for the stats dashboard
+ * @param {Array<Object>} sessions - From getQuizSessions(), oldest first
+ * @param {number} trendCount - Number of recent quizzes in the trend
+ * @param {Date} [now]
+ * @returns {Object|null} null when no quiz was finished yet
+ */
+export function computeQuizStats(sessions, trendCount, now = new Date()) {
+  const finished = sessions.filter(session => session.total > 0);
+  if (finished.length === 0) return null;
+
+  const percents = finished.map(getPercent);
+  const best = finished.reduce((top, session) => (getPercent(session) >= getPercent(top) ? session : top));
+  const questions = finished.reduce((sum, session) => sum + session.total, 0);
+  const seconds = finished.reduce((sum, session) => sum + (session.durationSec || 0), 0);
+  const streaks = getDayStreaks(
+    finished.map(session => getLocalDateKey(new Date(session.timestamp))),
+    getLocalDateKey(now)
+  );
+
+  return {
+    totalQuizzes: finished.length,
+    averagePercent: Math.round(percents.reduce((sum, percent) => sum + percent, 0) / percents.length),
+    best: { score: best.score, total: best.total, percent: getPercent(best) },
+    currentStreak: streaks.current,
+    longestStreak: streaks.longest,
+    secondsPerQuestion: questions > 0 ? seconds / questions : 0,
+    trend: percents.slice(-trendCount),
+  };
+}
+
@@ -0,0 +1,185 @@
+/**
+ * Quiz Stats Modal Module
+ * Dashboard of past quiz sessions, opened from the quiz results and settings
+ */
+
+import { CONFIG } from './config.js';
+import { localizeHtml } from './i18n.js';
+import { escapeHtml } from './utils/escapeHtml.js';
+import { getQuizSessions, computeQuizStats } from './quizStats.js';
+
+// Module state
+let statsSidebar = null;
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 8;
+
+// ===== Formatting =====
+
+function formatNumber(value, options) {
+  return new Intl.NumberFormat(chrome.i18n.getUILanguage(), options).format(value);
+}
+
+function formatPercent(percent) {
+  return formatNumber(percent / 100, { style: 'percent' });
+}
+
+function formatDays(days) {
+  return formatNumber(days, { style: 'unit', unit: 'day', unitDisplay: 'long' });
+}
+
+function formatSeconds(seconds) {
+  return formatNumber(seconds, { style: 'unit', unit: 'second', unitDisplay: 'short', maximumFractionDigits: 1 });
+}
+
+// ===== Rendering =====
+
+/**
+ * Build an SVG line chart of quiz percentages, oldest first
+ * @param {Array<number>} trend - Percentages from 0 to 100
+ * @returns {string} SVG markup
+ */
+function renderTrendChart(trend) {
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const step = trend.length > 1 ? innerWidth / (trend.length - 1) : 0;
+  const points = trend.map((percent, index) => ({
+    x: trend.length > 1 ? CHART_PADDING + index * step : CHART_WIDTH / 2,
+    y: CHART_PADDING + (1 - percent / 100) * innerHeight
+  }));
+
+  const gridLines = [0, 50, 100].map(percent => {
+    const y = CHART_PADDING + (1 - percent / 100) * innerHeight;
+    return `<line class="quiz-stats-chart-grid" x1="${CHART_PADDING}" y1="${y}" x2="${CHART_WIDTH - CHART_PADDING}" y2="${y}"></line>`;
+  }).join('');
+  const dots = points
+    .map(point => `<circle class="quiz-stats-chart-dot" cx="${point.x}" cy="${point.y}" r="3"></circle>`)
+    .join('');
+  const label = chrome.i18n.getMessage('quizStatsTrendAriaLabel', [trend.length.toString()]) ||
+    `Scores of your last ${trend.length} quizzes, oldest first`;
+
+  return `
+    <svg class="quiz-stats-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(label)}">
+      ${gridLines}
+      <polyline class="quiz-stats-chart-line" points="${points.map(point => `${point.x},${point.y}`).join(' ')}"></polyline>
+      ${dots}
+    </svg>
+  `;
+}
+
+function renderStatCard(labelKey, fallback, value, detail = '') {
+  return `
+    <div class="quiz-stats-card">
+      <div class="quiz-stats-value">${escapeHtml(value)}</div>
+      <div class="quiz-stats-label">${escapeHtml(chrome.i18n.getMessage(labelKey) || fallback)}</div>
+      ${detail ? `<div class="quiz-stats-detail">${escapeHtml(detail)}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Create stats modal DOM element
+ */
+function createQuizStatsModal() {
+  const existingSidebar = document.getElementById('quiz-stats-sidebar');
+  if (existingSidebar) existingSidebar.remove();
+
+  const modalHTML = `
+    <div id="quiz-stats-sidebar" class="settings-sidebar" role="dialog" aria-modal="true" aria-labelledby="quiz-stats-title">
+      <div class="settings-content quiz-stats-content">
+        <div class="settings-header">
+          <h2 id="quiz-stats-title" data-i18n="quizStatsTitle">Quiz Stats</h2>
+          <button id="close-quiz-stats" class="close-button" data-i18n-aria-label="closeQuizStatsAriaLabel" aria-label="Close quiz stats">
+            <img src="images/svg/close.svg" data-i18n-alt="closeAlt" alt="Close" width="20" height="20">
+          </button>
+        </div>
+        <div class="settings-body">
+          <div id="quiz-stats-dashboard" class="quiz-stats-dashboard"></div>
+          <div id="empty-quiz-stats" class="empty-history hidden">
+            <img src="icons/icon128.png" data-i18n-alt="pageTitle" alt="BirdTab" class="empty-history-icon" width="64" height="64">
+            <p class="empty-history-title" data-i18n="quizStatsEmptyTitle">No quizzes yet</p>
+            <p class="empty-history-subtitle" data-i18n="quizStatsEmptySubtitle">Finish a quiz and your scores will show up here.</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+  localizeHtml();
+  return document.getElementById('quiz-stats-sidebar');
+}
+
+/**
+ * Fill the dashboard from stored quiz sessions
+ */
+async function populateQuizStats() {
+  const stats = computeQuizStats(await getQuizSessions(), CONFIG.QUIZ_STATS_TREND_COUNT);
+  const dashboard = document.getElementById('quiz-stats-dashboard');
+  const emptyState = document.getElementById('empty-quiz-stats');
+
+  dashboard.classList.toggle('hidden', !stats);
+  emptyState.classList.toggle('hidden', !!stats);
+  if (!stats) {
+    dashboard.innerHTML = '';
+    return;
+  }
+
+  dashboard.innerHTML = `
+    <div class="quiz-stats-grid">
+      ${renderStatCard('quizStatsTotal', 'Quizzes taken', formatNumber(stats.totalQuizzes))}
+      ${renderStatCard('quizStatsAverage', 'Average score', formatPercent(stats.averagePercent))}
+      ${renderStatCard('quizStatsBest', 'Best score', `${stats.best.score}/${stats.best.total}`, formatPercent(stats.best.percent))}
+      ${renderStatCard('quizStatsTimePerQuestion', 'Time per question', formatSeconds(stats.secondsPerQuestion))}
+      ${renderStatCard('quizStatsCurrentStreak', 'Current streak', formatDays(stats.currentStreak))}
+      ${renderStatCard('quizStatsLongestStreak', 'Longest streak', formatDays(stats.longestStreak))}
+    </div>
+    <h3 class="quiz-stats-section-title">${escapeHtml(chrome.i18n.getMessage('quizStatsTrend') || 'Recent scores')}</h3>
+    ${renderTrendChart(stats.trend)}
+  `;
+}
+
+/**
+ * Bind event listeners to stats modal
+ */
+function bindQuizStatsModalEvents() {
+  document.getElementById('close-quiz-stats').addEventListener('click', closeQuizStatsModal);
+
+  // Click outside to close
+  statsSidebar.addEventListener('click', (e) => {
+    if (e.target === statsSidebar) {
+      closeQuizStatsModal();
+    }
+  });
+
+  // ESC key to close
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && statsSidebar.classList.contains('open')) {
+      closeQuizStatsModal();
+    }
+  });
+}
+
+/**
+ * Open quiz stats modal
+ */
+export function openQuizStatsModal() {
+  if (!statsSidebar) {
+    statsSidebar = createQuizStatsModal();
+    bindQuizStatsModalEvents();
+  }
+  populateQuizStats();
+  statsSidebar.classList.add('open');
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Close quiz stats modal
+ */
+export function closeQuizStatsModal() {
+  if (statsSidebar) {
+    statsSidebar.classList.remove('open');
+    document.body.style.overflow = '';
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Regions Module
+ *
+ * Helpers for the birding region setting. The list of regions comes from the
+ * manifest (via the background `getRegions` message); this module turns the
+ * region codes into localized labels and reads the user's stored choice.
+ */
+
+import { CONFIG } from './config.js';
+
+export const DEFAULT_REGION = CONFIG.STORAGE_DEFAULTS.region;
+
+// Region codes that are not ISO 3166 countries and need their own labels
+const SPECIAL_REGION_MESSAGES = {
+  WLD: 'regionWorld',
+  XX: 'regionHighSeas'
+};
+
+/**
+ * Get a localized display name for a region code.
+ * Uses Intl.DisplayNames for country codes, falling back to the name
+ * provided by the manifest and finally the raw code.
+ *
+ * @param {string} code - Region code (e.g. 'WLD', 'US', 'IN')
+ * @param {string|null} fallbackName - Name from the manifest, if any
+ * @returns {string} Display name
+ */
+export function getRegionDisplayName(code, fallbackName = null) {
+  const messageKey = SPECIAL_REGION_MESSAGES[code];
+  if (messageKey) {
+    return chrome.i18n.getMessage(messageKey) || fallbackName || code;
+  }
+
+  if (/^[A-Z]{2}$/.test(code) && typeof Intl.DisplayNames === 'function') {
+    try {
+      const displayNames = new Intl.DisplayNames([chrome.i18n.getUILanguage()], { type: 'region' });
+      const name = displayNames.of(code);
+      if (name && name !== code) return name;
+    } catch {
+      // Unsupported locale or code - fall through to the manifest name
+    }
+  }
+
+  return fallbackName || code;
+}
+
+/**
+ * Build select options from the region list returned by the background.
+ * The default region is listed first, the rest alphabetically by label.
+ *
+ * @param {Array<{code: string, name: string|null}>} regions
+ * @returns {Array<{code: string, label: string}>}
+ */
+export function buildRegionOptions(regions = []) {
+  const lang = chrome.i18n.getUILanguage();
+  const options = regions.map(region => ({
+    code: region.code,
+    label: getRegionDisplayName(region.code, region.name)
+  }));
+
+  return options.sort((a, b) => {
+    if (a.code === DEFAULT_REGION) return -1;
+    if (b.code === DEFAULT_REGION) return 1;
+    return a.label.localeCompare(b.label, lang);
+  });
+}
+
+/**
+ * Fill a <select> element with region options, keeping the given region selected.
+ * Falls back to the default region if the selected one isn't in the list.
+ *
+ * @param {HTMLSelectElement} select
+ * @param {Array<{code: string, name: string|null}>} regions
+ * @param {string} selectedRegion
+ */
+export function populateRegionSelect(select, regions, selectedRegion) {
+  const options = buildRegionOptions(regions);
+  if (options.length === 0) return;
+
+  select.innerHTML = '';
+  options.forEach(({ code, label }) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  const hasSelected = options.some(option => option.code === selectedRegion);
+  select.value = hasSelected ? selectedRegion : DEFAULT_REGION;
+}
+
+/**
+ * Ask the background for the regions available in the manifest.
+ *
+ * @returns {Promise<Array<{code: string, name: string|null, speciesCount: number}>>}
+ */
+export function fetchAvailableRegions() {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'getRegions' }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response && response.success) {
+        resolve(response.regions);
+      } else {
+        reject(new Error(response?.error || 'Failed to fetch regions'));
+      }
+    });
+  });
+}
+
+/**
+ * Read the user's birding region from local storage.
+ * Until the user picks one, the region is inferred from the browser locale
+ * and timezone among the regions in the cached manifest.
+ *
+ * @returns {Promise<string>} Region code
+ */
+export async function getStoredRegion() {
+  const { region } = await chrome.storage.local.get('region');
+  if (region) return region;
+
+  const { media_manifest: manifest } = await chrome.storage.local.get('media_manifest');
+  const availableCodes = Object.entries(manifest?.regions ?? {})
+    .filter(([, entry]) => entry?.speciesCodes?.length > 0)
+    .map(([code]) => code);
+  return inferRegion(availableCodes);
+}
+
+// IANA timezone -> ISO country for the zones most users are in. Zones under
+// a country-specific prefix (e.g. America/Argentina/*) are handled separately.
+const TIMEZONE_COUNTRIES = {
+  'America/New_York': 'US', 'America/Chicago': 'US', 'America/Denver': 'US',
+  'America/Phoenix': 'US', 'America/Los_Angeles': 'US', 'America/Anchorage': 'US',
+  'America/Detroit': 'US', 'America/Boise': 'US', 'Pacific/Honolulu': 'US',
+  'America/Toronto': 'CA', 'America/Vancouver': 'CA', 'America/Edmonton': 'CA',
+  'America/Winnipeg': 'CA', 'America/Halifax': 'CA', 'America/St_Johns': 'CA',
+  'America/Regina': 'CA', 'America/Mexico_City': 'MX', 'America/Cancun': 'MX',
+  'America/Monterrey': 'MX', 'America/Tijuana': 'MX', 'America/Guatemala': 'GT',
+  'America/Costa_Rica': 'CR', 'America/Panama': 'PA', 'America/Havana': 'CU',
+  'America/Bogota': 'CO', 'America/Caracas': 'VE', 'America/Lima': 'PE',
+  'America/Guayaquil': 'EC', 'America/La_Paz': 'BO', 'America/Santiago': 'CL',
+  'America/Montevideo': 'UY', 'America/Asuncion': 'PY', 'America/Sao_Paulo': 'BR',
+  'America/Manaus': 'BR', 'America/Fortaleza': 'BR', 'America/Recife': 'BR',
+  'America/Bahia': 'BR', 'America/Belem': 'BR',
+  'Europe/London': 'GB', 'Europe/Dublin': 'IE', 'Europe/Lisbon': 'PT',
+  'Europe/Madrid': 'ES', 'Atlantic/Canary': 'ES', 'Europe/Paris': 'FR',
+  'Europe/Brussels': 'BE', 'Europe/Amsterdam': 'NL', 'Europe/Luxembourg': 'LU',
+  'Europe/Berlin': 'DE', 'Europe/Zurich': 'CH', 'Europe/Vienna': 'AT',
+  'Europe/Rome': 'IT', 'Europe/Copenhagen': 'DK', 'Europe/Oslo': 'NO',
+  'Europe/Stockholm': 'SE', 'Europe/Helsinki': 'FI', 'Atlantic/Reykjavik': 'IS',
+  'Europe/Warsaw': 'PL', 'Europe/Prague': 'CZ', 'Europe/Bratislava': 'SK',
+  'Europe/Budapest': 'HU', 'Europe/Bucharest': 'RO', 'Europe/Sofia': 'BG',
+  'Europe/Athens': 'GR', 'Europe/Istanbul': 'TR', 'Europe/Kiev': 'UA',
+  'Europe/Kyiv': 'UA', 'Europe/Minsk': 'BY', 'Europe/Vilnius': 'LT',
+  'Europe/Riga': 'LV', 'Europe/Tallinn': 'EE', 'Europe/Belgrade': 'RS',
+  'Europe/Zagreb': 'HR', 'Europe/Ljubljana': 'SI', 'Europe/Moscow': 'RU',
+  'Europe/Samara': 'RU', 'Asia/Yekaterinburg': 'RU', 'Asia/Novosibirsk': 'RU',
+  'Asia/Krasnoyarsk': 'RU', 'Asia/Irkutsk': 'RU', 'Asia/Vladivostok': 'RU',
+  'Africa/Cairo': 'EG', 'Africa/Casablanca': 'MA', 'Africa/Algiers': 'DZ',
+  'Africa/Tunis': 'TN', 'Africa/Lagos': 'NG', 'Africa/Accra': 'GH',
+  'Africa/Nairobi': 'KE', 'Africa/Addis_Ababa': 'ET', 'Africa/Dar_es_Salaam': 'TZ',
+  'Africa/Kampala': 'UG', 'Africa/Johannesburg': 'ZA', 'Africa/Windhoek': 'NA',
+  'Asia/Riyadh': 'SA', 'Asia/Dubai': 'AE', 'Asia/Qatar': 'QA', 'Asia/Kuwait': 'KW',
+  'Asia/Bahrain': 'BH', 'Asia/Muscat': 'OM', 'Asia/Amman': 'JO', 'Asia/Beirut': 'LB',
+  'Asia/Baghdad': 'IQ', 'Asia/Jerusalem': 'IL', 'Asia/Tehran': 'IR',
+  'Asia/Karachi': 'PK', 'Asia/Kolkata': 'IN', 'Asia/Calcutta': 'IN',
+  'Asia/Kathmandu': 'NP', 'Asia/Dhaka': 'BD', 'Asia/Colombo': 'LK',
+  'Asia/Bangkok': 'TH', 'Asia/Ho_Chi_Minh': 'VN', 'Asia/Saigon': 'VN',
+  'Asia/Kuala_Lumpur': 'MY', 'Asia/Singapore': 'SG', 'Asia/Jakarta': 'ID',
+  'Asia/Makassar': 'ID', 'Asia/Manila': 'PH', 'Asia/Shanghai': 'CN',
+  'Asia/Urumqi': 'CN', 'Asia/Hong_Kong': 'HK', 'Asia/Taipei': 'TW',
+  'Asia/Seoul': 'KR', 'Asia/Tokyo': 'JP', 'Asia/Almaty': 'KZ', 'Asia/Tashkent': 'UZ',
+  'Asia/Ulaanbaatar': 'MN', 'Pacific/Auckland': 'NZ'
+};
+
+// Timezone prefixes that belong to a single country
+const TIMEZONE_PREFIX_COUNTRIES = {
+  'America/Argentina/': 'AR',
+  'America/Indiana/': 'US',
+  'America/Kentucky/': 'US',
+  'America/North_Dakota/': 'US',
+  'Australia/': 'AU'
+};
+
+// Languages spoken mainly in one country, used when the UI locale has no region subtag
+const LANGUAGE_COUNTRIES = {
+  ja: 'JP', ko: 'KR', zh: 'CN', pl: 'PL', ru: 'RU', de: 'DE', fr: 'FR', it: 'IT',
+  nl: 'NL', uk: 'UA', cs: 'CZ', hu: 'HU', el: 'GR', tr: 'TR', he: 'IL', th: 'TH',
+  vi: 'VN', id: 'ID', fi: 'FI', sv: 'SE', da: 'DK', nb: 'NO', ro: 'RO', bg: 'BG'
+};
+
+/**
+ * Map an IANA timezone to an ISO country code.
+ *
+ * @param {string} timeZone - e.g. 'Europe/Warsaw'
+ * @returns {string|null}
+ */
+function getTimeZoneCountry(timeZone) {
+  if (!timeZone) return null;
+  if (TIMEZONE_COUNTRIES[timeZone]) return TIMEZONE_COUNTRIES[timeZone];
+
+  const prefix = Object.keys(TIMEZONE_PREFIX_COUNTRIES).find(p => timeZone.startsWith(p));
+  return prefix ? TIMEZONE_PREFIX_COUNTRIES[prefix] : null;
+}
+
+/**
+ * Get the countries suggested by a UI locale, most specific first.
+ * 'pt-BR' suggests BR; 'ja' suggests JP; 'en' suggests nothing.
+ *
+ * @param {string} language - BCP 47 or Chrome-style locale (e.g. 'pt-BR', 'zh_CN')
+ * @returns {string[]}
+ */
+function getLanguageCountries(language) {
+  if (!language) return [];
+  const [lang, ...subtags] = language.replace(/_/g, '-').split('-');
+  const countries = [];
+
+  const regionSubtag = subtags.find(tag => /^[A-Za-z]{2}$/.test(tag));
+  if (regionSubtag) countries.push(regionSubtag.toUpperCase());
+
+  const languageCountry = LANGUAGE_COUNTRIES[lang.toLowerCase()];
+  if (languageCountry) countries.push(languageCountry);
+
+  return countries;
+}
+
+/**
+ * Infer a region from the browser locale and timezone, without asking for
+ * location. The timezone says where the user is, so it wins over the
+ * language; the first candidate present in `availableCodes` is returned.
+ *
+ * @param {string[]} availableCodes - Region codes present in the manifest
+ * @param {Object} [hints]
+ * @param {string} [hints.language] - UI language (defaults to chrome.i18n.getUILanguage())
+ * @param {string} [hints.timeZone] - IANA timezone (defaults to the browser's)
+ * @returns {string} Region code, or the default region if nothing matches
+ */
+export function inferRegion(availableCodes, hints = {}) {
+  const language = hints.language ?? chrome.i18n.getUILanguage();
+  let timeZone = hints.timeZone;
+  if (timeZone === undefined) {
+    try {
+      timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch {
+      timeZone = null;
+    }
+  }
+
+  const available = new Set(availableCodes);
+  const candidates = [getTimeZoneCountry(timeZone), ...getLanguageCountries(language)];
+  return candidates.find(code => code && available.has(code)) || DEFAULT_REGION;
+}
@@ -0,0 +1,50 @@
+/**
+ * Rotation Module
+ *
+ * Decides which species to leave out when picking the next new-tab bird,
+ * based on the species codes in the viewing history (oldest first).
+ */
+
+export const ROTATION_MODES = {
+  RANDOM: 'random',
+  AVOID_RECENT: 'avoidRecent',
+  CYCLE: 'cycle'
+};
+
+/**
+ * Get the species codes that should not be picked next.
+ *
+ * - random: nothing is excluded
+ * - avoidRecent: species from the last `recentCount` views are excluded
+ * - cycle: species already shown in the current pass through the region are
+ *   excluded; once every species has been seen a new pass starts. Passes are
+ *   limited to what the capped view history still remembers.
+ *
+ * @param {string} mode - One of ROTATION_MODES
+ * @param {string[]} historyCodes - Viewed species codes, oldest first
+ * @param {string[]} regionCodes - Species codes in the current region
+ * @param {number} recentCount - Number of recent views to avoid in avoidRecent mode
+ * @returns {Set<string>} Species codes to exclude
+ */
+export function getRotationExcludeCodes(mode, historyCodes, regionCodes, recentCount) {
+  if (mode === ROTATION_MODES.AVOID_RECENT) {
+    return new Set(historyCodes.slice(-recentCount));
+  }
+
+  if (mode === ROTATION_MODES.CYCLE) {
+    const regionSet = new Set(regionCodes);
+    let seen = new Set();
+
+    // Replay the history; a pass ends once every species in the region was shown
+    for (const code of historyCodes) {
+      if (!regionSet.has(code)) continue;
+      seen.add(code);
+      if (seen.size === regionSet.size) {
+        seen = new Set();
+      }
+    }
+    return seen;
+  }
+
+  return new Set();
+}
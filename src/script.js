@@ -17,15 +17,15 @@ import { initChromeFooterNotification } from './chromeFooterNotification.js';
 import { initAnalytics, trackSessionStart, trackFeature, trackReviewPromptShown, trackReviewPromptAction } from './analytics.js';
 import { initClock, showClock, hideClock } from './clock.js';
 import { initTimer, showTimer, hideTimer } from './timer.js';
+import { initStopwatch, showStopwatch, hideStopwatch } from './stopwatch.js';
 import {
-  addToHistory,
-  getHistory,
-  clearHistory,
   getRelativeTimeString,
   openHistoryModal,
   closeHistoryModal,
-  populateHistoryList
+  populateHistoryList,
+  STAR_ICON_SVG
 } from './historyModal.js';
+import { addToHistory, getHistory, clearHistory, isFavorite, toggleFavorite } from './viewHistory.js';
 import { initializeGoogleApps } from './googleApps.js';
 import { initializeChromeTab, updateChromeTabVisibility } from './chromeTab.js';
 import { createOptionsMenu } from './optionsMenu.js';
@@ -50,9 +50,14 @@ import {
 // Share temporarily hidden — will return in a future version
 // import { initShareMenu, setupShareButton } from './shareMenu.js';
 import { setupInfoPopover } from './birdInfoPopover.js';
+import { hideSpecies } from './hiddenSpecies.js';
 import { setupCreditPopovers } from './creditPopover.js';
 import { escapeHtml, truncateName } from './utils/escapeHtml.js';
-import { adaptSpeciesToBirdInfo } from './mediaClient.js';
+import { getBirdPickSettings, pickNextBird, pickPackedBird } from './birdPicker.js';
+import { getOfflineMediaUrls } from './offlinePack.js';
+import { getStoredRegion } from './regions.js';
+import { claimPreloadedBird } from './preloadQueue.js';
+import { getLocalizedBirdName } from './birdNames.js';
 
 // Initialize Sentry for content script
 initSentry('content-script');
@@ -61,7 +66,8 @@ initSentry('content-script');
 const CLOCK_DISPLAY_MODES = {
   OFF: 'off',
   CLOCK: 'clock',
-  TIMER: 'timer'
+  TIMER: 'timer',
+  STOPWATCH: 'stopwatch'
 };
 
 let isMuted = false;
@@ -74,10 +80,20 @@ let isPlaying = false;
 let birdInfo;
 let quizMode;
 let saveVolumeTimeout = null;
+// Remote media URL -> object URL for files stored in the offline pack
+let offlineMediaUrls = new Map();
+
+/**
+ * Release the object URLs of the offline files shown for the previous bird
+ */
+function revokeOfflineMediaUrls() {
+  offlineMediaUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+  offlineMediaUrls = new Map();
+}
 
 /**
  * Migrate from legacy clockEnabled to new clockDisplayMode enum
- * @returns {Promise<string>} The clock display mode ('off', 'clock', or 'timer')
+ * @returns {Promise<string>} The clock display mode ('off', 'clock', 'timer', or 'stopwatch')
  */
 async function migrateClockSettings() {
   const storage = await new Promise((resolve) => {
@@ -116,16 +132,21 @@ async function migrateClockSettings() {
 }
 
 /**
- * Initialize clock display (clock or timer) based on mode
+ * Initialize clock display (clock, timer or stopwatch) based on mode
  * Handles migration and sets up storage listeners
  */
 async function initClockDisplay() {
   // Migrate and get current mode
   const mode = await migrateClockSettings();
 
-  // Initialize both clock and timer modules (but don't show them yet)
+  // Initialize the clock, timer and stopwatch modules (but don't show them yet)
   await initClock();
-  await initTimer();
+  // The bird call alarm plays this tab's bird, from the offline pack if it's there
+  await initTimer(() => birdInfo && {
+    ...birdInfo,
+    mediaUrl: offlineMediaUrls.get(birdInfo.mediaUrl) || birdInfo.mediaUrl
+  });
+  await initStopwatch();
 
   let effectiveMode = mode;
 
@@ -136,6 +157,9 @@ async function initClockDisplay() {
     case CLOCK_DISPLAY_MODES.TIMER:
       showTimer();
       break;
+    case CLOCK_DISPLAY_MODES.STOPWATCH:
+      showStopwatch();
+      break;
     default:
       // Both hidden
       break;
@@ -155,23 +179,31 @@ async function initClockDisplay() {
         return;
       }
 
-      // Note: When user clicks the "Switch to Clock/Timer" buttons, the click handler
+      // Note: When user clicks the "Switch to Clock/Timer/Stopwatch" buttons, the click handler
       // immediately calls show/hide functions for responsive UI, then updates storage.
       // This listener will fire after and call show/hide again, which is harmless since
-      // both showClock() and showTimer() are idempotent (safe to call multiple times).
+      // showClock(), showTimer() and showStopwatch() are idempotent (safe to call multiple times).
       // This ensures consistency across all tabs and handles settings changes.
       switch (newMode) {
         case CLOCK_DISPLAY_MODES.CLOCK:
           hideTimer();
+          hideStopwatch();
           showClock();
           break;
         case CLOCK_DISPLAY_MODES.TIMER:
           hideClock();
+          hideStopwatch();
           showTimer();
           break;
+        case CLOCK_DISPLAY_MODES.STOPWATCH:
+          hideClock();
+          hideTimer();
+          showStopwatch();
+          break;
         case CLOCK_DISPLAY_MODES.OFF:
           hideClock();
           hideTimer();
+          hideStopwatch();
           break;
       }
     }
@@ -186,49 +218,55 @@ const IMAGE_RETRY_DELAY = 2000;
 /**
  * Load bird info entirely from chrome.storage.local.
  * Reads in priority order:
- *   1. preloadedBird — random bird pre-picked by the background service worker
- *   2. media_manifest — pick a fresh random bird from the cached manifest
- * Returns null only if no manifest has ever been cached (fresh install, before first fetch).
+ *   0. offlinePack — while offline, a bird whose media is stored locally
+ *   1. preloadedBirds — the oldest bird in the queue pre-picked by the background
+ *      service worker, claimed atomically so concurrent tabs never share one
+ *   2. media_manifest and favorites — pick a fresh bird in the same order as
+ *      the background, see birdPicker.js
+ * All honor the user's stored region; a queued bird picked for a
+ * different region (e.g. just before a region change) or, in bird-of-the-day
+ * mode, for a different day is discarded. Hidden species are always skipped.
+ * Returns null if no manifest has ever been cached (fresh install, before
+ * first fetch) and no favorite can be used, or if reading storage fails.
  */
 async function loadBirdFromStorage() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['preloadedBird', 'media_manifest', 'autoPlay'], (result) => {
-      const autoPlay = result.autoPlay || false;
-
-      // 1. Use preloaded bird from background (fastest path)
-      if (result.preloadedBird) {
-        const bird = result.preloadedBird;
-        bird.autoPlay = autoPlay;
-        chrome.storage.local.remove('preloadedBird');
-        log(`Using preloaded bird: ${bird.name}`);
-        resolve(bird);
-        return;
-      }
-
-      // 2. Pick a random bird from the cached manifest
-      const manifest = result.media_manifest;
-      if (manifest && manifest.species && manifest.regions) {
-        const codes = manifest.regions.WLD?.speciesCodes ?? [];
-        if (codes.length > 0) {
-          const speciesMap = new Map(manifest.species.map(s => [s.speciesCode, s]));
-          const randomCode = codes[Math.floor(Math.random() * codes.length)];
-          const entry = speciesMap.get(randomCode);
-          if (entry) {
-            const bird = adaptSpeciesToBirdInfo(entry);
-            if (bird) {
-              bird.location = 'WLD';
-              bird.autoPlay = autoPlay;
-              log(`Using random bird from manifest: ${bird.name}`);
-              resolve(bird);
-              return;
-            }
-          }
-        }
-      }
+  try {
+    const [{ media_manifest: manifest, autoPlay }, region, settings] = await Promise.all([
+      chrome.storage.local.get(['media_manifest', 'autoPlay']),
+      getStoredRegion(),
+      getBirdPickSettings()
+    ]);
+    const withAutoPlay = bird => ({ ...bird, autoPlay: autoPlay || false });
+
+    // 0. Offline: only birds in the offline pack have media that will load
+    const packedBird = navigator.onLine ? null : pickPackedBird(settings);
+    if (packedBird) {
+      log(`Offline, using bird from offline pack: ${packedBird.name}`);
+      return withAutoPlay({ ...packedBird, location: region });
+    }
 
-      resolve(null);
+    // 1. Claim a preloaded bird from the background's queue (fastest path)
+    const preloadedBird = await claimPreloadedBird(bird => {
+      const regionMatches = !bird.location || bird.location === region;
+      // In bird-of-the-day mode a bird preloaded before midnight is stale
+      const dayMatches = !settings.dailyDate || bird.dailyDate === settings.dailyDate;
+      return regionMatches && dayMatches && !settings.hiddenCodes.has(bird.speciesCode);
     });
-  });
+    if (preloadedBird) {
+      log(`Using preloaded bird: ${preloadedBird.name}`);
+      return withAutoPlay(preloadedBird);
+    }
+
+    // 2. Pick a bird from the cached manifest or the favorites
+    const pick = pickNextBird(manifest, { ...settings, region, isOnline: navigator.onLine });
+    if (!pick) return null;
+    log(`Using ${pick.source} bird from storage: ${pick.bird.name}`);
+    return withAutoPlay(pick.bird);
+  } catch (error) {
+    log(`Error loading bird from storage: ${error.message}`);
+    captureException(error, { tags: { operation: 'loadBirdFromStorage' } });
+    return null;
+  }
 }
 
 /**
@@ -465,7 +503,7 @@ const AUDIO_SKIP_SECONDS = 4;
 
 // Create a new Audio element for a bird call, with the initial commentary skipped
 function createBirdAudio(url) {
-  const el = new Audio(url);
+  const el = new Audio(offlineMediaUrls.get(url) || url);
   el.addEventListener('loadedmetadata', () => {
     if (el.currentTime < AUDIO_SKIP_SECONDS) {
       el.currentTime = AUDIO_SKIP_SECONDS;
@@ -699,7 +737,7 @@ function setImageSource(imageUrl, retryCount = 0) {
     }
   };
 
-  img.src = imageUrl;
+  img.src = offlineMediaUrls.get(imageUrl) || imageUrl;
 }
 
 // Main function to update the page with new bird information
@@ -714,7 +752,7 @@ async function initializePage() {
 
   try {
     // Load bird data entirely from chrome.storage.local.
-    // Priority: pendingBirdInfo (history selection) → preloadedBird → manifest → history
+    // Priority: pendingBirdInfo (history selection) → preload queue → manifest → history
     let usedHistoryFallback = false;
 
     const pendingBird = await new Promise((resolve) => {
@@ -760,6 +798,11 @@ async function initializePage() {
       await addToHistory(birdInfo);
     }
 
+    // Play stored files when this bird is in the offline pack
+    const nextOfflineMediaUrls = await getOfflineMediaUrls(birdInfo);
+    revokeOfflineMediaUrls();
+    offlineMediaUrls = nextOfflineMediaUrls;
+
     // Signal the background to preload the next bird, but only after the
     // current image is visible so it doesn't compete for bandwidth.
     imageLoadedPromise.then(() => {
@@ -790,7 +833,7 @@ async function initializePage() {
         chrome.storage.local.get(['autoPlay', 'quietHours', 'quickAccessEnabled', 'clockDisplayMode', 'installTime'], resolve);
       });
       trackSessionStart({
-        region: 'WLD',
+        region: await getStoredRegion(),
         videoMode: false,
         autoPlay: settings.autoPlay || false,
         quietHours: settings.quietHours || false,
@@ -908,7 +951,7 @@ async function initializePage() {
     };
 
     contentContainer.innerHTML = `
-      <img src="" alt="${escapeHtml(birdInfo.name)}" class="background-image" decoding="async" fetchpriority="high">
+      <img src="" alt="${escapeHtml(getLocalizedBirdName(birdInfo))}" class="background-image" decoding="async" fetchpriority="high">
       <div class="gradient-overlay"></div>
       <div class="info-panel">
         <div class="info-panel-header">
@@ -935,6 +978,13 @@ async function initializePage() {
               <img src="images/svg/message.svg" alt="${chrome.i18n.getMessage('sendFeedback') || 'Send Feedback'}" width="16" height="16">
             </a>
           </span>
+          <span class="credit-item credit-icon-group">
+            <button id="favorite-button" class="favorite-inline-button" aria-pressed="false"
+              title="${chrome.i18n.getMessage('favoriteAdd') || 'Add to favorites'}"
+              aria-label="${chrome.i18n.getMessage('favoriteAdd') || 'Add to favorites'}">
+              ${STAR_ICON_SVG}
+            </button>
+          </span>
           <!-- Share icon temporarily hidden — will return in a future version
           <span id="share-container" class="credit-item share-container credit-icon-group">
             <button id="share-button" class="share-inline-button" title="${chrome.i18n.getMessage('shareTooltip')}">
@@ -1003,16 +1053,7 @@ async function initializePage() {
     }
 
 
-    const lang = chrome.i18n.getUILanguage();
-    let nameToDisplay = birdInfo.name;
-
-    if (lang && birdInfo.primaryComName_fr && lang.toLowerCase().startsWith('fr')) {
-      nameToDisplay = birdInfo.primaryComName_fr;
-    } else if (lang && birdInfo.primaryComName_cn && lang.toLowerCase().startsWith('zh')) {
-      nameToDisplay = birdInfo.primaryComName_cn;
-    }
-
-    document.getElementById('bird-name').textContent = nameToDisplay;
+    document.getElementById('bird-name').textContent = getLocalizedBirdName(birdInfo);
 
     document.getElementById('refresh-button').addEventListener('click', (e) => {
       e.preventDefault();
@@ -1029,8 +1070,21 @@ async function initializePage() {
     // After updating the page content, add the review prompt if needed
     showReviewPromptIfNeeded(document.body);
 
+    setupFavoriteButton(birdInfo).catch((error) => {
+      log(`Failed to set up favorite button: ${error.message}`);
+      captureException(error, { tags: { operation: 'setupFavoriteButton' } });
+    });
+
     setupInfoPopover({
       onEbirdClick: () => trackFeature('ebird_click'),
+      onHideBird: async () => {
+        await hideSpecies(birdInfo);
+        trackFeature('hide_bird');
+        // Fade out and load a different bird
+        document.body.style.transition = 'opacity 0.2s ease';
+        document.body.style.opacity = '0';
+        setTimeout(() => window.location.reload(), 200);
+      },
     });
     setupCreditPopovers(creditInfoData);
     initLowDistractionMode();
@@ -1082,6 +1136,26 @@ async function initializePage() {
                   quizMode.startQuiz();
                 }
               }
+            },
+            {
+              type: 'button',
+              label: chrome.i18n.getMessage('quizCallAlt') || 'Name That Call',
+              icon: 'images/svg/waveform.svg',
+              onClick: () => {
+                if (quizMode && !quizMode.isActive) {
+                  quizMode.startQuiz({ type: 'audio' });
+                }
+              }
+            },
+            {
+              type: 'button',
+              label: chrome.i18n.getMessage('quizDailyAlt') || 'Daily Challenge',
+              icon: 'images/svg/calendar.svg',
+              onClick: () => {
+                if (quizMode && !quizMode.isActive) {
+                  quizMode.startDailyChallenge();
+                }
+              }
             }
           ]
         });
@@ -1386,6 +1460,46 @@ function saveVolumeState(immediate = false) {
   }
 }
 
+// Bird the star button acts on, and whether its click listener is set up
+let favoriteBird = null;
+let favoriteButtonSetup = false;
+
+/**
+ * Wire up the star button next to the bird credits
+ * @param {Object} birdInfo - The bird currently displayed
+ */
+async function setupFavoriteButton(birdInfo) {
+  const favoriteButton = document.getElementById('favorite-button');
+  if (!favoriteButton || !birdInfo.speciesCode) return;
+
+  favoriteBird = birdInfo;
+
+  // One delegated listener that reads the current bird, so a retry doesn't stack listeners
+  if (!favoriteButtonSetup) {
+    favoriteButtonSetup = true;
+    document.body.addEventListener('click', async (e) => {
+      const button = e.target.closest('#favorite-button');
+      if (!button || !favoriteBird) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const starred = await toggleFavorite(favoriteBird);
+      updateFavoriteButton(button, starred);
+      trackFeature(starred ? 'favorite_add' : 'favorite_remove');
+    });
+  }
+
+  updateFavoriteButton(favoriteButton, await isFavorite(birdInfo.speciesCode));
+}
+
+function updateFavoriteButton(favoriteButton, starred) {
+  const label = starred
+    ? (chrome.i18n.getMessage('favoriteRemove') || 'Remove from favorites')
+    : (chrome.i18n.getMessage('favoriteAdd') || 'Add to favorites');
+  favoriteButton.setAttribute('aria-pressed', String(starred));
+  favoriteButton.title = label;
+  favoriteButton.setAttribute('aria-label', label);
+}
+
 // Track if media click handler is already set up to avoid duplicate listeners
 let mediaClickHandlerSetup = false;
 
@@ -1422,6 +1536,7 @@ function setupMediaClickHandler() {
       '.credit-info-trigger',
       '#clock-options-trigger',
       '.timer-controls', '.timer-digit-group', '.timer-preset-btn', '.timer-start-btn', '.timer-time',
+      '.timer-mode-tabs', '.timer-pomodoro-settings', '.stopwatch',
       '.confirmation-dialog', '.confirmation-dialog-backdrop',
       '.share-container', '.share-menu'
     ];
@@ -1675,7 +1790,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
-  // Initialize clock display (handles both clock and timer)
+  // Initialize clock display (handles clock, timer and stopwatch)
   try {
     await initClockDisplay();
   } catch (error) {
@@ -1779,6 +1894,8 @@ window.addEventListener('beforeunload', () => {
   }
 });
 
+window.addEventListener('pagehide', revokeOfflineMediaUrls);
+
 log('Main script loaded');
 
 // Add storage change listener
@@ -5,6 +5,13 @@ import { log, warn } from './logger.js';
 import { handleQuickAccessToggle } from './quickAccessPermissions.js';
 import { resetChromeFooterNotification } from './chromeFooterNotification.js';
 import { IS_EDGE } from './browserInfo.js';
+import { fetchAvailableRegions, populateRegionSelect, inferRegion } from './regions.js';
+import { ROTATION_MODES } from './rotation.js';
+import { getHiddenSpecies, unhideSpecies } from './hiddenSpecies.js';
+import { getOfflinePack, getOfflinePackStats } from './offlinePack.js';
+import { getLocalizedBirdName } from './birdNames.js';
+import { escapeHtml } from './utils/escapeHtml.js';
+import { openQuizStatsModal } from './quizStatsModal.js';
 
 // Module-level singleton instance
 let instance = null;
@@ -85,10 +92,65 @@ class SettingsSidebar {
                 <img src="images/svg/location.svg" alt="" width="18" height="18" class="setting-icon">
                 <span data-i18n="birdingRegion">Birding Region</span>
               </label>
-              <select id="modal-region" disabled title="Discover birds from every corner of the globe. More regions coming soon!">
+              <select id="modal-region" aria-describedby="modal-region-help">
                 <option value="WLD" selected data-i18n="regionWorld">World</option>
               </select>
-              <p class="help-text" data-i18n="regionComingSoon">Discover birds from every corner of the globe. More regions coming soon!</p>
+              <p class="help-text" id="modal-region-help" data-i18n="regionHelpText">New tabs and quizzes will show birds found in this region.</p>
+            </div>
+
+            <div class="setting">
+              <label for="modal-bird-rotation" class="setting-label-with-icon">
+                <img src="images/svg/refresh.svg" alt="" width="18" height="18" class="setting-icon">
+                <span data-i18n="birdRotation">Bird Rotation</span>
+              </label>
+              <select id="modal-bird-rotation" aria-describedby="modal-bird-rotation-help">
+                <option value="avoidRecent" data-i18n="birdRotationAvoidRecent">Avoid recently shown birds</option>
+                <option value="cycle" data-i18n="birdRotationCycle">Show every bird before repeating</option>
+                <option value="random" data-i18n="birdRotationRandom">Fully random</option>
+              </select>
+              <p class="help-text" id="modal-bird-rotation-help" data-i18n="birdRotationHelpText">Choose how soon a bird can come back on a new tab.</p>
+            </div>
+
+            <div class="setting">
+              <div class="toggle-container">
+                <div class="toggle-text">
+                  <span class="setting-label-with-icon">
+                    <img src="images/svg/crown.svg" alt="" width="18" height="18" class="setting-icon">
+                    <span data-i18n="birdOfTheDay">Bird of the Day</span>
+                  </span>
+                  <p class="help-text" id="modal-bird-of-the-day-help" data-i18n="birdOfTheDayHelpText">Show the same bird on every new tab for the whole day. Everyone with the same region gets the same bird.</p>
+                </div>
+                <label class="switch" data-i18n-title="birdOfTheDayTooltip" title="Enable to show one bird per day instead of a new bird on every tab">
+                  <input type="checkbox" id="modal-bird-of-the-day" aria-describedby="modal-bird-of-the-day-help">
+                  <span class="slider round"></span>
+                </label>
+              </div>
+            </div>
+
+            <div class="setting">
+              <div class="toggle-container">
+                <div class="toggle-text">
+                  <span class="setting-label-with-icon">
+                    <img src="images/svg/star.svg" alt="" width="18" height="18" class="setting-icon">
+                    <span data-i18n="favoritesOnly">Favorites Only</span>
+                  </span>
+                  <p class="help-text" id="modal-favorites-only-help" data-i18n="favoritesOnlyHelpText">New tabs only show birds you starred. Bird of the Day takes priority when both are on.</p>
+                </div>
+                <label class="switch" data-i18n-title="favoritesOnlyTooltip" title="Enable to only show your favorite birds on new tabs">
+                  <input type="checkbox" id="modal-favorites-only" aria-describedby="modal-favorites-only-help">
+                  <span class="slider round"></span>
+                </label>
+              </div>
+            </div>
+
+            <div class="setting">
+              <span class="setting-label-with-icon">
+                <img src="images/svg/eye-off.svg" alt="" width="18" height="18" class="setting-icon">
+                <span data-i18n="hiddenBirds">Hidden Birds</span>
+              </span>
+              <p class="help-text" data-i18n="hiddenBirdsHelpText">Birds you chose never to see again on new tabs or in quizzes.</p>
+              <ul id="modal-hidden-species-list" class="hidden-species-list"></ul>
+              <p id="modal-hidden-species-empty" class="help-text hidden" data-i18n="hiddenBirdsEmpty">You haven't hidden any birds.</p>
             </div>
 
             <!-- Media & Playback Category -->
@@ -110,6 +172,22 @@ class SettingsSidebar {
               </div>
             </div>
 
+            <div class="setting">
+              <label for="modal-offline-pack-size" class="setting-label-with-icon">
+                <img src="images/svg/download.svg" alt="" width="18" height="18" class="setting-icon">
+                <span data-i18n="offlinePack">Offline Birds</span>
+              </label>
+              <select id="modal-offline-pack-size" aria-describedby="modal-offline-pack-help">
+                <option value="0" data-i18n="offlinePackOff">Off</option>
+                <option value="10">10</option>
+                <option value="25">25</option>
+                <option value="50">50</option>
+                <option value="100">100</option>
+              </select>
+              <p class="help-text" id="modal-offline-pack-help" data-i18n="offlinePackHelpText">Keep photos and calls for this many birds on your device so new tabs work without internet. Downloads happen in the background.</p>
+              <p class="help-text" id="modal-offline-pack-status" aria-live="polite"></p>
+            </div>
+
             <!-- Video Mode and High-Res toggles removed -->
 
             <div class="setting">
@@ -128,6 +206,63 @@ class SettingsSidebar {
               </div>
             </div>
 
+            <!-- Quiz Category -->
+            <div class="settings-category-title" data-i18n="settingsCategoryQuiz">Quiz</div>
+
+            <div class="setting">
+              <label for="modal-quiz-answer-style" class="setting-label-with-icon">
+                <img src="images/svg/quiz.svg" alt="" width="18" height="18" class="setting-icon">
+                <span data-i18n="quizAnswerStyle">Quiz Answers</span>
+              </label>
+              <select id="modal-quiz-answer-style" aria-describedby="modal-quiz-answer-style-help">
+                <option value="common" data-i18n="quizAnswerStyleCommon">Common names</option>
+                <option value="scientific" data-i18n="quizAnswerStyleScientific">Scientific names (expert)</option>
+              </select>
+              <p class="help-text" id="modal-quiz-answer-style-help" data-i18n="quizAnswerStyleHelpText">Answer with bird names in your language, or with scientific names for an extra challenge.</p>
+            </div>
+
+            <div class="setting">
+              <label for="modal-quiz-difficulty" class="setting-label-with-icon">
+                <img src="images/svg/difficulty.svg" alt="" width="18" height="18" class="setting-icon">
+                <span data-i18n="quizDifficulty">Quiz Difficulty</span>
+              </label>
+              <select id="modal-quiz-difficulty" aria-describedby="modal-quiz-difficulty-help">
+                <option value="easy" data-i18n="quizDifficultyEasy">Easy</option>
+                <option value="medium" data-i18n="quizDifficultyMedium">Medium</option>
+                <option value="hard" data-i18n="quizDifficultyHard">Hard</option>
+              </select>
+              <p class="help-text" id="modal-quiz-difficulty-help" data-i18n="quizDifficultyHelpText">Easy mixes in random species. Medium picks wrong answers from the same family, Hard from the same genus whenever possible.</p>
+            </div>
+
+            <div class="setting">
+              <div class="toggle-container">
+                <div class="toggle-text">
+                  <span class="setting-label-with-icon">
+                    <img src="images/svg/history.svg" alt="" width="18" height="18" class="setting-icon">
+                    <span data-i18n="reviewOnNewTabs">Practice on New Tabs</span>
+                  </span>
+                  <p class="help-text" id="modal-review-on-new-tabs-help" data-i18n="reviewOnNewTabsHelpText">Now and then, new tabs show a bird you're due to review from your quizzes.</p>
+                </div>
+                <label class="switch" data-i18n-title="reviewOnNewTabsTooltip" title="Enable to mix birds you keep missing in quizzes into new tabs">
+                  <input type="checkbox" id="modal-review-on-new-tabs" aria-describedby="modal-review-on-new-tabs-help">
+                  <span class="slider round"></span>
+                </label>
+              </div>
+            </div>
+
+            <div class="setting">
+              <div class="toggle-container">
+                <div class="toggle-text">
+                  <span class="setting-label-with-icon">
+                    <img src="images/svg/trend.svg" alt="" width="18" height="18" class="setting-icon">
+                    <span data-i18n="quizStatsTitle">Quiz Stats</span>
+                  </span>
+                  <p class="help-text" id="modal-quiz-stats-help" data-i18n="quizStatsHelpText">Scores, streaks and trends from the quizzes you've finished.</p>
+                </div>
+                <button type="button" id="modal-open-quiz-stats" class="setting-action-button" aria-describedby="modal-quiz-stats-help" data-i18n="quizStatsOpen">View</button>
+              </div>
+            </div>
+
             <!-- Productivity & Interface Category -->
             <div class="settings-category-title" data-i18n="settingsCategoryProductivity">Productivity & Interface</div>
 
@@ -373,6 +508,18 @@ class SettingsSidebar {
 
   initializeElements() {
     // Get all the sidebar form elements
+    this.regionSelect = document.getElementById('modal-region');
+    this.birdRotationSelect = document.getElementById('modal-bird-rotation');
+    this.birdOfTheDayCheckbox = document.getElementById('modal-bird-of-the-day');
+    this.favoritesOnlyCheckbox = document.getElementById('modal-favorites-only');
+    this.hiddenSpeciesList = document.getElementById('modal-hidden-species-list');
+    this.hiddenSpeciesEmpty = document.getElementById('modal-hidden-species-empty');
+    this.offlinePackSelect = document.getElementById('modal-offline-pack-size');
+    this.offlinePackStatus = document.getElementById('modal-offline-pack-status');
+    this.quizAnswerStyleSelect = document.getElementById('modal-quiz-answer-style');
+    this.quizDifficultySelect = document.getElementById('modal-quiz-difficulty');
+    this.reviewOnNewTabsCheckbox = document.getElementById('modal-review-on-new-tabs');
+    this.openQuizStatsButton = document.getElementById('modal-open-quiz-stats');
     this.autoPlayCheckbox = document.getElementById('modal-auto-play');
     this.quietHoursCheckbox = document.getElementById('modal-quiet-hours');
     this.clockDisplayCheckbox = document.getElementById('modal-clock-display');
@@ -441,6 +588,53 @@ class SettingsSidebar {
     });
 
     // Auto-save on setting changes
+    if (this.regionSelect) {
+      this.regionSelect.addEventListener('change', () => this.saveRegion());
+    }
+    if (this.birdRotationSelect) {
+      this.birdRotationSelect.addEventListener('change', () => this.saveSettings());
+    }
+    if (this.birdOfTheDayCheckbox) {
+      this.birdOfTheDayCheckbox.addEventListener('change', () => this.saveSettings());
+    }
+    if (this.favoritesOnlyCheckbox) {
+      this.favoritesOnlyCheckbox.addEventListener('change', () => this.saveSettings());
+    }
+    if (this.hiddenSpeciesList) {
+      this.hiddenSpeciesList.addEventListener('click', async (e) => {
+        const unhideButton = e.target.closest('.hidden-species-unhide');
+        if (!unhideButton) return;
+        await unhideSpecies(unhideButton.dataset.speciesCode);
+        this.showSaveNotification();
+        this.loadHiddenSpecies();
+      });
+    }
+    if (this.offlinePackSelect) {
+      this.offlinePackSelect.addEventListener('change', () => this.saveSettings());
+
+      // The pack fills in the background; keep the status line current
+      this.storageChangeHandler = (changes, namespace) => {
+        if (namespace === 'local' && changes.offlinePack) {
+          this.updateOfflinePackStatus(changes.offlinePack.newValue?.value || []);
+        }
+      };
+      chrome.storage.onChanged.addListener(this.storageChangeHandler);
+    }
+    if (this.quizAnswerStyleSelect) {
+      this.quizAnswerStyleSelect.addEventListener('change', () => this.saveSettings());
+    }
+    if (this.quizDifficultySelect) {
+      this.quizDifficultySelect.addEventListener('change', () => this.saveSettings());
+    }
+    if (this.reviewOnNewTabsCheckbox) {
+      this.reviewOnNewTabsCheckbox.addEventListener('change', () => this.saveSettings());
+    }
+    if (this.openQuizStatsButton) {
+      this.openQuizStatsButton.addEventListener('click', () => {
+        this.close();
+        openQuizStatsModal();
+      });
+    }
     if (this.autoPlayCheckbox) {
       this.autoPlayCheckbox.addEventListener('change', () => this.saveSettings());
     }
@@ -598,10 +792,12 @@ class SettingsSidebar {
             });
           });
 
-          // Set default values in local storage (device-specific settings)
+          // Set default values in local storage (device-specific settings).
+          // The region stays unset so it is inferred again; the cleanup flag
+          // keeps a World picked after the reset from being cleared on update
           await new Promise((resolve, reject) => {
             chrome.storage.local.set({
-              region: 'WLD',
+              autoRegionCleared: true,
               autoPlay: false,
               quietHours: false,
               clockDisplayMode: 'clock',
@@ -724,6 +920,10 @@ class SettingsSidebar {
   destroy() {
     // Clean up all event listeners via abort controller
     this.abortController.abort();
+    if (this.storageChangeHandler) {
+      chrome.storage.onChanged.removeListener(this.storageChangeHandler);
+      this.storageChangeHandler = null;
+    }
 
     // Restore body scroll if sidebar was open
     document.body.style.overflow = '';
@@ -748,7 +948,36 @@ class SettingsSidebar {
       return;
     }
 
-    chrome.storage.local.get(['autoPlay', 'quietHours', 'clockDisplayMode', 'quickAccessEnabled', 'googleAppsEnabled', 'chromeTabEnabled'], (result) => {
+    chrome.storage.local.get(['region', 'birdRotation', 'birdOfTheDay', 'favoritesOnly', 'offlinePackSize', 'quizAnswerStyle', 'quizDifficulty', 'reviewOnNewTabs', 'autoPlay', 'quietHours', 'clockDisplayMode', 'quickAccessEnabled', 'googleAppsEnabled', 'chromeTabEnabled'], (result) => {
+      if (this.regionSelect) {
+        this.loadRegionOptions(result.region);
+      }
+      if (this.birdRotationSelect) {
+        this.birdRotationSelect.value = result.birdRotation || ROTATION_MODES.AVOID_RECENT;
+      }
+      if (this.birdOfTheDayCheckbox) {
+        this.birdOfTheDayCheckbox.checked = result.birdOfTheDay || false;
+        this.updateBirdRotationState();
+      }
+      if (this.favoritesOnlyCheckbox) {
+        this.favoritesOnlyCheckbox.checked = result.favoritesOnly || false;
+      }
+      if (this.hiddenSpeciesList) {
+        this.loadHiddenSpecies();
+      }
+      if (this.offlinePackSelect) {
+        this.offlinePackSelect.value = String(result.offlinePackSize || 0);
+        getOfflinePack().then(entries => this.updateOfflinePackStatus(entries));
+      }
+      if (this.quizAnswerStyleSelect) {
+        this.quizAnswerStyleSelect.value = result.quizAnswerStyle || 'common';
+      }
+      if (this.quizDifficultySelect) {
+        this.quizDifficultySelect.value = result.quizDifficulty || 'easy';
+      }
+      if (this.reviewOnNewTabsCheckbox) {
+        this.reviewOnNewTabsCheckbox.checked = result.reviewOnNewTabs || false;
+      }
       if (this.autoPlayCheckbox) {
         this.autoPlayCheckbox.checked = result.autoPlay || false;
       }
@@ -771,17 +1000,111 @@ class SettingsSidebar {
     });
   }
 
+  /**
+   * Populate the region select from the manifest's region list.
+   * Keeps the current option list if the background can't provide regions.
+   */
+  async loadRegionOptions(selectedRegion) {
+    try {
+      const regions = await fetchAvailableRegions();
+      // Without a stored region, show the one new tabs infer
+      populateRegionSelect(this.regionSelect, regions, selectedRegion || inferRegion(regions.map(region => region.code)));
+    } catch (error) {
+      log('Error loading regions: ' + error.message);
+    }
+  }
+
+  /**
+   * Render the list of hidden species with a button to show each one again
+   */
+  async loadHiddenSpecies() {
+    const hidden = await getHiddenSpecies();
+    const showAgainLabel = chrome.i18n.getMessage('unhideBird') || 'Show this bird again';
+
+    this.hiddenSpeciesEmpty.classList.toggle('hidden', hidden.length > 0);
+    this.hiddenSpeciesList.innerHTML = hidden.map(entry => {
+      const name = getLocalizedBirdName(entry);
+      return `
+      <li class="hidden-species-item">
+        <div class="hidden-species-info">
+          <span class="hidden-species-name">${escapeHtml(name)}</span>
+          <span class="hidden-species-scientific">${escapeHtml(entry.scientificName)}</span>
+        </div>
+        <button type="button" class="hidden-species-unhide" data-species-code="${escapeHtml(entry.speciesCode)}"
+          title="${escapeHtml(showAgainLabel)}" aria-label="${escapeHtml(showAgainLabel)}: ${escapeHtml(name)}">
+          ${escapeHtml(chrome.i18n.getMessage('unhideBirdShort') || 'Show')}
+        </button>
+      </li>
+    `;
+    }).join('');
+  }
+
+  /**
+   * Show how many birds are stored for offline use and how much space they take
+   */
+  updateOfflinePackStatus(entries) {
+    if (!this.offlinePackStatus) return;
+
+    const { count, bytes } = getOfflinePackStats(entries);
+    const megabytes = (bytes / (1024 * 1024)).toFixed(1);
+    this.offlinePackStatus.textContent = count > 0
+      ? (chrome.i18n.getMessage('offlinePackStatus', [String(count), megabytes]) || `${count} birds saved (${megabytes} MB)`)
+      : '';
+  }
+
+  /**
+   * Save the region separately from the other settings so a toggle change
+   * before the region list has loaded can't overwrite the stored region.
+   */
+  saveRegion() {
+    if (!chrome?.storage?.local || !this.regionSelect?.value) return;
+
+    chrome.storage.local.set({ region: this.regionSelect.value }, () => {
+      this.showSaveNotification();
+    });
+  }
+
+  /**
+   * Rotation has no effect while bird of the day is on
+   */
+  updateBirdRotationState() {
+    if (this.birdRotationSelect && this.birdOfTheDayCheckbox) {
+      this.birdRotationSelect.disabled = this.birdOfTheDayCheckbox.checked;
+    }
+  }
+
   saveSettings() {
     if (!chrome?.storage?.local) {
       warn('Chrome storage API not available');
       return;
     }
 
-    // For clock display, we need to check current mode to preserve timer state
+    // For clock display, we need to check current mode to preserve timer or stopwatch state
     chrome.storage.local.get(['clockDisplayMode'], (currentSettings) => {
       const settings = {};
 
-      settings.region = 'WLD';
+      if (this.birdRotationSelect) {
+        settings.birdRotation = this.birdRotationSelect.value;
+      }
+      if (this.birdOfTheDayCheckbox) {
+        settings.birdOfTheDay = this.birdOfTheDayCheckbox.checked;
+        this.updateBirdRotationState();
+      }
+      if (this.favoritesOnlyCheckbox) {
+        settings.favoritesOnly = this.favoritesOnlyCheckbox.checked;
+      }
+      if (this.offlinePackSelect) {
+        settings.offlinePackSize = Number(this.offlinePackSelect.value);
+      }
+      if (this.quizAnswerStyleSelect) {
+        settings.quizAnswerStyle = this.quizAnswerStyleSelect.value;
+      }
+      if (this.quizDifficultySelect) {
+        settings.quizDifficulty = this.quizDifficultySelect.value;
+      }
+      if (this.reviewOnNewTabsCheckbox) {
+        settings.reviewOnNewTabs = this.reviewOnNewTabsCheckbox.checked;
+      }
       if (this.autoPlayCheckbox) {
         settings.autoPlay = this.autoPlayCheckbox.checked;
       }
@@ -792,10 +1115,10 @@ class SettingsSidebar {
         let clockDisplayMode = 'off';
 
         if (this.clockDisplayCheckbox.checked) {
-          // If checkbox is enabled, preserve current mode (clock or timer)
+          // If checkbox is enabled, preserve current mode (clock, timer or stopwatch)
           // Default to 'clock' if not set
           const currentMode = currentSettings.clockDisplayMode || 'off';
-          clockDisplayMode = (currentMode === 'timer') ? 'timer' : 'clock';
+          clockDisplayMode = ['timer', 'stopwatch'].includes(currentMode) ? currentMode : 'clock';
         }
 
         settings.clockDisplayMode = clockDisplayMode;
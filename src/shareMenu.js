@@ -4,6 +4,7 @@
  */
 
 import { trackFeature } from './analytics.js';
+import { getLocalizedBirdName } from './birdNames.js';
 
 // Module state
 let showShareMenu = false;
@@ -51,7 +52,7 @@ function getShareUrl() {
 function getShareText() {
   const birdInfo = getBirdInfo();
   const template = chrome.i18n.getMessage('shareText') || 'Check out this beautiful {birdName}!';
-  return template.replace('{birdName}', birdInfo?.name || '');
+  return template.replace('{birdName}', getLocalizedBirdName(birdInfo));
 }
 
 // ===== Sharing Actions =====
@@ -0,0 +1,135 @@
+/**
+ * Species Progress Module
+ *
+ * Remembers how the user does on each species in quizzes and schedules
+ * reviews with a Leitner system: every species sits in a box from 1 to
+ * CONFIG.LEITNER_INTERVALS_DAYS.length. A correct answer moves it up one box,
+ * a wrong answer sends it back to box 1, and each box waits longer before
+ * the species is due again. Species in the top box count as mastered.
+ *
+ * Progress lives in chrome.storage.local ('speciesProgress') as
+ * { value: { [speciesCode]: entry }, timestamp }.
+ */
+
+import { CONFIG } from './config.js';
+import { log } from './logger.js';
+
+const SPECIES_PROGRESS_KEY = 'speciesProgress';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_LEITNER_BOX = CONFIG.LEITNER_INTERVALS_DAYS.length;
+
+/**
+ * Get progress for every species the user has been quizzed on
+ * @returns {Promise<Object<string, {box: number, correct: number, incorrect: number, lastSeen: number, due: number}>>}
+ */
+export async function getSpeciesProgress() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SPECIES_PROGRESS_KEY], (result) => {
+      resolve(result[SPECIES_PROGRESS_KEY]?.value || {});
+    });
+  });
+}
+
+function saveSpeciesProgress(progress) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({
+      [SPECIES_PROGRESS_KEY]: { value: progress, timestamp: Date.now() }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        log(`Error saving species progress: ${chrome.runtime.lastError.message}`);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Apply one quiz answer to a species' progress entry
+ * @param {Object|undefined} entry - Current entry, if the species was seen before
+ * @param {boolean} isCorrect
+ * @param {number} now - Timestamp of the answer
+ * @returns {Object} Updated entry
+ */
+export function applyReviewResult(entry, isCorrect, now) {
+  const box = isCorrect ? Math.min((entry?.box || 0) + 1, MAX_LEITNER_BOX) : 1;
+  return {
+    box,
+    correct: (entry?.correct || 0) + (isCorrect ? 1 : 0),
+    incorrect: (entry?.incorrect || 0) + (isCorrect ? 0 : 1),
+    lastSeen: now,
+    due: now + CONFIG.LEITNER_INTERVALS_DAYS[box - 1] * DAY_MS,
+  };
+}
+
+/**
+ * Save the answers from a finished quiz
+ * @param {Array<{speciesCode: string, isCorrect: boolean}>} results
+ */
+export async function recordQuizResults(results) {
+  const progress = await getSpeciesProgress();
+  const now = Date.now();
+  for (const { speciesCode, isCorrect } of results) {
+    if (!speciesCode) continue;
+    progress[speciesCode] = applyReviewResult(progress[speciesCode], isCorrect, now);
+  }
+  await saveSpeciesProgress(progress);
+}
+
+/**
+ * Species from `codes` that are due for review, most urgent first:
+ * lower boxes before higher ones, then the longest overdue.
+ * @param {Object} progress - From getSpeciesProgress()
+ * @param {Array<string>} codes - Candidate species codes
+ * @param {number} now
+ * @returns {Array<string>}
+ */
+export function getDueSpeciesCodes(progress, codes, now) {
+  return codes
+    .filter(code => progress[code] && progress[code].due <= now)
+    .sort((a, b) => (progress[a].box - progress[b].box) || (progress[a].due - progress[b].due));
+}
+
+/**
+ * Order quiz candidates for review: species that are due come first (most
+ * urgent first), then species never quizzed, then the rest by due date.
+ * Candidates within each group keep their incoming (shuffled) order apart
+ * from the due ordering.
+ *
+ * @param {Array<Object>} birds - Birds with a speciesCode, already shuffled
+ * @param {Object} progress - From getSpeciesProgress()
+ * @param {number} now
+ * @returns {Array<Object>}
+ */
+export function orderForReview(birds, progress, now) {
+  const byCode = new Map(birds.map(bird => [bird.speciesCode, bird]));
+  const due = getDueSpeciesCodes(progress, [...byCode.keys()], now).map(code => byCode.get(code));
+  const dueSet = new Set(due);
+  const unseen = birds.filter(bird => !progress[bird.speciesCode]);
+  const later = birds
+    .filter(bird => progress[bird.speciesCode] && !dueSet.has(bird))
+    .sort((a, b) => progress[a.speciesCode].due - progress[b.speciesCode].due);
+  return [...due, ...unseen, ...later];
+}
+
+/**
+ * Count species per mastery level for a species list
+ * @param {Object} progress - From getSpeciesProgress()
+ * @param {Array<string>} codes - Species codes in the region
+ * @returns {{unseen: number, learning: number, mastered: number, boxes: Array<number>}}
+ *   `boxes[i]` is the number of species in box i + 1
+ */
+export function getMasterySummary(progress, codes) {
+  const boxes = new Array(MAX_LEITNER_BOX).fill(0);
+  let unseen = 0;
+  for (const code of codes) {
+    const box = progress[code]?.box;
+    if (box) {
+      boxes[box - 1]++;
+    } else {
+      unseen++;
+    }
+  }
+  const mastered = boxes[MAX_LEITNER_BOX - 1];
+  return { unseen, learning: codes.length - unseen - mastered, mastered, boxes };
+}
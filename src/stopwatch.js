@@ -0,0 +1,720 @@
+/**
+ * Stopwatch module for BirdTab
+ * Counts up with laps, as an alternative to the clock and timer.
+ * A running stopwatch is stored as the time it was (re)started, so every tab
+ * derives the same elapsed time and follows the others through storage.
+ */
+
+import { log } from './logger.js';
+import { getMessage } from './i18n.js';
+import { createOptionsMenu } from './optionsMenu.js';
+import { trackFeature } from './analytics.js';
+import { stripTitlePrefix } from './utils/tabTitle.js';
+
+// Stopwatch states
+const STOPWATCH_STATE = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused'
+};
+
+const STOPWATCH_STORAGE_KEYS = [
+  'stopwatchState',
+  'stopwatchStartTime',
+  'stopwatchElapsed',
+  'stopwatchLaps'
+];
+
+// Keyboard shortcut actions
+const STOPWATCH_KEY_ACTIONS = {
+  START: 'start',
+  PAUSE: 'pause',
+  LAP: 'lap',
+  RESET: 'reset'
+};
+
+const STOPWATCH_MAX_LAPS = 99;
+const STOPWATCH_TICK_MS = 50; // Smooth enough for hundredths
+
+// Module state
+let stopwatchState = STOPWATCH_STATE.IDLE;
+let startTime = null; // Epoch ms when the current run started
+let elapsedBefore = 0; // Ms counted before the current run
+let laps = []; // Elapsed ms at each lap, oldest first
+let tickInterval = null;
+let isVisible = false;
+let optionsMenu = null;
+let storageChangeListener = null;
+let keydownListener = null;
+let originalTitle = '';
+
+/**
+ * Get the clock container element (shared with clock and timer)
+ * @returns {HTMLElement|null}
+ */
+function getClockContainer() {
+  return document.getElementById('clock-container');
+}
+
+/**
+ * Get the stopwatch display element
+ * @returns {HTMLElement|null}
+ */
+function getStopwatchDisplay() {
+  return document.getElementById('stopwatch-display');
+}
+
+/**
+ * Get the clock options trigger element
+ * @returns {HTMLElement|null}
+ */
+function getClockOptionsTrigger() {
+  return document.getElementById('clock-options-trigger');
+}
+
+/**
+ * Get the clock wrapper element
+ * @returns {HTMLElement|null}
+ */
+function getClockWrapper() {
+  const container = getClockContainer();
+  return container ? container.querySelector('.clock-wrapper') : null;
+}
+
+/**
+ * Get the search and sites area element
+ * @returns {HTMLElement|null}
+ */
+function getSearchAndSites() {
+  const wrapper = document.getElementById('quick-access-wrapper');
+  return wrapper ? wrapper.querySelector('.search-and-sites') : null;
+}
+
+/**
+ * Hide the search box and top sites while the stopwatch is in use
+ * (same class as the timer)
+ */
+function hideSearchAndSites() {
+  getSearchAndSites()?.classList.add('timer-active-hidden');
+}
+
+/**
+ * Show the search box and top sites again
+ */
+function showSearchAndSites() {
+  getSearchAndSites()?.classList.remove('timer-active-hidden');
+}
+
+/**
+ * Get the base page title by removing any time prefix like "X:XX - "
+ * @returns {string}
+ */
+function getBaseTitle() {
+  return stripTitlePrefix(document.title);
+}
+
+/**
+ * Elapsed time on the stopwatch
+ * @param {number} [now]
+ * @returns {number} Milliseconds
+ */
+function getElapsedMs(now = Date.now()) {
+  if (stopwatchState === STOPWATCH_STATE.RUNNING && startTime) {
+    return elapsedBefore + Math.max(0, now - startTime);
+  }
+  return elapsedBefore;
+}
+
+/**
+ * Split elapsed milliseconds for display
+ * @param {number} ms
+ * @returns {{main: string, fraction: string}} e.g. { main: '1:02:03', fraction: '45' }
+ */
+function formatElapsed(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+  const fraction = Math.floor((ms % 1000) / 10).toString().padStart(2, '0');
+
+  const main = hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+  return { main, fraction };
+}
+
+/**
+ * Render elapsed time with subscript hundredths
+ * @param {number} ms
+ * @returns {string}
+ */
+function renderElapsedHTML(ms) {
+  const { main, fraction } = formatElapsed(ms);
+  return `<span class="stopwatch-time-main">${main}</span><span class="stopwatch-time-fraction">.${fraction}</span>`;
+}
+
+/**
+ * Plain elapsed time for the lap list, e.g. "0:42.18"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatLapTime(ms) {
+  const { main, fraction } = formatElapsed(ms);
+  return `${main}.${fraction}`;
+}
+
+/**
+ * Lap rows for the list, newest first. With three laps or more the
+ * fastest and slowest are marked.
+ * @param {Array<number>} splits - Elapsed ms at each lap, oldest first
+ * @returns {Array<{number: number, lapMs: number, totalMs: number, isFastest: boolean, isSlowest: boolean}>}
+ */
+function getLapRows(splits) {
+  const rows = splits.map((totalMs, index) => ({
+    number: index + 1,
+    lapMs: totalMs - (index > 0 ? splits[index - 1] : 0),
+    totalMs
+  }));
+
+  const lapTimes = rows.map(row => row.lapMs);
+  const fastest = rows.length >= 3 ? Math.min(...lapTimes) : null;
+  const slowest = rows.length >= 3 ? Math.max(...lapTimes) : null;
+
+  return rows
+    .map(row => ({ ...row, isFastest: row.lapMs === fastest, isSlowest: row.lapMs === slowest }))
+    .reverse();
+}
+
+/**
+ * Map a key press to a stopwatch action
+ * @param {string} key - KeyboardEvent.key
+ * @param {string} state - STOPWATCH_STATE value
+ * @returns {string|null} STOPWATCH_KEY_ACTIONS value
+ */
+function getStopwatchKeyAction(key, state) {
+  const isRunning = state === STOPWATCH_STATE.RUNNING;
+  switch (key.toLowerCase()) {
+    case ' ':
+      return isRunning ? STOPWATCH_KEY_ACTIONS.PAUSE : STOPWATCH_KEY_ACTIONS.START;
+    case 'l':
+      return isRunning ? STOPWATCH_KEY_ACTIONS.LAP : null;
+    case 'r':
+      return state === STOPWATCH_STATE.PAUSED ? STOPWATCH_KEY_ACTIONS.RESET : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create the lap list HTML
+ * @returns {string}
+ */
+function createLapsHTML() {
+  if (laps.length === 0) return '';
+
+  return `
+    <ol class="stopwatch-laps">
+      ${getLapRows(laps).map(row => `
+        <li class="stopwatch-lap ${row.isFastest ? 'stopwatch-lap-fastest' : ''} ${row.isSlowest ? 'stopwatch-lap-slowest' : ''}">
+          <span class="stopwatch-lap-label">${getMessage('stopwatchLap', [String(row.number)])}</span>
+          <span class="stopwatch-lap-time">${formatLapTime(row.lapMs)}</span>
+          <span class="stopwatch-lap-total">${formatLapTime(row.totalMs)}</span>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+/**
+ * Create the stopwatch UI HTML
+ * @returns {string}
+ */
+function createStopwatchHTML() {
+  const isRunning = stopwatchState === STOPWATCH_STATE.RUNNING;
+  const isPaused = stopwatchState === STOPWATCH_STATE.PAUSED;
+  const playIcon = `
+    <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+      <path d="M8 5v14l11-7z"/>
+    </svg>`;
+
+  return `
+    <div class="stopwatch ${isRunning ? 'stopwatch-running' : ''}">
+      <div class="stopwatch-time" role="timer">${renderElapsedHTML(getElapsedMs())}</div>
+      <div class="timer-controls">
+        ${isRunning ? `
+          <button class="timer-control-btn timer-pause-btn" data-action="${STOPWATCH_KEY_ACTIONS.PAUSE}">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/>
+            </svg>
+            ${getMessage('timerPause') || 'Pause'}
+          </button>
+          <button class="timer-control-btn stopwatch-lap-btn" data-action="${STOPWATCH_KEY_ACTIONS.LAP}" ${laps.length >= STOPWATCH_MAX_LAPS ? 'disabled' : ''}>
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M4 22V4"/>
+              <path d="M4 4h12l-2 4 2 4H4"/>
+            </svg>
+            ${getMessage('stopwatchLapButton') || 'Lap'}
+          </button>
+        ` : `
+          <button class="timer-control-btn timer-pause-btn" data-action="${STOPWATCH_KEY_ACTIONS.START}">
+            ${playIcon}
+            ${isPaused ? (getMessage('timerResume') || 'Resume') : (getMessage('timerStart') || 'Start')}
+          </button>
+          ${isPaused ? `
+            <button class="timer-control-btn timer-reset-btn" data-action="${STOPWATCH_KEY_ACTIONS.RESET}">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
+              </svg>
+              ${getMessage('timerReset') || 'Reset'}
+            </button>
+          ` : ''}
+        `}
+      </div>
+      ${createLapsHTML()}
+      <p class="stopwatch-hint">${getMessage('stopwatchKeyboardHint') || 'Space: start/pause · L: lap · R: reset'}</p>
+    </div>
+  `;
+}
+
+/**
+ * Render the stopwatch UI based on current state
+ */
+function renderStopwatch() {
+  const display = getStopwatchDisplay();
+  if (!display) return;
+
+  display.innerHTML = createStopwatchHTML();
+  display.querySelectorAll('[data-action]').forEach(button => {
+    button.addEventListener('click', () => runAction(button.dataset.action));
+  });
+}
+
+/**
+ * Run a button or keyboard action
+ * @param {string} action - STOPWATCH_KEY_ACTIONS value
+ */
+function runAction(action) {
+  switch (action) {
+    case STOPWATCH_KEY_ACTIONS.START:
+      startStopwatch();
+      break;
+    case STOPWATCH_KEY_ACTIONS.PAUSE:
+      pauseStopwatch();
+      break;
+    case STOPWATCH_KEY_ACTIONS.LAP:
+      addLap();
+      break;
+    case STOPWATCH_KEY_ACTIONS.RESET:
+      resetStopwatch();
+      break;
+  }
+}
+
+/**
+ * Start, or resume after a pause
+ */
+function startStopwatch() {
+  if (stopwatchState === STOPWATCH_STATE.RUNNING) return;
+
+  if (stopwatchState === STOPWATCH_STATE.IDLE) {
+    trackFeature('stopwatch_start');
+  }
+  stopwatchState = STOPWATCH_STATE.RUNNING;
+  startTime = Date.now();
+
+  originalTitle = getBaseTitle();
+  hideSearchAndSites();
+  renderStopwatch();
+  startTicking();
+  saveStopwatchState();
+
+  log('Stopwatch started');
+}
+
+/**
+ * Pause, keeping the elapsed time and laps
+ */
+function pauseStopwatch() {
+  if (stopwatchState !== STOPWATCH_STATE.RUNNING) return;
+
+  elapsedBefore = getElapsedMs();
+  startTime = null;
+  stopwatchState = STOPWATCH_STATE.PAUSED;
+
+  stopTicking();
+  document.title = originalTitle || getBaseTitle();
+  renderStopwatch();
+  saveStopwatchState();
+
+  log('Stopwatch paused');
+}
+
+/**
+ * Record a lap at the current elapsed time
+ */
+function addLap() {
+  if (stopwatchState !== STOPWATCH_STATE.RUNNING || laps.length >= STOPWATCH_MAX_LAPS) return;
+
+  laps = [...laps, getElapsedMs()];
+  renderStopwatch();
+  saveStopwatchState();
+}
+
+/**
+ * Clear the time and laps
+ */
+function resetStopwatch() {
+  if (stopwatchState === STOPWATCH_STATE.RUNNING) return;
+
+  stopwatchState = STOPWATCH_STATE.IDLE;
+  startTime = null;
+  elapsedBefore = 0;
+  laps = [];
+
+  document.title = originalTitle || getBaseTitle();
+  showSearchAndSites();
+  renderStopwatch();
+  saveStopwatchState();
+
+  log('Stopwatch reset');
+}
+
+/**
+ * Start updating the running display
+ */
+function startTicking() {
+  stopTicking();
+  updateRunningDisplay();
+  tickInterval = setInterval(updateRunningDisplay, STOPWATCH_TICK_MS);
+}
+
+/**
+ * Stop updating the running display
+ */
+function stopTicking() {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+  }
+}
+
+/**
+ * Update the time and tab title without a full re-render
+ */
+function updateRunningDisplay() {
+  const elapsed = getElapsedMs();
+  const timeElement = getStopwatchDisplay()?.querySelector('.stopwatch-time');
+  if (timeElement) {
+    timeElement.innerHTML = renderElapsedHTML(elapsed);
+  }
+
+  if (isVisible && stopwatchState === STOPWATCH_STATE.RUNNING) {
+    const title = `${formatElapsed(elapsed).main} - ${originalTitle}`;
+    if (document.title !== title) {
+      document.title = title;
+    }
+  }
+}
+
+/**
+ * Save stopwatch state so other tabs (and new ones) follow it
+ */
+async function saveStopwatchState() {
+  try {
+    await chrome.storage.local.set({
+      stopwatchState,
+      stopwatchStartTime: startTime,
+      stopwatchElapsed: elapsedBefore,
+      stopwatchLaps: laps
+    });
+  } catch (error) {
+    log('Error saving stopwatch state: ' + error.message);
+  }
+}
+
+/**
+ * Take over stored stopwatch values
+ * @param {Object} stored - Values for STOPWATCH_STORAGE_KEYS
+ */
+function readStoredState(stored) {
+  stopwatchState = Object.values(STOPWATCH_STATE).includes(stored.stopwatchState)
+    ? stored.stopwatchState
+    : STOPWATCH_STATE.IDLE;
+  startTime = stored.stopwatchStartTime || null;
+  elapsedBefore = stored.stopwatchElapsed || 0;
+  laps = Array.isArray(stored.stopwatchLaps) ? stored.stopwatchLaps : [];
+}
+
+/**
+ * Handle stopwatch changes made in other tabs. Hidden tabs keep their
+ * state current so the stopwatch is right when it's shown.
+ * @param {Object} changes - Chrome storage changes object
+ */
+async function handleStorageStateChange(changes) {
+  if (!STOPWATCH_STORAGE_KEYS.some(key => changes[key])) {
+    return; // No relevant changes
+  }
+
+  const stored = await chrome.storage.local.get(STOPWATCH_STORAGE_KEYS);
+  const previousState = stopwatchState;
+  const previousLapCount = laps.length;
+  const previousStartTime = startTime;
+  readStoredState(stored);
+  if (!isVisible) return;
+
+  // This tab's own save coming back
+  if (stopwatchState === previousState && laps.length === previousLapCount && startTime === previousStartTime) {
+    return;
+  }
+
+  log(`Stopwatch sync: ${previousState} -> ${stopwatchState}`);
+  if (stopwatchState === STOPWATCH_STATE.RUNNING) {
+    if (previousState !== STOPWATCH_STATE.RUNNING) {
+      originalTitle = getBaseTitle();
+    }
+    hideSearchAndSites();
+    renderStopwatch();
+    startTicking();
+  } else {
+    stopTicking();
+    document.title = originalTitle || getBaseTitle();
+    if (stopwatchState === STOPWATCH_STATE.IDLE) {
+      showSearchAndSites();
+    } else {
+      hideSearchAndSites();
+    }
+    renderStopwatch();
+  }
+}
+
+/**
+ * Handle stopwatch keyboard shortcuts
+ * @param {KeyboardEvent} e
+ */
+function handleKeydown(e) {
+  if (!isVisible || e.ctrlKey || e.metaKey || e.altKey) return;
+
+  // Don't trigger shortcuts when typing, or over the quiz and sidebars
+  if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+  if (document.querySelector('.quiz-mode, .settings-sidebar.open, .options-menu-visible, .confirmation-dialog')) return;
+
+  const action = getStopwatchKeyAction(e.key, stopwatchState);
+  if (!action) return;
+
+  // Space on a focused button already clicks it
+  if (e.key === ' ' && e.target.closest?.('button, a')) return;
+
+  e.preventDefault();
+  runAction(action);
+}
+
+/**
+ * Load stopwatch state from storage
+ */
+async function loadStopwatchState() {
+  try {
+    const stored = await new Promise(resolve => {
+      chrome.storage.local.get(STOPWATCH_STORAGE_KEYS, resolve);
+    });
+    readStoredState(stored);
+  } catch (error) {
+    log('Error loading stopwatch state: ' + error.message);
+  }
+}
+
+/**
+ * Initialize the options menu for stopwatch mode
+ */
+function initOptionsMenu() {
+  const trigger = getClockOptionsTrigger();
+  const wrapper = getClockWrapper();
+
+  if (!trigger || !wrapper) return;
+
+  if (optionsMenu) {
+    optionsMenu.destroy();
+  }
+
+  // The stopwatch keeps counting while another mode is shown
+  const getOptions = () => [
+    {
+      type: 'button',
+      label: getMessage('switchToClock') || 'Switch to Clock',
+      icon: 'images/svg/clock.svg',
+      onClick: async () => {
+        hideStopwatch();
+
+        const { showClock } = await import('./clock.js');
+        showClock();
+
+        await chrome.storage.local.set({
+          clockDisplayMode: 'clock'
+        });
+      }
+    },
+    {
+      type: 'button',
+      label: getMessage('switchToTimer') || 'Switch to Timer',
+      icon: 'images/svg/timer.svg',
+      onClick: async () => {
+        hideStopwatch();
+
+        const { showTimer } = await import('./timer.js');
+        showTimer();
+
+        await chrome.storage.local.set({
+          clockDisplayMode: 'timer'
+        });
+      }
+    }
+  ];
+
+  optionsMenu = createOptionsMenu({
+    triggerElement: trigger,
+    anchorElement: wrapper,
+    menuId: 'stopwatch-options-menu',
+    position: 'right',
+    getOptions
+  });
+}
+
+/**
+ * Show the stopwatch
+ */
+export function showStopwatch() {
+  const container = getClockContainer();
+  const display = getStopwatchDisplay();
+
+  if (!container || !display) {
+    log('Stopwatch display not found');
+    return;
+  }
+
+  // Hide clock time and timer, show stopwatch
+  document.getElementById('clock-time')?.classList.add('hidden');
+  document.getElementById('timer-display')?.classList.add('hidden');
+  display.classList.remove('hidden');
+  container.classList.remove('hidden');
+
+  const optionsTrigger = getClockOptionsTrigger();
+  if (optionsTrigger) {
+    optionsTrigger.setAttribute('aria-label',
+      chrome.i18n.getMessage('stopwatchOptionsAriaLabel') || 'Stopwatch options'
+    );
+  }
+
+  isVisible = true;
+  document.body.classList.add('quick-access-has-clock');
+  // Same layout as the timer for the video play button
+  document.body.classList.add('timer-active');
+
+  originalTitle = getBaseTitle();
+
+  if (stopwatchState === STOPWATCH_STATE.IDLE) {
+    showSearchAndSites();
+  } else {
+    hideSearchAndSites();
+  }
+
+  renderStopwatch();
+  if (stopwatchState === STOPWATCH_STATE.RUNNING) {
+    startTicking();
+  }
+
+  initOptionsMenu();
+
+  log('Stopwatch shown');
+}
+
+/**
+ * Hide the stopwatch
+ */
+export function hideStopwatch() {
+  const display = getStopwatchDisplay();
+  if (!display) return;
+
+  display.classList.add('hidden');
+  isVisible = false;
+
+  const optionsTrigger = getClockOptionsTrigger();
+  if (optionsTrigger) {
+    optionsTrigger.setAttribute('aria-label',
+      chrome.i18n.getMessage('clockOptionsAriaLabel') || 'Clock options'
+    );
+  }
+
+  stopTicking();
+  document.title = originalTitle || getBaseTitle();
+  showSearchAndSites();
+  document.body.classList.remove('timer-active');
+
+  if (optionsMenu) {
+    optionsMenu.destroy();
+    optionsMenu = null;
+  }
+
+  log('Stopwatch hidden');
+}
+
+/**
+ * Initialize the stopwatch from stored state
+ */
+export async function initStopwatch() {
+  try {
+    cleanupListeners();
+
+    await loadStopwatchState();
+
+    // Note: showStopwatch() is called by script.js based on clockDisplayMode
+    storageChangeListener = (changes, areaName) => {
+      if (areaName === 'local') {
+        handleStorageStateChange(changes);
+      }
+    };
+    chrome.storage.onChanged.addListener(storageChangeListener);
+
+    keydownListener = handleKeydown;
+    document.addEventListener('keydown', keydownListener);
+  } catch (error) {
+    log('Error initializing stopwatch: ' + error.message);
+  }
+}
+
+/**
+ * Clean up event listeners
+ */
+function cleanupListeners() {
+  if (storageChangeListener) {
+    chrome.storage.onChanged.removeListener(storageChangeListener);
+    storageChangeListener = null;
+  }
+  if (keydownListener) {
+    document.removeEventListener('keydown', keydownListener);
+    keydownListener = null;
+  }
+}
+
+/**
+ * Clean up stopwatch resources
+ */
+export function destroyStopwatch() {
+  stopTicking();
+  isVisible = false;
+
+  if (optionsMenu) {
+    optionsMenu.destroy();
+    optionsMenu = null;
+  }
+
+  cleanupListeners();
+
+  log('Stopwatch destroyed');
+}
+
+/**
+ * Check if stopwatch is currently visible
+ * @returns {boolean}
+ */
+export function isStopwatchVisible() {
+  return isVisible;
+}
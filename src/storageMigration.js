@@ -21,6 +21,9 @@ const MIGRATION_VERSION = 1;
 // Storage key for tracking migration status (in local storage)
 const MIGRATION_FLAG_KEY = 'storageMigrationVersion';
 
+// Storage key marking that an auto-written region has been cleared (in local storage)
+const REGION_CLEANUP_FLAG_KEY = 'autoRegionCleared';
+
 /**
  * Check if migration is needed
  * Returns true if:
@@ -77,11 +80,13 @@ export async function runMigration() {
     const syncResult = await chrome.storage.sync.get(allKeys);
 
     // Build the data to write to local storage
-    // Start with defaults, then override with existing sync values
-    const localData = { ...CONFIG.STORAGE_DEFAULTS };
+    // Start with defaults, then override with existing sync values.
+    // The region is left out: older versions always wrote World without asking,
+    // so it stays unset and is inferred until the user picks one
+    const { region, ...localData } = CONFIG.STORAGE_DEFAULTS;
 
     for (const key of allKeys) {
-      if (syncResult[key] !== undefined && !CONFIG.SYNC_STORAGE_KEYS.includes(key)) {
+      if (key !== 'region' && syncResult[key] !== undefined && !CONFIG.SYNC_STORAGE_KEYS.includes(key)) {
         localData[key] = syncResult[key];
       }
     }
@@ -113,7 +118,8 @@ export async function runMigration() {
 
 /**
  * Initialize local storage for a fresh install
- * Sets all defaults in local storage
+ * Sets all defaults in local storage except the region, which stays unset
+ * so it is inferred from the browser until the user picks one
  *
  * @returns {Promise<boolean>} True if initialization succeeded
  */
@@ -122,9 +128,11 @@ export async function initializeFreshInstall() {
     log('Storage migration: Initializing fresh install...');
 
     // Set all defaults in local storage
+    const { region, ...defaults } = CONFIG.STORAGE_DEFAULTS;
     await chrome.storage.local.set({
-      ...CONFIG.STORAGE_DEFAULTS,
-      [MIGRATION_FLAG_KEY]: MIGRATION_VERSION
+      ...defaults,
+      [MIGRATION_FLAG_KEY]: MIGRATION_VERSION,
+      [REGION_CLEANUP_FLAG_KEY]: true
     });
 
     log('Storage migration: Fresh install initialized with defaults');
@@ -135,6 +143,35 @@ export async function initializeFreshInstall() {
   }
 }
 
+/**
+ * Clear the region older versions saved without asking
+ * Before regions could be picked, settings and onboarding always stored World.
+ * Runs once, on the first update, so the region is inferred until the user
+ * picks one; a World picked after that is kept.
+ *
+ * @returns {Promise<boolean>} True if a region was cleared
+ */
+export async function clearAutoWrittenRegion() {
+  try {
+    const result = await chrome.storage.local.get(['region', REGION_CLEANUP_FLAG_KEY]);
+    if (result[REGION_CLEANUP_FLAG_KEY]) {
+      return false;
+    }
+
+    const shouldClear = result.region === CONFIG.STORAGE_DEFAULTS.region;
+    if (shouldClear) {
+      await chrome.storage.local.remove('region');
+      log('Storage migration: Cleared auto-written region');
+    }
+
+    await chrome.storage.local.set({ [REGION_CLEANUP_FLAG_KEY]: true });
+    return shouldClear;
+  } catch (error) {
+    log(`Storage migration: Region cleanup failed: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Check if local storage has been initialized
  * (Either through migration or fresh install)
@@ -1,19 +1,50 @@
 /**
  * Timer module for BirdTab
- * Displays a countdown timer as an alternative to the clock
+ * Displays a countdown timer as an alternative to the clock.
+ * The background worker owns the countdown (see timerState.js); this module
+ * sends it commands and renders the state it stores.
  */
 
 import { log } from './logger.js';
 import { getMessage } from './i18n.js';
 import { createOptionsMenu } from './optionsMenu.js';
 import { trackFeature } from './analytics.js';
-
-// Timer states
-const TIMER_STATE = {
-  SETUP: 'setup',
-  RUNNING: 'running',
-  PAUSED: 'paused',
-  FINISHED: 'finished'
+import { escapeHtml } from './utils/escapeHtml.js';
+import { stripTitlePrefix } from './utils/tabTitle.js';
+import { getFavorites } from './viewHistory.js';
+import { getLocalizedBirdName } from './birdNames.js';
+import {
+  TIMER_STATE,
+  TIMER_COMMANDS,
+  TIMER_STORAGE_KEYS,
+  POMODORO_PHASE,
+  POMODORO_DEFAULTS,
+  getRemainingSeconds,
+  normalizePomodoroSettings,
+  getPomodoroPhaseDuration,
+  getNextPomodoroPhase
+} from './timerState.js';
+import {
+  TIMER_PRESET_LABEL_MAX_LENGTH,
+  sanitizeTimerPresets,
+  addTimerPreset,
+  renameTimerPreset,
+  moveTimerPreset,
+  removeTimerPreset,
+  formatPresetDuration
+} from './timerPresets.js';
+import {
+  ALARM_SOUNDS,
+  ALARM_DURATIONS,
+  normalizeAlarmSettings,
+  getAlarmRecordingUrl,
+  getAlarmFadeInSeconds
+} from './timerAlarm.js';
+
+// Setup modes: a single countdown or Pomodoro cycles
+const TIMER_MODE = {
+  COUNTDOWN: 'countdown',
+  POMODORO: 'pomodoro'
 };
 
 // Module state
@@ -21,6 +52,8 @@ let timerInterval = null;
 let timerState = TIMER_STATE.SETUP;
 let totalDuration = 5 * 60; // Default: 5 minutes in seconds
 let remainingTime = totalDuration;
+let endTime = null; // Epoch ms when a running timer ends
+let pomodoro = null; // Current Pomodoro phase and settings while one runs
 let isVisible = false;
 let optionsMenu = null;
 let storageChangeListener = null;
@@ -28,19 +61,24 @@ let originalTitle = '';
 let activeDigitGroup = null; // 'hours' | 'minutes' | 'seconds' | null
 let inputBuffer = '';
 
-// Multi-tab sync flag to prevent infinite loops
-let isReactingToStorageChange = false;
-
 // Alarm state
 let alarmAudio = null;
+let alarmRecording = null; // Bird call playing as the alarm
 let alarmEnabled = false;
+let alarmSettings = normalizeAlarmSettings();
 let alarmTimeout = null;
-const ALARM_DURATION = 30000; // 30 seconds max
+let getBirdInfo = () => null; // This tab's bird, for the bird call alarm
+const ALARM_PREVIEW_DURATION = 5000;
+const ALARM_RECORDING_SKIP_SECONDS = 4; // Recordist commentary, as in the bird call player
 
 // Setup mode values (editable before starting)
 let setupHours = 0;
 let setupMinutes = 5;
 let setupSeconds = 0;
+let timerMode = TIMER_MODE.COUNTDOWN;
+let pomodoroSettings = { ...POMODORO_DEFAULTS };
+let timerPresets = []; // User-saved presets, see timerPresets.js
+let newPresetIndex = null; // Preset just saved from the options menu, focused for naming
 
 /**
  * Get the clock container element (shared with clock)
@@ -118,9 +156,8 @@ function showSearchAndSites() {
  * @returns {string}
  */
 function getBaseTitle() {
-  const title = document.title;
-  // Remove any existing timer prefix pattern like "X:XX - ", "X:XX:XX - ", or "Timer Done! - "
-  return title.replace(/^(\d+:\d+:\d+|\d+:\d+|Timer Done!) - /, '');
+  const phaseLabels = Object.values(POMODORO_PHASE).map(getPomodoroPhaseLabel);
+  return stripTitlePrefix(document.title, phaseLabels);
 }
 
 /**
@@ -201,11 +238,37 @@ function renderTimeHTML(totalSeconds) {
  * @returns {string}
  */
 function createSetupHTML() {
+  const isPomodoro = timerMode === TIMER_MODE.POMODORO;
   const totalSeconds = hmsToSeconds(setupHours, setupMinutes, setupSeconds);
-  const isDisabled = totalSeconds === 0;
+  const isDisabled = !isPomodoro && totalSeconds === 0;
   
   return `
     <div class="timer-setup">
+      <div class="timer-mode-tabs" role="tablist">
+        <button class="timer-mode-tab ${!isPomodoro ? 'active' : ''}" role="tab" aria-selected="${!isPomodoro}" data-mode="${TIMER_MODE.COUNTDOWN}">
+          ${getMessage('timerModeCountdown') || 'Timer'}
+        </button>
+        <button class="timer-mode-tab ${isPomodoro ? 'active' : ''}" role="tab" aria-selected="${isPomodoro}" data-mode="${TIMER_MODE.POMODORO}">
+          ${getMessage('timerModePomodoro') || 'Pomodoro'}
+        </button>
+      </div>
+      ${isPomodoro ? createPomodoroSetupHTML() : createCountdownSetupHTML()}
+      <button class="timer-start-btn" ${isDisabled ? 'disabled' : ''}>
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M8 5v14l11-7z"/>
+        </svg>
+        ${getMessage('timerStart') || 'Start'}
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Create the digit inputs and presets for a single countdown
+ * @returns {string}
+ */
+function createCountdownSetupHTML() {
+  return `
       <div class="timer-input-row">
         <div class="timer-digit-group" data-group="hours" tabindex="0">
           <span class="timer-digits">${setupHours.toString().padStart(2, '0')}</span>
@@ -224,17 +287,71 @@ function createSetupHTML() {
         <button class="timer-preset-btn" data-minutes="1">1m</button>
         <button class="timer-preset-btn" data-minutes="5">5m</button>
         <button class="timer-preset-btn" data-minutes="25">25m</button>
+        ${timerPresets.map(preset => `
+          <button class="timer-preset-btn timer-preset-btn-custom" data-seconds="${preset.seconds}">
+            ${preset.label ? `${escapeHtml(preset.label)} · ` : ''}${getPresetDurationLabel(preset.seconds)}
+          </button>
+        `).join('')}
       </div>
-      <button class="timer-start-btn" ${isDisabled ? 'disabled' : ''}>
-        <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
-          <path d="M8 5v14l11-7z"/>
-        </svg>
-        ${getMessage('timerStart') || 'Start'}
-      </button>
-    </div>
   `;
 }
 
+/**
+ * Localized short duration for a preset, e.g. "1h 30m"
+ * @param {number} seconds
+ * @returns {string}
+ */
+function getPresetDurationLabel(seconds) {
+  return formatPresetDuration(seconds, {
+    hours: getMessage('timerHours') || 'h',
+    minutes: getMessage('timerMinutes') || 'm',
+    seconds: getMessage('timerSeconds') || 's'
+  });
+}
+
+/**
+ * Create the phase length and cycle count fields for Pomodoro mode
+ * @returns {string}
+ */
+function createPomodoroSetupHTML() {
+  const minutesUnit = getMessage('timerMinutes') || 'm';
+  const fields = [
+    { key: 'work', label: getPomodoroPhaseLabel(POMODORO_PHASE.WORK), unit: minutesUnit },
+    { key: 'shortBreak', label: getPomodoroPhaseLabel(POMODORO_PHASE.SHORT_BREAK), unit: minutesUnit },
+    { key: 'longBreak', label: getPomodoroPhaseLabel(POMODORO_PHASE.LONG_BREAK), unit: minutesUnit },
+    { key: 'cycles', label: getMessage('timerPomodoroCycles') || 'Cycles', unit: '' }
+  ];
+
+  return `
+      <div class="timer-pomodoro-settings">
+        ${fields.map(field => `
+          <label class="timer-pomodoro-field">
+            <span class="timer-pomodoro-label">${field.label}</span>
+            <span class="timer-pomodoro-value">
+              <input type="number" class="timer-pomodoro-input" data-setting="${field.key}" min="1" step="1" value="${pomodoroSettings[field.key]}">
+              ${field.unit ? `<span class="timer-unit">${field.unit}</span>` : ''}
+            </span>
+          </label>
+        `).join('')}
+      </div>
+  `;
+}
+
+/**
+ * Localized name of a Pomodoro phase
+ * @param {string} phase - POMODORO_PHASE value
+ * @returns {string}
+ */
+function getPomodoroPhaseLabel(phase) {
+  if (phase === POMODORO_PHASE.SHORT_BREAK) {
+    return getMessage('timerPomodoroShortBreak') || 'Short break';
+  }
+  if (phase === POMODORO_PHASE.LONG_BREAK) {
+    return getMessage('timerPomodoroLongBreak') || 'Long break';
+  }
+  return getMessage('timerPomodoroWork') || 'Focus';
+}
+
 /**
  * Create the running/paused mode UI HTML
  * @returns {string}
@@ -261,6 +378,12 @@ function createRunningHTML() {
         </svg>
         <div class="timer-time ${isFinished ? 'timer-time-finished' : ''}">${renderTimeHTML(remainingTime)}</div>
       </div>
+      ${pomodoro ? `
+        <div class="timer-pomodoro-phase" data-phase="${pomodoro.phase}">
+          <span class="timer-pomodoro-phase-name">${getPomodoroPhaseLabel(pomodoro.phase)}</span>
+          <span class="timer-pomodoro-progress">${getMessage('timerPomodoroProgress', [String(pomodoro.cycle), String(pomodoro.cycles)]) || `Focus session ${pomodoro.cycle} of ${pomodoro.cycles}`}</span>
+        </div>
+      ` : ''}
       <div class="timer-controls">
         ${!isFinished ? `
           <button class="timer-control-btn timer-pause-btn" data-action="${isPaused ? 'resume' : 'pause'}">
@@ -330,14 +453,44 @@ function attachSetupListeners() {
   const presetBtns = display.querySelectorAll('.timer-preset-btn');
   presetBtns.forEach(btn => {
     btn.addEventListener('click', () => {
-      const minutes = parseInt(btn.dataset.minutes, 10);
-      setupHours = 0;
-      setupMinutes = minutes;
-      setupSeconds = 0;
+      // Built-in presets are whole minutes, saved ones any time
+      const seconds = btn.dataset.seconds
+        ? parseInt(btn.dataset.seconds, 10)
+        : parseInt(btn.dataset.minutes, 10) * 60;
+      ({ hours: setupHours, minutes: setupMinutes, seconds: setupSeconds } = secondsToHMS(seconds));
       updateSetupDisplay();
     });
   });
   
+  // Countdown / Pomodoro switch
+  display.querySelectorAll('.timer-mode-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      if (tab.dataset.mode === timerMode) return;
+      timerMode = tab.dataset.mode;
+      saveTimerSettings();
+      renderTimer();
+    });
+  });
+
+  // Pomodoro fields are clamped once the user is done editing them
+  display.querySelectorAll('.timer-pomodoro-input').forEach(input => {
+    input.addEventListener('change', () => {
+      pomodoroSettings = normalizePomodoroSettings({
+        ...pomodoroSettings,
+        [input.dataset.setting]: input.value
+      });
+      input.value = pomodoroSettings[input.dataset.setting];
+      saveTimerSettings();
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        input.dispatchEvent(new Event('change'));
+        startTimer();
+      }
+    });
+  });
+  
   // Start button handler
   const startBtn = display.querySelector('.timer-start-btn');
   if (startBtn) {
@@ -629,10 +782,17 @@ function updateSetupDisplay() {
  * Start the timer
  */
 function startTimer() {
-  totalDuration = hmsToSeconds(setupHours, setupMinutes, setupSeconds);
+  if (timerMode === TIMER_MODE.POMODORO) {
+    pomodoro = { ...normalizePomodoroSettings(pomodoroSettings), phase: POMODORO_PHASE.WORK, cycle: 1 };
+    totalDuration = getPomodoroPhaseDuration(pomodoro);
+  } else {
+    pomodoro = null;
+    totalDuration = hmsToSeconds(setupHours, setupMinutes, setupSeconds);
+  }
   if (totalDuration === 0) return;
   
   remainingTime = totalDuration;
+  endTime = Date.now() + totalDuration * 1000;
   timerState = TIMER_STATE.RUNNING;
   
   // Store original title (use getBaseTitle to avoid nested prefixes)
@@ -647,12 +807,15 @@ function startTimer() {
   // Render running UI
   renderTimer();
   
-  // Save state
-  saveTimerState();
+  sendTimerCommand(TIMER_COMMANDS.START, {
+    duration: totalDuration,
+    pomodoro: pomodoro ? pomodoroSettings : null
+  });
   
   // Track timer start with exact duration for analytics
   trackFeature('timer_start', {
-    duration_seconds: totalDuration
+    duration_seconds: totalDuration,
+    mode: timerMode
   });
   
   log('Timer started');
@@ -665,13 +828,15 @@ function pauseTimer() {
   if (timerState !== TIMER_STATE.RUNNING) return;
   
   timerState = TIMER_STATE.PAUSED;
+  remainingTime = getRemainingSeconds(endTime);
+  endTime = null;
   stopCountdown();
   
   // Restore original title when paused
   document.title = originalTitle;
   
   renderTimer();
-  saveTimerState();
+  sendTimerCommand(TIMER_COMMANDS.PAUSE);
   
   log('Timer paused');
 }
@@ -683,10 +848,11 @@ function resumeTimer() {
   if (timerState !== TIMER_STATE.PAUSED) return;
   
   timerState = TIMER_STATE.RUNNING;
+  endTime = Date.now() + remainingTime * 1000;
   startCountdown();
   
   renderTimer();
-  saveTimerState();
+  sendTimerCommand(TIMER_COMMANDS.RESUME);
   
   log('Timer resumed');
 }
@@ -702,6 +868,8 @@ function resetTimer() {
   
   timerState = TIMER_STATE.SETUP;
   remainingTime = totalDuration;
+  endTime = null;
+  pomodoro = null;
   
   // Restore original title
   document.title = originalTitle;
@@ -710,7 +878,7 @@ function resetTimer() {
   showSearchAndSites();
   
   renderTimer();
-  saveTimerState();
+  sendTimerCommand(TIMER_COMMANDS.RESET);
   
   log('Timer reset');
 }
@@ -747,7 +915,7 @@ function stopCountdown() {
 function updateCountdown() {
   if (timerState !== TIMER_STATE.RUNNING) return;
   
-  remainingTime--;
+  remainingTime = getRemainingSeconds(endTime);
   
   // Update display
   updateRunningDisplay();
@@ -755,9 +923,19 @@ function updateCountdown() {
   // Update tab title
   updateTabTitle();
   
+  // A finished Pomodoro phase: the worker starts the next one, which
+  // arrives through storage (see applyStoredTimerState)
+  if (remainingTime <= 0 && pomodoro && getNextPomodoroPhase(pomodoro)) {
+    stopCountdown();
+    sendTimerCommand(TIMER_COMMANDS.FINISH);
+    return;
+  }
+
   // Check if finished
   if (remainingTime <= 0) {
     remainingTime = 0;
+    endTime = null;
+    pomodoro = null;
     timerState = TIMER_STATE.FINISHED;
     stopCountdown();
     renderTimer();
@@ -768,11 +946,11 @@ function updateCountdown() {
     // Play alarm sound (if enabled)
     playAlarm();
 
+    // The background alarm may fire late for short timers, so finish it now
+    sendTimerCommand(TIMER_COMMANDS.FINISH);
+
     log('Timer finished');
   }
-  
-  // Save state periodically
-  saveTimerState();
 }
 
 /**
@@ -805,7 +983,8 @@ function updateTabTitle() {
   // Only update title if timer is visible and running
   if (timerState === TIMER_STATE.RUNNING && isVisible) {
     const timeStr = formatTimeDisplay(remainingTime, true);
-    document.title = `${timeStr} - ${originalTitle}`;
+    const phase = pomodoro ? `${getPomodoroPhaseLabel(pomodoro.phase)} ` : '';
+    document.title = `${phase}${timeStr} - ${originalTitle}`;
   }
 }
 
@@ -849,23 +1028,75 @@ const ALARM_CHIRP_PATTERN = Object.freeze([
   { time: 2.0, freq: 1200 },
 ]);
 const ALARM_PATTERN_DURATION = 3; // seconds per pattern cycle
-const ALARM_REPEAT_COUNT = 5;
+
+// Played once as each Pomodoro phase starts: variations on the alarm pattern,
+// so the phases can be told apart without looking
+const POMODORO_PHASE_SOUND_DURATION = 4000;
+const POMODORO_PHASE_SOUNDS = Object.freeze({
+  // Brisk and bright: back to focus
+  [POMODORO_PHASE.WORK]: createPhaseSound(ALARM_CHIRP_PATTERN, 1.25, 0.6),
+  // Just the first chirp sequence, a little lower
+  [POMODORO_PHASE.SHORT_BREAK]: createPhaseSound(ALARM_CHIRP_PATTERN.slice(0, 3), 0.85, 1),
+  // Slow and low for the long break
+  [POMODORO_PHASE.LONG_BREAK]: createPhaseSound(ALARM_CHIRP_PATTERN, 0.7, 1.4)
+});
+
+/**
+ * Derive a one-shot phase sound from a chirp pattern
+ * @param {Array<{time: number, freq: number}>} pattern
+ * @param {number} pitch - Frequency multiplier
+ * @param {number} tempo - Time multiplier (below 1 is faster)
+ * @returns {{pattern: Array, repeatCount: number, duration: number}}
+ */
+function createPhaseSound(pattern, pitch, tempo) {
+  return Object.freeze({
+    pattern: Object.freeze(pattern.map(chirp => ({
+      time: chirp.time * tempo,
+      freq: Math.round(chirp.freq * pitch)
+    }))),
+    repeatCount: 1,
+    duration: POMODORO_PHASE_SOUND_DURATION
+  });
+}
+
+/**
+ * The end-of-timer alarm for the chosen settings
+ * @param {Object} [settings] - Alarm settings from timerAlarm.js
+ * @returns {Promise<{pattern: Array, repeatCount: number, duration: number, fadeIn: number, recordingUrl: string|null}>}
+ */
+async function getAlarmSound(settings = alarmSettings) {
+  const favorites = settings.sound === ALARM_SOUNDS.FAVORITE ? await getFavorites() : [];
+  return {
+    // Chirps for the whole ring time; also the fallback when a recording won't play
+    pattern: ALARM_CHIRP_PATTERN,
+    repeatCount: Math.ceil(settings.duration / ALARM_PATTERN_DURATION),
+    duration: settings.duration * 1000,
+    fadeIn: settings.sound === ALARM_SOUNDS.FADE_IN ? getAlarmFadeInSeconds(settings.duration) : 0,
+    recordingUrl: getAlarmRecordingUrl(settings, getBirdInfo(), favorites)
+  };
+}
 
 // Shared gain node for master volume control (reused across chirps)
 let alarmMasterGain = null;
 
 /**
  * Create a gentle bird-like alarm sound using AudioContext
+ * @param {number} [fadeIn] - Seconds to rise from silence to the alarm volume
  * @returns {AudioContext|null}
  */
-function createAlarmSound() {
+function createAlarmSound(fadeIn = 0) {
   try {
     const audioContext = new (window.AudioContext || window.webkitAudioContext)();
     
     // Create a master gain node for efficient volume control and cleanup
     alarmMasterGain = audioContext.createGain();
     alarmMasterGain.connect(audioContext.destination);
-    alarmMasterGain.gain.value = 1;
+    if (fadeIn > 0) {
+      alarmMasterGain.gain.setValueAtTime(0, audioContext.currentTime);
+      alarmMasterGain.gain.linearRampToValueAtTime(alarmSettings.volume, audioContext.currentTime + fadeIn);
+    } else {
+      alarmMasterGain.gain.value = alarmSettings.volume;
+    }
     
     return audioContext;
   } catch (error) {
@@ -906,16 +1137,37 @@ function playChirp(audioContext, startTime, frequency) {
 }
 
 /**
- * Play the timer alarm sound
- * Uses a lock mechanism to ensure only one tab plays the alarm
+ * Start looping a bird call as the alarm
+ * @param {string} url
+ * @returns {Promise<boolean>} false if it won't play, e.g. offline
  */
-async function playAlarm() {
-  if (!alarmEnabled) {
-    log('Alarm is disabled, skipping');
-    return;
+async function playAlarmRecording(url) {
+  const recording = new Audio(url);
+  recording.loop = true;
+  recording.volume = alarmSettings.volume;
+  recording.addEventListener('loadedmetadata', () => {
+    if (recording.currentTime < ALARM_RECORDING_SKIP_SECONDS) {
+      recording.currentTime = ALARM_RECORDING_SKIP_SECONDS;
+    }
+  }, { once: true });
+  alarmRecording = recording;
+
+  try {
+    await recording.play();
+    // Stopped while it was loading
+    return alarmRecording === recording;
+  } catch (error) {
+    log('Alarm recording unavailable, using the chirp: ' + error.message);
+    if (alarmRecording === recording) alarmRecording = null;
+    return false;
   }
-  
-  // Try to acquire the alarm lock
+}
+
+/**
+ * Make sure only one tab plays the alarm
+ * @returns {Promise<boolean>} true if this tab should play it
+ */
+async function acquireAlarmLock() {
   const lockTimestamp = Date.now();
   try {
     // Check if another tab is already playing
@@ -926,7 +1178,7 @@ async function playAlarm() {
     // If another tab started playing within the last 5 seconds, don't play
     if (result.timerAlarmPlayingTab && (lockTimestamp - result.timerAlarmPlayingTab) < 5000) {
       log('Another tab is playing the alarm, skipping');
-      return;
+      return false;
     }
     
     // Set our lock
@@ -942,48 +1194,106 @@ async function playAlarm() {
     
     if (verifyResult.timerAlarmPlayingTab !== lockTimestamp) {
       log('Lost alarm lock to another tab, skipping');
-      return;
+      return false;
     }
+    return true;
   } catch (error) {
     log('Error acquiring alarm lock: ' + error.message);
+    return false;
+  }
+}
+
+/**
+ * Play the timer alarm sound
+ * Uses a lock mechanism to ensure only one tab plays the alarm
+ * @param {Object} [sound] - Chirp pattern, repeat count and duration (ms), e.g. a Pomodoro
+ *   phase sound. Defaults to the alarm chosen in the options menu.
+ */
+async function playAlarm(sound) {
+  if (!alarmEnabled) {
+    log('Alarm is disabled, skipping');
     return;
   }
   
-  log('Playing alarm sound');
+  if (!(await acquireAlarmLock())) return;
   
+  log('Playing alarm sound');
+  startAlarmSound(sound || await getAlarmSound());
+}
+
+/**
+ * Play a few seconds of the chosen alarm, regardless of the on/off toggle
+ */
+async function previewAlarm() {
+  const sound = await getAlarmSound();
+  const duration = ALARM_PREVIEW_DURATION;
+  startAlarmSound({
+    ...sound,
+    duration,
+    repeatCount: Math.ceil(duration / 1000 / ALARM_PATTERN_DURATION),
+    // Squeeze the fade into the preview so it can be heard
+    fadeIn: sound.fadeIn > 0 ? duration / 2000 : 0
+  }, { isPreview: true });
+}
+
+/**
+ * Start the alarm sound in this tab
+ * @param {Object} sound - From getAlarmSound(), or a Pomodoro phase sound
+ * @param {Object} [options]
+ * @param {boolean} [options.isPreview] - Previews don't hold the alarm lock
+ */
+async function startAlarmSound({ pattern, repeatCount, duration, fadeIn = 0, recordingUrl = null }, { isPreview = false } = {}) {
+  stopAlarmSound();
+
+  // Auto-stop after the sound's duration (the chosen ring time for the alarm)
+  alarmTimeout = setTimeout(() => {
+    if (isPreview) {
+      stopAlarmSound();
+    } else {
+      stopAlarm();
+    }
+  }, duration);
+  const timeout = alarmTimeout;
+
+  if (recordingUrl && await playAlarmRecording(recordingUrl)) return;
+  // Stopped while the recording was loading
+  if (alarmTimeout !== timeout) return;
+
   // Create audio context
-  alarmAudio = createAlarmSound();
+  alarmAudio = createAlarmSound(fadeIn);
   if (!alarmAudio) return;
   
   // Schedule all chirps using pre-defined pattern
   const currentTime = alarmAudio.currentTime;
-  for (let repeat = 0; repeat < ALARM_REPEAT_COUNT; repeat++) {
+  for (let repeat = 0; repeat < repeatCount; repeat++) {
     const offset = repeat * ALARM_PATTERN_DURATION;
-    for (let i = 0; i < ALARM_CHIRP_PATTERN.length; i++) {
-      const chirp = ALARM_CHIRP_PATTERN[i];
+    for (let i = 0; i < pattern.length; i++) {
+      const chirp = pattern[i];
       playChirp(alarmAudio, currentTime + offset + chirp.time, chirp.freq);
     }
   }
-  
-  // Auto-stop after ALARM_DURATION
-  alarmTimeout = setTimeout(() => {
-    stopAlarm();
-  }, ALARM_DURATION);
 }
 
 /**
- * Stop the alarm sound
+ * Silence the alarm in this tab
  */
-export async function stopAlarm() {
+function stopAlarmSound() {
   if (alarmTimeout) {
     clearTimeout(alarmTimeout);
     alarmTimeout = null;
   }
   
+  if (alarmRecording) {
+    alarmRecording.pause();
+    alarmRecording.src = '';
+    alarmRecording = null;
+  }
+  
   // Instantly silence by setting master gain to 0
   // This is more efficient than stopping individual oscillators
   if (alarmMasterGain) {
     try {
+      alarmMasterGain.gain.cancelScheduledValues(0);
       alarmMasterGain.gain.setValueAtTime(0, alarmAudio ? alarmAudio.currentTime : 0);
     } catch (error) {
       // Ignore errors if context is already closed
@@ -999,6 +1309,13 @@ export async function stopAlarm() {
     }
     alarmAudio = null;
   }
+}
+
+/**
+ * Stop the alarm sound
+ */
+export async function stopAlarm() {
+  stopAlarmSound();
   
   // Release the alarm lock
   try {
@@ -1011,102 +1328,98 @@ export async function stopAlarm() {
 }
 
 /**
- * Handle storage state changes from other tabs
+ * Handle timer state changes stored by the background worker
  * @param {Object} changes - Chrome storage changes object
  */
-function handleStorageStateChange(changes) {
-  if (!changes.timerState && !changes.timerRemainingTime && !changes.timerLastUpdate) {
+async function handleStorageStateChange(changes) {
+  if (!TIMER_STORAGE_KEYS.some(key => changes[key])) {
     return; // No relevant changes
   }
-  
-  const newState = changes.timerState?.newValue;
-  const newRemainingTime = changes.timerRemainingTime?.newValue;
-  const newTotalDuration = changes.timerTotalDuration?.newValue;
-  const lastUpdate = changes.timerLastUpdate?.newValue;
-  
-  log(`Multi-tab sync: received state change - ${newState}`);
-  
-  // Handle state transitions from other tabs
-  if (newState && newState !== timerState) {
-    isReactingToStorageChange = true;
-    
-    if (newState === TIMER_STATE.SETUP) {
-      // Another tab reset the timer
-      stopCountdown();
-      timerState = TIMER_STATE.SETUP;
-      
-      // Restore original title
-      document.title = originalTitle || getBaseTitle();
-      
-      // Show search and sites
-      showSearchAndSites();
-      
-      renderTimer();
-    } else if (newState === TIMER_STATE.RUNNING) {
-      // Another tab started or resumed the timer
-      if (newTotalDuration !== undefined) {
-        totalDuration = newTotalDuration;
-      }
-      
-      // Calculate remaining time based on when state was updated
-      if (lastUpdate && newRemainingTime !== undefined) {
-        const elapsed = Math.floor((Date.now() - lastUpdate) / 1000);
-        remainingTime = Math.max(0, newRemainingTime - elapsed);
-      } else if (newRemainingTime !== undefined) {
-        remainingTime = newRemainingTime;
-      }
-      
-      timerState = TIMER_STATE.RUNNING;
-      
-      // Hide search and sites
-      hideSearchAndSites();
-      
-      // Start countdown if not already running
-      if (!timerInterval) {
-        startCountdown();
-      }
-      
-      renderTimer();
-      updateTabTitle();
-    } else if (newState === TIMER_STATE.PAUSED) {
-      // Another tab paused the timer
-      stopCountdown();
-      timerState = TIMER_STATE.PAUSED;
-      
-      if (newRemainingTime !== undefined) {
-        remainingTime = newRemainingTime;
-      }
-      
-      // Restore original title when paused
-      document.title = originalTitle || getBaseTitle();
-      
-      renderTimer();
+
+  // The worker only writes the keys that changed, so read the whole state
+  const stored = await chrome.storage.local.get(TIMER_STORAGE_KEYS);
+  if (isVisible) {
+    applyStoredTimerState(stored);
+  }
+}
+
+/**
+ * Bring this tab in line with the stored timer state
+ * @param {Object} stored - Values for TIMER_STORAGE_KEYS
+ */
+function applyStoredTimerState(stored) {
+  const newState = stored.timerState || TIMER_STATE.SETUP;
+  const previousPhase = pomodoro;
+  pomodoro = stored.timerPomodoro || null;
+  const isNewPhase = Boolean(previousPhase && pomodoro) &&
+    (previousPhase.phase !== pomodoro.phase || previousPhase.cycle !== pomodoro.cycle);
+  if (stored.timerTotalDuration) {
+    totalDuration = stored.timerTotalDuration;
+  }
+
+  if (newState === TIMER_STATE.RUNNING) {
+    endTime = stored.timerEndTime;
+    remainingTime = getRemainingSeconds(endTime);
+  } else {
+    endTime = null;
+    if (newState === TIMER_STATE.PAUSED) {
+      remainingTime = stored.timerRemainingTime || 0;
     } else if (newState === TIMER_STATE.FINISHED) {
-      // Another tab's timer finished
-      stopCountdown();
-      timerState = TIMER_STATE.FINISHED;
       remainingTime = 0;
-      
-      renderTimer();
-      flashTabTitle();
+    } else {
+      remainingTime = totalDuration;
     }
-    
-    isReactingToStorageChange = false;
-  } else if (newState === TIMER_STATE.RUNNING && newRemainingTime !== undefined) {
-    // Timer is running, sync the remaining time (for minor corrections)
-    if (lastUpdate) {
-      const elapsed = Math.floor((Date.now() - lastUpdate) / 1000);
-      const calculatedRemaining = Math.max(0, newRemainingTime - elapsed);
-      
-      // Only sync if there's a significant difference (> 2 seconds)
-      if (Math.abs(calculatedRemaining - remainingTime) > 2) {
-        remainingTime = calculatedRemaining;
-        updateRunningDisplay();
-      }
+  }
+
+  if (newState === timerState && !isNewPhase) {
+    // Same state, e.g. this tab's own command coming back: just correct the time
+    if (newState !== TIMER_STATE.SETUP) updateRunningDisplay();
+    return;
+  }
+
+  log(`Timer sync: ${timerState} -> ${newState}`);
+  timerState = newState;
+
+  if (newState === TIMER_STATE.SETUP) {
+    stopCountdown();
+    stopAlarm();
+    document.title = originalTitle || getBaseTitle();
+    showSearchAndSites();
+    renderTimer();
+  } else if (newState === TIMER_STATE.RUNNING) {
+    hideSearchAndSites();
+    renderTimer();
+    startCountdown();
+    if (isNewPhase) {
+      playAlarm(POMODORO_PHASE_SOUNDS[pomodoro.phase]);
     }
+  } else if (newState === TIMER_STATE.PAUSED) {
+    stopCountdown();
+    document.title = originalTitle || getBaseTitle();
+    renderTimer();
+  } else if (newState === TIMER_STATE.FINISHED) {
+    stopCountdown();
+    renderTimer();
+    flashTabTitle();
+    // Only one tab plays it, see playAlarm()
+    playAlarm();
   }
 }
 
+/**
+ * Ask the background worker to change the timer. Every tab, this one
+ * included, picks up the result through storage.
+ * @param {string} command - TIMER_COMMANDS value
+ * @param {Object} [details] - e.g. { duration } for START
+ */
+function sendTimerCommand(command, details = {}) {
+  chrome.runtime.sendMessage({ action: 'timerCommand', command, ...details }, () => {
+    if (chrome.runtime.lastError) {
+      log('Error sending timer command: ' + chrome.runtime.lastError.message);
+    }
+  });
+}
+
 /**
  * Save timer settings to storage
  */
@@ -1115,7 +1428,9 @@ async function saveTimerSettings() {
     await chrome.storage.local.set({
       timerSetupHours: setupHours,
       timerSetupMinutes: setupMinutes,
-      timerSetupSeconds: setupSeconds
+      timerSetupSeconds: setupSeconds,
+      timerMode,
+      timerPomodoroSettings: pomodoroSettings
     });
   } catch (error) {
     log('Error saving timer settings: ' + error.message);
@@ -1123,23 +1438,18 @@ async function saveTimerSettings() {
 }
 
 /**
- * Save timer state to storage (for persistence across refreshes)
+ * Replace the saved presets and store them with the timer settings
+ * @param {Array} presets - New list from timerPresets.js
  */
-async function saveTimerState() {
-  // Skip saving when reacting to storage changes to prevent infinite loops
-  if (isReactingToStorageChange) {
-    return;
+async function saveTimerPresets(presets) {
+  timerPresets = presets;
+  if (isVisible && timerState === TIMER_STATE.SETUP) {
+    renderTimer();
   }
-  
   try {
-    await chrome.storage.local.set({
-      timerState: timerState,
-      timerRemainingTime: remainingTime,
-      timerTotalDuration: totalDuration,
-      timerLastUpdate: Date.now()
-    });
+    await chrome.storage.local.set({ timerPresets });
   } catch (error) {
-    log('Error saving timer state: ' + error.message);
+    log('Error saving timer presets: ' + error.message);
   }
 }
 
@@ -1154,11 +1464,17 @@ async function loadTimerState() {
         'timerSetupHours',
         'timerSetupMinutes',
         'timerSetupSeconds',
+        'timerMode',
+        'timerPomodoroSettings',
+        'timerPresets',
         'timerAlarmEnabled',
+        'timerAlarmSettings',
         'timerState',
         'timerRemainingTime',
         'timerTotalDuration',
-        'timerLastUpdate'
+        'timerEndTime',
+        'timerLastUpdate',
+        'timerPomodoro'
       ], resolve);
     });
 
@@ -1166,21 +1482,28 @@ async function loadTimerState() {
     if (localResult.timerSetupHours !== undefined) setupHours = localResult.timerSetupHours;
     if (localResult.timerSetupMinutes !== undefined) setupMinutes = localResult.timerSetupMinutes;
     if (localResult.timerSetupSeconds !== undefined) setupSeconds = localResult.timerSetupSeconds;
+    if (localResult.timerMode) timerMode = localResult.timerMode;
+    pomodoroSettings = normalizePomodoroSettings(localResult.timerPomodoroSettings);
+    timerPresets = sanitizeTimerPresets(localResult.timerPresets);
 
     // Load alarm setting (defaults to false)
     alarmEnabled = localResult.timerAlarmEnabled || false;
+    alarmSettings = normalizeAlarmSettings(localResult.timerAlarmSettings);
 
     // Load running state if any
     if (localResult.timerState && localResult.timerState !== TIMER_STATE.SETUP) {
       // Check if the timer was running and calculate elapsed time
       if (localResult.timerState === TIMER_STATE.RUNNING && localResult.timerLastUpdate) {
-        const elapsed = Math.floor((Date.now() - localResult.timerLastUpdate) / 1000);
-        remainingTime = Math.max(0, localResult.timerRemainingTime - elapsed);
+        // Timers started before the background owned the countdown have no end time
+        endTime = localResult.timerEndTime ??
+          localResult.timerLastUpdate + localResult.timerRemainingTime * 1000;
+        remainingTime = getRemainingSeconds(endTime);
 
         if (remainingTime <= 0) {
           // Timer finished while tab was closed - reset to setup mode for new tabs
           timerState = TIMER_STATE.SETUP;
           remainingTime = 0;
+          endTime = null;
         } else {
           timerState = TIMER_STATE.RUNNING;
         }
@@ -1197,6 +1520,9 @@ async function loadTimerState() {
       }
 
       totalDuration = localResult.timerTotalDuration || totalDuration;
+      if (timerState !== TIMER_STATE.SETUP) {
+        pomodoro = localResult.timerPomodoro || null;
+      }
     }
 
     // No return value needed - visibility is controlled by script.js based on clockDisplayMode
@@ -1219,47 +1545,167 @@ function initOptionsMenu() {
     optionsMenu.destroy();
   }
 
+  const saveAlarmSettings = async (changes) => {
+    alarmSettings = normalizeAlarmSettings({ ...alarmSettings, ...changes });
+    await chrome.storage.local.set({ timerAlarmSettings: alarmSettings });
+  };
+
   // Create options for timer mode
-  const getOptions = () => [
-    {
-      type: 'toggle',
-      label: getMessage('timerAlarmSound') || 'Alarm sound',
-      checked: alarmEnabled,
-      onChange: async (checked) => {
-        alarmEnabled = checked;
-        await chrome.storage.local.set({ timerAlarmEnabled: checked });
-      }
-    },
-    {
-      type: 'divider'
-    },
-    {
-      type: 'button',
-      label: getMessage('switchToClock') || 'Switch to Clock',
-      icon: 'images/svg/clock.svg',
-      onClick: async () => {
-        // Stop timer if running
-        if (timerState === TIMER_STATE.RUNNING) {
-          pauseTimer();
+  const getOptions = async () => {
+    const focusPresetIndex = newPresetIndex;
+    newPresetIndex = null;
+    // Only favorites with a recording can ring
+    const favoriteCalls = (await getFavorites()).filter(entry => entry.mediaUrl);
+    const soundChoices = [
+      { value: ALARM_SOUNDS.CHIRP, label: getMessage('timerAlarmSoundChirp') || 'Chirp' },
+      { value: ALARM_SOUNDS.FADE_IN, label: getMessage('timerAlarmSoundFadeIn') || 'Gentle fade-in' },
+      { value: ALARM_SOUNDS.BIRD_CALL, label: getMessage('timerAlarmSoundBirdCall') || 'This bird\'s call' },
+      ...(favoriteCalls.length > 0
+        ? [{ value: ALARM_SOUNDS.FAVORITE, label: getMessage('timerAlarmSoundFavorite') || 'Favorite bird\'s call' }]
+        : [])
+    ];
+
+    return [
+      {
+        type: 'toggle',
+        label: getMessage('timerAlarmSound') || 'Alarm sound',
+        checked: alarmEnabled,
+        onChange: async (checked) => {
+          alarmEnabled = checked;
+          await chrome.storage.local.set({ timerAlarmEnabled: checked });
+        }
+      },
+      {
+        type: 'select',
+        label: getMessage('timerAlarmSoundType') || 'Sound',
+        value: alarmSettings.sound,
+        choices: soundChoices,
+        onChange: async (value) => {
+          const isFavoriteKnown = favoriteCalls.some(entry => entry.speciesCode === alarmSettings.favoriteCode);
+          await saveAlarmSettings({
+            sound: value,
+            // Start with the first favorite so the alarm has a call to play
+            favoriteCode: isFavoriteKnown ? alarmSettings.favoriteCode : favoriteCalls[0]?.speciesCode ?? null
+          });
+          // Show or hide the favorite picker
+          optionsMenu?.refresh();
+        }
+      },
+      ...(alarmSettings.sound === ALARM_SOUNDS.FAVORITE && favoriteCalls.length > 0 ? [{
+        type: 'select',
+        label: getMessage('timerAlarmFavorite') || 'Favorite',
+        value: alarmSettings.favoriteCode,
+        choices: favoriteCalls.map(entry => ({ value: entry.speciesCode, label: getLocalizedBirdName(entry) })),
+        onChange: (value) => saveAlarmSettings({ favoriteCode: value })
+      }] : []),
+      {
+        type: 'select',
+        label: getMessage('timerAlarmDuration') || 'Ring for',
+        value: alarmSettings.duration,
+        choices: ALARM_DURATIONS.map(seconds => ({ value: seconds, label: getPresetDurationLabel(seconds) })),
+        onChange: (value) => saveAlarmSettings({ duration: value })
+      },
+      {
+        type: 'range',
+        label: getMessage('timerAlarmVolume') || 'Alarm volume',
+        value: Math.round(alarmSettings.volume * 100),
+        onChange: (value) => saveAlarmSettings({ volume: value / 100 })
+      },
+      {
+        type: 'button',
+        label: getMessage('timerAlarmPreview') || 'Preview alarm',
+        icon: 'images/svg/play.svg',
+        keepOpen: true,
+        onClick: previewAlarm
+      },
+      {
+        type: 'divider'
+      },
+      {
+        type: 'button',
+        label: getMessage('timerPresetSave') || 'Save current time as preset',
+        icon: 'images/svg/bookmark.svg',
+        keepOpen: true,
+        onClick: async () => {
+          const seconds = hmsToSeconds(setupHours, setupMinutes, setupSeconds);
+          const presets = addTimerPreset(timerPresets, seconds);
+          if (presets !== timerPresets) {
+            newPresetIndex = presets.length - 1;
+            await saveTimerPresets(presets);
+          }
+        }
+      },
+      {
+        type: 'list',
+        label: getMessage('timerPresetsTitle') || 'Your presets',
+        emptyText: getMessage('timerPresetsEmpty') || 'No saved presets yet',
+        maxLength: TIMER_PRESET_LABEL_MAX_LENGTH,
+        items: timerPresets.map((preset, index) => ({
+          value: preset.label,
+          placeholder: getMessage('timerPresetLabelPlaceholder') || 'Label (optional)',
+          detail: getPresetDurationLabel(preset.seconds),
+          autofocus: index === focusPresetIndex
+        })),
+        actionLabels: {
+          moveUp: getMessage('timerPresetMoveUp') || 'Move up',
+          moveDown: getMessage('timerPresetMoveDown') || 'Move down',
+          remove: getMessage('timerPresetDelete') || 'Delete preset'
+        },
+        onRename: (index, label) => saveTimerPresets(renameTimerPreset(timerPresets, index, label)),
+        onMove: (index, direction) => saveTimerPresets(moveTimerPreset(timerPresets, index, direction)),
+        onDelete: (index) => saveTimerPresets(removeTimerPreset(timerPresets, index))
+      },
+      {
+        type: 'divider'
+      },
+      {
+        type: 'button',
+        label: getMessage('switchToClock') || 'Switch to Clock',
+        icon: 'images/svg/clock.svg',
+        onClick: async () => {
+          // Stop timer if running
+          if (timerState === TIMER_STATE.RUNNING) {
+            pauseTimer();
+          }
+
+          // Stop alarm if playing
+          stopAlarm();
+
+          // Hide timer, show clock
+          hideTimer();
+
+          // Import and show clock
+          const { showClock } = await import('./clock.js');
+          showClock();
+
+          // Update storage - use new clockDisplayMode enum
+          await chrome.storage.local.set({
+            clockDisplayMode: 'clock'
+          });
+        }
+      },
+      {
+        type: 'button',
+        label: getMessage('switchToStopwatch') || 'Switch to Stopwatch',
+        icon: 'images/svg/stopwatch.svg',
+        onClick: async () => {
+          // Same as switching to the clock: pause the timer and stop the alarm
+          if (timerState === TIMER_STATE.RUNNING) {
+            pauseTimer();
+          }
+          stopAlarm();
+          hideTimer();
+
+          const { showStopwatch } = await import('./stopwatch.js');
+          showStopwatch();
+
+          await chrome.storage.local.set({
+            clockDisplayMode: 'stopwatch'
+          });
         }
-
-        // Stop alarm if playing
-        stopAlarm();
-
-        // Hide timer, show clock
-        hideTimer();
-
-        // Import and show clock
-        const { showClock } = await import('./clock.js');
-        showClock();
-
-        // Update storage - use new clockDisplayMode enum
-        await chrome.storage.local.set({
-          clockDisplayMode: 'clock'
-        });
       }
-    }
-  ];
+    ];
+  };
 
   optionsMenu = createOptionsMenu({
     triggerElement: trigger,
@@ -1283,8 +1729,9 @@ export function showTimer() {
     return;
   }
 
-  // Hide clock time, show timer
+  // Hide clock time and stopwatch, show timer
   if (clockTime) clockTime.classList.add('hidden');
+  document.getElementById('stopwatch-display')?.classList.add('hidden');
   timerDisplay.classList.remove('hidden');
   container.classList.remove('hidden');
   
@@ -1381,8 +1828,10 @@ export function hideTimer() {
 
 /**
  * Initialize the timer from stored settings
+ * @param {Function} [birdInfoGetter] - Returns this tab's birdInfo, for the bird call alarm
  */
-export async function initTimer() {
+export async function initTimer(birdInfoGetter = () => null) {
+  getBirdInfo = birdInfoGetter;
   try {
     // Clean up existing listeners
     cleanupListeners();
@@ -1401,9 +1850,20 @@ export async function initTimer() {
         if (changes.timerAlarmEnabled !== undefined) {
           alarmEnabled = changes.timerAlarmEnabled.newValue;
         }
+        if (changes.timerAlarmSettings) {
+          alarmSettings = normalizeAlarmSettings(changes.timerAlarmSettings.newValue);
+        }
+
+        // Presets saved or edited in another tab
+        if (changes.timerPresets) {
+          timerPresets = sanitizeTimerPresets(changes.timerPresets.newValue);
+          if (isVisible && timerState === TIMER_STATE.SETUP) {
+            renderTimer();
+          }
+        }
 
         // Handle timer state sync across tabs
-        if (isVisible && !isReactingToStorageChange) {
+        if (isVisible) {
           handleStorageStateChange(changes);
         }
       }
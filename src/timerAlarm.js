@@ -0,0 +1,69 @@
+/**
+ * Timer Alarm Settings Module
+ *
+ * Which sound the timer alarm plays, how loud and for how long. Stored in
+ * chrome.storage.local ('timerAlarmSettings') next to the alarm on/off
+ * toggle. The volume is the alarm's own, separate from the bird call
+ * volume (volumeLevel), so a quiet bird call doesn't mean a missed timer.
+ */
+
+export const ALARM_SOUNDS = {
+  CHIRP: 'chirp',
+  BIRD_CALL: 'birdCall', // The bird on the tab that plays the alarm
+  FAVORITE: 'favorite', // A chosen favorite species' call
+  FADE_IN: 'fadeIn' // The chirp, rising slowly from silence
+};
+
+// How long the alarm rings, in seconds
+export const ALARM_DURATIONS = Object.freeze([10, 30, 60, 120]);
+
+export const ALARM_DEFAULTS = Object.freeze({
+  sound: ALARM_SOUNDS.CHIRP,
+  favoriteCode: null,
+  volume: 0.8,
+  duration: 30
+});
+
+const ALARM_FADE_IN_MAX_SECONDS = 20;
+
+/**
+ * Fill in defaults and drop values the menu can't produce
+ * @param {Object} [settings] - Stored { sound, favoriteCode, volume, duration }
+ * @returns {{sound: string, favoriteCode: string|null, volume: number, duration: number}}
+ */
+export function normalizeAlarmSettings(settings = {}) {
+  const volume = Number(settings?.volume);
+  return {
+    sound: Object.values(ALARM_SOUNDS).includes(settings?.sound) ? settings.sound : ALARM_DEFAULTS.sound,
+    favoriteCode: typeof settings?.favoriteCode === 'string' ? settings.favoriteCode : null,
+    volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : ALARM_DEFAULTS.volume,
+    duration: ALARM_DURATIONS.includes(settings?.duration) ? settings.duration : ALARM_DEFAULTS.duration
+  };
+}
+
+/**
+ * Recording to play for the chosen sound
+ * @param {Object} settings - From normalizeAlarmSettings()
+ * @param {Object|null} currentBird - This tab's birdInfo
+ * @param {Array} favorites - Favorite entries
+ * @returns {string|null} null for the synthesized sounds, or when there is no call to play
+ */
+export function getAlarmRecordingUrl(settings, currentBird, favorites) {
+  if (settings.sound === ALARM_SOUNDS.BIRD_CALL) {
+    return currentBird?.mediaUrl || null;
+  }
+  if (settings.sound === ALARM_SOUNDS.FAVORITE) {
+    const favorite = favorites.find(entry => entry.speciesCode === settings.favoriteCode);
+    return favorite?.mediaUrl || null;
+  }
+  return null;
+}
+
+/**
+ * Seconds the gentle alarm takes to reach full volume: half the ring time, at most 20s
+ * @param {number} durationSeconds
+ * @returns {number}
+ */
+export function getAlarmFadeInSeconds(durationSeconds) {
+  return Math.min(ALARM_FADE_IN_MAX_SECONDS, durationSeconds / 2);
+}
@@ -0,0 +1,99 @@
+/**
+ * Timer Presets Module
+ *
+ * User-saved timer presets, shown after the built-in 1m/5m/25m buttons.
+ * Stored in chrome.storage.local ('timerPresets') next to the timer setup
+ * values as an ordered list of { seconds, label }, label being optional.
+ */
+
+export const TIMER_PRESETS_MAX = 12;
+export const TIMER_PRESET_LABEL_MAX_LENGTH = 20;
+const TIMER_PRESET_MAX_SECONDS = 99 * 3600 + 59 * 60 + 59; // Largest time the setup digits allow
+
+function cleanLabel(label) {
+  return String(label || '').trim().slice(0, TIMER_PRESET_LABEL_MAX_LENGTH);
+}
+
+/**
+ * Drop anything malformed from stored presets
+ * @param {*} stored - Value of 'timerPresets'
+ * @returns {Array<{seconds: number, label: string}>}
+ */
+export function sanitizeTimerPresets(stored) {
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(preset => Number.isInteger(preset?.seconds) &&
+      preset.seconds > 0 && preset.seconds <= TIMER_PRESET_MAX_SECONDS)
+    .map(preset => ({ seconds: preset.seconds, label: cleanLabel(preset.label) }))
+    .slice(0, TIMER_PRESETS_MAX);
+}
+
+/**
+ * Add a preset at the end. The same time with the same label isn't added twice.
+ * @param {Array} presets
+ * @param {number} seconds
+ * @param {string} [label]
+ * @returns {Array} New list, or the same list if nothing was added
+ */
+export function addTimerPreset(presets, seconds, label = '') {
+  const preset = { seconds, label: cleanLabel(label) };
+  const isDuplicate = presets.some(existing =>
+    existing.seconds === preset.seconds && existing.label === preset.label);
+  if (!(seconds > 0) || isDuplicate || presets.length >= TIMER_PRESETS_MAX) {
+    return presets;
+  }
+  return [...presets, preset];
+}
+
+/**
+ * @param {Array} presets
+ * @param {number} index
+ * @param {string} label - Empty to show just the time
+ * @returns {Array}
+ */
+export function renameTimerPreset(presets, index, label) {
+  return presets.map((preset, i) => (i === index ? { ...preset, label: cleanLabel(label) } : preset));
+}
+
+/**
+ * Move a preset one place up (-1) or down (1)
+ * @param {Array} presets
+ * @param {number} index
+ * @param {number} direction
+ * @returns {Array}
+ */
+export function moveTimerPreset(presets, index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= presets.length) return presets;
+
+  const result = [...presets];
+  [result[index], result[target]] = [result[target], result[index]];
+  return result;
+}
+
+/**
+ * @param {Array} presets
+ * @param {number} index
+ * @returns {Array}
+ */
+export function removeTimerPreset(presets, index) {
+  return presets.filter((_, i) => i !== index);
+}
+
+/**
+ * Short duration for preset buttons, e.g. "1h 30m", "2m 30s", "45s"
+ * @param {number} seconds
+ * @param {{hours: string, minutes: string, seconds: string}} units - Localized unit suffixes
+ * @returns {string}
+ */
+export function formatPresetDuration(seconds, units) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  return [
+    hours > 0 ? `${hours}${units.hours}` : '',
+    minutes > 0 ? `${minutes}${units.minutes}` : '',
+    secs > 0 ? `${secs}${units.seconds}` : ''
+  ].filter(Boolean).join(' ');
+}
@@ -0,0 +1,196 @@
+/**
+ * Timer State Module
+ *
+ * The countdown is owned by the background service worker, which schedules a
+ * chrome.alarms alarm for the end time so the timer goes off even with no
+ * BirdTab tab open. New tab pages send it commands and render whatever state
+ * it stores in chrome.storage.local.
+ *
+ * A running timer is stored as an absolute end time (timerEndTime), so every
+ * tab and the worker agree on the remaining time without ticking storage.
+ *
+ * In Pomodoro mode (timerPomodoro) finishing a phase starts the next one:
+ * focus sessions alternate with short breaks, and the last session of the
+ * set is followed by a long break, after which the timer finishes.
+ */
+
+export const TIMER_STATE = {
+  SETUP: 'setup',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  FINISHED: 'finished'
+};
+
+export const TIMER_COMMANDS = {
+  START: 'start',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  RESET: 'reset',
+  FINISH: 'finish'
+};
+
+export const TIMER_STORAGE_KEYS = [
+  'timerState',
+  'timerRemainingTime',
+  'timerTotalDuration',
+  'timerEndTime',
+  'timerLastUpdate',
+  'timerPomodoro'
+];
+
+export const POMODORO_PHASE = {
+  WORK: 'work',
+  SHORT_BREAK: 'shortBreak',
+  LONG_BREAK: 'longBreak'
+};
+
+// Phase lengths in minutes, and focus sessions per set
+export const POMODORO_DEFAULTS = Object.freeze({
+  work: 25,
+  shortBreak: 5,
+  longBreak: 15,
+  cycles: 4
+});
+
+const POMODORO_LIMITS = Object.freeze({
+  work: 180,
+  shortBreak: 60,
+  longBreak: 120,
+  cycles: 12
+});
+
+/**
+ * Clamp Pomodoro settings to whole numbers in range, filling in defaults
+ * @param {Object} [settings] - { work, shortBreak, longBreak, cycles }
+ * @returns {{work: number, shortBreak: number, longBreak: number, cycles: number}}
+ */
+export function normalizePomodoroSettings(settings = {}) {
+  const normalized = {};
+  for (const [key, fallback] of Object.entries(POMODORO_DEFAULTS)) {
+    const value = Math.round(Number(settings[key]));
+    normalized[key] = Number.isFinite(value)
+      ? Math.min(POMODORO_LIMITS[key], Math.max(1, value))
+      : fallback;
+  }
+  return normalized;
+}
+
+/**
+ * Length of the current Pomodoro phase in seconds
+ * @param {Object} pomodoro - Settings plus phase and cycle
+ * @returns {number}
+ */
+export function getPomodoroPhaseDuration(pomodoro) {
+  return pomodoro[pomodoro.phase] * 60;
+}
+
+/**
+ * The phase after the current one
+ * @param {Object} pomodoro - Settings plus phase and cycle (1-based focus session)
+ * @returns {Object|null} null once the long break is over
+ */
+export function getNextPomodoroPhase(pomodoro) {
+  if (pomodoro.phase === POMODORO_PHASE.WORK) {
+    const isLastSession = pomodoro.cycle >= pomodoro.cycles;
+    return {
+      ...pomodoro,
+      phase: isLastSession ? POMODORO_PHASE.LONG_BREAK : POMODORO_PHASE.SHORT_BREAK
+    };
+  }
+  if (pomodoro.phase === POMODORO_PHASE.SHORT_BREAK) {
+    return { ...pomodoro, phase: POMODORO_PHASE.WORK, cycle: pomodoro.cycle + 1 };
+  }
+  return null;
+}
+
+/**
+ * Whole seconds left on a running timer, rounded up so "0:00" only shows once time is up
+ * @param {number} endTime - Epoch ms when the timer ends
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function getRemainingSeconds(endTime, now = Date.now()) {
+  return Math.max(0, Math.ceil((endTime - now) / 1000));
+}
+
+/**
+ * Apply a timer command to the stored state
+ * @param {Object} state - Stored timer keys (TIMER_STORAGE_KEYS)
+ * @param {string} command - TIMER_COMMANDS value
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Seconds, for START
+ * @param {Object} [options.pomodoro] - Pomodoro settings, for START in Pomodoro mode
+ * @param {number} [options.now]
+ * @returns {Object|null} Keys to store, or null if the command doesn't apply
+ */
+export function applyTimerCommand(state, command, { duration, pomodoro, now = Date.now() } = {}) {
+  const remaining = state.timerState === TIMER_STATE.RUNNING
+    ? getRemainingSeconds(state.timerEndTime, now)
+    : state.timerRemainingTime || 0;
+
+  switch (command) {
+    case TIMER_COMMANDS.START: {
+      const phase = pomodoro
+        ? { ...normalizePomodoroSettings(pomodoro), phase: POMODORO_PHASE.WORK, cycle: 1 }
+        : null;
+      const seconds = phase ? getPomodoroPhaseDuration(phase) : duration;
+      if (!(seconds > 0)) return null;
+      return {
+        timerState: TIMER_STATE.RUNNING,
+        timerTotalDuration: seconds,
+        timerRemainingTime: seconds,
+        timerEndTime: now + seconds * 1000,
+        timerLastUpdate: now,
+        timerPomodoro: phase
+      };
+    }
+    case TIMER_COMMANDS.PAUSE:
+      if (state.timerState !== TIMER_STATE.RUNNING || remaining <= 0) return null;
+      return {
+        timerState: TIMER_STATE.PAUSED,
+        timerRemainingTime: remaining,
+        timerEndTime: null,
+        timerLastUpdate: now
+      };
+    case TIMER_COMMANDS.RESUME:
+      if (state.timerState !== TIMER_STATE.PAUSED || remaining <= 0) return null;
+      return {
+        timerState: TIMER_STATE.RUNNING,
+        timerEndTime: now + remaining * 1000,
+        timerLastUpdate: now
+      };
+    case TIMER_COMMANDS.RESET:
+      return {
+        timerState: TIMER_STATE.SETUP,
+        timerRemainingTime: state.timerTotalDuration || 0,
+        timerEndTime: null,
+        timerLastUpdate: now,
+        timerPomodoro: null
+      };
+    case TIMER_COMMANDS.FINISH: {
+      // Only once the end time has actually passed; tabs may ask a moment early
+      if (state.timerState !== TIMER_STATE.RUNNING || remaining > 0) return null;
+      const nextPhase = state.timerPomodoro ? getNextPomodoroPhase(state.timerPomodoro) : null;
+      if (nextPhase) {
+        const seconds = getPomodoroPhaseDuration(nextPhase);
+        return {
+          timerState: TIMER_STATE.RUNNING,
+          timerTotalDuration: seconds,
+          timerRemainingTime: seconds,
+          timerEndTime: now + seconds * 1000,
+          timerLastUpdate: now,
+          timerPomodoro: nextPhase
+        };
+      }
+      return {
+        timerState: TIMER_STATE.FINISHED,
+        timerRemainingTime: 0,
+        timerEndTime: null,
+        timerLastUpdate: now,
+        timerPomodoro: null
+      };
+    }
+    default:
+      return null;
+  }
+}
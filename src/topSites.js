@@ -90,7 +90,7 @@ class TopSites {
         // Add clock container to the wrapper
         // Clock is positioned above search box for simpler logic
         // The quick-access-options-trigger is positioned relative to the search-and-sites area
-        // Timer display is inside clock-wrapper, hidden by default (user can switch between clock/timer)
+        // Timer and stopwatch displays are inside clock-wrapper, hidden by default (user can switch between clock/timer/stopwatch)
         quickAccessWrapper.innerHTML = `
           <div id="clock-container" class="clock-container hidden">
             <div class="clock-wrapper">
@@ -99,6 +99,7 @@ class TopSites {
               </button>
               <div id="clock-time" class="clock-time"></div>
               <div id="timer-display" class="timer-display hidden"></div>
+              <div id="stopwatch-display" class="stopwatch-display hidden"></div>
               <button id="clock-options-trigger" class="clock-options-trigger" aria-label="${chrome.i18n.getMessage('clockOptionsAriaLabel') || 'Clock options'}">
                 ${getOptionsTriggerSvg()}
               </button>
@@ -727,7 +728,16 @@ class TopSites {
       const result = await chrome.storage.local.get(['clockDisplayMode']);
       const currentMode = result.clockDisplayMode || 'off';
 
-      if (currentMode === 'timer') {
+      if (currentMode === 'stopwatch') {
+        // If viewing stopwatch, switch to clock (same as "Switch to Clock" button)
+        const { hideStopwatch } = await import('./stopwatch.js');
+        const { showClock } = await import('./clock.js');
+
+        hideStopwatch();
+        showClock();
+
+        await chrome.storage.local.set({ clockDisplayMode: 'clock' });
+      } else if (currentMode === 'timer') {
         // If viewing timer, switch to clock (same as "Switch to Clock" button)
         const { hideTimer, stopAlarm } = await import('./timer.js');
         const { showClock } = await import('./clock.js');
@@ -0,0 +1,69 @@
+/**
+ * Get the local calendar date as a 'YYYY-MM-DD' key.
+ * @param {Date} [date=new Date()]
+ * @returns {string} Date key
+ */
+export function getLocalDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a).
+ * Stable across browsers and sessions, so the same seed always picks the same item.
+ * @param {string} str
+ * @returns {number}
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Move a 'YYYY-MM-DD' key by a number of calendar days.
+ * @param {string} dateKey
+ * @param {number} days - Negative to go back
+ * @returns {string} Date key
+ */
+export function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getLocalDateKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32) with the same interface as
+ * Math.random, so a seed always produces the same sequence.
+ * @param {number} seed - Unsigned 32-bit integer, e.g. from hashString()
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle into a new array.
+ * @param {Array} items
+ * @param {function(): number} [random=Math.random] - Pass a seeded generator for a repeatable order
+ * @returns {Array}
+ */
+export function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
@@ -0,0 +1,17 @@
+/**
+ * Strip the prefix the timer or stopwatch put in front of the tab title.
+ * Only the exact prefixes they write are removed: "12:03 - ", "1:02:03 - ",
+ * "Timer Done! - ", or a time after one of the given phase labels
+ * ("Focus 12:03 - "). A page title that merely contains a time is kept.
+ * @param {string} title - Current tab title
+ * @param {Array<string>} [phaseLabels=[]] - Pomodoro phase names that may precede the time
+ * @returns {string} Title without the prefix
+ */
+export function stripTitlePrefix(title, phaseLabels = []) {
+  const labels = phaseLabels
+    .filter(Boolean)
+    .map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const phase = labels.length > 0 ? `(?:(?:${labels.join('|')}) )?` : '';
+  const prefix = new RegExp(`^(?:${phase}\\d+:\\d+(?::\\d+)?|Timer Done!) - `);
+  return title.replace(prefix, '');
+}
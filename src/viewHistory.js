@@ -0,0 +1,124 @@
+/**
+ * View History Module
+ * Storage for the viewing history and favorites. Kept apart from the
+ * history modal UI so the service worker can use it without DOM code.
+ */
+
+import { log } from './logger.js';
+
+// ===== History Storage Functions =====
+
+/**
+ * Add bird to viewing history
+ * @param {Object} birdInfo - Bird information to add
+ */
+export async function addToHistory(birdInfo) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['viewHistory'], (result) => {
+      const history = result.viewHistory?.value || [];
+
+      // Store complete birdInfo with timestamp to avoid API calls when loading from history
+      const entry = {
+        ...birdInfo,
+        timestamp: Date.now()
+      };
+
+      // The bird of the day repeats on every tab; keep a single entry per day
+      const latest = history[history.length - 1];
+      if (entry.dailyDate && latest?.dailyDate === entry.dailyDate && latest.speciesCode === entry.speciesCode) {
+        history[history.length - 1] = entry;
+      } else {
+        history.push(entry); // Newest at end
+      }
+
+      // Enforce 200 item limit - remove oldest
+      if (history.length > 200) {
+        history.shift();
+      }
+
+      chrome.storage.local.set({
+        viewHistory: { value: history, timestamp: Date.now() }
+      }, () => {
+        if (chrome.runtime.lastError) {
+          log(`Error saving history: ${chrome.runtime.lastError.message}`);
+        }
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Get viewing history
+ * @returns {Promise<Array>} Array of history entries
+ */
+export async function getHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['viewHistory'], (result) => {
+      resolve(result.viewHistory?.value || []);
+    });
+  });
+}
+
+/**
+ * Clear all viewing history
+ */
+export async function clearHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(['viewHistory'], resolve);
+  });
+}
+
+// ===== Favorites Storage Functions =====
+// Favorites live in their own key, so they are not affected by the history limit
+
+/**
+ * Get favorite birds
+ * @returns {Promise<Array>} Array of favorite entries, oldest first
+ */
+export async function getFavorites() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['favorites'], (result) => {
+      resolve(result.favorites?.value || []);
+    });
+  });
+}
+
+/**
+ * Check whether a species is a favorite
+ * @param {string} speciesCode - eBird species code
+ * @returns {Promise<boolean>}
+ */
+export async function isFavorite(speciesCode) {
+  const favorites = await getFavorites();
+  return favorites.some(entry => entry.speciesCode === speciesCode);
+}
+
+/**
+ * Add or remove a bird from favorites
+ * @param {Object} birdInfo - Bird information to star or unstar
+ * @returns {Promise<boolean>} True if the bird is now a favorite
+ */
+export async function toggleFavorite(birdInfo) {
+  const favorites = await getFavorites();
+  const index = favorites.findIndex(entry => entry.speciesCode === birdInfo.speciesCode);
+  const nowFavorite = index === -1;
+
+  if (nowFavorite) {
+    const { autoPlay, dailyDate, ...entry } = birdInfo;
+    favorites.push({ ...entry, timestamp: Date.now() });
+  } else {
+    favorites.splice(index, 1);
+  }
+
+  return new Promise((resolve) => {
+    chrome.storage.local.set({
+      favorites: { value: favorites, timestamp: Date.now() }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        log(`Error saving favorites: ${chrome.runtime.lastError.message}`);
+      }
+      resolve(nowFavorite);
+    });
+  });
+}